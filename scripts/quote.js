@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+// scripts/quote.js
+// Batch quoting: prices a JSON or CSV file of scenarios with the same engine as the UI.
+//
+//   npm run quote -- scenarios.csv [-o quotes.csv] [--profiles profiles.json] [--fx fx.json]
+//   [--rules rules.json]
+//
+// Scenario fields are the keys of DEF (src/engine.js); missing or empty fields fall back to
+// DEF. Rows with invalid fields (non-numeric or out-of-range numbers, unknown modes or
+// currencies) are not priced: their `error` column says why and the exit code is 2.
+// --profiles takes a { key: { name, D, Cf, Ch, Cons, surcharge, lead_days } } map of tasking
+// profiles (e.g. exported from the browser); default is PROFILES.
+// --fx takes { asOf, rates: { USD: 1.16, … } } (units per EUR) for scenarios with a `currency`;
+// default is DEFAULT_FX (src/fx.js).
+// --rules takes SaaS pricing rules (see DEFAULT_RULES in src/pricing.js); none by default.
+// Output columns are the History CSV export columns plus `error`.
+import { readFileSync, writeFileSync } from "node:fs";
+import { extname } from "node:path";
+import { PROFILES, normalizeInputs, inputErrors, priceScenario, quoteEntry, toCSV } from "../src/engine.js";
+import { parseCSV } from "../src/csv.js";
+import { DEFAULT_FX, quoteFx, rateFor } from "../src/fx.js";
+import { applyPricingRules } from "../src/pricing.js";
+
+function usage(code = 1) {
+  console.error("Usage: node scripts/quote.js <scenarios.json|scenarios.csv> [-o out.csv] [--profiles profiles.json] [--fx fx.json] [--rules rules.json]");
+  process.exit(code);
+}
+
+function readScenarios(file) {
+  const text = readFileSync(file, "utf8");
+  if (extname(file).toLowerCase() === ".csv") return parseCSV(text);
+  const data = JSON.parse(text);
+  return Array.isArray(data) ? data : [data];
+}
+
+const args = process.argv.slice(2);
+if (args.includes("-h") || args.includes("--help")) usage(0);
+const opt = (flag) => {
+  const i = args.indexOf(flag);
+  if (i < 0) return null;
+  if (!args[i + 1]) usage();
+  return i + 1;
+};
+const oi = opt("-o"), pi = opt("--profiles"), fi = opt("--fx"), ri = opt("--rules");
+const out = oi ? args[oi] : null;
+const input = args.find((a, i) => !a.startsWith("-") && ![oi, pi, fi, ri].includes(i));
+if (!input) usage();
+
+let scenarios, profiles = PROFILES, fxTable = DEFAULT_FX, pricing = null;
+try {
+  scenarios = readScenarios(input);
+  if (pi) profiles = { ...PROFILES, ...JSON.parse(readFileSync(args[pi], "utf8")) };
+  if (fi) fxTable = JSON.parse(readFileSync(args[fi], "utf8"));
+  if (ri) {
+    const rules = { ...JSON.parse(readFileSync(args[ri], "utf8")), enabled: true };
+    pricing = (m, p) => applyPricingRules(m, p, rules);
+  }
+} catch (err) {
+  console.error(`[quote] cannot read input: ${err.message}`);
+  process.exit(1);
+}
+
+const ts = Date.now();
+const errors = [];
+const rows = scenarios.map((raw, i) => {
+  const id = raw.id || `q_${ts}_${i + 1}`;
+  const p = normalizeInputs(raw);
+  const problems = inputErrors(raw);
+  if (p.currency && rateFor(fxTable, p.currency) == null) problems.push(`no FX rate for currency "${p.currency}"`);
+  errors.push(problems.join("; "));
+  if (problems.length) return { id, ts, client_name: raw.client_name ?? "", aoi_name: raw.aoi_name ?? "" };
+  const { metrics } = priceScenario(p, profiles, pricing);
+  return quoteEntry(p, metrics, { id, ts, fx: quoteFx(fxTable, p.currency) });
+});
+
+const esc = (s) => `"${String(s).replace(/"/g, '""')}"`;
+const csv = toCSV(rows).split("\n").map((line, i) => `${line},${i ? esc(errors[i - 1]) : "error"}`).join("\n") + "\n";
+const failed = errors.filter(Boolean).length;
+if (out) {
+  writeFileSync(out, csv);
+  console.error(`[quote] ${rows.length - failed} scenario(s) priced → ${out}`);
+} else {
+  process.stdout.write(csv);
+}
+errors.forEach((e, i) => { if (e) console.error(`[quote] row ${i + 1}: ${e}`); });
+if (failed) {
+  console.error(`[quote] ${failed} of ${rows.length} scenario(s) not priced`);
+  process.exit(2);
+}
@@ -1,288 +1,49 @@
 import React, { useMemo, useState, useEffect, useRef } from "react";
-import { loadPresets, upsertPreset, removePreset, slug } from "./presets.js";
+import { Routes, Route, useNavigate, useLocation } from "react-router-dom";
+import {
+  loadPresets, upsertPreset, removePreset, slug,
+  PLAT_FIELDS, PAY_FIELDS, applyFields, pickFields, applyAoiPreset,
+} from "./presets.js";
+import { DEF, PROFILES, PROFILE_FIELDS, normalizeProfile, pdec, fmtDate, compute, taskingCalc, missionsOf, quoteMetrics, quoteEntry, fleetWarnings, toCSV } from "./engine.js";
+import { N, EUR, priceFmt } from "./format.js";
+import { CURRENCIES, DEFAULT_FX, quoteFx, entryFx } from "./fx.js";
 import { Card, CardHeader, CardTitle, CardContent } from "./components/ui/card";
 import { Button } from "./components/ui/button";
-
-/* ====================== Utils ====================== */
-const N = (n, d = 2) =>
-  new Intl.NumberFormat("en-GB", { maximumFractionDigits: d }).format(
-    isFinite(n) ? n : 0
-  );
-const EUR = (n, d = 0) =>
-  new Intl.NumberFormat("en-GB", {
-    style: "currency",
-    currency: "EUR",
-    minimumFractionDigits: d,
-    maximumFractionDigits: d,
-  }).format(isFinite(n) ? n : 0);
-const ceil = Math.ceil, floor = Math.floor, sqrt = Math.sqrt, PI = Math.PI;
-const pdec = (v, fb = "") => {
-  if (v === null || v === undefined) return fb;
-  const s = String(v).replace(/,/g, ".").trim();
-  if (!s) return fb;
-  const n = Number(s);
-  return Number.isFinite(n) ? n : fb;
-};
-const fmtDate = (ts) =>
-  new Date(ts).toLocaleString("en-GB", { dateStyle: "short", timeStyle: "short" });
-
-/* ====================== Tasking profiles ====================== */
-const PROFILES = {
-  standard: { name: "Standard", D: 1, Cf: 1, Ch: 1, Cons: 1 },
-  long: { name: "Long", D: 1.5, Cf: 1.1, Ch: 1, Cons: 1.2 },
-  express: { name: "Express", D: 0.7, Cf: 1.15, Ch: 1.15, Cons: 1 },
-};
-
-/* ====================== Default params ====================== */
-const DEF = {
-  mode: "saas",                // "saas" | "tasking"
-  platform: "stats",           // "stats" | "relay"
-  relay_hours_h: 6,
-
-  // AOI
-  aoiType: "areal",
-  aoi_km2: 181.8,
-  aoi_width_km: null,
-  corridor_width_km: 0.8,
-
-  // Mission
-  revisit_min: 1440,           // SaaS
-  missions_count: 6,           // Tasking
-  mission_profile: "standard",
-  proposed_price_per_mission_EUR: "",
-
-  // Ops
-  mission_days: 7,
-  turnaround_days: 1,
-
-  // Payload & navigation
-  swath_km: 7,
-  ground_speed_kmh: 40,
-  duty: 0.75,
-  cov_eff: 0.5,
-  overlap: 0.2,
-  turn_radius_km: 5,
-  eta_nav: 0.8,
-
-  // Reliability & fleet
-  mtbf_h: 500,
-  mttr_h: 20,
-  max_flight_days: 200,
-  maint_buffer: 0.25,
-  spare_buffer: 0.15,
-
-  // Costs
-  Cf_mission: 2500,
-  Ch_hour: 25,
-  capex_platform_EUR: 20000,
-  life_platform_days: 800,
-  capex_payload_EUR: 90000,
-  life_payload_days: 1200,
-  consumables_per_mission: 500,
-  annual_cloud_costs: 12000,
-
-  // Pricing
-  target_gm: 0.5,
-  proposed_annual_price_EUR: "",
-
-  // Meta
-  client_name: "Client",
-  aoi_name: "AOI",
-};
-
-/* ====================== Core model ====================== */
-const strips = (type, W, cw, sw, ov) =>
-  type === "corridor"
-    ? Math.max(1, ceil(pdec(cw, 0) / (sw * (1 - ov))))
-    : ceil(W / (sw * (1 - ov)));
-
-const Trepos = (type, n, r, v, eta) =>
-  type === "corridor" && n === 1
-    ? ((PI * r) / (v * eta)) * 60
-    : ((n * PI * r) / (v * eta)) * 60;
-
-function compute(p) {
-  const isRelay = p.platform === "relay";
-  const A = Math.max(1e-6, pdec(p.aoi_km2, DEF.aoi_km2));
-  const W = p.aoi_width_km !== null && p.aoi_width_km !== "" ? pdec(p.aoi_width_km) : sqrt(A);
-
-  const relayH = pdec(p.relay_hours_h, DEF.relay_hours_h);
-  const D = isRelay ? Math.max(relayH / 24, 1 / 24) : pdec(p.mission_days, DEF.mission_days);
-  const Hh = isRelay ? relayH : D * 24;
-
-  const w = pdec(p.swath_km, DEF.swath_km),
-    v = pdec(p.ground_speed_kmh, DEF.ground_speed_kmh),
-    d = pdec(p.duty, DEF.duty),
-    c = pdec(p.cov_eff, DEF.cov_eff);
-  const ov = pdec(p.overlap, DEF.overlap),
-    r = pdec(p.turn_radius_km, DEF.turn_radius_km),
-    eta = pdec(p.eta_nav, DEF.eta_nav);
-
-  const covRate = w * v * d * c; // km²/h
-  const n = strips(p.aoiType, W, p.corridor_width_km, w, ov);
-  const Ts = (A / Math.max(covRate, 1e-6)) * 60;
-  const Tr = Trepos(p.aoiType, n, r, v, eta);
-  const Tc = Ts + Tr;
-
-  const R = pdec(p.revisit_min, DEF.revisit_min);
-  const revisitsY = ceil(525600 / R);
-  const Kyear = A * revisitsY;               // km² of revisit coverage in one year
-  const Kmis = covRate * Math.max(Hh, 1e-6); // km² per mission
-
-  const Fb = ceil(Kyear / Math.max(Kmis, 1e-6));
-  const Ft = Fb;
-
-  const Aavail = Math.min(
-    0.999,
-    Math.max(0.5, pdec(p.mtbf_h, DEF.mtbf_h) / (pdec(p.mtbf_h, DEF.mtbf_h) + pdec(p.mttr_h, DEF.mttr_h)))
-  );
-  const usable = pdec(p.max_flight_days, DEF.max_flight_days) * (1 - pdec(p.maint_buffer, DEF.maint_buffer));
-  const Fpp = isRelay ? 0 : floor(usable * Aavail / Math.max(D + pdec(p.turnaround_days, DEF.turnaround_days), 0.1));
-  const Smin = isRelay ? 1 : ceil(Tc / R);
-  const P0 = isRelay ? 1 : Math.max(ceil(Ft / Math.max(Fpp, 1)), Smin);
-  const P = isRelay ? 1 : ceil(P0 * (1 + pdec(p.spare_buffer, DEF.spare_buffer)));
-
-  const amortPlat =
-    pdec(p.capex_platform_EUR, DEF.capex_platform_EUR) / Math.max(pdec(p.life_platform_days, DEF.life_platform_days), 1);
-  const amortPay =
-    pdec(p.capex_payload_EUR, DEF.capex_payload_EUR) / Math.max(pdec(p.life_payload_days, DEF.life_payload_days), 1);
-
-  const Cmis =
-    pdec(p.Cf_mission, DEF.Cf_mission) +
-    pdec(p.Ch_hour, DEF.Ch_hour) * Hh +
-    (amortPlat + amortPay) * D +
-    pdec(p.consumables_per_mission, DEF.consumables_per_mission);
-
-  const Ann = Ft * Cmis + pdec(p.annual_cloud_costs, DEF.annual_cloud_costs);
-
-  // Costs normalized
-  const EURkm2_per_revisit = Ann / Math.max(Kyear, 1); // cost per km² per revisit
-  const EURkm2_year = Ann / Math.max(A, 1);            // cost per km² per year
-
-  // Price at GM target and chosen price (manual if provided)
-  const PriceGM = Ann / Math.max(1 - pdec(p.target_gm, DEF.target_gm), 0.01);
-  let GM = null;
-  let PriceAnnualChosen = PriceGM;
-  if (p.proposed_annual_price_EUR !== "" && !isNaN(+p.proposed_annual_price_EUR)) {
-    const Puser = Math.max(+p.proposed_annual_price_EUR, 0.01);
-    GM = (Puser - Ann) / Puser;
-    PriceAnnualChosen = Puser;
-  }
-
-  // Chosen price normalized
-  const PricePerKm2_year = PriceAnnualChosen / Math.max(A, 1);
-  const PricePerKm2_per_revisit = PriceAnnualChosen / Math.max(Kyear, 1);
-  const PricePerMission_target = Cmis / Math.max(1 - pdec(p.target_gm, DEF.target_gm), 0.01);
-
-  return {
-    isRelay,
-    A,
-    W,
-    D,
-    Hh,
-    covRate,
-    n,
-    Ts,
-    Tr,
-    Tc,
-    R,
-    revisitsY,
-    Kyear,
-    Kmis,
-    Fb,
-    Ft,
-    Aavail,
-    usable,
-    Fpp,
-    Smin,
-    P0,
-    P,
-    Cmis,
-    Ann,
-    EURkm2_per_revisit,
-    EURkm2_year,
-    PriceGM,
-    PriceAnnualChosen,
-    PricePerKm2_year,
-    PricePerKm2_per_revisit,
-    PricePerMission_target,
-    GM,
-    slack: R - Tc,
-  };
-}
-
-/* ====================== Tasking ====================== */
-function taskingCalc(p, m, profileKey) {
-  const isRelay = p.platform === "relay";
-  const pr = PROFILES[profileKey] || PROFILES.standard;
-
-  const relayH = pdec(p.relay_hours_h, DEF.relay_hours_h);
-  const Dbase = isRelay ? Math.max(relayH / 24, 1 / 24) : pdec(p.mission_days, DEF.mission_days);
-  const D = Dbase * pr.D;
-  const H = D * 24;
-
-  const amortPlat =
-    pdec(DEF.capex_platform_EUR, DEF.capex_platform_EUR) / Math.max(pdec(DEF.life_platform_days, DEF.life_platform_days), 1);
-  const amortPay =
-    pdec(DEF.capex_payload_EUR, DEF.capex_payload_EUR) / Math.max(pdec(DEF.life_payload_days, DEF.life_payload_days), 1);
-
-  const Cmis =
-    pdec(p.Cf_mission, DEF.Cf_mission) * pr.Cf +
-    pdec(p.Ch_hour, DEF.Ch_hour) * pr.Ch * H +
-    (amortPlat + amortPay) * D +
-    pdec(p.consumables_per_mission, DEF.consumables_per_mission) * pr.Cons;
-
-  const tot = m * Cmis;
-
-  // km² per mission for per-km² pricing
-  const covRate = pdec(p.swath_km, DEF.swath_km) * pdec(p.ground_speed_kmh, DEF.ground_speed_kmh) * pdec(p.duty, DEF.duty) * pdec(p.cov_eff, DEF.cov_eff);
-  const Kmis = covRate * H;
-
-  // Price at GM target
-  const gmTarget = pdec(p.target_gm, DEF.target_gm);
-  const pricePerMissionGM = Cmis / Math.max(1 - gmTarget, 0.01);
-  const totalPriceGM = pricePerMissionGM * m;
-
-  // Manual proposal
-  const userPmValid = p.proposed_price_per_mission_EUR !== "" && isFinite(+p.proposed_price_per_mission_EUR);
-  const userPm = userPmValid ? Math.max(+p.proposed_price_per_mission_EUR, 0.01) : null;
-  const userTotal = userPmValid ? userPm * m : null;
-  const GMm_user = userPmValid ? (userPm - Cmis) / userPm : null;
-  const GMtot_user = userPmValid ? (userTotal - tot) / userTotal : null;
-
-  // Final choice
-  const Pm_final = userPmValid ? userPm : pricePerMissionGM;
-  const Ptot_final = Pm_final * m;
-  const GMm_final = (Pm_final - Cmis) / Pm_final;
-  const GMtot_final = (Ptot_final - tot) / Ptot_final;
-
-  // Per-km² per mission
-  const pricePerKm2 = Pm_final / Math.max(Kmis, 1e-6);
-  const costPerKm2 = Cmis / Math.max(Kmis, 1e-6);
-
-  return {
-    isRelay,
-    pr,
-    D,
-    H,
-    Cmis,
-    Kmis,
-    tot,
-    pricePerMissionGM,
-    totalPriceGM,
-    userPm,
-    userTotal,
-    GMm_user,
-    GMtot_user,
-    Pm_final,
-    Ptot_final,
-    GMm_final,
-    GMtot_final,
-    pricePerKm2,
-    costPerKm2,
-    hasUserPrice: userPmValid,
-  };
-}
+import { Num } from "./components/ui/num";
+import { MonteCarloPanel } from "./components/MonteCarloPanel";
+import { SensitivityPanel } from "./components/SensitivityPanel";
+import { ComparePanel, MAX_PINNED } from "./components/ComparePanel";
+import { GoalSeekPanel } from "./components/GoalSeekPanel";
+import { PortfolioPanel } from "./components/PortfolioPanel";
+import { CashflowPanel } from "./components/CashflowPanel";
+import { contractCashflow, MAX_TERM } from "./cashflow.js";
+import { PricingRulesPanel, PricingSteps } from "./components/PricingRulesPanel";
+import { DEFAULT_RULES, applyPricingRules } from "./pricing.js";
+import { SeasonPanel, SeasonStrip } from "./components/SeasonPanel";
+import { AoiPreview } from "./components/AoiPreview";
+import { PathPlanPanel } from "./components/PathPlanPanel";
+import { ScheduleGantt } from "./components/ScheduleGantt";
+import { FleetSimPanel } from "./components/FleetSimPanel";
+import { ProposalPanel } from "./components/ProposalPanel";
+import { DEFAULT_TEMPLATE } from "./proposal.js";
+import { RevisionPanel } from "./components/RevisionPanel";
+import { WinLossPanel } from "./components/WinLossPanel";
+import { HistoryFilters } from "./components/HistoryFilters";
+import { HistoryCharts } from "./components/HistoryCharts";
+import { BackupPanel } from "./components/BackupPanel";
+import { BatchPanel } from "./components/BatchPanel";
+import { storeKey } from "./backup.js";
+import * as storage from "./storage.js";
+import { StorageStatus } from "./components/StorageStatus";
+import { QuoteRoute, ShareRoute } from "./components/DeepLinks";
+import { encodeScenario, shareURL } from "./share.js";
+import { STATUSES, OPEN, LOSS_REASONS, STATUS_STYLE, statusOf, statusDate, setStatus } from "./lifecycle.js";
+import { dealOf, revOf, revLabel, dealRevisions, revisionCount, stampRevision } from "./revisions.js";
+import { isPolygonal } from "./planner.js";
+import { DEFAULT_VIEW, applyView, nextSort } from "./historyview.js";
+import { aoiFromForm, portfolioMetrics, portfolioItems } from "./portfolio.js";
+import { downloadText } from "./download.js";
+import { parseAoiFile, parseAoiText, deriveAoi } from "./geo.js";
 
 /* ====================== Tooltips (ⓘ) ====================== */
 const INFO = {
@@ -291,7 +52,10 @@ const INFO = {
   aoi_km2: { t: "AOI area", d: "Surface to cover (km²).", f: "T_sweep = A/(w·v·d·c)" },
   aoi_width_km: { t: "AOI width", d: "Empty = √A.", f: "n ≈ width/(swath·(1−ρ))" },
   corridor_width_km: { t: "Corridor width", d: "Only for Corridor mode.", f: "n = ceil(W/(swath·(1−ρ)))" },
+  path_plan: { t: "Planned path", d: "Lawnmower passes over the real polygon at the best heading; replaces the area formula for sweep and repositioning time (cov_eff not applied).", f: "Ts = track/(v·d) · Tr = (turns+ferries)/(v·η)" },
+  aoi_geometry: { t: "AOI geometry", d: "GeoJSON/KML polygon or line. Area is geodesic; width is the short side of the minimum bounding rectangle; lines become corridors.", f: "W = MBR short side · Corridor A = L·W" },
   revisit_min: { t: "Revisit", d: "Minimum interval between passes (SaaS).", f: "Revisits/year = 525600/R" },
+  relay_hours_h: { t: "Flight duration", d: "Stratorelay flight length (h).", f: "H = flight hours" },
   mission_days: { t: "Mission duration", d: "Active mission days.", f: "H = D·24" },
   turnaround_days: { t: "Turnaround", d: "Gap between missions (Stats).", f: "Flights/pf/year ≈ usable_days·Aavail/(D+turnaround)" },
   swath_km: { t: "Swath", d: "Imaging strip width.", f: "Hourly capacity = w·v·d·c" },
@@ -305,6 +69,7 @@ const INFO = {
   mttr_h: { t: "MTTR", d: "Mean time to repair (h).", f: "Aavail ≈ MTBF/(MTBF+MTTR)" },
   max_flight_days: { t: "Max flight days", d: "Annual flyable budget.", f: "Flights/pf/year ≈ usable_days·Aavail/(D+turnaround)" },
   maint_buffer: { t: "Maintenance buffer", d: "Share of non-operational days.", f: "usable_days = max_flight_days·(1−buffer)" },
+  season: { t: "Seasonal calendar", d: "Monthly flyable fraction, max mission length and turnaround.", f: "usable = Σ days_m·fly_m·(1−buffer)" },
   spare_buffer: { t: "Spare buffer", d: "Margin on platform count.", f: "P = ceil(P0·(1+buffer))" },
   Cf_mission: { t: "Fixed cost", d: "Direct cost per mission/launch.", f: "C_mis = Cf + Ch·H + amort. + consumables" },
   Ch_hour: { t: "€/h", d: "Hourly ops cost.", f: "C_mis includes Ch·H" },
@@ -315,7 +80,16 @@ const INFO = {
   life_payload_days: { t: "Payload life (days)", d: "Useful life in days.", f: "Amort. = CAPEX/life_days" },
   annual_cloud_costs: { t: "Annual cloud costs", d: "Storage/compute.", f: "Annual cost = Ft·C_mis + cloud" },
   target_gm: { t: "Target GM", d: "Desired gross margin.", f: "Price_target = cost/(1−GM)" },
+  term_years: { t: "Contract term", d: `SaaS contract length, 1–5 years.`, f: "TCV = Σ price·(1+esc)^(y−1)" },
+  price_escalation: { t: "Price escalation", d: "Yearly price increase (fraction).", f: "Price_y = Price·(1+esc)^(y−1)" },
+  cost_inflation: { t: "Cost inflation", d: "Yearly cost increase (fraction).", f: "Cost_y = Cost·(1+infl)^(y−1)" },
+  capex_mode: { t: "CAPEX treatment", d: "Amortized inside the mission cost, or fleet bought upfront in year 0.", f: "Upfront = P·(CAPEX_pf + CAPEX_payload)" },
+  discount_rate: { t: "Discount rate", d: "Rate for NPV.", f: "NPV = Σ CF_y/(1+r)^y" },
+  platforms: { t: "Platforms", d: "Fleet needed for the yearly flights and the revisit, plus spares.", f: "P = ceil(max(ceil(Ft/Fpp), ceil(Tc/R))·(1+spare))" },
+  revisit_slack: { t: "Revisit slack", d: "Revisit minus the time one platform needs to sweep the AOI and reposition.", f: "slack = R − (T_sweep + T_repos)" },
 };
+const labelOf = (k) => INFO[k]?.t || k;
+
 function InfoTip({ id }) {
   const i = INFO[id] || {};
   const [open, setOpen] = React.useState(false);
@@ -347,23 +121,42 @@ function InfoTip({ id }) {
   );
 }
 
-/* ====================== Row & Num ====================== */
+const PROFILE_LABELS = {
+  D: "× duration", Cf: "× fixed cost", Ch: "× hourly cost", Cons: "× consumables",
+  surcharge: "Surcharge (fraction)", lead_days: "Lead time (days)",
+};
+
+/* ====================== Row ====================== */
 const Row = ({ l, children, info }) => (
   <div className="grid grid-cols-2 gap-2 py-1">
     <div className="text-sm text-slate-300">{l} {info && <InfoTip id={info} />}</div>
     <div className="text-right">{children}</div>
   </div>
 );
-const Num = ({ v, on, step = "any" }) => (
-  <input
-    type="number"
-    step={step}
-    inputMode="decimal"
-    value={v == null ? "" : String(v)}
-    onChange={(e) => on(pdec(e.target.value, ""))}
-    className="w-full border border-white/10 bg-white/5 text-slate-100 rounded-lg px-2 py-1 focus:outline-none focus:ring-2 focus:ring-[#5fb1ff]"
-  />
-);
+
+/* ====================== Fleet & feasibility ====================== */
+function FleetRows({ m }) {
+  const warnings = fleetWarnings(m);
+  return (
+    <>
+      <Row l="Platforms needed" info="platforms">
+        {m.isRelay ? "1 (launch based)" : `${m.P} (${m.P0} + ${m.P - m.P0} spare)`}
+      </Row>
+      <Row l={m.isRelay ? "Launches / year" : "Flights / year"}>{N(m.Ft, 0)}</Row>
+      {!m.isRelay && <Row l="Flights / platform / year" info="turnaround_days">{N(m.Fpp, 0)}</Row>}
+      {!m.isRelay && <Row l="Availability" info="mtbf_h">{N(m.Aavail * 100, 1)}%</Row>}
+      {m.months && <Row l="Usable flight days (seasonal)" info="max_flight_days">{N(m.usable, 0)}</Row>}
+      <Row l="Sweep + reposition" info="turn_radius_km">{N(m.Ts, 0)} + {N(m.Tr, 0)} min</Row>
+      <Row l="Revisit slack" info="revisit_slack">
+        <span className={m.slack < 0 ? "text-red-300 font-semibold" : ""}>{N(m.slack, 0)} min</span>
+      </Row>
+      {m.months && <SeasonStrip months={m.months} />}
+      {warnings.map((w) => (
+        <div key={w} className="rounded-lg border border-red-400/50 bg-red-500/10 px-3 py-2 text-xs text-red-200">⚠ {w}</div>
+      ))}
+    </>
+  );
+}
 
 /* ====================== Wizard steps (English) ====================== */
 const STEPS = [
@@ -375,50 +168,65 @@ const STEPS = [
   { key: "aoi", title: "AOI Selection" },                // AOI geometry
   { key: "summary", title: "Summary Sheet" },            // confirm & save
   { key: "history", title: "History" },                  // quotes list
+  { key: "compare", title: "Compare" },                  // pinned scenarios side by side
+  { key: "portfolio", title: "Portfolio" },              // several AOIs in one quote
 ];
 
 /* ====================== Local presets ====================== */
-const PLAT_KEY = "stratosar:plat-presets:v1";
-const PAY_KEY  = "stratosar:payload-presets:v1";
-const HIST_KEY = "stratosar:quotes:v3";
+// keys live in backup.js so export/restore covers every store
+const PLAT_KEY = storeKey("plat_presets");
+const PAY_KEY  = storeKey("payload_presets");
+const HIST_KEY = storeKey("quotes");
+const PROF_KEY = storeKey("profiles");
+const CMP_KEY  = storeKey("compare");
+const PORT_KEY = storeKey("portfolio");
+const FX_KEY   = storeKey("fx");
+const RULES_KEY = storeKey("pricing_rules");
+const PROPOSAL_KEY = storeKey("proposal_template");
+const USER_KEY = storeKey("user");
+const VIEWS_KEY = storeKey("history_views");
+
+// History table columns: [sort key (historyview SORTS), header].
+const HIST_COLS = [
+  ["ts", "Date"], ["client", "Client"], ["rev", "Rev"], ["status", "Status"], ["aoi", "AOI"],
+  ["mode", "Mode"], ["platform", "Platform"], ["profile", "Profile"],
+  ["aoi_km2", "Area km²"], ["revisit_min", "Revisit (min)"], ["missions_count", "# Missions"],
+  ["cost_km2_per_revisit", "Cost/km² per revisit"], ["cost_km2_year", "Cost/km² per year"],
+  ["cost_per_mission", "Cost/mission"], ["cost_annual", "Annual cost"],
+  ["price_km2_per_revisit", "Price/km² per revisit"], ["price_km2_year", "Price/km² per year"],
+  ["price_per_mission", "Price/mission"], ["price_annual", "Final price"],
+  ["GM_prop", "GM"], ["platforms", "Platforms"], ["revisit_slack_min", "Revisit slack (min)"],
+  [null, "Actions"],
+];
 
-const loadJSON = (k, fb=[]) => { try { const r = localStorage.getItem(k); return r? JSON.parse(r): fb; } catch { return fb; } };
-const saveJSON = (k, v) => { try { localStorage.setItem(k, JSON.stringify(v)); } catch {} };
+// storage.js has the workspace in memory after initStorage(); writes are async and report their own errors
+const loadJSON = (k, fb=[]) => storage.get(k, fb);
+const saveJSON = (k, v) => storage.set(k, v);
 function upsertLocal(list, item) { const i = list.findIndex(x => x.id === item.id); if (i >= 0){ const copy=list.slice(); copy[i]=item; return copy; } return [...list, item]; }
 function removeById(list, id) { return list.filter(x => x.id !== id); }
 
 function loadHistory() { return loadJSON(HIST_KEY, []); }
 function saveHistory(list) { saveJSON(HIST_KEY, list); }
-function toCSV(rows) {
-  const headers = [
-    "id","ts","client","aoi","mode","platform","profile",
-    "aoi_km2","revisit_min","missions_count",
-    "cost_km2_per_revisit","cost_km2_year","cost_per_mission","cost_annual",
-    "price_km2_per_revisit","price_km2_year","price_per_mission","price_annual",
-    "GM"
-  ];
-  const esc = (s) => `"${String(s ?? "").replace(/"/g, '""')}"`;
-  const lines = [headers.join(",")];
-  for (const r of rows) {
-    lines.push([
-      r.id, fmtDate(r.ts), r.client_name, r.aoi_name, r.mode, r.platform, r.mission_profile,
-      r.aoi_km2, r.revisit_min ?? "", r.missions_count ?? "",
-      r.cost_km2_per_revisit ?? "", r.cost_km2_year ?? "", r.cost_per_mission ?? "", r.cost_annual ?? "",
-      r.price_km2_per_revisit ?? "", r.price_km2_year ?? "", r.price_per_mission ?? "", r.price_annual ?? "",
-      r.GM_prop ?? ""
-    ].map(esc).join(","));
-  }
-  return lines.join("\n");
-}
 
 /* ====================== App ====================== */
 export default function App() {
   const [p, setP] = useState(DEF);
   const set = (k, v) => setP((prev) => ({ ...prev, [k]: v }));
 
-  const m = useMemo(() => compute(p), [p]);
-  const missionsCount = Math.max(0, parseInt(p.missions_count || 0) || 0);
-  const t = useMemo(() => taskingCalc(p, missionsCount, p.mission_profile), [p, missionsCount, p.mission_profile]);
+  // While a shared scenario is open its link's rules, FX and profile price it (workspace copies untouched)
+  const [shared, setShared] = useState(null); // { readOnly, own, rules, fx, profile }; own = the form it replaced
+  const [savedRules, setRules] = useState(loadJSON(RULES_KEY, DEFAULT_RULES));
+  useEffect(() => saveJSON(RULES_KEY, savedRules), [savedRules]);
+  const rules = shared?.rules || savedRules;
+  const pricing = useMemo(() => (mm, pp) => applyPricingRules(mm, pp, rules), [rules]);
+  const m = useMemo(() => pricing(compute(p), p), [p, pricing]);
+  const missionsCount = missionsOf(p);
+  const [savedProfiles, setProfiles] = useState(loadJSON(PROF_KEY, PROFILES));
+  const profiles = useMemo(
+    () => (shared?.profile ? { ...savedProfiles, [shared.profile.key]: normalizeProfile(shared.profile.def) } : savedProfiles),
+    [savedProfiles, shared]
+  );
+  const t = useMemo(() => taskingCalc(p, missionsCount, p.mission_profile, profiles), [p, missionsCount, p.mission_profile, profiles]);
 
   // AOI presets
   const [presets, setPresets] = useState(loadPresets());
@@ -427,13 +235,7 @@ export default function App() {
   const loadPreset = () => {
     const pr = presets.find((x) => x.id === selectedPresetId);
     if (!pr) return;
-    setP((prev) => ({
-      ...prev,
-      aoiType: pr.aoiType ?? prev.aoiType,
-      aoi_km2: pr.aoi_km2 ?? prev.aoi_km2,
-      aoi_width_km: pr.aoi_width_km ?? null,
-      corridor_width_km: pr.corridor_width_km ?? prev.corridor_width_km,
-    }));
+    setP((prev) => applyAoiPreset(prev, pr));
   };
   const saveCurrentAsPreset = () => {
     const name = (presetName || p.aoi_name || `AOI ${Math.round(p.aoi_km2)} km²`).trim();
@@ -444,6 +246,7 @@ export default function App() {
       aoi_km2: +p.aoi_km2 || 0,
       aoi_width_km: p.aoi_width_km ?? null,
       corridor_width_km: p.corridor_width_km ?? null,
+      geometry: p.aoi_geometry ?? null,
     };
     const updated = upsertPreset(presets, newPreset);
     setPresets(updated);
@@ -457,6 +260,47 @@ export default function App() {
     setSelectedPresetId(updated[0]?.id || "");
   };
 
+  // AOI geometry import (GeoJSON / KML)
+  const [geomError, setGeomError] = useState("");
+  const geomInfo = useMemo(() => {
+    try { return p.aoi_geometry ? deriveAoi(p.aoi_geometry, { corridorWidthKm: pdec(p.corridor_width_km, DEF.corridor_width_km) }) : null; }
+    catch { return null; }
+  }, [p.aoi_geometry, p.corridor_width_km]);
+  const applyGeometry = ({ geometry, name, widthKm }, fallbackName) => {
+    const d = deriveAoi(geometry, { corridorWidthKm: widthKm ?? pdec(p.corridor_width_km, DEF.corridor_width_km) });
+    setP((prev) => ({
+      ...prev,
+      aoi_name: prev.aoi_name && prev.aoi_name !== DEF.aoi_name ? prev.aoi_name : (name || fallbackName || prev.aoi_name),
+      aoiType: d.aoiType,
+      aoi_km2: +d.aoi_km2.toFixed(2),
+      aoi_width_km: d.aoi_width_km == null ? null : +d.aoi_width_km.toFixed(3),
+      corridor_width_km: d.aoiType === "corridor" ? d.corridor_width_km : prev.corridor_width_km,
+      aoi_geometry: geometry,
+      path_plan: d.aoiType === "corridor" ? false : prev.path_plan,
+    }));
+    setGeomError("");
+  };
+  const importGeometry = async (file) => {
+    if (!file) return;
+    try { applyGeometry(parseAoiFile(await file.text(), file.name), file.name.replace(/\.[^.]+$/, "")); }
+    catch (e) { setGeomError(e.message || "Could not read geometry."); }
+  };
+  const [geomText, setGeomText] = useState("");
+  const pasteGeometry = () => {
+    try { applyGeometry(parseAoiText(geomText)); setGeomText(""); }
+    catch (e) { setGeomError(e.message || "Could not read geometry."); }
+  };
+  // corridor area follows the width for imported lines
+  const setCorridorWidth = (v) => setP((prev) => {
+    const next = { ...prev, corridor_width_km: v };
+    const gt = prev.aoi_geometry?.type;
+    if (gt === "LineString" || gt === "MultiLineString") {
+      const d = deriveAoi(prev.aoi_geometry, { corridorWidthKm: pdec(v, DEF.corridor_width_km) });
+      next.aoi_km2 = +d.aoi_km2.toFixed(2);
+    }
+    return next;
+  });
+
   /* ====== Platform presets ====== */
   const [platPresets, setPlatPresets] = useState(loadJSON(PLAT_KEY, []));
   const [platSel, setPlatSel] = useState(platPresets[0]?.id || "");
@@ -464,42 +308,12 @@ export default function App() {
   const loadPlatPreset = () => {
     const pr = platPresets.find(x => x.id === platSel);
     if (!pr) return;
-    setP(prev => ({
-      ...prev,
-      platform: pr.platform ?? prev.platform,
-      relay_hours_h: pr.relay_hours_h ?? prev.relay_hours_h,
-      mission_days: pr.mission_days ?? prev.mission_days,
-      turnaround_days: pr.turnaround_days ?? prev.turnaround_days,
-      mtbf_h: pr.mtbf_h ?? prev.mtbf_h,
-      mttr_h: pr.mttr_h ?? prev.mttr_h,
-      max_flight_days: pr.max_flight_days ?? prev.max_flight_days,
-      maint_buffer: pr.maint_buffer ?? prev.maint_buffer,
-      spare_buffer: pr.spare_buffer ?? prev.spare_buffer,
-      capex_platform_EUR: pr.capex_platform_EUR ?? prev.capex_platform_EUR,
-      life_platform_days: pr.life_platform_days ?? prev.life_platform_days,
-      Cf_mission: pr.Cf_mission ?? prev.Cf_mission,
-      Ch_hour: pr.Ch_hour ?? prev.Ch_hour,
-    }));
+    setP(prev => applyFields(prev, pr, PLAT_FIELDS));
   };
   const savePlatPreset = () => {
     const name = (platName || `${p.platform==='relay'?'Stratorelay':'Stratostats'} preset`).trim();
     const id = slug(name);
-    const item = {
-      id, name,
-      platform: p.platform,
-      relay_hours_h: p.relay_hours_h,
-      mission_days: p.mission_days,
-      turnaround_days: p.turnaround_days,
-      mtbf_h: p.mtbf_h,
-      mttr_h: p.mttr_h,
-      max_flight_days: p.max_flight_days,
-      maint_buffer: p.maint_buffer,
-      spare_buffer: p.spare_buffer,
-      capex_platform_EUR: p.capex_platform_EUR,
-      life_platform_days: p.life_platform_days,
-      Cf_mission: p.Cf_mission,
-      Ch_hour: p.Ch_hour,
-    };
+    const item = { id, name, ...pickFields(p, PLAT_FIELDS) };
     const updated = upsertLocal(platPresets, item);
     setPlatPresets(updated);
     setPlatSel(id);
@@ -521,36 +335,12 @@ export default function App() {
   const loadPayPreset = () => {
     const pr = payPresets.find(x => x.id === paySel);
     if (!pr) return;
-    setP(prev => ({
-      ...prev,
-      swath_km: pr.swath_km ?? prev.swath_km,
-      ground_speed_kmh: pr.ground_speed_kmh ?? prev.ground_speed_kmh,
-      duty: pr.duty ?? prev.duty,
-      cov_eff: pr.cov_eff ?? prev.cov_eff,
-      overlap: pr.overlap ?? prev.overlap,
-      turn_radius_km: pr.turn_radius_km ?? prev.turn_radius_km,
-      eta_nav: pr.eta_nav ?? prev.eta_nav,
-      capex_payload_EUR: pr.capex_payload_EUR ?? prev.capex_payload_EUR,
-      life_payload_days: pr.life_payload_days ?? prev.life_payload_days,
-      consumables_per_mission: pr.consumables_per_mission ?? prev.consumables_per_mission,
-    }));
+    setP(prev => applyFields(prev, pr, PAY_FIELDS));
   };
   const savePayPreset = () => {
     const name = (payName || "Payload preset").trim();
     const id = slug(name);
-    const item = {
-      id, name,
-      swath_km: p.swath_km,
-      ground_speed_kmh: p.ground_speed_kmh,
-      duty: p.duty,
-      cov_eff: p.cov_eff,
-      overlap: p.overlap,
-      turn_radius_km: p.turn_radius_km,
-      eta_nav: p.eta_nav,
-      capex_payload_EUR: p.capex_payload_EUR,
-      life_payload_days: p.life_payload_days,
-      consumables_per_mission: p.consumables_per_mission,
-    };
+    const item = { id, name, ...pickFields(p, PAY_FIELDS) };
     const updated = upsertLocal(payPresets, item);
     setPayPresets(updated);
     setPaySel(id);
@@ -565,8 +355,56 @@ export default function App() {
     saveJSON(PAY_KEY, updated);
   };
 
-  // Wizard & nav
-  const [currentStep, setCurrentStep] = useState(0);
+  /* ====== Tasking profiles ====== */
+  const [profDraft, setProfDraft] = useState(null); // { id, name, D, Cf, Ch, Cons, surcharge, lead_days } while editing
+  const editProfile = (id) => {
+    const pr = profiles[id];
+    setProfDraft(pr ? { id, ...normalizeProfile(pr) } : { id: "", ...normalizeProfile({ name: "New profile" }) });
+  };
+  const saveProfile = () => {
+    if (!profDraft) return;
+    const name = (profDraft.name || "Profile").trim();
+    // a new profile never takes over an existing id (e.g. "Standard" → standard-2)
+    let id = profDraft.id;
+    if (!id) {
+      const base = slug(name);
+      id = base;
+      for (let n = 2; savedProfiles[id] || PROFILES[id]; n++) id = `${base}-${n}`;
+    }
+    const updated = { ...savedProfiles, [id]: normalizeProfile({ ...profDraft, name }) };
+    setProfiles(updated);
+    saveJSON(PROF_KEY, updated);
+    set("mission_profile", id);
+    setProfDraft(null);
+  };
+  const removeProfile = () => {
+    if (!profDraft?.id || profDraft.id === "standard") return;
+    const { [profDraft.id]: _gone, ...updated } = savedProfiles;
+    setProfiles(updated);
+    saveJSON(PROF_KEY, updated);
+    if (p.mission_profile === profDraft.id) set("mission_profile", "standard");
+    setProfDraft(null);
+  };
+  const resetProfiles = () => {
+    if (!confirm("Restore the built-in profiles? Custom profiles will be lost.")) return;
+    setProfiles(PROFILES);
+    saveJSON(PROF_KEY, PROFILES);
+    if (!PROFILES[p.mission_profile]) set("mission_profile", "standard");
+    setProfDraft(null);
+  };
+
+  // Wizard & nav: each step is a route (#/service … #/portfolio); #/quote/:id and #/s/:code
+  // show a saved quote or a shared scenario on the summary
+  const navigate = useNavigate();
+  const { pathname } = useLocation();
+  const [quoteStep, setQuoteStep] = useState(6); // step under #/quote/:id (portfolio quotes: 9)
+  const currentStep = pathname.startsWith("/quote/") ? quoteStep
+    : pathname.startsWith("/s/") ? 6
+    : Math.max(0, STEPS.findIndex((s) => `/${s.key}` === pathname));
+  const setCurrentStep = (v) => {
+    const to = `/${STEPS[typeof v === "function" ? v(currentStep) : v].key}`;
+    if (to !== pathname) navigate(to);
+  };
   const resultsRef = useRef(null);
   const [flashResults, setFlashResults] = useState(false);
   const goToHistory = () => setCurrentStep(7);
@@ -590,80 +428,188 @@ export default function App() {
   useEffect(() => saveHistory(history), [history]);
 
   // metrics for panels/history
-  const metrics = useMemo(() => {
+  const metrics = useMemo(() => quoteMetrics(p.mode, m, t), [p.mode, m, t]);
+  const cf = useMemo(() => contractCashflow(p, m), [p, m]);
+
+  /* ===== Currency ===== */
+  const [fxTable, setFxTable] = useState(loadJSON(FX_KEY, DEFAULT_FX));
+  useEffect(() => saveJSON(FX_KEY, fxTable), [fxTable]);
+  const fxNow = useMemo(
+    () => (shared?.fx && shared.fx.currency === p.currency ? shared.fx : quoteFx(fxTable, p.currency)),
+    [fxTable, p.currency, shared]
+  );
+  const PX = useMemo(() => priceFmt(fxNow), [fxNow]); // prices in the quote currency
+
+  /* ===== Monte Carlo ===== */
+  const [mc, setMc] = useState({ dists: {}, samples: 2000, seed: 1, addKey: "", result: null });
+  const [sens, setSens] = useState({ pct: 0.1, by: "cost", top: 12 });
+  const [sim, setSim] = useState({ runs: 20, seed: 1, sla: "", result: null });
+
+  /* ===== Deals & revisions ===== */
+  const [author, setAuthor] = useState(loadJSON(USER_KEY, ""));
+  useEffect(() => saveJSON(USER_KEY, author), [author]);
+  const [editingId, setEditingId] = useState(null); // quote loaded into the form: next save is its deal's next revision
+  const [revNote, setRevNote] = useState("");
+  const editing = history.find((q) => q.id === editingId) || null;
+  const commitRevision = (entry, { asNew = false } = {}) => {
+    // the parent is diffed as loaded, defaults included, so fields it predates do not log as changes
+    const parent = asNew || !editing ? null : { ...editing, inputs: { ...DEF, ...editing.inputs } };
+    const stamped = stampRevision(entry, history, parent, { author, note: revNote });
+    if (parent && stamped.changes.length === 0 && !stamped.note) {
+      alert(`No changes since Rev ${revLabel(revOf(parent))}: nothing saved.`);
+      return false;
+    }
+    setHistory(prev => [stamped, ...prev]);
+    setEditingId(stamped.id);
+    setRevNote("");
+    return true;
+  };
+
+  const saveQuote = ({ asNew = false } = {}) => {
+    const entry = quoteEntry(p, metrics, { fx: fxNow });
     if (p.mode === "saas") {
-      const cost_km2_per_revisit = m.EURkm2_per_revisit;
-      const cost_km2_year = m.EURkm2_year;
-      const cost_per_mission = m.Cmis;
-      const cost_annual = m.Ann;
-      const price_annual = m.PriceAnnualChosen;
-      const price_per_mission = m.PricePerMission_target;
-      const price_km2_year = m.PricePerKm2_year;
-      const price_km2_per_revisit = m.PricePerKm2_per_revisit;
-      const GM_prop = m.GM;
-      return { cost_km2_per_revisit, cost_km2_year, cost_per_mission, cost_annual, price_km2_per_revisit, price_km2_year, price_per_mission, price_annual, GM_prop };
-    } else {
-      const cost_km2_per_revisit = null; // not applicable
-      const price_km2_per_revisit = null; // not applicable
-      const cost_km2_year = t.costPerKm2; // per mission basis (naming kept distinct)
-      const price_km2_year = t.pricePerKm2; // per mission basis
-      const cost_per_mission = t.Cmis;
-      const cost_annual = t.tot; // total of the mission batch
-      const price_per_mission = t.Pm_final;
-      const price_annual = t.Ptot_final; // total chosen
-      const GM_prop = t.GMtot_final;
-      return { cost_km2_per_revisit, cost_km2_year, cost_per_mission, cost_annual, price_km2_per_revisit, price_km2_year, price_per_mission, price_annual, GM_prop };
+      entry.contract = { term: cf.term, capex_mode: p.capex_mode, tcv: cf.tcv, npv: cf.npv, irr: cf.irr, payback: cf.payback };
+      if (m.pricing.steps.length) entry.pricing_steps = m.pricing.steps;
     }
-  }, [p.mode, m, t]);
-
-  const saveQuote = () => {
-    const id = `q_${Date.now()}`;
-    const entry = {
-      id, ts: Date.now(),
-      client_name: p.client_name || "Client",
-      aoi_name: p.aoi_name || "AOI",
-      mode: p.mode,
-      platform: p.platform,
-      mission_profile: p.mission_profile,
-      missions_count: missionsCount,
-      aoi_km2: p.aoi_km2,
-      revisit_min: p.mode === "saas" ? p.revisit_min : "",
-      // persisted metrics
-      cost_km2_per_revisit: metrics.cost_km2_per_revisit,
-      cost_km2_year: metrics.cost_km2_year,
-      cost_per_mission: metrics.cost_per_mission,
-      cost_annual: metrics.cost_annual,
-      price_km2_per_revisit: metrics.price_km2_per_revisit,
-      price_km2_year: metrics.price_km2_year,
-      price_per_mission: metrics.price_per_mission,
-      price_annual: metrics.price_annual,
-      GM_prop: metrics.GM_prop,
-      inputs: { ...p },
-    };
-    setHistory(prev => [entry, ...prev].slice(0, 1000));
+    const r = mc.result;
+    if (r && r.forP === p) {
+      const { forP: _p, ...summary } = r;
+      entry.mc = { ...summary, dists: mc.dists };
+    }
+    if (commitRevision(entry, { asNew: asNew || !!editing?.portfolio })) setCurrentStep(7);
+  };
+
+  /* ===== Proposal ===== */
+  const [proposalTpl, setProposalTpl] = useState(loadJSON(PROPOSAL_KEY, DEFAULT_TEMPLATE));
+  useEffect(() => saveJSON(PROPOSAL_KEY, proposalTpl), [proposalTpl]);
+  const [proposalFor, setProposalFor] = useState(null); // quote id
+  const proposalQuote = history.find((q) => q.id === proposalFor);
+
+  /* ===== Portfolio ===== */
+  const [portfolio, setPortfolio] = useState(loadJSON(PORT_KEY, { name: "", discount: 0, aois: [] }));
+  useEffect(() => saveJSON(PORT_KEY, portfolio), [portfolio]);
+  const [openPortfolio, setOpenPortfolio] = useState(null); // history row expanded for drill-down
+  const addAoiToPortfolio = (a) => setPortfolio(s => ({ ...s, aois: [...s.aois, a] }));
+  const savePortfolio = (r) => {
+    const name = portfolio.name || `Portfolio (${r.items.length} AOIs)`;
+    const entry = quoteEntry({ ...p, aoi_name: name, aoi_km2: r.A }, portfolioMetrics(r), { fx: fxNow });
+    entry.revisit_min = "";
+    entry.missions_count = r.mode === "saas" ? r.Ft : r.missions;
+    entry.portfolio = { name, discount: r.discount, items: portfolioItems(r) };
+    if (commitRevision(entry, { asNew: !editing?.portfolio })) setCurrentStep(7);
+  };
+
+  // Batch rows become new deals (Rev A), one per AOI.
+  const saveBatch = (entries) => {
+    if (!entries.length) return;
+    const stamped = entries.map((e) => stampRevision(e, history, null, { author, note: `Batch ${e.batch.file}, line ${e.batch.line}` }));
+    setHistory(prev => [...stamped, ...prev]);
     setCurrentStep(7);
   };
 
-  const loadQuoteIntoForm = (entry) => { if (entry?.inputs){ setP(entry.inputs); setCurrentStep(6); } };
+  const applyQuote = (entry) => {
+    setP({ ...DEF, ...entry.inputs }); // quotes saved before newer fields existed get their defaults
+    setEditingId(entry.id);
+    setShared(null);
+    if (entry.portfolio) {
+      setPortfolio({
+        name: entry.portfolio.name,
+        discount: entry.portfolio.discount,
+        aois: entry.portfolio.items.map((a, i) => ({ ...a, id: `a_${Date.now()}_${i}` })),
+      });
+    }
+    setQuoteStep(entry.portfolio ? 9 : 6);
+  };
+  const loadQuoteIntoForm = (entry) => {
+    if (!entry?.inputs) return;
+    applyQuote(entry);
+    navigate(`/quote/${entry.id}`);
+  };
+
+  /* ===== Links ===== */
+  const [linkMsg, setLinkMsg] = useState(null); // { ok, text }
+  const openQuoteLink = (id) => {
+    const q = history.find((x) => x.id === id);
+    if (q?.inputs) { applyQuote(q); return; }
+    setLinkMsg({ ok: false, text: `Quote ${id} is not in this workspace (quote links only open where the quote was saved; share a scenario link instead).` });
+    navigate("/history", { replace: true });
+  };
+  const openShared = ({ inputs, rules: linkRules, fx, profile }, { edit }) => {
+    setShared((s) => ({ readOnly: !edit, own: s ? s.own : p, rules: linkRules, fx, profile }));
+    setP(inputs);
+    setEditingId(null);
+    setLinkMsg(null);
+  };
+  const closeShared = () => {
+    setP(shared.own);
+    setShared(null);
+    navigate("/summary");
+  };
+  const copyLink = async (edit) => {
+    const url = shareURL(await encodeScenario(p, { rules, fx: fxNow, profile: profiles[p.mission_profile] || null }), { edit });
+    try {
+      await navigator.clipboard.writeText(url);
+      setLinkMsg({ ok: true, text: `${edit ? "Editable" : "Read-only"} link copied (${url.length} characters).` });
+    } catch { prompt("Copy this link:", url); }
+  };
+  // read-only: the input steps' controls sit in a disabled <fieldset>; Back/Next and the step bar
+  // stay live. The Summary only disables saving, so links can be reshared and analyses run.
+  const readOnly = !!shared?.readOnly && currentStep <= 6;
   const removeQuote = (id) => setHistory(prev=>prev.filter(q=>q.id!==id));
+  const [openDeal, setOpenDeal] = useState(null);
+  const [showBackup, setShowBackup] = useState(false);
+  const [view, setView] = useState(DEFAULT_VIEW);
+  const [savedViews, setSavedViews] = useState(loadJSON(VIEWS_KEY, []));
+  useEffect(() => saveJSON(VIEWS_KEY, savedViews), [savedViews]);
+  const allRevisions = view.allRevisions;
+  const shownHistory = useMemo(() => applyView(history, view), [history, view]);
+  const sortBy = (key) => setView((prev) => ({ ...prev, sort: nextSort(prev.sort, key) }));
+  const changeStatus = (id, status, reason = null) =>
+    setHistory(prev => prev.map(q => q.id === id ? setStatus(q, status, { by: author, reason, validityDays: proposalTpl.validity_days }) : q));
+  const revCounts = useMemo(() => revisionCount(history), [history]);
   const clearAllQuotes = () => { if (confirm("Clear all saved quotes?")) setHistory([]); };
 
-  // quick stats
+  // quick stats: averages over every shown quote, and over the won ones (the realised deals)
   const stats = useMemo(() => {
-    if (history.length === 0) return { count: 0, avgPrice: 0, avgCost: 0, avgGM: 0 };
-    const sum = history.reduce((acc, r) => {
-      acc.price += +r.price_annual || 0;
-      acc.cost += +r.cost_annual || 0;
-      if (typeof r.GM_prop === "number") { acc.gm += r.GM_prop; acc.gmN += 1; }
-      return acc;
-    }, { price: 0, cost: 0, gm: 0, gmN: 0 });
-    return {
-      count: history.length,
-      avgPrice: sum.price / history.length,
-      avgCost: sum.cost / history.length,
-      avgGM: sum.gmN ? sum.gm / sum.gmN : 0,
+    const avg = (rows) => {
+      const sum = rows.reduce((acc, r) => {
+        acc.price += +r.price_annual || 0;
+        acc.cost += +r.cost_annual || 0;
+        if (typeof r.GM_prop === "number") { acc.gm += r.GM_prop; acc.gmN += 1; }
+        return acc;
+      }, { price: 0, cost: 0, gm: 0, gmN: 0 });
+      const n = rows.length || 1;
+      return { avgPrice: sum.price / n, avgCost: sum.cost / n, avgGM: sum.gmN ? sum.gm / sum.gmN : 0 };
     };
-  }, [history]);
+    const won = shownHistory.filter((q) => statusOf(q) === "won");
+    return { count: shownHistory.length, wonCount: won.length, ...avg(shownHistory), won: avg(won) };
+  }, [shownHistory]);
+
+  /* ===== Scenario comparison ===== */
+  const [pinned, setPinned] = useState(loadJSON(CMP_KEY, []));
+  const [pinSrc, setPinSrc] = useState("");
+  useEffect(() => saveJSON(CMP_KEY, pinned), [pinned]);
+  const pinScenario = (label, inputs, source) => {
+    if (pinned.length >= MAX_PINNED) { alert(`You can compare up to ${MAX_PINNED} scenarios: unpin one first.`); return; }
+    setPinned(prev => [...prev, { id: `s_${Date.now()}`, label, source, inputs: { ...inputs } }]);
+  };
+  const pinFromSource = () => {
+    const [kind, id] = pinSrc.split(":");
+    if (kind === "quote") {
+      const q = history.find(x => x.id === id);
+      if (q?.inputs) pinScenario(`${q.client_name} · ${q.aoi_name}`, q.inputs, `quote ${fmtDate(q.ts)}`);
+    } else if (kind === "aoi") {
+      const pr = presets.find(x => x.id === id);
+      if (pr) pinScenario(pr.name, applyAoiPreset(p, pr), "AOI preset on current form");
+    } else if (kind === "plat") {
+      const pr = platPresets.find(x => x.id === id);
+      if (pr) pinScenario(pr.name, applyFields(p, pr, PLAT_FIELDS), "platform preset on current form");
+    } else if (kind === "pay") {
+      const pr = payPresets.find(x => x.id === id);
+      if (pr) pinScenario(pr.name, applyFields(p, pr, PAY_FIELDS), "payload preset on current form");
+    }
+  };
+  const promoteScenario = (s) => { setP({ ...DEF, ...s.inputs }); setCurrentStep(6); };
 
   const next = () => setCurrentStep((s) => Math.min(STEPS.length - 1, s + 1));
   const prev = () => setCurrentStep((s) => Math.max(0, s - 1));
@@ -681,9 +627,41 @@ export default function App() {
               <Button className="bg-white/10 border border-white/20" onClick={() => setCurrentStep(7)}>
                 Open History
               </Button>
+              <Button variant="outline" className="border-white/20 text-slate-200" onClick={() => setShowBackup((v) => !v)}>
+                Backup
+              </Button>
             </div>
           </div>
 
+          <StorageStatus onBackup={() => setShowBackup(true)} />
+
+          <Routes>
+            <Route path="/quote/:id" element={<QuoteRoute loadedId={editingId} onOpen={openQuoteLink} />} />
+            <Route path="/s/:code" element={<ShareRoute onOpen={openShared} onError={(text) => setLinkMsg({ ok: false, text: `Cannot open link: ${text}` })} />} />
+            <Route path="*" element={null} />
+          </Routes>
+          {shared && (
+            <div className="rounded border border-sky-400/50 bg-sky-500/10 text-sky-200 text-sm px-3 py-2 flex flex-wrap items-center gap-2">
+              <span className="mr-auto">
+                Shared scenario{shared.readOnly ? " (read-only)" : ""}: {p.client_name} · {p.aoi_name}
+                {(shared.rules || shared.fx || shared.profile) && (
+                  <span className="text-sky-300/80"> · priced with the sender's {[shared.rules && "pricing rules", shared.fx && `FX (${shared.fx.currency} ${shared.fx.rate})`, shared.profile && `profile "${shared.profile.def.name || shared.profile.key}"`].filter(Boolean).join(", ")}</span>
+                )}
+              </span>
+              {shared.readOnly && <Button variant="outline" className="border-sky-400/40 text-sky-200" onClick={() => setShared((s) => ({ ...s, readOnly: false }))}>Edit</Button>}
+              <Button variant="outline" className="border-sky-400/40 text-sky-200" onClick={closeShared}>Close and restore my form</Button>
+            </div>
+          )}
+          {linkMsg && (
+            <div className={`rounded border text-xs px-2 py-1 flex items-center gap-2 ${linkMsg.ok ? "border-emerald-400/50 bg-emerald-500/10 text-emerald-200" : "border-red-400/50 bg-red-500/10 text-red-200"}`}>
+              <span className="mr-auto">{linkMsg.text}</span>
+              <button className="underline" onClick={() => setLinkMsg(null)}>Dismiss</button>
+            </div>
+          )}
+
+          {/* restored data is read back from storage on reload, like a fresh start */}
+          {showBackup && <BackupPanel onClose={() => setShowBackup(false)} onRestored={() => window.location.reload()} />}
+
           <nav className="w-full overflow-x-auto">
             <ol className="flex items-center gap-2 min-w-max">
               {STEPS.map((s, i) => (
@@ -707,36 +685,66 @@ export default function App() {
             {/* STEP 0 — Service */}
             {currentStep === 0 && (
               <section className="bg-white/5 border border-white/10 rounded-2xl shadow-lg p-4 space-y-5">
-                <h2 className="text-[#9ed1ff] font-medium mb-1">Select Service</h2>
-                <div className="grid md:grid-cols-2 gap-3">
-                  <div className="rounded-lg border border-white/10 p-3 bg-white/5">
-                    <label className="flex items-center gap-2 text-sm">
-                      <input type="radio" name="mode" checked={p.mode === "saas"} onChange={() => set("mode","saas")} />
-                      SaaS (annual) <InfoTip id="mode" />
-                    </label>
-                    <p className="text-xs text-slate-400 mt-2">Annual price and capacity with chosen revisit.</p>
-                  </div>
-                  <div className="rounded-lg border border-white/10 p-3 bg-white/5">
-                    <label className="flex items-center gap-2 text-sm">
-                      <input type="radio" name="mode" checked={p.mode === "tasking"} onChange={() => set("mode","tasking")} />
-                      Tasking (per mission/launch) <InfoTip id="mode" />
-                    </label>
-                    <p className="text-xs text-slate-400 mt-2">Define number of missions and profile. Compute per-mission and total.</p>
+                <fieldset disabled={readOnly} className="min-w-0 space-y-5">
+                  <h2 className="text-[#9ed1ff] font-medium mb-1">Select Service</h2>
+                  <div className="grid md:grid-cols-2 gap-3">
+                    <div className="rounded-lg border border-white/10 p-3 bg-white/5">
+                      <label className="flex items-center gap-2 text-sm">
+                        <input type="radio" name="mode" checked={p.mode === "saas"} onChange={() => set("mode","saas")} />
+                        SaaS (annual) <InfoTip id="mode" />
+                      </label>
+                      <p className="text-xs text-slate-400 mt-2">Annual price and capacity with chosen revisit.</p>
+                    </div>
+                    <div className="rounded-lg border border-white/10 p-3 bg-white/5">
+                      <label className="flex items-center gap-2 text-sm">
+                        <input type="radio" name="mode" checked={p.mode === "tasking"} onChange={() => set("mode","tasking")} />
+                        Tasking (per mission/launch) <InfoTip id="mode" />
+                      </label>
+                      <p className="text-xs text-slate-400 mt-2">Define number of missions and profile. Compute per-mission and total.</p>
+                    </div>
                   </div>
-                </div>
 
-                <div className="grid md:grid-cols-2 gap-3">
-                  <div>
-                    <label className="block text-sm text-slate-300">Client</label>
-                    <input className="w-full border border-white/10 bg-white/5 text-slate-100 rounded-lg px-2 py-2"
-                      value={p.client_name} onChange={(e)=>set("client_name",e.target.value)} placeholder="Client name" />
+                  <div className="grid md:grid-cols-2 gap-3">
+                    <div>
+                      <label className="block text-sm text-slate-300">Client</label>
+                      <input className="w-full border border-white/10 bg-white/5 text-slate-100 rounded-lg px-2 py-2"
+                        value={p.client_name} onChange={(e)=>set("client_name",e.target.value)} placeholder="Client name" />
+                    </div>
+                    <div>
+                      <label className="block text-sm text-slate-300">AOI name</label>
+                      <input className="w-full border border-white/10 bg-white/5 text-slate-100 rounded-lg px-2 py-2"
+                        value={p.aoi_name} onChange={(e)=>set("aoi_name",e.target.value)} placeholder="e.g., Milan province" />
+                    </div>
                   </div>
-                  <div>
-                    <label className="block text-sm text-slate-300">AOI name</label>
-                    <input className="w-full border border-white/10 bg-white/5 text-slate-100 rounded-lg px-2 py-2"
-                      value={p.aoi_name} onChange={(e)=>set("aoi_name",e.target.value)} placeholder="e.g., Milan province" />
+
+                  {/* Currency & FX */}
+                  <div className="rounded-lg border border-white/10 p-3 bg-white/5">
+                    <div className="text-sm font-medium mb-2 text-slate-200">Quote currency</div>
+                    <div className="grid grid-cols-2 md:grid-cols-6 gap-2 items-end">
+                      <div>
+                        <label className="block text-xs text-slate-400">Currency</label>
+                        <select className="w-full border border-white/10 rounded px-2 py-1 bg-white/5" value={p.currency} onChange={(e)=>set("currency", e.target.value)}>
+                          {CURRENCIES.map(c => <option key={c} value={c}>{c}</option>)}
+                        </select>
+                      </div>
+                      {CURRENCIES.filter(c => c !== "EUR").map(c => (
+                        <div key={c}>
+                          <label className="block text-xs text-slate-400">1 EUR = {c}</label>
+                          <Num v={fxTable.rates?.[c]} on={(v)=>setFxTable(fx => ({ ...fx, rates: { ...fx.rates, [c]: v } }))} />
+                        </div>
+                      ))}
+                      <div>
+                        <label className="block text-xs text-slate-400">Rates as of</label>
+                        <input type="date" className="w-full border border-white/10 bg-white/5 text-slate-100 rounded-lg px-2 py-1"
+                               value={fxTable.asOf || ""} onChange={(e)=>setFxTable(fx => ({ ...fx, asOf: e.target.value }))} />
+                      </div>
+                    </div>
+                    <div className="mt-2 text-xs text-slate-400">
+                      Costs are computed in EUR; prices are shown and exported in {fxNow.currency}. Saved quotes keep the rate they used.
+                      {p.currency !== fxNow.currency && <span className="text-amber-300"> No valid {p.currency} rate: showing EUR.</span>}
+                    </div>
                   </div>
-                </div>
+                </fieldset>
 
                 <div className="flex items-center justify-between">
                   <span className="text-sm text-slate-400">Choose the service, then continue.</span>
@@ -750,37 +758,39 @@ export default function App() {
             {/* STEP 1 — Platform type */}
             {currentStep === 1 && (
               <section className="bg-white/5 border border-white/10 rounded-2xl shadow-lg p-4 space-y-5">
-                <h2 className="text-[#9ed1ff] font-medium mb-1">Platform Type</h2>
-                <div className="flex flex-wrap gap-3 mb-3 text-sm">
-                  <label className="flex items-center gap-2">
-                    <input type="radio" checked={p.platform === "stats"} onChange={() => set("platform", "stats")} />
-                    Stratostats <InfoTip id="platform" />
-                  </label>
-                  <label className="flex items-center gap-2">
-                    <input type="radio" checked={p.platform === "relay"} onChange={() => set("platform", "relay")} />
-                    Stratorelay <InfoTip id="platform" />
-                  </label>
-                </div>
-
-                {/* Platform presets */}
-                <div className="rounded-lg border border-white/10 p-3 bg-white/5">
-                  <div className="text-sm font-medium mb-2 text-slate-200">Platform presets</div>
-                  <div className="grid grid-cols-1 md:grid-cols-12 gap-2 items-center">
-                    <select className="md:col-span-6 border border-white/10 rounded px-2 py-2 bg-white/5"
-                            value={platSel} onChange={(e)=>setPlatSel(e.target.value)}>
-                      <option value="">— select preset —</option>
-                      {platPresets.map(pr => (<option key={pr.id} value={pr.id}>{pr.name}</option>))}
-                    </select>
-                    <Button variant="secondary" className="md:col-span-2 py-2 bg-white/10 hover:bg-white/20" onClick={loadPlatPreset}>Load</Button>
-                    <input className="md:col-span-3 border border-white/10 rounded px-2 py-2 bg-white/5"
-                           placeholder="Preset name (e.g., Stratostats v2)" value={platName} onChange={(e)=>setPlatName(e.target.value)} />
-                    <Button className="md:col-span-2 py-2" onClick={savePlatPreset}>Save</Button>
+                <fieldset disabled={readOnly} className="min-w-0 space-y-5">
+                  <h2 className="text-[#9ed1ff] font-medium mb-1">Platform Type</h2>
+                  <div className="flex flex-wrap gap-3 mb-3 text-sm">
+                    <label className="flex items-center gap-2">
+                      <input type="radio" checked={p.platform === "stats"} onChange={() => set("platform", "stats")} />
+                      Stratostats <InfoTip id="platform" />
+                    </label>
+                    <label className="flex items-center gap-2">
+                      <input type="radio" checked={p.platform === "relay"} onChange={() => set("platform", "relay")} />
+                      Stratorelay <InfoTip id="platform" />
+                    </label>
                   </div>
-                  <div className="mt-2 text-xs flex gap-2 items-center">
-                    <Button variant="outline" className="border-red-400/40 text-red-300 hover:bg-red-500/10" onClick={removePlat}>Delete selected</Button>
-                    <span className="text-slate-400">Presets are stored locally in your browser.</span>
+
+                  {/* Platform presets */}
+                  <div className="rounded-lg border border-white/10 p-3 bg-white/5">
+                    <div className="text-sm font-medium mb-2 text-slate-200">Platform presets</div>
+                    <div className="grid grid-cols-1 md:grid-cols-12 gap-2 items-center">
+                      <select className="md:col-span-6 border border-white/10 rounded px-2 py-2 bg-white/5"
+                              value={platSel} onChange={(e)=>setPlatSel(e.target.value)}>
+                        <option value="">— select preset —</option>
+                        {platPresets.map(pr => (<option key={pr.id} value={pr.id}>{pr.name}</option>))}
+                      </select>
+                      <Button variant="secondary" className="md:col-span-2 py-2 bg-white/10 hover:bg-white/20" onClick={loadPlatPreset}>Load</Button>
+                      <input className="md:col-span-3 border border-white/10 rounded px-2 py-2 bg-white/5"
+                             placeholder="Preset name (e.g., Stratostats v2)" value={platName} onChange={(e)=>setPlatName(e.target.value)} />
+                      <Button className="md:col-span-2 py-2" onClick={savePlatPreset}>Save</Button>
+                    </div>
+                    <div className="mt-2 text-xs flex gap-2 items-center">
+                      <Button variant="outline" className="border-red-400/40 text-red-300 hover:bg-red-500/10" onClick={removePlat}>Delete selected</Button>
+                      <span className="text-slate-400">Presets are stored locally in your browser.</span>
+                    </div>
                   </div>
-                </div>
+                </fieldset>
 
                 <div className="flex items-center justify-between">
                   <Button variant="secondary" className="bg-white/10 border border-white/20" onClick={prev}>← Back</Button>
@@ -792,41 +802,44 @@ export default function App() {
             {/* STEP 2 — Platform parameters */}
             {currentStep === 2 && (
               <section className="bg-white/5 border border-white/10 rounded-2xl shadow-lg p-4 space-y-5">
-                <h2 className="text-[#9ed1ff] font-medium mb-1">Platform Parameters</h2>
+                <fieldset disabled={readOnly} className="min-w-0 space-y-5">
+                  <h2 className="text-[#9ed1ff] font-medium mb-1">Platform Parameters</h2>
 
-                {p.platform === "relay" ? (
-                  <div className="grid grid-cols-2 gap-3">
-                    <div><label className="block text-sm text-slate-300">Flight duration (h) <InfoTip id="mission_days" /></label><Num v={p.relay_hours_h} on={(v)=>set("relay_hours_h",v)} /></div>
-                    <div><label className="block text-sm text-slate-300">Turnaround (days)</label>
-                      <input disabled className="w-full border border-white/10 bg-white/5 text-slate-400 rounded-lg px-2 py-2" value="—" />
-                    </div>
-                  </div>
-                ) : (
-                  <>
+                  {p.platform === "relay" ? (
                     <div className="grid grid-cols-2 gap-3">
-                      <div><label className="block text-sm text-slate-300">Mission duration (days) <InfoTip id="mission_days" /></label><Num v={p.mission_days} on={(v)=>set("mission_days",v)} /></div>
-                      <div><label className="block text-sm text-slate-300">Turnaround (days) <InfoTip id="turnaround_days" /></label><Num v={p.turnaround_days} on={(v)=>set("turnaround_days",v)} /></div>
-                      <div><label className="block text-sm text-slate-300">MTBF h <InfoTip id="mtbf_h" /></label><Num v={p.mtbf_h} on={(v)=>set("mtbf_h",v)} /></div>
-                      <div><label className="block text-sm text-slate-300">MTTR h <InfoTip id="mttr_h" /></label><Num v={p.mttr_h} on={(v)=>set("mttr_h",v)} /></div>
-                    </div>
-                    <div className="grid grid-cols-3 gap-3 mt-2">
-                      <div><label className="block text-sm text-slate-300">Max flight days <InfoTip id="max_flight_days" /></label><Num v={p.max_flight_days} on={(v)=>set("max_flight_days",v)} /></div>
-                      <div><label className="block text-sm text-slate-300">Maintenance buffer <InfoTip id="maint_buffer" /></label><Num v={p.maint_buffer} on={(v)=>set("maint_buffer",v)} /></div>
-                      <div><label className="block text-sm text-slate-300">Spare buffer <InfoTip id="spare_buffer" /></label><Num v={p.spare_buffer} on={(v)=>set("spare_buffer",v)} /></div>
+                      <div><label className="block text-sm text-slate-300">Flight duration (h) <InfoTip id="mission_days" /></label><Num v={p.relay_hours_h} on={(v)=>set("relay_hours_h",v)} /></div>
+                      <div><label className="block text-sm text-slate-300">Turnaround (days)</label>
+                        <input disabled className="w-full border border-white/10 bg-white/5 text-slate-400 rounded-lg px-2 py-2" value="—" />
+                      </div>
                     </div>
-                  </>
-                )}
+                  ) : (
+                    <>
+                      <div className="grid grid-cols-2 gap-3">
+                        <div><label className="block text-sm text-slate-300">Mission duration (days) <InfoTip id="mission_days" /></label><Num v={p.mission_days} on={(v)=>set("mission_days",v)} /></div>
+                        <div><label className="block text-sm text-slate-300">Turnaround (days) <InfoTip id="turnaround_days" /></label><Num v={p.turnaround_days} on={(v)=>set("turnaround_days",v)} /></div>
+                        <div><label className="block text-sm text-slate-300">MTBF h <InfoTip id="mtbf_h" /></label><Num v={p.mtbf_h} on={(v)=>set("mtbf_h",v)} /></div>
+                        <div><label className="block text-sm text-slate-300">MTTR h <InfoTip id="mttr_h" /></label><Num v={p.mttr_h} on={(v)=>set("mttr_h",v)} /></div>
+                      </div>
+                      <div className="grid grid-cols-3 gap-3 mt-2">
+                        <div><label className="block text-sm text-slate-300">Max flight days <InfoTip id="max_flight_days" /></label><Num v={p.max_flight_days} on={(v)=>set("max_flight_days",v)} /></div>
+                        <div><label className="block text-sm text-slate-300">Maintenance buffer <InfoTip id="maint_buffer" /></label><Num v={p.maint_buffer} on={(v)=>set("maint_buffer",v)} /></div>
+                        <div><label className="block text-sm text-slate-300">Spare buffer <InfoTip id="spare_buffer" /></label><Num v={p.spare_buffer} on={(v)=>set("spare_buffer",v)} /></div>
+                      </div>
+                      <SeasonPanel season={p.season} onChange={(v)=>set("season", v)} flatFly={Math.round((+p.max_flight_days || 0) / 365 * 100) / 100} />
+                    </>
+                  )}
 
-                <div className="grid grid-cols-2 gap-3 mt-2">
-                  <div><label className="block text-sm text-slate-300">Platform CAPEX <InfoTip id="capex_platform_EUR" /></label><Num v={p.capex_platform_EUR} on={(v)=>set("capex_platform_EUR",v)} /></div>
-                  <div><label className="block text-sm text-slate-300">Platform life (days) <InfoTip id="life_platform_days" /></label><Num v={p.life_platform_days} on={(v)=>set("life_platform_days",v)} /></div>
-                </div>
+                  <div className="grid grid-cols-2 gap-3 mt-2">
+                    <div><label className="block text-sm text-slate-300">Platform CAPEX <InfoTip id="capex_platform_EUR" /></label><Num v={p.capex_platform_EUR} on={(v)=>set("capex_platform_EUR",v)} /></div>
+                    <div><label className="block text-sm text-slate-300">Platform life (days) <InfoTip id="life_platform_days" /></label><Num v={p.life_platform_days} on={(v)=>set("life_platform_days",v)} /></div>
+                  </div>
 
-                <div className="grid grid-cols-3 gap-3 mt-2">
-                  <div><label className="block text-sm text-slate-300">Fixed cost per {p.platform==='relay'?'launch':'mission'} <InfoTip id="Cf_mission" /></label><Num v={p.Cf_mission} on={(v)=>set("Cf_mission",v)} /></div>
-                  <div><label className="block text-sm text-slate-300">€/h (Ch) <InfoTip id="Ch_hour" /></label><Num v={p.Ch_hour} on={(v)=>set("Ch_hour",v)} /></div>
-                  <div><label className="block text-sm text-slate-300">Annual cloud costs <InfoTip id="annual_cloud_costs" /></label><Num v={p.annual_cloud_costs} on={(v)=>set("annual_cloud_costs",v)} /></div>
-                </div>
+                  <div className="grid grid-cols-3 gap-3 mt-2">
+                    <div><label className="block text-sm text-slate-300">Fixed cost per {p.platform==='relay'?'launch':'mission'} <InfoTip id="Cf_mission" /></label><Num v={p.Cf_mission} on={(v)=>set("Cf_mission",v)} /></div>
+                    <div><label className="block text-sm text-slate-300">€/h (Ch) <InfoTip id="Ch_hour" /></label><Num v={p.Ch_hour} on={(v)=>set("Ch_hour",v)} /></div>
+                    <div><label className="block text-sm text-slate-300">Annual cloud costs <InfoTip id="annual_cloud_costs" /></label><Num v={p.annual_cloud_costs} on={(v)=>set("annual_cloud_costs",v)} /></div>
+                  </div>
+                </fieldset>
 
                 <div className="flex items-center justify-between pt-2">
                   <Button variant="secondary" className="bg-white/10 border border-white/20" onClick={prev}>← Back</Button>
@@ -840,43 +853,45 @@ export default function App() {
             {/* STEP 3 — Payload & Navigation */}
             {currentStep === 3 && (
               <section className="bg-white/5 border border-white/10 rounded-2xl shadow-lg p-4 space-y-5">
-                <h2 className="text-[#9ed1ff] font-medium mb-1">Payload & Navigation</h2>
-
-                {/* Payload presets */}
-                <div className="rounded-lg border border-white/10 p-3 bg-white/5">
-                  <div className="text-sm font-medium mb-2 text-slate-200">Payload presets</div>
-                  <div className="grid grid-cols-1 md:grid-cols-12 gap-2 items-center">
-                    <select className="md:col-span-6 border border-white/10 rounded px-2 py-2 bg-white/5"
-                            value={paySel} onChange={(e)=>setPaySel(e.target.value)}>
-                      <option value="">— select preset —</option>
-                      {payPresets.map(pr => (<option key={pr.id} value={pr.id}>{pr.name}</option>))}
-                    </select>
-                    <Button variant="secondary" className="md:col-span-2 py-2 bg-white/10 hover:bg-white/20" onClick={loadPayPreset}>Load</Button>
-                    <input className="md:col-span-3 border border-white/10 rounded px-2 py-2 bg-white/5"
-                           placeholder="Preset name (e.g., SAR v1 ECHOES)" value={payName} onChange={(e)=>setPayName(e.target.value)} />
-                    <Button className="md:col-span-2 py-2" onClick={savePayPreset}>Save</Button>
-                  </div>
-                  <div className="mt-2 text-xs flex gap-2 items-center">
-                    <Button variant="outline" className="border-red-400/40 text-red-300 hover:bg-red-500/10" onClick={removePay}>Delete selected</Button>
-                    <span className="text-slate-400">Presets are stored locally in your browser.</span>
+                <fieldset disabled={readOnly} className="min-w-0 space-y-5">
+                  <h2 className="text-[#9ed1ff] font-medium mb-1">Payload & Navigation</h2>
+
+                  {/* Payload presets */}
+                  <div className="rounded-lg border border-white/10 p-3 bg-white/5">
+                    <div className="text-sm font-medium mb-2 text-slate-200">Payload presets</div>
+                    <div className="grid grid-cols-1 md:grid-cols-12 gap-2 items-center">
+                      <select className="md:col-span-6 border border-white/10 rounded px-2 py-2 bg-white/5"
+                              value={paySel} onChange={(e)=>setPaySel(e.target.value)}>
+                        <option value="">— select preset —</option>
+                        {payPresets.map(pr => (<option key={pr.id} value={pr.id}>{pr.name}</option>))}
+                      </select>
+                      <Button variant="secondary" className="md:col-span-2 py-2 bg-white/10 hover:bg-white/20" onClick={loadPayPreset}>Load</Button>
+                      <input className="md:col-span-3 border border-white/10 rounded px-2 py-2 bg-white/5"
+                             placeholder="Preset name (e.g., SAR v1 ECHOES)" value={payName} onChange={(e)=>setPayName(e.target.value)} />
+                      <Button className="md:col-span-2 py-2" onClick={savePayPreset}>Save</Button>
+                    </div>
+                    <div className="mt-2 text-xs flex gap-2 items-center">
+                      <Button variant="outline" className="border-red-400/40 text-red-300 hover:bg-red-500/10" onClick={removePay}>Delete selected</Button>
+                      <span className="text-slate-400">Presets are stored locally in your browser.</span>
+                    </div>
                   </div>
-                </div>
 
-                <div className="grid grid-cols-2 gap-3">
-                  <div><label className="block text-sm text-slate-300">Swath km <InfoTip id="swath_km" /></label><Num v={p.swath_km} on={(v)=>set("swath_km",v)} /></div>
-                  <div><label className="block text-sm text-slate-300">Ground speed km/h <InfoTip id="ground_speed_kmh" /></label><Num v={p.ground_speed_kmh} on={(v)=>set("ground_speed_kmh",v)} /></div>
-                  <div><label className="block text-sm text-slate-300">Duty <InfoTip id="duty" /></label><Num v={p.duty} on={(v)=>set("duty",v)} /></div>
-                  <div><label className="block text-sm text-slate-300">Coverage efficiency <InfoTip id="cov_eff" /></label><Num v={p.cov_eff} on={(v)=>set("cov_eff",v)} /></div>
-                  <div><label className="block text-sm text-slate-300">Overlap ρ <InfoTip id="overlap" /></label><Num v={p.overlap} on={(v)=>set("overlap",v)} /></div>
-                  <div><label className="block text-sm text-slate-300">Turn radius km <InfoTip id="turn_radius_km" /></label><Num v={p.turn_radius_km} on={(v)=>set("turn_radius_km",v)} /></div>
-                  <div><label className="block text-sm text-slate-300">η nav <InfoTip id="eta_nav" /></label><Num v={p.eta_nav} on={(v)=>set("eta_nav",v)} /></div>
-                </div>
+                  <div className="grid grid-cols-2 gap-3">
+                    <div><label className="block text-sm text-slate-300">Swath km <InfoTip id="swath_km" /></label><Num v={p.swath_km} on={(v)=>set("swath_km",v)} /></div>
+                    <div><label className="block text-sm text-slate-300">Ground speed km/h <InfoTip id="ground_speed_kmh" /></label><Num v={p.ground_speed_kmh} on={(v)=>set("ground_speed_kmh",v)} /></div>
+                    <div><label className="block text-sm text-slate-300">Duty <InfoTip id="duty" /></label><Num v={p.duty} on={(v)=>set("duty",v)} /></div>
+                    <div><label className="block text-sm text-slate-300">Coverage efficiency <InfoTip id="cov_eff" /></label><Num v={p.cov_eff} on={(v)=>set("cov_eff",v)} /></div>
+                    <div><label className="block text-sm text-slate-300">Overlap ρ <InfoTip id="overlap" /></label><Num v={p.overlap} on={(v)=>set("overlap",v)} /></div>
+                    <div><label className="block text-sm text-slate-300">Turn radius km <InfoTip id="turn_radius_km" /></label><Num v={p.turn_radius_km} on={(v)=>set("turn_radius_km",v)} /></div>
+                    <div><label className="block text-sm text-slate-300">η nav <InfoTip id="eta_nav" /></label><Num v={p.eta_nav} on={(v)=>set("eta_nav",v)} /></div>
+                  </div>
 
-                <div className="grid grid-cols-2 gap-3 mt-2">
-                  <div><label className="block text-sm text-slate-300">Payload CAPEX <InfoTip id="capex_payload_EUR" /></label><Num v={p.capex_payload_EUR} on={(v)=>set("capex_payload_EUR",v)} /></div>
-                  <div><label className="block text-sm text-slate-300">Payload life (days) <InfoTip id="life_payload_days" /></label><Num v={p.life_payload_days} on={(v)=>set("life_payload_days",v)} /></div>
-                  <div><label className="block text-sm text-slate-300">Consumables <InfoTip id="consumables_per_mission" /></label><Num v={p.consumables_per_mission} on={(v)=>set("consumables_per_mission",v)} /></div>
-                </div>
+                  <div className="grid grid-cols-2 gap-3 mt-2">
+                    <div><label className="block text-sm text-slate-300">Payload CAPEX <InfoTip id="capex_payload_EUR" /></label><Num v={p.capex_payload_EUR} on={(v)=>set("capex_payload_EUR",v)} /></div>
+                    <div><label className="block text-sm text-slate-300">Payload life (days) <InfoTip id="life_payload_days" /></label><Num v={p.life_payload_days} on={(v)=>set("life_payload_days",v)} /></div>
+                    <div><label className="block text-sm text-slate-300">Consumables <InfoTip id="consumables_per_mission" /></label><Num v={p.consumables_per_mission} on={(v)=>set("consumables_per_mission",v)} /></div>
+                  </div>
+                </fieldset>
 
                 <div className="flex items-center justify-between pt-2">
                   <Button variant="secondary" className="bg-white/10 border border-white/20" onClick={prev}>← Back</Button>
@@ -888,45 +903,117 @@ export default function App() {
             {/* STEP 4 — Mission parameters */}
             {currentStep === 4 && (
               <section className="bg-white/5 border border-white/10 rounded-2xl shadow-lg p-4 space-y-5">
-                <h2 className="text-[#9ed1ff] font-medium mb-1">Mission Parameters</h2>
+                <fieldset disabled={readOnly} className="min-w-0 space-y-5">
+                  <h2 className="text-[#9ed1ff] font-medium mb-1">Mission Parameters</h2>
 
-                {p.mode === "saas" ? (
-                  <div className="grid grid-cols-2 gap-3">
-                    <div className="col-span-2">
-                      <label className="block text-sm mt-2 text-slate-300">Revisit minutes <InfoTip id="revisit_min" /></label>
-                      <Num v={p.revisit_min} on={(v) => set("revisit_min", v)} />
-                    </div>
-                    <div className="col-span-1">
-                      <label className="block text-sm text-slate-300">Proposed annual price</label>
-                      <Num v={p.proposed_annual_price_EUR} on={(v)=>set("proposed_annual_price_EUR",v)} />
-                    </div>
-                    <div className="col-span-1">
-                      <label className="block text-sm text-slate-300">Target GM % <InfoTip id="target_gm" /></label>
-                      <Num v={p.target_gm} on={(v)=>set("target_gm",v)} />
-                    </div>
-                  </div>
-                ) : (
-                  <div className="grid grid-cols-3 gap-3">
-                    <div className="col-span-1">
-                      <label className="block text-sm text-slate-300"># {p.platform==='relay'?'launches':'missions'}</label>
-                      <Num v={missionsCount} on={(v)=>set("missions_count",v)} />
-                    </div>
-                    <div className="col-span-1">
-                      <label className="block text-sm text-slate-300">Mission profile</label>
-                      <select className="w-full border border-white/10 rounded px-2 py-2 bg-white/5" value={p.mission_profile} onChange={(e)=>set("mission_profile",e.target.value)}>
-                        {Object.entries(PROFILES).map(([k,x])=> <option key={k} value={k}>{x.name}</option>)}
-                      </select>
-                    </div>
-                    <div className="col-span-1">
-                      <label className="block text-sm text-slate-300">Proposed price / {p.platform==='relay'?'launch':'mission'}</label>
-                      <Num v={p.proposed_price_per_mission_EUR} on={(v)=>set("proposed_price_per_mission_EUR",v)} />
+                  {p.mode === "saas" ? (
+                    <div className="grid grid-cols-2 gap-3">
+                      <div className="col-span-2">
+                        <label className="block text-sm mt-2 text-slate-300">Revisit minutes <InfoTip id="revisit_min" /></label>
+                        <Num v={p.revisit_min} on={(v) => set("revisit_min", v)} />
+                      </div>
+                      <div className="col-span-1">
+                        <label className="block text-sm text-slate-300">Proposed annual price (EUR)</label>
+                        <Num v={p.proposed_annual_price_EUR} on={(v)=>set("proposed_annual_price_EUR",v)} />
+                      </div>
+                      <div className="col-span-1">
+                        <label className="block text-sm text-slate-300">Target GM % <InfoTip id="target_gm" /></label>
+                        <Num v={p.target_gm} on={(v)=>set("target_gm",v)} />
+                      </div>
+
+                      <div className="col-span-2 rounded-lg border border-white/10 p-3 bg-white/5">
+                        <div className="text-sm font-medium mb-2 text-slate-200">Contract</div>
+                        <div className="grid grid-cols-2 md:grid-cols-5 gap-2">
+                          <div>
+                            <label className="block text-xs text-slate-400">Term (years) <InfoTip id="term_years" /></label>
+                            <select className="w-full border border-white/10 rounded px-2 py-1 bg-white/5" value={p.term_years} onChange={(e)=>set("term_years", +e.target.value)}>
+                              {Array.from({ length: MAX_TERM }, (_, i) => i + 1).map(y => <option key={y} value={y}>{y}</option>)}
+                            </select>
+                          </div>
+                          <div><label className="block text-xs text-slate-400">Price escalation <InfoTip id="price_escalation" /></label><Num v={p.price_escalation} on={(v)=>set("price_escalation",v)} /></div>
+                          <div><label className="block text-xs text-slate-400">Cost inflation <InfoTip id="cost_inflation" /></label><Num v={p.cost_inflation} on={(v)=>set("cost_inflation",v)} /></div>
+                          <div>
+                            <label className="block text-xs text-slate-400">CAPEX <InfoTip id="capex_mode" /></label>
+                            <select className="w-full border border-white/10 rounded px-2 py-1 bg-white/5" value={p.capex_mode} onChange={(e)=>set("capex_mode", e.target.value)}>
+                              <option value="amortize">Amortize</option>
+                              <option value="upfront">Buy upfront</option>
+                            </select>
+                          </div>
+                          <div><label className="block text-xs text-slate-400">Discount rate <InfoTip id="discount_rate" /></label><Num v={p.discount_rate} on={(v)=>set("discount_rate",v)} /></div>
+                        </div>
+                      </div>
+
+                      <div className="col-span-2">
+                        <PricingRulesPanel rules={savedRules} setRules={setRules} />
+                      </div>
                     </div>
-                    <div className="col-span-3">
-                      <label className="block text-sm text-slate-300">Target GM % <InfoTip id="target_gm" /></label>
-                      <Num v={p.target_gm} on={(v)=>set("target_gm",v)} />
+                  ) : (
+                    <div className="grid grid-cols-3 gap-3">
+                      <div className="col-span-1">
+                        <label className="block text-sm text-slate-300"># {p.platform==='relay'?'launches':'missions'}</label>
+                        <Num v={missionsCount} on={(v)=>set("missions_count",v)} />
+                      </div>
+                      <div className="col-span-1">
+                        <label className="block text-sm text-slate-300">Mission profile</label>
+                        <select className="w-full border border-white/10 rounded px-2 py-2 bg-white/5" value={p.mission_profile} onChange={(e)=>set("mission_profile",e.target.value)}>
+                          {Object.entries(profiles).map(([k,x])=> <option key={k} value={k}>{x.name}</option>)}
+                        </select>
+                      </div>
+                      <div className="col-span-1">
+                        <label className="block text-sm text-slate-300">Proposed price / {p.platform==='relay'?'launch':'mission'} (EUR)</label>
+                        <Num v={p.proposed_price_per_mission_EUR} on={(v)=>set("proposed_price_per_mission_EUR",v)} />
+                      </div>
+                      <div className="col-span-3">
+                        <label className="block text-sm text-slate-300">Target GM % <InfoTip id="target_gm" /></label>
+                        <Num v={p.target_gm} on={(v)=>set("target_gm",v)} />
+                      </div>
+
+                      {/* Profile editor */}
+                      <div className="col-span-3 rounded-lg border border-white/10 p-3 bg-white/5">
+                        <div className="flex items-center justify-between mb-2">
+                          <div className="text-sm font-medium text-slate-200">Mission profiles</div>
+                          <div className="flex gap-2">
+                            <Button variant="secondary" className="bg-white/10 hover:bg-white/20" onClick={()=>editProfile(p.mission_profile)}>Edit selected</Button>
+                            <Button variant="secondary" className="bg-white/10 hover:bg-white/20" onClick={()=>editProfile(null)}>New</Button>
+                          </div>
+                        </div>
+                        {profDraft ? (
+                          <>
+                            <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+                              <div className="col-span-2">
+                                <label className="block text-xs text-slate-400">Name</label>
+                                <input className="w-full border border-white/10 bg-white/5 text-slate-100 rounded-lg px-2 py-1"
+                                       value={profDraft.name} onChange={(e)=>setProfDraft(d=>({...d, name:e.target.value}))} />
+                              </div>
+                              {PROFILE_FIELDS.map(k => (
+                                <div key={k}>
+                                  <label className="block text-xs text-slate-400">{PROFILE_LABELS[k]}</label>
+                                  <Num v={profDraft[k]} on={(v)=>setProfDraft(d=>({...d, [k]:v}))} />
+                                </div>
+                              ))}
+                            </div>
+                            <div className="mt-2 flex gap-2 items-center">
+                              <Button onClick={saveProfile}>Save profile</Button>
+                              <Button variant="secondary" className="bg-white/10 hover:bg-white/20" onClick={()=>setProfDraft(null)}>Cancel</Button>
+                              {profDraft.id && profDraft.id !== "standard" && (
+                                <Button variant="outline" className="border-red-400/40 text-red-300 hover:bg-red-500/10" onClick={removeProfile}>Delete</Button>
+                              )}
+                            </div>
+                          </>
+                        ) : (
+                          <div className="text-xs text-slate-400 flex gap-2 items-center">
+                            <span>×D {N(t.pr.D)} · ×Cf {N(t.pr.Cf)} · ×Ch {N(t.pr.Ch)} · ×Cons {N(t.pr.Cons)} · surcharge {N(t.pr.surcharge*100,1)}% · lead {N(t.pr.lead_days,0)} d</span>
+                            <Button variant="outline" className="ml-auto" onClick={resetProfiles}>Restore defaults</Button>
+                          </div>
+                        )}
+                        <div className="mt-2 text-xs text-slate-400">Profiles are stored locally in your browser.</div>
+                      </div>
                     </div>
-                  </div>
-                )}
+                  )}
+
+                </fieldset>
+                {/* solving never changes the form; Apply does, so it is off in read-only links */}
+                <GoalSeekPanel p={p} profiles={profiles} pricing={pricing} fx={fxNow} onApply={readOnly ? null : (patch) => setP(prev => ({ ...prev, ...patch }))} />
 
                 <div className="flex items-center justify-between pt-2">
                   <Button variant="secondary" className="bg-white/10 border border-white/20" onClick={prev}>← Back</Button>
@@ -938,49 +1025,92 @@ export default function App() {
             {/* STEP 5 — AOI */}
             {currentStep === 5 && (
               <section className="bg-white/5 border border-white/10 rounded-2xl shadow-lg p-4 space-y-5">
-                <h2 className="text-[#9ed1ff] font-medium mb-1">AOI Selection</h2>
-
-                {/* AOI presets */}
-                <div className="rounded-lg border border-white/10 p-3 bg-white/5">
-                  <div className="text-sm font-medium mb-2 text-slate-200">AOI presets</div>
-                  <div className="grid grid-cols-1 md:grid-cols-12 gap-2 items-center">
-                    <select className="md:col-span-6 border border-white/10 rounded px-2 py-2 bg-white/5"
-                            value={selectedPresetId} onChange={(e)=>setSelectedPresetId(e.target.value)}>
-                      <option value="">— select preset —</option>
-                      {presets.map((pr) => (<option key={pr.id} value={pr.id}>{pr.name}</option>))}
-                    </select>
-                    <Button variant="secondary" className="md:col-span-2 py-2 bg-white/10 hover:bg-white/20 whitespace-nowrap" onClick={loadPreset}>Load</Button>
-                    <input className="md:col-span-3 border border-white/10 rounded px-2 py-2 bg-white/5"
-                           placeholder="New preset name" value={presetName} onChange={(e)=>setPresetName(e.target.value)} />
-                    <Button className="md:col-span-2 py-2 whitespace-nowrap" title="Save current AOI as preset" onClick={saveCurrentAsPreset}>Save</Button>
+                <fieldset disabled={readOnly} className="min-w-0 space-y-5">
+                  <h2 className="text-[#9ed1ff] font-medium mb-1">AOI Selection</h2>
+
+                  {/* AOI presets */}
+                  <div className="rounded-lg border border-white/10 p-3 bg-white/5">
+                    <div className="text-sm font-medium mb-2 text-slate-200">AOI presets</div>
+                    <div className="grid grid-cols-1 md:grid-cols-12 gap-2 items-center">
+                      <select className="md:col-span-6 border border-white/10 rounded px-2 py-2 bg-white/5"
+                              value={selectedPresetId} onChange={(e)=>setSelectedPresetId(e.target.value)}>
+                        <option value="">— select preset —</option>
+                        {presets.map((pr) => (<option key={pr.id} value={pr.id}>{pr.name}</option>))}
+                      </select>
+                      <Button variant="secondary" className="md:col-span-2 py-2 bg-white/10 hover:bg-white/20 whitespace-nowrap" onClick={loadPreset}>Load</Button>
+                      <input className="md:col-span-3 border border-white/10 rounded px-2 py-2 bg-white/5"
+                             placeholder="New preset name" value={presetName} onChange={(e)=>setPresetName(e.target.value)} />
+                      <Button className="md:col-span-2 py-2 whitespace-nowrap" title="Save current AOI as preset" onClick={saveCurrentAsPreset}>Save</Button>
+                    </div>
+                    <div className="mt-2 text-xs flex gap-2 items-center">
+                      <Button variant="outline" className="border-red-400/40 text-red-300 hover:bg-red-500/10" onClick={deleteSelectedPreset}>Delete selected</Button>
+                      <span className="text-slate-400">Presets are stored locally in your browser.</span>
+                    </div>
                   </div>
-                  <div className="mt-2 text-xs flex gap-2 items-center">
-                    <Button variant="outline" className="border-red-400/40 text-red-300 hover:bg-red-500/10" onClick={deleteSelectedPreset}>Delete selected</Button>
-                    <span className="text-slate-400">Presets are stored locally in your browser.</span>
+
+                  {/* AOI geometry */}
+                  <div className="rounded-lg border border-white/10 p-3 bg-white/5 space-y-2">
+                    <div className="text-sm font-medium text-slate-200">Import geometry <InfoTip id="aoi_geometry" /></div>
+                    <div className="flex flex-wrap gap-2 items-center text-sm">
+                      <input type="file" accept=".geojson,.json,.kml" className="text-xs text-slate-300"
+                             onChange={(e) => { importGeometry(e.target.files?.[0]); e.target.value = ""; }} />
+                      {p.aoi_geometry && (
+                        <Button variant="outline" className="border-white/20 text-slate-200" onClick={() => setP((prev) => ({ ...prev, aoi_geometry: null, path_plan: false }))}>Clear geometry</Button>
+                      )}
+                    </div>
+                    <div className="flex gap-2 items-start">
+                      <textarea className="flex-1 border border-white/10 rounded px-2 py-1 bg-white/5 text-xs font-mono h-16"
+                                placeholder={"Paste GeoJSON, KML or one \"lon, lat\" per line"} value={geomText} onChange={(e) => setGeomText(e.target.value)} />
+                      <Button variant="secondary" disabled={!geomText.trim()} onClick={pasteGeometry}>Use pasted</Button>
+                    </div>
+                    {geomError && <div className="rounded border border-red-400/50 bg-red-500/10 text-red-200 text-xs px-2 py-1">{geomError}</div>}
+                    {geomInfo ? (
+                      <div className="grid grid-cols-2 gap-x-3 text-xs text-slate-300">
+                        <div className="text-slate-400">Geometry</div><div className="text-right">{p.aoi_geometry.type}</div>
+                        <div className="text-slate-400">Geodesic area</div><div className="text-right">{N(geomInfo.aoi_km2, 2)} km²</div>
+                        {geomInfo.aoiType === "areal" ? (
+                          <>
+                            <div className="text-slate-400">Bounding rectangle</div><div className="text-right">{N(geomInfo.mbr_length_km, 2)} × {N(geomInfo.aoi_width_km, 2)} km</div>
+                          </>
+                        ) : (
+                          <>
+                            <div className="text-slate-400">Corridor length</div><div className="text-right">{N(geomInfo.corridor_length_km, 2)} km</div>
+                          </>
+                        )}
+                        <div className="text-slate-400">Long-axis heading</div><div className="text-right">{N(geomInfo.heading_deg, 0)}°</div>
+                      </div>
+                    ) : (
+                      <div className="text-xs text-slate-400">Polygon, MultiPolygon or LineString. Area and width are filled in automatically.</div>
+                    )}
                   </div>
-                </div>
 
-                <div className="flex gap-3 text-sm">
-                  <label className="flex items-center gap-2">
-                    <input type="radio" checked={p.aoiType === "areal"} onChange={() => set("aoiType", "areal")} /> Areal
-                  </label>
-                  <label className="flex items-center gap-2">
-                    <input type="radio" checked={p.aoiType === "corridor"} onChange={() => set("aoiType", "corridor")} /> Corridor
-                  </label>
-                </div>
+                  <div className="flex gap-3 text-sm">
+                    <label className="flex items-center gap-2">
+                      <input type="radio" checked={p.aoiType === "areal"} onChange={() => set("aoiType", "areal")} /> Areal
+                    </label>
+                    <label className="flex items-center gap-2">
+                      <input type="radio" checked={p.aoiType === "corridor"} onChange={() => set("aoiType", "corridor")} /> Corridor
+                    </label>
+                  </div>
 
-                <label className="block text-sm text-slate-300">Area km² <InfoTip id="aoi_km2" /></label>
-                <Num v={p.aoi_km2} on={(v) => set("aoi_km2", v)} />
-                {p.aoiType === "areal" ? (
-                  <>
-                    <label className="block text-sm mt-2 text-slate-300">Width km <span className="opacity-60">(empty = √A)</span> <InfoTip id="aoi_width_km" /></label>
-                    <Num v={p.aoi_width_km} on={(v) => set("aoi_width_km", v)} />
-                  </>
-                ) : (
-                  <>
-                    <label className="block text-sm mt-2 text-slate-300">Corridor width km <InfoTip id="corridor_width_km" /></label>
-                    <Num v={p.corridor_width_km} on={(v) => set("corridor_width_km", v)} />
-                  </>
+                  <label className="block text-sm text-slate-300">Area km² <InfoTip id="aoi_km2" /></label>
+                  <Num v={p.aoi_km2} on={(v) => set("aoi_km2", v)} />
+                  {p.aoiType === "areal" ? (
+                    <>
+                      <label className="block text-sm mt-2 text-slate-300">Width km <span className="opacity-60">(empty = √A)</span> <InfoTip id="aoi_width_km" /></label>
+                      <Num v={p.aoi_width_km} on={(v) => set("aoi_width_km", v)} />
+                    </>
+                  ) : (
+                    <>
+                      <label className="block text-sm mt-2 text-slate-300">Corridor width km <InfoTip id="corridor_width_km" /></label>
+                      <Num v={p.corridor_width_km} on={setCorridorWidth} />
+                    </>
+                  )}
+
+                </fieldset>
+                <AoiPreview p={p} />
+                {isPolygonal(p.aoi_geometry) && (
+                  <PathPlanPanel p={p} m={m} onToggle={readOnly ? null : (v) => set("path_plan", v)} />
                 )}
 
                 <div className="flex items-center justify-between pt-2">
@@ -1002,10 +1132,12 @@ export default function App() {
                   <div className="text-slate-400">AOI</div><div className="text-right">{p.aoi_name || "—"}</div>
                   <div className="text-slate-400">Mode</div><div className="text-right">{p.mode.toUpperCase()}</div>
                   <div className="text-slate-400">Platform</div><div className="text-right">{p.platform==='relay'?'Stratorelay':'Stratostats'}</div>
+                  <div className="text-slate-400">Currency</div><div className="text-right">{fxNow.currency}{fxNow.currency !== "EUR" && ` (1 EUR = ${fxNow.rate}, ${fxNow.asOf || "no date"})`}</div>
 
                   {p.mode==='tasking' && (
                     <>
-                      <div className="text-slate-400">Profile</div><div className="text-right">{PROFILES[p.mission_profile].name}</div>
+                      <div className="text-slate-400">Profile</div><div className="text-right">{t.pr.name}</div>
+                      <div className="text-slate-400">Lead time</div><div className="text-right">{N(t.leadDays,0)} days</div>
                       <div className="text-slate-400"># {p.platform==='relay'?'launches':'missions'}</div><div className="text-right">{missionsCount}</div>
                     </>
                   )}
@@ -1028,7 +1160,7 @@ export default function App() {
                   {p.mode!=='saas' && (
                     <>
                       <div className="text-slate-400">Cost per km² (per mission)</div><div className="text-right">{EUR(t.costPerKm2, 2)}</div>
-                      <div className="text-slate-400">Price per km² (per mission)</div><div className="text-right">{EUR(t.pricePerKm2, 2)}</div>
+                      <div className="text-slate-400">Price per km² (per mission)</div><div className="text-right">{PX(t.pricePerKm2, 2)}</div>
                     </>
                   )}
 
@@ -1037,12 +1169,12 @@ export default function App() {
 
                   {p.mode==='saas' && (
                     <>
-                      <div className="text-slate-400">Price per km² per revisit</div><div className="text-right">{EUR(m.PricePerKm2_per_revisit, 2)}</div>
-                      <div className="text-slate-400">Price per km² per year</div><div className="text-right">{EUR(m.PricePerKm2_year, 2)}</div>
+                      <div className="text-slate-400">Price per km² per revisit</div><div className="text-right">{PX(m.PricePerKm2_per_revisit, 2)}</div>
+                      <div className="text-slate-400">Price per km² per year</div><div className="text-right">{PX(m.PricePerKm2_year, 2)}</div>
                     </>
                   )}
 
-                  <div className="text-slate-400">Price per {p.platform==='relay' && p.mode==='tasking' ? 'launch' : 'mission'}</div><div className="text-right">{EUR(metrics.price_per_mission)}</div>
+                  <div className="text-slate-400">Price per {p.platform==='relay' && p.mode==='tasking' ? 'launch' : 'mission'}</div><div className="text-right">{PX(metrics.price_per_mission)}</div>
 
                   {metrics.GM_prop!=null && (
                     <>
@@ -1051,6 +1183,21 @@ export default function App() {
                   )}
                 </div>
 
+                {p.mode==='saas' && (
+                  <div className="rounded-lg border border-white/10 p-3 bg-white/5">
+                    <div className="text-sm font-medium mb-1 text-slate-200">Fleet & feasibility</div>
+                    <FleetRows m={m} />
+                  </div>
+                )}
+                {p.mode==='saas' && !m.isRelay && <ScheduleGantt p={p} m={m} />}
+                {p.mode==='saas' && !m.isRelay && <FleetSimPanel p={p} m={m} sim={sim} setSim={setSim} />}
+
+                {p.mode==='saas' && <PricingSteps pricing={m.pricing} px={PX} />}
+                {p.mode==='saas' && <CashflowPanel cf={cf} fmt={PX} />}
+
+                <MonteCarloPanel p={p} profiles={profiles} price={metrics.price_annual} mc={mc} setMc={setMc} labelOf={labelOf} fmt={PX} />
+                <SensitivityPanel p={p} profiles={profiles} opts={sens} setOpts={setSens} labelOf={labelOf} fmt={PX} />
+
                 {/* FINAL PRICE highlight */}
                 <div className="rounded-2xl p-4 border relative overflow-hidden"
                      style={{borderColor:"rgba(99, 255, 181, 0.5)"}}
@@ -1059,7 +1206,7 @@ export default function App() {
                   <div className="relative">
                     <div className="text-xs uppercase tracking-wider text-emerald-300/90">Final price</div>
                     <div className="mt-1 text-3xl md:text-4xl font-semibold text-emerald-200 drop-shadow">
-                      {p.mode==='saas' ? EUR(metrics.price_annual) : EUR(metrics.price_annual)}
+                      {PX(metrics.price_annual)}
                     </div>
                     <div className="text-xs text-slate-400 mt-1">
                       {p.mode==='saas' ? "Annual price for AOI" : "Total for the selected batch"}
@@ -1067,15 +1214,39 @@ export default function App() {
                   </div>
                 </div>
 
+                <div className="rounded-lg border border-white/10 p-3 bg-white/5 space-y-2 text-sm">
+                  <div className="flex flex-wrap items-center gap-2">
+                    {editing && !editing.portfolio ? (
+                      <span className="mr-auto text-slate-300">
+                        Revising <span className="font-semibold">{editing.client_name} · {editing.aoi_name}</span> (Rev {revLabel(revOf(editing))}):
+                        saving creates <span className="font-semibold">Rev {revLabel(Math.max(...dealRevisions(history, dealOf(editing)).map(revOf)) + 1)}</span>.
+                      </span>
+                    ) : (
+                      <span className="mr-auto text-slate-400">Saving opens a new deal (Rev A).</span>
+                    )}
+                    {editing && <Button variant="outline" onClick={() => setEditingId(null)}>Start new deal</Button>}
+                    <Button variant="outline" className="border-white/20 text-slate-200" onClick={() => copyLink(false)}>Copy link (read-only)</Button>
+                    <Button variant="outline" className="border-white/20 text-slate-200" onClick={() => copyLink(true)}>Copy link (editable)</Button>
+                  </div>
+                  <div className="grid md:grid-cols-3 gap-2">
+                    <input className="border border-white/10 rounded px-2 py-1 bg-white/5" disabled={readOnly} placeholder="Your name" value={author} onChange={(e) => setAuthor(e.target.value)} />
+                    <input className="md:col-span-2 border border-white/10 rounded px-2 py-1 bg-white/5" disabled={readOnly} placeholder="Revision note (optional)" value={revNote} onChange={(e) => setRevNote(e.target.value)} />
+                  </div>
+                </div>
+
                 <div className="flex items-center justify-between pt-2">
                   <Button variant="secondary" className="bg-white/10 border border-white/20" onClick={prev}>← Back</Button>
                   <div className="flex gap-2">
                     <Button className="bg-white/10 border border-white/20" onClick={()=>setCurrentStep(7)}>Go to History</Button>
+                    {editing && !editing.portfolio && (
+                      <Button className="bg-white/10 border border-white/20" disabled={readOnly} onClick={() => saveQuote({ asNew: true })}>Save as new deal</Button>
+                    )}
                     <Button
                       className="bg-emerald-500/20 border border-emerald-400 text-emerald-200"
-                      onClick={saveQuote}
+                      disabled={readOnly}
+                      onClick={() => saveQuote()}
                     >
-                      Confirm & Save to History
+                      {editing && !editing.portfolio ? "Save new revision" : "Confirm & Save to History"}
                     </Button>
                   </div>
                 </div>
@@ -1088,45 +1259,84 @@ export default function App() {
                 <div className="flex items-center justify-between">
                   <h2 className="text-[#9ed1ff] font-medium">Quotes History & Analytics</h2>
                   <div className="flex gap-2">
-                    <Button className="bg-white/10 border border-white/20" onClick={() => {
-                      const csv = toCSV(history);
-                      const blob = new Blob([csv], { type: "text/csv;charset=utf-8" });
-                      const url = URL.createObjectURL(blob);
-                      const a = document.createElement("a"); a.href = url; a.download = "involve_space_quotes.csv"; a.click(); URL.revokeObjectURL(url);
-                    }}>Export CSV</Button>
+                    <Button className="bg-white/10 border border-white/20" onClick={() => downloadText("involve_space_quotes.csv", toCSV(shownHistory), "text/csv;charset=utf-8")}>Export CSV</Button>
                     <Button className="border-red-400/40 text-red-300 hover:bg-red-500/10" onClick={clearAllQuotes}>Clear all</Button>
                   </div>
                 </div>
 
+                <HistoryFilters view={view} setView={setView} history={history}
+                                saved={savedViews} setSaved={setSavedViews} count={shownHistory.length} />
+
                 <div className="grid sm:grid-cols-4 gap-3">
-                  <div className="rounded-xl bg-white/5 border border-white/10 p-3"><div className="text-xs opacity-70"># Quotes</div><div className="text-xl font-semibold">{stats.count}</div></div>
-                  <div className="rounded-xl bg-white/5 border border-white/10 p-3"><div className="text-xs opacity-70">Avg price</div><div className="text-xl font-semibold">{EUR(stats.avgPrice || 0)}</div></div>
-                  <div className="rounded-xl bg-white/5 border border-white/10 p-3"><div className="text-xs opacity-70">Avg cost</div><div className="text-xl font-semibold">{EUR(stats.avgCost || 0)}</div></div>
-                  <div className="rounded-xl bg-white/5 border border-white/10 p-3"><div className="text-xs opacity-70">Avg GM</div><div className="text-xl font-semibold">{N((stats.avgGM || 0) * 100, 1)}%</div></div>
+                  <div className="rounded-xl bg-white/5 border border-white/10 p-3"><div className="text-xs opacity-70"># Quotes</div><div className="text-xl font-semibold">{stats.count}</div><div className="text-xs opacity-70">{stats.wonCount} won</div></div>
+                  <div className="rounded-xl bg-white/5 border border-white/10 p-3"><div className="text-xs opacity-70">Avg price (all shown)</div><div className="text-xl font-semibold">{EUR(stats.avgPrice || 0)}</div><div className="text-xs opacity-70">won: {stats.wonCount ? EUR(stats.won.avgPrice) : "—"}</div></div>
+                  <div className="rounded-xl bg-white/5 border border-white/10 p-3"><div className="text-xs opacity-70">Avg cost (all shown)</div><div className="text-xl font-semibold">{EUR(stats.avgCost || 0)}</div><div className="text-xs opacity-70">won: {stats.wonCount ? EUR(stats.won.avgCost) : "—"}</div></div>
+                  <div className="rounded-xl bg-white/5 border border-white/10 p-3"><div className="text-xs opacity-70">Avg GM (all shown)</div><div className="text-xl font-semibold">{N((stats.avgGM || 0) * 100, 1)}%</div><div className="text-xs opacity-70">won: {stats.wonCount ? `${N(stats.won.avgGM * 100, 1)}%` : "—"}</div></div>
                 </div>
 
+                {proposalQuote && (
+                  <ProposalPanel quote={proposalQuote} template={proposalTpl} setTemplate={setProposalTpl}
+                                 profiles={profiles} onClose={() => setProposalFor(null)} />
+                )}
+
+                <WinLossPanel history={history} />
+
+                <HistoryCharts rows={shownHistory} />
+
                 <div className="overflow-auto rounded-xl border border-white/10">
-                  <table className="min-w-[1400px] w-full text-sm">
+                  <table className="min-w-[1600px] w-full text-sm">
                     <thead className="bg-white/5">
                       <tr className="text-left">
-                        <th className="px-3 py-2">Date</th><th className="px-3 py-2">Client</th><th className="px-3 py-2">AOI</th>
-                        <th className="px-3 py-2">Mode</th><th className="px-3 py-2">Platform</th><th className="px-3 py-2">Profile</th>
-                        <th className="px-3 py-2">Area km²</th><th className="px-3 py-2">Revisit (min)</th><th className="px-3 py-2"># Missions</th>
-                        <th className="px-3 py-2">Cost/km² per revisit</th><th className="px-3 py-2">Cost/km² per year</th>
-                        <th className="px-3 py-2">Cost/mission</th><th className="px-3 py-2">Annual cost</th>
-                        <th className="px-3 py-2">Price/km² per revisit</th><th className="px-3 py-2">Price/km² per year</th>
-                        <th className="px-3 py-2">Price/mission</th><th className="px-3 py-2">Final price</th>
-                        <th className="px-3 py-2">GM</th><th className="px-3 py-2">Actions</th>
+                        {HIST_COLS.map(([key, label]) => (
+                          <th key={label} className="px-3 py-2 whitespace-nowrap">
+                            {key ? (
+                              <button className="hover:text-[#9ed1ff]" onClick={() => sortBy(key)}>
+                                {label}{view.sort.key === key ? (view.sort.dir === "asc" ? " ▲" : " ▼") : ""}
+                              </button>
+                            ) : label}
+                          </th>
+                        ))}
                       </tr>
                     </thead>
                     <tbody>
-                      {history.length === 0 ? (
-                        <tr><td colSpan={19} className="px-3 py-4 text-center text-slate-400">No saved quotes.</td></tr>
-                      ) : history.map(q=>(
-                        <tr key={q.id} className="border-t border-white/10">
+                      {shownHistory.length === 0 ? (
+                        <tr><td colSpan={23} className="px-3 py-4 text-center text-slate-400">No saved quotes.</td></tr>
+                      ) : shownHistory.map(q=>{ const QP = priceFmt(entryFx(q)); const nRev = revCounts.get(dealOf(q)) || 1; return (
+                        <React.Fragment key={q.id}>
+                        <tr className="border-t border-white/10">
                           <td className="px-3 py-2 whitespace-nowrap">{fmtDate(q.ts)}</td>
                           <td className="px-3 py-2">{q.client_name}</td>
-                          <td className="px-3 py-2">{q.aoi_name}</td>
+                          <td className="px-3 py-2 whitespace-nowrap">
+                            <span className={editingId===q.id ? "text-emerald-300 font-semibold" : ""} title={q.author ? `by ${q.author}` : undefined}>Rev {revLabel(revOf(q))}</span>
+                            {nRev > 1 && (
+                              <button className="ml-2 text-[#9ed1ff] hover:underline text-xs" onClick={()=>setOpenDeal(d => d===dealOf(q) ? null : dealOf(q))}>
+                                {openDeal===dealOf(q) ? "▾" : "▸"} {nRev} revs
+                              </button>
+                            )}
+                          </td>
+                          <td className="px-3 py-2 whitespace-nowrap">
+                            <select className={`border border-white/10 rounded px-1 py-0.5 bg-white/5 text-xs ${STATUS_STYLE[statusOf(q)]}`}
+                                    value={statusOf(q)} onChange={(e)=>changeStatus(q.id, e.target.value, e.target.value==='lost' ? 'other' : null)}>
+                              {STATUSES.map(st => <option key={st} value={st}>{st}</option>)}
+                            </select>
+                            {statusOf(q)==='lost' && (
+                              <select className="ml-1 border border-white/10 rounded px-1 py-0.5 bg-white/5 text-xs" value={q.loss_reason || "other"}
+                                      onChange={(e)=>changeStatus(q.id, 'lost', e.target.value)}>
+                                {LOSS_REASONS.map(r => <option key={r} value={r}>{r}</option>)}
+                              </select>
+                            )}
+                            <div className="text-[11px] text-slate-400">
+                              {fmtDate(statusDate(q)).split(",")[0]}
+                              {q.valid_until && OPEN.has(statusOf(q)) && ` · valid to ${fmtDate(q.valid_until).split(",")[0]}`}
+                            </div>
+                          </td>
+                          <td className="px-3 py-2">
+                            {q.portfolio ? (
+                              <button className="text-[#9ed1ff] hover:underline" onClick={()=>setOpenPortfolio(o => o===q.id ? null : q.id)}>
+                                {openPortfolio===q.id ? "▾" : "▸"} {q.aoi_name} ({q.portfolio.items.length} AOIs)
+                              </button>
+                            ) : q.aoi_name}
+                          </td>
                           <td className="px-3 py-2">{q.mode}</td>
                           <td className="px-3 py-2">{q.platform}</td>
                           <td className="px-3 py-2">{q.mission_profile}</td>
@@ -1137,24 +1347,114 @@ export default function App() {
                           <td className="px-3 py-2">{EUR(q.cost_km2_year, 2)}</td>
                           <td className="px-3 py-2">{EUR(q.cost_per_mission)}</td>
                           <td className="px-3 py-2">{EUR(q.cost_annual)}</td>
-                          <td className="px-3 py-2">{q.price_km2_per_revisit!=null ? EUR(q.price_km2_per_revisit,2) : "—"}</td>
-                          <td className="px-3 py-2">{EUR(q.price_km2_year, 2)}</td>
-                          <td className="px-3 py-2">{EUR(q.price_per_mission)}</td>
-                          <td className="px-3 py-2 font-semibold">{EUR(q.price_annual)}</td>
+                          <td className="px-3 py-2">{q.price_km2_per_revisit!=null ? QP(q.price_km2_per_revisit,2) : "—"}</td>
+                          <td className="px-3 py-2">{QP(q.price_km2_year, 2)}</td>
+                          <td className="px-3 py-2">{QP(q.price_per_mission)}</td>
+                          <td className="px-3 py-2 font-semibold">{QP(q.price_annual)}</td>
                           <td className="px-3 py-2">{q.GM_prop!=null ? `${N(q.GM_prop*100,1)}%` : "—"}</td>
+                          <td className="px-3 py-2">{q.platforms ?? "—"}</td>
+                          <td className={`px-3 py-2 ${q.revisit_slack_min < 0 ? "text-red-300 font-semibold" : ""}`}>{q.revisit_slack_min!=null ? N(q.revisit_slack_min,0) : "—"}</td>
                           <td className="px-3 py-2">
                             <div className="flex gap-2">
                               <Button className="bg-white/10 border border-white/20 text-slate-200" onClick={()=>loadQuoteIntoForm(q)}>Load</Button>
+                              <Button className="bg-white/10 border border-white/20 text-slate-200" onClick={()=>setProposalFor(q.id)}>Proposal</Button>
+                              <Button className="bg-white/10 border border-white/20 text-slate-200" onClick={()=>q.inputs && pinScenario(`${q.client_name} · ${q.aoi_name}`, q.inputs, `quote ${fmtDate(q.ts)}`)}>Pin</Button>
                               <Button className="border-red-400/40 text-red-300 hover:bg-red-500/10" onClick={()=>removeQuote(q.id)}>Delete</Button>
                             </div>
                           </td>
                         </tr>
-                      ))}
+                        {openDeal===dealOf(q) && (!allRevisions || revOf(q)===Math.max(...dealRevisions(history, dealOf(q)).map(revOf))) && (
+                          <tr className="bg-white/[0.03]">
+                            <td></td>
+                            <td colSpan={22} className="px-3 py-2">
+                              <RevisionPanel revs={dealRevisions(history, dealOf(q))} labelOf={labelOf} onLoad={loadQuoteIntoForm} />
+                            </td>
+                          </tr>
+                        )}
+                        {q.portfolio && openPortfolio===q.id && (
+                          <tr className="bg-white/[0.03]">
+                            <td></td>
+                            <td colSpan={22} className="px-3 py-2">
+                              <table className="text-xs">
+                                <thead className="text-slate-400"><tr className="text-left">
+                                  <th className="pr-4">AOI</th><th className="pr-4">Type</th><th className="pr-4">Area km²</th>
+                                  <th className="pr-4">{q.mode==='saas' ? 'Revisit (min)' : '# Missions'}</th><th className="pr-4">Cost</th><th className="pr-4">Price</th>
+                                </tr></thead>
+                                <tbody>
+                                  {q.portfolio.items.map((a, i) => (
+                                    <tr key={i}>
+                                      <td className="pr-4">{a.name}</td><td className="pr-4">{a.aoiType}</td><td className="pr-4">{N(a.aoi_km2,1)}</td>
+                                      <td className="pr-4">{q.mode==='saas' ? N(a.revisit_min,0) : a.missions_count}</td>
+                                      <td className="pr-4">{EUR(a.cost)}</td><td className="pr-4">{QP(a.price)}</td>
+                                    </tr>
+                                  ))}
+                                </tbody>
+                              </table>
+                              {q.portfolio.discount > 0 && <div className="text-xs text-slate-400 mt-1">Bundle discount {N(q.portfolio.discount*100,1)}%</div>}
+                            </td>
+                          </tr>
+                        )}
+                        </React.Fragment>
+                      ); })}
                     </tbody>
                   </table>
                 </div>
               </section>
             )}
+
+            {/* STEP 8 — Compare */}
+            {currentStep === 8 && (
+              <section className="bg-white/5 border border-white/10 rounded-2xl shadow-xl p-4 space-y-4">
+                <div className="flex items-center justify-between">
+                  <h2 className="text-[#9ed1ff] font-medium">Compare Scenarios</h2>
+                  <span className="text-xs text-slate-400">{pinned.length}/{MAX_PINNED} pinned</span>
+                </div>
+
+                <div className="rounded-lg border border-white/10 p-3 bg-white/5 grid grid-cols-1 md:grid-cols-12 gap-2 items-center">
+                  <Button className="md:col-span-3 py-2" onClick={() => pinScenario(`${p.client_name} · ${p.aoi_name}`, p, "current form")}>Pin current form</Button>
+                  <select className="md:col-span-7 border border-white/10 rounded px-2 py-2 bg-white/5" value={pinSrc} onChange={(e)=>setPinSrc(e.target.value)}>
+                    <option value="">— pin from preset or saved quote —</option>
+                    {presets.length > 0 && <optgroup label="AOI presets">{presets.map(x => <option key={x.id} value={`aoi:${x.id}`}>{x.name}</option>)}</optgroup>}
+                    {platPresets.length > 0 && <optgroup label="Platform presets">{platPresets.map(x => <option key={x.id} value={`plat:${x.id}`}>{x.name}</option>)}</optgroup>}
+                    {payPresets.length > 0 && <optgroup label="Payload presets">{payPresets.map(x => <option key={x.id} value={`pay:${x.id}`}>{x.name}</option>)}</optgroup>}
+                    {history.length > 0 && <optgroup label="Saved quotes">{history.map(q => <option key={q.id} value={`quote:${q.id}`}>{fmtDate(q.ts)} · {q.client_name} · {q.aoi_name}</option>)}</optgroup>}
+                  </select>
+                  <Button variant="secondary" className="md:col-span-2 py-2 bg-white/10 hover:bg-white/20" onClick={pinFromSource} disabled={!pinSrc}>Pin</Button>
+                </div>
+
+                <ComparePanel
+                  scenarios={pinned}
+                  profiles={profiles}
+                  pricing={pricing}
+                  fxTable={fxTable}
+                  labelOf={labelOf}
+                  onRemove={(id) => setPinned(prev => prev.filter(s => s.id !== id))}
+                  onRename={(id, label) => setPinned(prev => prev.map(s => s.id === id ? { ...s, label } : s))}
+                  onPromote={promoteScenario}
+                />
+              </section>
+            )}
+
+            {/* STEP 9 — Portfolio */}
+            {currentStep === 9 && (
+              <section className="bg-white/5 border border-white/10 rounded-2xl shadow-xl p-4 space-y-4">
+                <h2 className="text-[#9ed1ff] font-medium">Portfolio Quote — {p.client_name || "Client"}</h2>
+                <PortfolioPanel
+                  p={p}
+                  profiles={profiles}
+                  pricing={pricing}
+                  portfolio={portfolio}
+                  setPortfolio={setPortfolio}
+                  onAddCurrent={() => addAoiToPortfolio(aoiFromForm(p))}
+                  aoiPresets={presets}
+                  onAddPreset={(id) => { const pr = presets.find(x => x.id === id); if (pr) addAoiToPortfolio(aoiFromForm(applyAoiPreset(p, pr), pr.name)); }}
+                  onSave={savePortfolio}
+                  fmt={PX}
+                />
+                <BatchPanel p={p} fx={fxNow} profiles={profiles} pricing={pricing}
+                            platPresets={platPresets} payPresets={payPresets} aoiPresets={presets} onSave={saveBatch} />
+              </section>
+            )}
           </div>
 
           {/* RIGHT COLUMN — Live Quote (always visible) */}
@@ -1167,7 +1467,8 @@ export default function App() {
             <CardContent className="px-0 pb-0 space-y-2">
               <div className="text-xs text-slate-400">
                 {p.client_name} • {p.aoi_name} • {p.platform==='relay'?'Stratorelay':'Stratostats'}
-                {p.mode==='saas' ? ` • R=${N(p.revisit_min,0)} min` : ` • #=${missionsCount} • ${PROFILES[p.mission_profile].name}`}
+                {p.mode==='saas' ? ` • R=${N(p.revisit_min,0)} min` : ` • #=${missionsCount} • ${t.pr.name} • lead ${N(t.leadDays,0)} d`}
+                {fxNow.currency !== "EUR" && ` • prices in ${fxNow.currency} @ ${fxNow.rate}/EUR`}
               </div>
 
               <div className="border-t border-white/10 my-2" />
@@ -1191,15 +1492,15 @@ export default function App() {
               {/* Prices */}
               {p.mode==='saas' ? (
                 <>
-                  <Row l="Price per km² per revisit">{EUR(m.PricePerKm2_per_revisit, 2)}</Row>
-                  <Row l="Price per km² per year">{EUR(m.PricePerKm2_year, 2)}</Row>
+                  <Row l="Price per km² per revisit">{PX(m.PricePerKm2_per_revisit, 2)}</Row>
+                  <Row l="Price per km² per year">{PX(m.PricePerKm2_year, 2)}</Row>
                 </>
               ) : (
                 <>
-                  <Row l="Price per km² (per mission)">{EUR(t.pricePerKm2, 2)}</Row>
+                  <Row l="Price per km² (per mission)">{PX(t.pricePerKm2, 2)}</Row>
                 </>
               )}
-              <Row l={`Price per ${p.mode==='tasking'?(p.platform==='relay'?'launch':'mission'):'mission (target GM)'}`}>{EUR(p.mode==='saas'?m.PricePerMission_target:t.Pm_final)}</Row>
+              <Row l={`Price per ${p.mode==='tasking'?(p.platform==='relay'?'launch':'mission'):'mission (target GM)'}`}>{PX(p.mode==='saas'?m.PricePerMission_target:t.Pm_final)}</Row>
 
               {/* FINAL PRICE highlight (always) */}
               <div className="mt-3 rounded-2xl p-4 border relative overflow-hidden"
@@ -1209,7 +1510,7 @@ export default function App() {
                 <div className="relative">
                   <div className="text-xs uppercase tracking-wider text-emerald-300/90">Final price</div>
                   <div className="mt-1 text-2xl md:text-3xl font-semibold text-emerald-200 drop-shadow">
-                    {p.mode==='saas' ? EUR(m.PriceAnnualChosen) : EUR(t.Ptot_final)}
+                    {PX(p.mode==='saas' ? m.PriceAnnualChosen : t.Ptot_final)}
                   </div>
                   <div className="text-xs text-slate-400 mt-1">
                     {p.mode==='saas' ? "Annual price for AOI" : "Total for the selected batch"}
@@ -1217,9 +1518,19 @@ export default function App() {
                 </div>
               </div>
 
-              { (p.mode==='saas' && m.GM!=null) && <Row l="GM on proposed annual">{N(m.GM*100,1)}%</Row> }
+              { (p.mode==='saas' && m.pricing.steps.length > 0) && <Row l="Pricing rules">{m.pricing.steps.map(s => s.key.replace("_", " ")).join(" · ")}</Row> }
+              { (p.mode==='saas' && m.GM!=null) && <Row l={m.pricing.steps.length ? "GM after rules" : "GM on proposed annual"}>{N(m.GM*100,1)}%</Row> }
+              { (p.mode==='saas' && cf.term > 1) && <Row l={`Contract value (${cf.term} yr)`} info="term_years">{PX(cf.tcv)}</Row> }
               { (p.mode!=='saas' && t.hasUserPrice) && <Row l={`GM on proposed / ${p.platform==='relay'?'launch':'mission'}`}>{N(((t.userPm - t.Cmis)/t.userPm)*100,1)}%</Row> }
 
+              {p.mode==='saas' && (
+                <>
+                  <div className="border-t border-white/10 my-2" />
+                  <div className="text-xs uppercase tracking-wider text-slate-400">Fleet & feasibility</div>
+                  <FleetRows m={m} />
+                </>
+              )}
+
               <div className="mt-3 flex flex-wrap gap-2">
                 <Button className="bg-sky-500/20 border border-sky-400 text-sky-200" onClick={()=>setCurrentStep(6)}>
                   Open Summary
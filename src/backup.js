@@ -0,0 +1,175 @@
+// src/backup.js
+// Workspace backup and restore: every stratosar:* storage entry in one versioned JSON
+// file, restored by merge (conflicts resolved by id) or replace. Older storage keys and
+// pre-backup exports (a bare quotes array, or a raw key → value dump) are migrated on load.
+
+import { normalizeInputs, missionsOf } from "./engine.js";
+import * as storage from "./storage.js";
+
+export const BACKUP_FORMAT = "stratosar-workspace";
+export const BACKUP_VERSION = 1;
+
+// Workspace stores. `kind` drives merging: lists conflict by `idKey`, maps by key, values
+// are taken whole. `legacy` keys are read (newest first) when the current key is absent.
+export const STORES = [
+  { name: "quotes", label: "Quotes", key: "stratosar:quotes:v3", kind: "list", idKey: "id",
+    legacy: ["stratosar:quotes:v2", "stratosar:quotes:v1"] },
+  { name: "aoi_presets", label: "AOI presets", key: "stratosar:aoi-presets:v1", kind: "list", idKey: "id" },
+  { name: "plat_presets", label: "Platform presets", key: "stratosar:plat-presets:v1", kind: "list", idKey: "id" },
+  { name: "payload_presets", label: "Payload presets", key: "stratosar:payload-presets:v1", kind: "list", idKey: "id" },
+  { name: "profiles", label: "Mission profiles", key: "stratosar:profiles:v1", kind: "map" },
+  { name: "compare", label: "Pinned scenarios", key: "stratosar:compare:v1", kind: "list", idKey: "id" },
+  { name: "history_views", label: "Saved history views", key: "stratosar:history-views:v1", kind: "list", idKey: "name" },
+  { name: "portfolio", label: "Portfolio draft", key: "stratosar:portfolio:v1", kind: "value" },
+  { name: "fx", label: "FX table", key: "stratosar:fx:v1", kind: "value" },
+  { name: "pricing_rules", label: "Pricing rules", key: "stratosar:pricing-rules:v1", kind: "value" },
+  { name: "proposal_template", label: "Proposal template", key: "stratosar:proposal-template:v1", kind: "value" },
+  { name: "user", label: "Author name", key: "stratosar:user:v1", kind: "value" },
+];
+export const storeKey = (name) => STORES.find((s) => s.name === name).key;
+
+/* ====================== Migrations ====================== */
+
+// Quotes saved before v3 may lack ids, timestamps, the input snapshot or fx; flat rows
+// carry the inputs at top level. Anything that cannot be read back is dropped.
+export function migrateQuote(q, i = 0) {
+  if (!q || typeof q !== "object") return null;
+  const ts = Number.isFinite(+q.ts) && +q.ts > 0 ? +q.ts : Date.parse(q.date || q.created_at || "") || Date.now();
+  const inputs = normalizeInputs(q.inputs || q);
+  return {
+    ...q,
+    id: q.id || `q_${ts}_${i}`,
+    ts,
+    client_name: q.client_name || inputs.client_name || "Client",
+    aoi_name: q.aoi_name || inputs.aoi_name || "AOI",
+    mode: q.mode || inputs.mode,
+    platform: q.platform || inputs.platform,
+    mission_profile: q.mission_profile || inputs.mission_profile,
+    missions_count: q.missions_count ?? missionsOf(inputs),
+    aoi_km2: q.aoi_km2 ?? inputs.aoi_km2,
+    fx: q.fx || { currency: "EUR", rate: 1, asOf: null },
+    inputs,
+  };
+}
+const MIGRATE = { quotes: (list) => (Array.isArray(list) ? list.map(migrateQuote).filter(Boolean) : []) };
+
+const read = (k) => storage.get(k, undefined);
+
+/** Copy legacy keys forward once (the current key wins if both exist). Returns migrated store names. */
+export function migrateStorage() {
+  const done = [];
+  for (const s of STORES) {
+    if (!s.legacy || read(s.key) !== undefined) continue;
+    const from = s.legacy.find((k) => read(k) !== undefined);
+    if (!from) continue;
+    storage.set(s.key, (MIGRATE[s.name] || ((v) => v))(read(from)));
+    done.push(s.name);
+  }
+  return done;
+}
+
+/* ====================== Export ====================== */
+
+export function snapshot() {
+  const data = {};
+  for (const s of STORES) { const v = read(s.key); if (v !== undefined) data[s.name] = v; }
+  return { format: BACKUP_FORMAT, version: BACKUP_VERSION, exported_at: new Date().toISOString(), data };
+}
+
+/* ====================== Import ====================== */
+
+/**
+ * Parse a backup file into `{ version, exported_at, data }` keyed by store name.
+ * Also accepts a bare quotes array and a raw localStorage dump (current or legacy keys).
+ */
+export function parseBackup(text) {
+  let raw;
+  try { raw = JSON.parse(text); } catch { throw new Error("Not a JSON file."); }
+  let data = {}, version = 0, exported_at = null;
+  if (Array.isArray(raw)) data.quotes = raw;
+  else if (raw && raw.format === BACKUP_FORMAT) {
+    if (!(raw.version <= BACKUP_VERSION)) throw new Error(`Backup version ${raw.version} was written by a newer version of the planner.`);
+    ({ version, exported_at } = raw);
+    data = { ...raw.data };
+  } else if (raw && typeof raw === "object") {
+    for (const s of STORES) {
+      const k = [s.key, ...(s.legacy || [])].find((x) => x in raw);
+      if (k === undefined) continue;
+      const v = typeof raw[k] === "string" ? (() => { try { return JSON.parse(raw[k]); } catch { return raw[k]; } })() : raw[k];
+      data[s.name] = k === s.key ? v : (MIGRATE[s.name] || ((x) => x))(v);
+    }
+    if (!Object.keys(data).length) throw new Error("No workspace data found in this file.");
+  } else throw new Error("No workspace data found in this file.");
+  // quotes are always normalized: cheap, and repairs hand-edited files
+  if (data.quotes) data.quotes = MIGRATE.quotes(data.quotes);
+  for (const s of STORES) {
+    if (!(s.name in data)) continue;
+    const v = data[s.name];
+    const ok = s.kind === "list" ? Array.isArray(v) : s.kind === "map" ? v && typeof v === "object" && !Array.isArray(v) : true;
+    if (!ok) throw new Error(`${s.label}: unexpected data shape.`);
+  }
+  return { version, exported_at, data };
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Conflicting imports kept alongside the local item get a fresh id; quote revisions stay in their deal.
+function renamed(s, item, taken) {
+  let n = 1, id;
+  do id = `${item[s.idKey]}_imp${n > 1 ? n : ""}`, n++; while (taken.has(id));
+  const next = { ...item, [s.idKey]: id };
+  if (s.name === "quotes") next.deal_id = item.deal_id || item.id;
+  if (s.idKey !== "name" && item.name) next.name = `${item.name} (imported)`;
+  return next;
+}
+
+/**
+ * What an import would do, per store: `{ name, label, kind, added, same, conflicts, next }`.
+ * mode: "merge" | "replace"; conflict: "keep" (local wins) | "overwrite" | "both".
+ */
+export function planRestore(backup, { mode = "merge", conflict = "keep" } = {}) {
+  const out = [];
+  for (const s of STORES) {
+    if (!(s.name in backup.data)) continue;
+    const inc = backup.data[s.name], cur = read(s.key);
+    const row = { name: s.name, label: s.label, kind: s.kind, key: s.key, added: 0, same: 0, conflicts: 0, next: inc };
+    if (s.kind === "value") {
+      if (cur === undefined) row.added = 1; else if (same(cur, inc)) row.same = 1; else row.conflicts = 1;
+      if (mode === "merge" && row.conflicts && conflict === "keep") row.next = cur;
+    } else if (s.kind === "map") {
+      const next = mode === "replace" || !cur ? {} : { ...cur };
+      for (const [k, v] of Object.entries(inc)) {
+        if (!cur || !(k in cur)) row.added++; else if (same(cur[k], v)) row.same++; else row.conflicts++;
+        if (mode === "replace" || !cur || !(k in cur)) next[k] = v;
+        else if (conflict === "overwrite") next[k] = v;
+        else if (conflict === "both" && !same(cur[k], v)) next[`${k}_imp`] = { ...v, name: `${v.name || k} (imported)` };
+      }
+      row.next = next;
+    } else {
+      const local = Array.isArray(cur) ? cur : [];
+      const byId = new Map(local.map((x) => [x[s.idKey], x]));
+      const taken = new Set(byId.keys());
+      const next = mode === "replace" ? [] : local.slice();
+      for (const item of inc) {
+        const mine = byId.get(item[s.idKey]);
+        if (!mine) row.added++; else if (same(mine, item)) row.same++; else row.conflicts++;
+        if (mode === "replace") { next.push(item); continue; }
+        if (!mine) { next.push(item); taken.add(item[s.idKey]); }
+        else if (same(mine, item) || conflict === "keep") continue;
+        else if (conflict === "overwrite") next[next.indexOf(mine)] = item;
+        else { const r = renamed(s, item, taken); taken.add(r[s.idKey]); next.push(r); }
+      }
+      // quotes are kept newest first, as the app saves them
+      if (s.name === "quotes") next.sort((a, b) => b.ts - a.ts);
+      row.next = next;
+    }
+    out.push(row);
+  }
+  return out;
+}
+
+/** Write a planned restore to storage, all or nothing: on failure the previous entries stay. */
+export async function applyRestore(plan) {
+  try { await storage.setMany(plan.map((r) => [r.key, r.next])); }
+  catch (e) { throw new Error(`Restore failed (${storage.describeError(e)}); previous data kept.`); }
+}
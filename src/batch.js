@@ -0,0 +1,112 @@
+// src/batch.js
+// Batch quoting from a CSV of AOIs (tender site lists): one row per site, priced with the
+// current form parameters plus optional platform/payload presets looked up by name.
+// A row without an area whose name matches an AOI preset takes that preset's AOI.
+// Rows keep their cells as text so the review grid can edit (override) them in place.
+
+import { DEF, pdec, missionsOf, priceScenario, fleetWarnings, quoteEntry } from "./engine.js";
+import { parseCSV } from "./csv.js";
+import { applyFields, applyAoiPreset, PLAT_FIELDS, PAY_FIELDS } from "./presets.js";
+
+// Row field → accepted CSV headers (case-insensitive, spaces/dashes as underscores).
+export const BATCH_COLUMNS = {
+  name: ["name", "aoi", "aoi_name", "site"],
+  type: ["type", "aoitype", "aoi_type"],
+  area: ["area", "area_km2", "aoi_km2", "km2"],
+  width: ["width", "width_km", "aoi_width_km"],
+  corridor_width: ["corridor_width", "corridor_width_km"],
+  revisit: ["revisit", "revisit_min"],
+  missions: ["missions", "missions_count"],
+  platform_preset: ["platform_preset", "platform"],
+  payload_preset: ["payload_preset", "payload"],
+};
+export const BATCH_TEMPLATE = "name,type,area,width,corridor_width,revisit,missions,platform_preset,payload_preset\n";
+
+const headerKey = (h) => h.trim().toLowerCase().replace(/[\s-]+/g, "_");
+
+/** CSV text → editable rows `{ line, name, type, area, … }` (all strings). */
+export function parseBatch(text) {
+  const recs = parseCSV(text);
+  if (!recs.length) throw new Error("No rows found: the first line must be a header (name, type, area, …).");
+  const headers = Object.keys(recs[0]);
+  const col = Object.fromEntries(Object.entries(BATCH_COLUMNS).map(([f, names]) => [f, headers.find((h) => names.includes(headerKey(h)))]));
+  if (!col.name && !col.area) throw new Error("Missing columns: expected at least name and area.");
+  return recs.map((r, i) => ({
+    line: i + 2,
+    include: true,
+    ...Object.fromEntries(Object.keys(BATCH_COLUMNS).map((f) => [f, col[f] ? String(r[col[f]] ?? "").trim() : ""])),
+  }));
+}
+
+// Presets match on name or id, case-insensitively.
+export const findPreset = (list, name) => {
+  const k = String(name || "").trim().toLowerCase();
+  return k ? list.find((x) => x.name?.toLowerCase() === k || x.id?.toLowerCase() === k) : null;
+};
+
+const TYPES = { areal: "areal", area: "areal", polygon: "areal", corridor: "corridor", line: "corridor", linear: "corridor" };
+
+/**
+ * Form inputs for one row plus row-level problems. `errors` block saving the row;
+ * `warnings` (unknown presets) fall back to the form values.
+ */
+export function batchInputs(p, row, { platPresets = [], payPresets = [], aoiPresets = [] } = {}) {
+  const errors = [], warnings = [];
+  let q = { ...p, aoi_name: row.name || `Row ${row.line}`, aoi_geometry: null, path_plan: false };
+  for (const [cell, list, fields, label] of [
+    [row.platform_preset, platPresets, PLAT_FIELDS, "Platform"],
+    [row.payload_preset, payPresets, PAY_FIELDS, "Payload"],
+  ]) {
+    if (!cell) continue;
+    const pr = findPreset(list, cell);
+    if (pr) q = applyFields(q, pr, fields);
+    else warnings.push(`${label} preset "${cell}" not found: form values used.`);
+  }
+  // Optional numeric cell: empty keeps the fallback, anything else must be a positive number.
+  const num = (v, fb, label) => {
+    if (v === "") return fb;
+    const n = pdec(v, NaN);
+    if (n > 0) return n;
+    errors.push(`${label} "${v}" is not a positive number.`);
+    return fb;
+  };
+  const aoiPr = row.area === "" ? findPreset(aoiPresets, row.name) : null;
+  if (aoiPr) q = applyAoiPreset(q, aoiPr);
+  else {
+    const aoiType = row.type ? TYPES[row.type.toLowerCase()] : "areal";
+    if (!aoiType) errors.push(`Unknown type "${row.type}" (areal or corridor).`);
+    const A = pdec(row.area, NaN);
+    if (!(A > 0)) errors.push(row.area ? `Area "${row.area}" is not a positive number.` : "Area missing (and no AOI preset with this name).");
+    q = {
+      ...q,
+      aoiType: aoiType || "areal",
+      aoi_km2: A > 0 ? A : q.aoi_km2,
+      aoi_width_km: num(row.width, null, "Width"),
+      corridor_width_km: num(row.corridor_width, q.corridor_width_km ?? DEF.corridor_width_km, "Corridor width"),
+    };
+  }
+  q.revisit_min = num(row.revisit, q.revisit_min, "Revisit");
+  if (row.missions !== "") {
+    if (/^\d+$/.test(row.missions) && +row.missions > 0) q.missions_count = row.missions;
+    else errors.push(`Missions "${row.missions}" is not a positive whole number.`);
+  }
+  if (q.mode === "tasking" && missionsOf(q) < 1) errors.push("Tasking needs at least one mission.");
+  return { inputs: q, errors, warnings, aoiPreset: aoiPr?.name || null };
+}
+
+/** Price every row: `{ row, inputs, metrics, m, errors, warnings, aoiPreset }`, warnings including fleet feasibility. */
+export function priceBatch(p, rows, { platPresets, payPresets, aoiPresets, profiles, pricing } = {}) {
+  return rows.map((row) => {
+    const { inputs, errors, warnings, aoiPreset } = batchInputs(p, row, { platPresets, payPresets, aoiPresets });
+    const { m, metrics } = priceScenario(inputs, profiles, pricing);
+    return { row, inputs, m, metrics, errors, aoiPreset, warnings: inputs.mode === "saas" ? [...warnings, ...fleetWarnings(m)] : warnings };
+  });
+}
+
+/** History entries for the included, error-free rows (newest first, like single saves). */
+export function batchEntries(priced, { fx, file = "", ts = Date.now() } = {}) {
+  return priced
+    .filter((r) => r.row.include && !r.errors.length)
+    .map((r, i) => ({ ...quoteEntry(r.inputs, r.metrics, { id: `q_${ts}_b${i + 1}`, ts, fx }), batch: { file, line: r.row.line } }))
+    .reverse();
+}
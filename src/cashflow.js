@@ -0,0 +1,82 @@
+// src/cashflow.js
+// Multi-year SaaS contract: yearly cash flows, NPV, IRR and payback from compute() output.
+//
+// "amortize": CAPEX stays inside the mission cost (straight-line per flying day), as in compute().
+// "upfront":  the fleet (P platforms with one payload each) is bought in year 0 and the
+//             amortization share is taken out of the yearly cost. No residual value is credited.
+import { DEF, pdec } from "./engine.js";
+
+export const MAX_TERM = 5;
+
+export function npv(rate, flows) {
+  return flows.reduce((s, f, y) => s + f / Math.pow(1 + rate, y), 0);
+}
+
+// IRR by bisection on [-99%, 1000%]; null when NPV does not change sign.
+export function irr(flows) {
+  let lo = -0.99, hi = 10;
+  let fLo = npv(lo, flows), fHi = npv(hi, flows);
+  if (!(fLo * fHi < 0)) return null;
+  for (let i = 0; i < 200; i++) {
+    const mid = (lo + hi) / 2, fMid = npv(mid, flows);
+    if (Math.abs(fMid) < 1e-6) return mid;
+    if (fLo * fMid < 0) { hi = mid; fHi = fMid; } else { lo = mid; fLo = fMid; }
+  }
+  return (lo + hi) / 2;
+}
+
+// Years (fractional) until cumulative cash turns positive; null if never within the term.
+// Year-y cash arrives evenly through year y, so the crossing is interpolated inside it.
+// A year 0 of exactly 0 (amortize mode, nothing invested) is not a payback by itself: a
+// loss-making contract stays null. When year 1 is profitable the crossing is at its very
+// start, so 0 is the right answer there: there is no investment to recover.
+export function payback(flows) {
+  if (flows[0] > 0) return 0;
+  let cum = flows[0] || 0;
+  for (let y = 1; y < flows.length; y++) {
+    const prev = cum;
+    cum += flows[y];
+    if (cum > 0) return y - 1 + (prev < 0 ? -prev / flows[y] : 0);
+  }
+  return null;
+}
+
+export function contractCashflow(p, m) {
+  const term = Math.min(Math.max(Math.round(pdec(p.term_years, DEF.term_years)), 1), MAX_TERM);
+  const esc = pdec(p.price_escalation, 0);
+  const infl = pdec(p.cost_inflation, 0);
+  const rate = pdec(p.discount_rate, DEF.discount_rate);
+  const upfront = p.capex_mode === "upfront";
+
+  const capex = upfront
+    ? m.P * (pdec(p.capex_platform_EUR, DEF.capex_platform_EUR) + pdec(p.capex_payload_EUR, DEF.capex_payload_EUR))
+    : 0;
+  const amortYear = m.Ft * m.amortMis;
+  const cost1 = upfront ? m.Ann - amortYear : m.Ann;
+
+  const years = [{ year: 0, revenue: 0, cost: 0, capex, net: -capex }];
+  for (let y = 1; y <= term; y++) {
+    const revenue = m.PriceAnnualChosen * Math.pow(1 + esc, y - 1);
+    const cost = cost1 * Math.pow(1 + infl, y - 1);
+    years.push({ year: y, revenue, cost, capex: 0, net: revenue - cost });
+  }
+  let cum = 0;
+  for (const r of years) {
+    cum += r.net;
+    r.cumulative = cum;
+    r.discounted = r.net / Math.pow(1 + rate, r.year);
+  }
+
+  const flows = years.map(r => r.net);
+  const tcv = years.reduce((s, r) => s + r.revenue, 0);
+  const totalCost = years.reduce((s, r) => s + r.cost + r.capex, 0);
+  return {
+    term, rate, upfront, years,
+    tcv,
+    totalCost,
+    margin: tcv > 0 ? (tcv - totalCost) / tcv : null,
+    npv: npv(rate, flows),
+    irr: irr(flows),
+    payback: payback(flows),
+  };
+}
@@ -0,0 +1,70 @@
+import { useMemo } from "react";
+import { N } from "../format.js";
+import { coverageLayout } from "../coverage.js";
+
+const MAX_DRAWN = 300;
+
+// 1·2·5 × 10^k just under `x`
+const niceKm = (x) => {
+  const e = 10 ** Math.floor(Math.log10(x));
+  return [5, 2, 1].map((k) => k * e).find((v) => v <= x) || e;
+};
+
+/* Schematic, offline preview of the AOI, swath strips and turn loops (no map tiles). */
+export function AoiPreview({ p }) {
+  const lay = useMemo(() => coverageLayout(p), [p]);
+  const { L, W, r, sw, n, lines, turns, corridor } = lay;
+  const drawn = lines.slice(0, MAX_DRAWN);
+  const pad = Math.max(r * 1.2, Math.max(L, W) * 0.04);
+  const vb = [-pad, -pad, L + 2 * pad, W + 2 * pad];
+  const bar = niceKm(Math.max(L, 1e-3) / 4);
+
+  // loop between two strip ends: semicircle when it fits, bulb (omega) turn when 2r > spacing
+  const loop = (t) => {
+    if (t.y1 === t.y2) return null;
+    const rad = Math.max(t.r, Math.abs(t.y2 - t.y1) / 2);
+    const big = t.r > Math.abs(t.y2 - t.y1) / 2 ? 1 : 0;
+    return `M ${t.x} ${t.y1} A ${rad} ${rad} 0 ${big} ${t.side > 0 ? 1 : 0} ${t.x} ${t.y2}`;
+  };
+
+  return (
+    <div className="rounded-lg border border-white/10 p-3 bg-white/5 space-y-2">
+      <div className="flex items-center gap-2">
+        <div className="text-sm font-medium text-slate-200 mr-auto">Coverage preview</div>
+        <div className="text-xs text-slate-400">
+          {N(L, 2)} × {N(W, 2)} km · {n} strip{n === 1 ? "" : "s"} · spacing {N(lay.step, 2)} km · swath {N(sw, 2)} km
+        </div>
+      </div>
+      <svg viewBox={vb.join(" ")} className="w-full bg-[#0b1220] rounded" style={{ maxHeight: 320 }} preserveAspectRatio="xMidYMid meet">
+        <rect x={0} y={0} width={L} height={W} fill={corridor ? "#f59e0b22" : "#38bdf822"} stroke={corridor ? "#f59e0b" : "#38bdf8"}
+              strokeWidth={1.5} vectorEffect="non-scaling-stroke" />
+        {drawn.map((s, i) => (
+          <rect key={`s${i}`} x={0} y={s.y - sw / 2} width={L} height={sw} fill="#a78bfa" fillOpacity={0.18} />
+        ))}
+        {drawn.map((s, i) => (
+          <line key={`l${i}`} x1={0} y1={s.y} x2={L} y2={s.y} stroke="#e2e8f0" strokeWidth={1} vectorEffect="non-scaling-stroke" />
+        ))}
+        {turns.slice(0, MAX_DRAWN).map((t, i) =>
+          t.y1 === t.y2 ? (
+            <circle key={`t${i}`} cx={t.x} cy={t.y1 + t.r} r={t.r} fill="none" stroke="#f472b6" strokeWidth={1} vectorEffect="non-scaling-stroke" />
+          ) : (
+            <path key={`t${i}`} d={loop(t)} fill="none" stroke="#f472b6" strokeWidth={1} vectorEffect="non-scaling-stroke" />
+          )
+        )}
+        <line x1={0} y1={W + pad * 0.6} x2={bar} y2={W + pad * 0.6} stroke="#94a3b8" strokeWidth={2} vectorEffect="non-scaling-stroke" />
+      </svg>
+      <div className="flex flex-wrap gap-3 text-[11px] text-slate-400">
+        <span><span className="inline-block w-3 h-2 align-middle mr-1" style={{ background: corridor ? "#f59e0b" : "#38bdf8" }} />{corridor ? "Corridor" : "AOI"}</span>
+        <span><span className="inline-block w-3 h-2 align-middle mr-1 bg-violet-400/60" />Swath (darker = overlap)</span>
+        <span><span className="inline-block w-3 h-2 align-middle mr-1 bg-pink-400" />Turn loops (r = {N(r, 2)} km)</span>
+        <span className="ml-auto">Scale bar: {N(bar, 2)} km</span>
+      </div>
+      {n > MAX_DRAWN && <div className="text-xs text-slate-400">Showing the first {MAX_DRAWN} of {n} strips.</div>}
+      {lay.warnings.length > 0 && (
+        <div className="rounded border border-red-400/50 bg-red-500/10 text-red-200 text-xs px-2 py-1 space-y-0.5">
+          {lay.warnings.map((w, i) => <div key={i}>⚠ {w}</div>)}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,95 @@
+import { useState } from "react";
+import { Button } from "./ui/button";
+import { snapshot, parseBackup, planRestore, applyRestore } from "../backup.js";
+import { downloadText } from "../download.js";
+import { fmtDate } from "../engine.js";
+
+const field = "border border-white/10 rounded px-2 py-1 bg-white/5";
+
+/* Export the whole workspace to a JSON file, or restore one by merge or replace. */
+export function BackupPanel({ onRestored, onClose }) {
+  const [backup, setBackup] = useState(null);
+  const [fileName, setFileName] = useState("");
+  const [mode, setMode] = useState("merge");
+  const [conflict, setConflict] = useState("keep");
+  const [error, setError] = useState("");
+
+  const exportAll = () => {
+    const b = snapshot();
+    downloadText(`stratosar-workspace-${b.exported_at.slice(0, 10)}.json`, JSON.stringify(b, null, 2), "application/json");
+  };
+  const pick = async (file) => {
+    if (!file) return;
+    setError(""); setBackup(null);
+    try { setBackup(parseBackup(await file.text())); setFileName(file.name); }
+    catch (e) { setError(e.message || "Could not read backup."); }
+  };
+  const plan = backup ? planRestore(backup, { mode, conflict }) : [];
+  const restore = async () => {
+    if (mode === "replace" && !confirm("Replace the listed data with the backup? Local entries not in the file are lost.")) return;
+    try { await applyRestore(plan); onRestored(); }
+    catch (e) { setError(e.message); }
+  };
+
+  return (
+    <div className="rounded-lg border border-white/10 p-3 bg-white/5 space-y-3 text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <div className="text-sm font-medium text-slate-200 mr-auto">Workspace backup</div>
+        <Button className="bg-white/10 border border-white/20" onClick={exportAll}>Export workspace</Button>
+        <Button variant="outline" className="border-white/20 text-slate-200" onClick={onClose}>Close</Button>
+      </div>
+      <div className="text-xs text-slate-400">
+        One JSON file with quotes, presets, profiles, pricing rules, FX, proposal template and saved views.
+        Older exports (a quotes array or a raw storage dump, including quotes v1/v2) are migrated on import.
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        <input type="file" accept=".json,application/json" className="text-xs text-slate-300"
+               onChange={(e) => { pick(e.target.files?.[0]); e.target.value = ""; }} />
+        {backup && (
+          <>
+            <select className={field} value={mode} onChange={(e) => setMode(e.target.value)}>
+              <option value="merge">Merge into this workspace</option>
+              <option value="replace">Replace</option>
+            </select>
+            {mode === "merge" && (
+              <select className={field} value={conflict} onChange={(e) => setConflict(e.target.value)}>
+                <option value="keep">On conflict: keep local</option>
+                <option value="overwrite">On conflict: use imported</option>
+                <option value="both">On conflict: keep both</option>
+              </select>
+            )}
+          </>
+        )}
+      </div>
+      {error && <div className="rounded border border-red-400/50 bg-red-500/10 text-red-200 text-xs px-2 py-1">{error}</div>}
+      {backup && (
+        <div className="space-y-2">
+          <div className="text-xs text-slate-400">
+            {fileName} · {backup.version ? `format v${backup.version}` : "legacy export"}{backup.exported_at && ` · exported ${fmtDate(Date.parse(backup.exported_at))}`}
+          </div>
+          <table className="w-full text-xs">
+            <thead className="text-slate-400">
+              <tr className="text-left">
+                <th className="pr-3 font-normal">Data</th><th className="pr-3 font-normal text-right">New</th>
+                <th className="pr-3 font-normal text-right">Identical</th><th className="pr-3 font-normal text-right">Conflicts (same id)</th>
+                <th className="pr-3 font-normal text-right">After restore</th>
+              </tr>
+            </thead>
+            <tbody>
+              {plan.map((r) => (
+                <tr key={r.name} className="border-t border-white/10">
+                  <td className="pr-3 py-1">{r.label}</td>
+                  <td className="pr-3 text-right">{r.added || ""}</td>
+                  <td className="pr-3 text-right">{r.same || ""}</td>
+                  <td className={`pr-3 text-right ${r.conflicts ? "text-amber-300" : ""}`}>{r.conflicts || ""}</td>
+                  <td className="pr-3 text-right">{r.kind === "list" ? r.next.length : r.kind === "map" ? Object.keys(r.next).length : "—"}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <Button onClick={restore} disabled={!plan.length}>{mode === "merge" ? "Merge backup" : "Replace with backup"}</Button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,121 @@
+import { useMemo, useState } from "react";
+import { Button } from "./ui/button";
+import { N, priceFmt } from "../format.js";
+import { BATCH_TEMPLATE, parseBatch, priceBatch, batchEntries } from "../batch.js";
+import { downloadText } from "../download.js";
+
+const cellIn = "w-full border border-white/10 bg-white/5 text-slate-100 rounded px-2 py-1";
+
+/* Upload a CSV of AOIs, review each priced row (editable), then save them all to History. */
+export function BatchPanel({ p, fx, profiles, pricing, platPresets, payPresets, aoiPresets, onSave }) {
+  const [rows, setRows] = useState([]);
+  const [file, setFile] = useState("");
+  const [error, setError] = useState("");
+  const PX = priceFmt(fx);
+  const saas = p.mode === "saas";
+
+  const priced = useMemo(
+    () => priceBatch(p, rows, { platPresets, payPresets, aoiPresets, profiles, pricing }),
+    [p, rows, platPresets, payPresets, aoiPresets, profiles, pricing]
+  );
+  const ok = priced.filter((r) => r.row.include && !r.errors.length);
+  const total = ok.reduce((s, r) => s + (+r.metrics.price_annual || 0), 0);
+
+  const upload = async (f) => {
+    if (!f) return;
+    try { setRows(parseBatch(await f.text())); setFile(f.name); setError(""); }
+    catch (e) { setError(e.message || "Could not read CSV."); }
+  };
+  const upd = (i, k, v) => setRows((prev) => prev.map((r, j) => (j === i ? { ...r, [k]: v } : r)));
+  const save = () => {
+    onSave(batchEntries(priced, { fx, file }));
+    setRows([]); setFile("");
+  };
+
+  const presetCell = (i, k, list) => (
+    <select className={cellIn} value={rows[i][k]} onChange={(e) => upd(i, k, e.target.value)}>
+      <option value="">Form</option>
+      {rows[i][k] && !list.some((x) => x.name === rows[i][k] || x.id === rows[i][k]) && <option value={rows[i][k]}>{rows[i][k]} (?)</option>}
+      {list.map((x) => <option key={x.id} value={x.name}>{x.name}</option>)}
+    </select>
+  );
+
+  return (
+    <div className="rounded-lg border border-white/10 p-3 bg-white/5 space-y-3 text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <div className="text-sm font-medium text-slate-200 mr-auto">Batch quotes from CSV</div>
+        <input type="file" accept=".csv,text/csv" className="text-xs text-slate-300"
+               onChange={(e) => { upload(e.target.files?.[0]); e.target.value = ""; }} />
+        <Button variant="outline" className="border-white/20 text-slate-200" onClick={() => downloadText("batch_template.csv", BATCH_TEMPLATE, "text/csv;charset=utf-8")}>Template</Button>
+      </div>
+      <div className="text-xs text-slate-400">
+        One row per AOI: name, type (areal / corridor), area, width, corridor_width, {saas ? "revisit" : "missions"}, optional
+        platform_preset and payload_preset (by name). Empty cells take the current form values; a row without area
+        whose name matches an AOI preset uses that preset. Each row is priced as its own quote for {p.client_name || "Client"}.
+      </div>
+      {error && <div className="rounded border border-red-400/50 bg-red-500/10 text-red-200 text-xs px-2 py-1">{error}</div>}
+
+      {rows.length > 0 && (
+        <>
+          <div className="overflow-auto">
+            <table className="min-w-[1100px] w-full text-xs">
+              <thead className="text-slate-400">
+                <tr className="text-left">
+                  <th className="pr-2 font-normal"></th><th className="pr-2 font-normal">Line</th>
+                  <th className="pr-2 font-normal">Name</th><th className="pr-2 font-normal">Type</th>
+                  <th className="pr-2 font-normal">Area km²</th><th className="pr-2 font-normal">Width km</th>
+                  <th className="pr-2 font-normal">Corridor km</th>
+                  <th className="pr-2 font-normal">{saas ? "Revisit (min)" : "# Missions"}</th>
+                  <th className="pr-2 font-normal">Platform preset</th><th className="pr-2 font-normal">Payload preset</th>
+                  <th className="pr-2 font-normal text-right">{saas ? "Annual price" : "Price"}</th>
+                  <th className="pr-2 font-normal text-right">GM</th>
+                  {saas && <th className="pr-2 font-normal text-right">Platforms</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {priced.map((r, i) => (
+                  <tr key={r.row.line} className={`border-t border-white/10 align-top ${r.row.include ? "" : "opacity-50"}`}>
+                    <td className="pr-2 py-1"><input type="checkbox" checked={r.row.include} onChange={(e) => upd(i, "include", e.target.checked)} /></td>
+                    <td className="pr-2 py-1 text-slate-400">{r.row.line}</td>
+                    <td className="pr-2 py-1 min-w-[140px]">
+                      <input className={cellIn} value={r.row.name} onChange={(e) => upd(i, "name", e.target.value)} />
+                      {r.errors.map((w) => <div key={w} className="text-red-300 mt-0.5">{w}</div>)}
+                      {r.warnings.map((w) => <div key={w} className="text-amber-300 mt-0.5">{w}</div>)}
+                      {r.aoiPreset && <div className="text-slate-400 mt-0.5">AOI preset: {r.aoiPreset}</div>}
+                    </td>
+                    <td className="pr-2 py-1">
+                      <select className={cellIn} value={r.row.type.toLowerCase() === "corridor" ? "corridor" : r.row.type === "" || r.row.type.toLowerCase() === "areal" ? "areal" : r.row.type}
+                              onChange={(e) => upd(i, "type", e.target.value)}>
+                        <option value="areal">Areal</option><option value="corridor">Corridor</option>
+                        {!["", "areal", "corridor"].includes(r.row.type.toLowerCase()) && <option value={r.row.type}>{r.row.type} (?)</option>}
+                      </select>
+                    </td>
+                    <td className="pr-2 py-1 w-24"><input className={cellIn} value={r.row.area} placeholder={r.aoiPreset ? N(r.inputs.aoi_km2, 0) : ""} onChange={(e) => upd(i, "area", e.target.value)} /></td>
+                    <td className="pr-2 py-1 w-20"><input className={cellIn} value={r.row.width} placeholder="√A" onChange={(e) => upd(i, "width", e.target.value)} /></td>
+                    <td className="pr-2 py-1 w-20"><input className={cellIn} value={r.row.corridor_width} placeholder={String(p.corridor_width_km)} onChange={(e) => upd(i, "corridor_width", e.target.value)} /></td>
+                    <td className="pr-2 py-1 w-20">
+                      {saas
+                        ? <input className={cellIn} value={r.row.revisit} placeholder={String(p.revisit_min)} onChange={(e) => upd(i, "revisit", e.target.value)} />
+                        : <input className={cellIn} value={r.row.missions} placeholder={String(p.missions_count)} onChange={(e) => upd(i, "missions", e.target.value)} />}
+                    </td>
+                    <td className="pr-2 py-1 w-36">{presetCell(i, "platform_preset", platPresets)}</td>
+                    <td className="pr-2 py-1 w-36">{presetCell(i, "payload_preset", payPresets)}</td>
+                    <td className="pr-2 py-1 text-right whitespace-nowrap">{r.errors.length ? "—" : PX(r.metrics.price_annual)}</td>
+                    <td className="pr-2 py-1 text-right">{r.errors.length || typeof r.metrics.GM_prop !== "number" ? "—" : `${N(r.metrics.GM_prop * 100, 1)}%`}</td>
+                    {saas && <td className="pr-2 py-1 text-right">{r.errors.length ? "—" : r.m.P}</td>}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="flex flex-wrap items-center gap-3">
+            <span className="text-slate-300">{ok.length} of {rows.length} rows ready · total {PX(total)}</span>
+            <span className="text-slate-400 text-xs">{priced.filter((r) => r.warnings.length).length} with warnings · {priced.filter((r) => r.errors.length).length} with errors (skipped)</span>
+            <Button className="ml-auto" disabled={!ok.length} onClick={save}>Save {ok.length} quotes to History</Button>
+            <Button variant="outline" className="border-white/20 text-slate-200" onClick={() => { setRows([]); setFile(""); }}>Discard</Button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
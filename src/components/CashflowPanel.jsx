@@ -0,0 +1,50 @@
+import { N, EUR } from "../format.js";
+
+const fmtYears = (y) => (y == null ? "beyond term" : `${N(y, 1)} yr`);
+
+/* Yearly cash-flow table with NPV, IRR and payback for a multi-year SaaS contract.
+   Revenue and its results use `fmt` (quote currency); opex and CAPEX stay in EUR. */
+export function CashflowPanel({ cf, fmt = EUR }) {
+  return (
+    <div className="rounded-lg border border-white/10 p-3 bg-white/5 space-y-3">
+      <div className="text-sm font-medium text-slate-200">
+        Contract cash flow — {cf.term} {cf.term === 1 ? "year" : "years"} · CAPEX {cf.upfront ? "bought upfront" : "amortized"}
+      </div>
+      <div className="overflow-auto">
+        <table className="w-full text-sm">
+          <thead className="text-slate-400">
+            <tr className="text-right">
+              <th className="text-left font-normal">Year</th><th className="font-normal">Revenue</th><th className="font-normal">Opex</th>
+              <th className="font-normal">CAPEX</th><th className="font-normal">Net</th><th className="font-normal">Cumulative</th>
+              <th className="font-normal">Discounted</th>
+            </tr>
+          </thead>
+          <tbody>
+            {cf.years.map((r) => (
+              <tr key={r.year} className="text-right border-t border-white/10">
+                <td className="text-left">{r.year}</td>
+                <td>{fmt(r.revenue)}</td>
+                <td>{EUR(r.cost)}</td>
+                <td>{r.capex ? EUR(-r.capex) : "—"}</td>
+                <td className={r.net < 0 ? "text-red-300" : ""}>{fmt(r.net)}</td>
+                <td className={r.cumulative < 0 ? "text-red-300" : ""}>{fmt(r.cumulative)}</td>
+                <td>{fmt(r.discounted)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-sm">
+        <div className="rounded-lg border border-white/10 px-3 py-2"><div className="text-xs text-slate-400">Contract value</div>{fmt(cf.tcv)}</div>
+        <div className={`rounded-lg border px-3 py-2 ${cf.npv < 0 ? "border-red-400/50 bg-red-500/10" : "border-white/10"}`}>
+          <div className="text-xs text-slate-400">NPV @ {N(cf.rate * 100, 1)}%</div>{fmt(cf.npv)}
+        </div>
+        <div className="rounded-lg border border-white/10 px-3 py-2">
+          <div className="text-xs text-slate-400">IRR</div>{cf.irr == null ? "n/a" : `${N(cf.irr * 100, 1)}%`}
+        </div>
+        <div className="rounded-lg border border-white/10 px-3 py-2"><div className="text-xs text-slate-400">Payback</div>{fmtYears(cf.payback)}</div>
+      </div>
+      {cf.irr == null && !cf.upfront && <div className="text-xs text-slate-400">IRR is not defined without an upfront investment.</div>}
+    </div>
+  );
+}
@@ -0,0 +1,94 @@
+import { useMemo, useState } from "react";
+import { Button } from "./ui/button";
+import { N, EUR, priceFmt } from "../format.js";
+import { quoteFx } from "../fx.js";
+import { DEF, priceScenario } from "../engine.js";
+import { geodesicArea, geodesicLength } from "../geo.js";
+
+export const MAX_PINNED = 4;
+
+// Output rows: [key, label, format]
+const OUTPUTS = [
+  ["cost_annual", "Annual / total cost", "eur"],
+  ["cost_per_mission", "Cost per mission", "eur"],
+  ["cost_km2_per_revisit", "Cost/km² per revisit", "eur2"],
+  ["cost_km2_year", "Cost/km² per year (per mission)", "eur2"],
+  ["price_annual", "Final price", "px"],
+  ["price_per_mission", "Price per mission", "px"],
+  ["price_km2_per_revisit", "Price/km² per revisit", "px2"],
+  ["price_km2_year", "Price/km² per year (per mission)", "px2"],
+  ["GM_prop", "GM", "pct"],
+  ["platforms", "Platforms", "int"],
+  ["flights_per_platform", "Flights / platform / year", "int"],
+  ["sweep_min", "Sweep + reposition (min)", "int"],
+  ["revisit_slack_min", "Revisit slack (min)", "int"],
+];
+
+// "px" rows are prices, shown in each scenario's own currency (PX); costs stay EUR
+const fmt = (v, kind, PX = EUR) => {
+  if (v == null || v === "") return "—";
+  if (Array.isArray(v)) return `calendar · ${v.map((x) => N((+x.fly || 0) * 100, 0)).join("/")}%`;
+  if (v?.type && v.coordinates) return `${v.type} · ${N(geodesicArea(v) || geodesicLength(v), 1)} ${geodesicArea(v) ? "km²" : "km"}`;
+  if (typeof v !== "number") return String(v);
+  if (kind === "eur") return EUR(v);
+  if (kind === "eur2") return EUR(v, 2);
+  if (kind === "px") return PX(v);
+  if (kind === "px2") return PX(v, 2);
+  if (kind === "pct") return `${N(v * 100, 1)}%`;
+  if (kind === "int") return N(v, 0);
+  return N(v, 3);
+};
+
+/* Side-by-side scenarios: every input and output in columns, differences from the first column highlighted. */
+export function ComparePanel({ scenarios, profiles, pricing, fxTable, labelOf, onRemove, onRename, onPromote }) {
+  const [onlyDiff, setOnlyDiff] = useState(false);
+  const priced = useMemo(() => scenarios.map((s) => priceScenario(s.inputs, profiles, pricing).metrics), [scenarios, profiles, pricing]);
+
+  const rows = [
+    ...Object.keys(DEF).map((k) => ({ key: k, label: labelOf(k), group: "in", cells: scenarios.map((s) => fmt(s.inputs[k], "raw")) })),
+    ...OUTPUTS.map(([k, label, kind]) => ({ key: k, label, group: "out", cells: priced.map((m, i) => fmt(m[k], kind, priceFmt(quoteFx(fxTable, scenarios[i].inputs.currency)))) })),
+  ].map((r) => ({ ...r, differs: r.cells.some((c) => c !== r.cells[0]) }));
+  const visible = onlyDiff ? rows.filter((r) => r.differs) : rows;
+
+  if (scenarios.length === 0) {
+    return <div className="text-sm text-slate-400">No pinned scenarios yet: pin the current form, a preset or a saved quote.</div>;
+  }
+
+  return (
+    <div className="space-y-2">
+      <label className="flex items-center gap-2 text-sm text-slate-300">
+        <input type="checkbox" checked={onlyDiff} onChange={(e) => setOnlyDiff(e.target.checked)} /> Only rows that differ
+      </label>
+      <div className="overflow-auto rounded-xl border border-white/10">
+        <table className="w-full text-sm">
+          <thead className="bg-white/5">
+            <tr>
+              <th className="px-3 py-2 text-left">Parameter</th>
+              {scenarios.map((s, i) => (
+                <th key={s.id} className="px-3 py-2 text-left align-top min-w-[160px]">
+                  <input className="w-full border border-white/10 bg-white/5 text-slate-100 rounded px-2 py-1 font-semibold"
+                         value={s.label} onChange={(e) => onRename(s.id, e.target.value)} />
+                  <div className="text-xs font-normal text-slate-400 mt-1">{i === 0 ? "baseline" : s.source}</div>
+                  <div className="flex gap-1 mt-1">
+                    <Button className="bg-emerald-500/20 border border-emerald-400 text-emerald-200 px-2 py-0.5 text-xs" onClick={() => onPromote(s)}>Use in wizard</Button>
+                    <Button variant="outline" className="border-red-400/40 text-red-300 hover:bg-red-500/10 px-2 py-0.5 text-xs" onClick={() => onRemove(s.id)}>Unpin</Button>
+                  </div>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {visible.map((r, i) => (
+              <tr key={r.key} className={`border-t border-white/10 ${r.group === "out" && (i === 0 || visible[i - 1].group === "in") ? "border-t-2 border-t-[#5fb1ff]/50" : ""}`}>
+                <td className={`px-3 py-1.5 ${r.group === "out" ? "text-[#9ed1ff]" : "text-slate-300"}`}>{r.label}</td>
+                {r.cells.map((c, j) => (
+                  <td key={j} className={`px-3 py-1.5 ${j > 0 && c !== r.cells[0] ? "bg-amber-400/15 text-amber-100 font-medium" : ""}`}>{c}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,23 @@
+import { useEffect } from "react";
+import { useParams, useSearchParams } from "react-router-dom";
+import { decodeScenario } from "../share.js";
+
+/* #/quote/:id — loads a saved quote into the form (once per id). */
+export function QuoteRoute({ loadedId, onOpen }) {
+  const { id } = useParams();
+  useEffect(() => { if (id !== loadedId) onOpen(id); }, [id]);
+  return null;
+}
+
+/* #/s/:code[?edit=1] — opens a shared scenario, read-only unless the link says edit. */
+export function ShareRoute({ onOpen, onError }) {
+  const { code } = useParams();
+  const [search] = useSearchParams();
+  const edit = search.get("edit") === "1";
+  useEffect(() => {
+    let live = true;
+    decodeScenario(code).then((link) => live && onOpen(link, { edit }), (e) => live && onError(e.message));
+    return () => { live = false; };
+  }, [code, edit]);
+  return null;
+}
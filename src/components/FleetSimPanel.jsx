@@ -0,0 +1,91 @@
+import { Button } from "./ui/button";
+import { Num } from "./ui/num";
+import { N } from "../format.js";
+import { simulateFleet } from "../fleetsim.js";
+
+// minutes → "1d 2h", "3h 05m", "42m"
+const dur = (min) => {
+  if (min == null) return "—";
+  const d = Math.floor(min / 1440), h = Math.floor((min % 1440) / 60), mm = Math.round(min % 60);
+  return d ? `${d}d ${h}h` : h ? `${h}h ${String(mm).padStart(2, "0")}m` : `${mm}m`;
+};
+
+/* Discrete-event fleet simulation with random failures/repairs.
+   State lives in App ({ runs, seed, sla, result }) so it survives step changes. */
+export function FleetSimPanel({ p, m, sim, setSim }) {
+  const upd = (patch) => setSim((s) => ({ ...s, ...patch }));
+  const run = () => upd({ result: { ...simulateFleet(p, m, { runs: sim.runs, seed: sim.seed, slaMin: sim.sla === "" ? null : sim.sla }), forP: p } });
+  const r = sim.result;
+  const stale = r && r.forP !== p;
+
+  return (
+    <div className="rounded-lg border border-white/10 p-3 bg-white/5 space-y-3">
+      <div className="flex flex-wrap gap-2 items-center text-sm">
+        <div className="text-sm font-medium text-slate-200 mr-auto">Fleet simulation (failures & repairs)</div>
+        <span className="text-slate-400">Years</span>
+        <div className="w-20"><Num v={sim.runs} step="1" on={(v) => upd({ runs: v })} /></div>
+        <span className="text-slate-400">SLA limit (min)</span>
+        <div className="w-24"><Num v={sim.sla} on={(v) => upd({ sla: v })} /></div>
+        <span className="text-slate-400">Seed</span>
+        <div className="w-20"><Num v={sim.seed} step="1" on={(v) => upd({ seed: v })} /></div>
+        <Button onClick={run}>Run</Button>
+      </div>
+      <div className="text-xs text-slate-400">
+        Flies {m.P} platform{m.P === 1 ? "" : "s"} for a year: failures every Exp(MTBF) flight hours, repairs Exp(MTTR), turnaround and flight-day budget; {Math.max(m.Smin, 1)} on station at a time. Empty SLA = 1.5 × revisit.
+      </div>
+
+      {r && (
+        <div className={stale ? "opacity-50" : ""}>
+          {stale && <div className="text-xs text-amber-300 mb-1">Inputs changed since this run: run again to refresh.</div>}
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-sm">
+            <div className={`rounded-lg border px-3 py-2 ${r.missed.mean > 0.01 ? "border-red-400/50 bg-red-500/10 text-red-200" : "border-white/10"}`}>
+              Missed revisits: <span className="font-semibold">{N(r.missed.mean * 100, 1)}%</span>
+              <div className="text-xs opacity-70">P10–P90 {N(r.missed.p10 * 100, 1)}–{N(r.missed.p90 * 100, 1)}%</div>
+            </div>
+            <div className={`rounded-lg border px-3 py-2 ${r.slaExceed > 0.05 ? "border-amber-400/50 bg-amber-500/10 text-amber-200" : "border-white/10"}`}>
+              Intervals &gt; {dur(r.sla)}: <span className="font-semibold">{N(r.slaExceed * 100, 1)}%</span>
+            </div>
+            <div className="rounded-lg border border-white/10 px-3 py-2">
+              Achieved availability: <span className="font-semibold">{N(r.availability * 100, 1)}%</span>
+              <div className="text-xs opacity-70">formula {N(m.Aavail * 100, 1)}%</div>
+            </div>
+            <div className="rounded-lg border border-white/10 px-3 py-2">
+              Revisit target: <span className="font-semibold">{dur(r.R)}</span>
+            </div>
+          </div>
+          <table className="w-full text-sm mt-2">
+            <thead className="text-slate-400">
+              <tr><th className="text-left font-normal">Achieved revisit</th>{["P50", "P90", "P95", "P99", "Max"].map((h) => <th key={h} className="text-right font-normal">{h}</th>)}</tr>
+            </thead>
+            <tbody>
+              <tr>
+                <td className="text-slate-300">Interval</td>
+                {r.interval ? ["p50", "p90", "p95", "p99", "max"].map((k) => <td key={k} className="text-right">{dur(r.interval[k])}</td>) : <td colSpan={5} className="text-right text-slate-400">no revisit completed</td>}
+              </tr>
+            </tbody>
+          </table>
+          <div className="mt-2 grid grid-cols-5 gap-1 text-[11px] text-center">
+            {r.bins.map((b) => (
+              <div key={b.label} className="rounded border border-white/10 px-1 py-1">
+                <div className="h-10 flex items-end justify-center"><div className="w-4 bg-[#5fb1ff]" style={{ height: `${Math.max(b.share * 100, 2)}%` }} /></div>
+                <div className="text-slate-400">{b.label}</div>
+                <div>{N(b.share * 100, 1)}%</div>
+              </div>
+            ))}
+          </div>
+          <table className="w-full text-xs mt-2">
+            <thead className="text-slate-400">
+              <tr><th className="text-left font-normal">Platform</th><th className="text-right font-normal">Utilization (flight time / year)</th><th className="text-right font-normal">Failures / year</th></tr>
+            </thead>
+            <tbody>
+              {r.platforms.map((x) => (
+                <tr key={x.label}><td className="text-slate-300">{x.label}</td><td className="text-right">{N(x.utilization * 100, 1)}%</td><td className="text-right">{N(x.failures, 1)}</td></tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="text-xs text-slate-400 mt-1">{r.runs} simulated year{r.runs === 1 ? "" : "s"} · seed {r.seed} · same seed, same result</div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,96 @@
+import { useState } from "react";
+import { Button } from "./ui/button";
+import { Num } from "./ui/num";
+import { N, priceFmt } from "../format.js";
+import { solveRevisit, solveArea, solvePrice } from "../solver.js";
+
+const BINDING = {
+  budget: "Budget",
+  fleet: "Fleet size (simultaneous platforms)",
+  flight_days: "Flight days per platform",
+  sweep: "Sweep + reposition time",
+  limit: "Search limit",
+};
+
+function Result({ r, children, onApply }) {
+  if (!r) return null;
+  if (!r.ok) return <div className="text-xs text-red-300">{r.reason}</div>;
+  return (
+    <div className="rounded-lg border border-emerald-400/30 bg-emerald-500/10 px-3 py-2 text-sm space-y-1">
+      <div className="flex items-center gap-2">
+        <div className="mr-auto">{children}</div>
+        <Button className="bg-emerald-500/20 border border-emerald-400 text-emerald-200" disabled={!onApply} onClick={() => onApply(r.patch)}>Apply</Button>
+      </div>
+      {r.binding && <div className="text-xs text-slate-300">Binding: <span className="font-semibold">{BINDING[r.binding]}</span></div>}
+      <div className="text-xs text-slate-400">{r.explain}</div>
+    </div>
+  );
+}
+
+/* Inverse solving: budget → revisit, price/km² → AOI, price → GM and breakeven. Amounts in the quote currency. */
+export function GoalSeekPanel({ p, profiles, pricing = null, fx = { currency: "EUR", rate: 1 }, onApply }) {
+  const fmt = priceFmt(fx);
+  const ctx = { profiles, pricing, fx };
+  const [f, setF] = useState({ budget: "", rateKm2: "", price: "", maxPlatforms: "", flyable: false });
+  const [res, setRes] = useState({});
+  const upd = (k) => (v) => setF((s) => ({ ...s, [k]: v }));
+  const saas = p.mode === "saas";
+  const cap = f.maxPlatforms === "" ? null : f.maxPlatforms;
+
+  return (
+    <div className="rounded-lg border border-white/10 p-3 bg-white/5 space-y-3">
+      <div className="text-sm font-medium text-slate-200">Goal seek</div>
+
+      {saas && (
+        <>
+          <div className="grid grid-cols-2 gap-2 text-sm">
+            <div>
+              <label className="block text-xs text-slate-400">Max platforms (optional)</label>
+              <Num v={f.maxPlatforms} step="1" on={upd("maxPlatforms")} />
+            </div>
+            <label className="flex items-end gap-2 text-xs text-slate-300 pb-1">
+              <input type="checkbox" checked={f.flyable} onChange={(e) => setF((s) => ({ ...s, flyable: e.target.checked }))} />
+              Revisit must be flyable in one sweep
+            </label>
+          </div>
+
+          <div className="grid grid-cols-12 gap-2 items-end">
+            <div className="col-span-8">
+              <label className="block text-xs text-slate-400">Max annual price ({fx.currency}) → shortest revisit</label>
+              <Num v={f.budget} on={upd("budget")} />
+            </div>
+            <Button className="col-span-4 py-1.5" onClick={() => setRes((r) => ({ ...r, revisit: solveRevisit(p, { ...ctx, budget: f.budget, maxPlatforms: cap, requireFlyable: f.flyable }) }))}>Solve revisit</Button>
+          </div>
+          <Result r={res.revisit} onApply={onApply}>
+            Revisit <span className="font-semibold">{N(res.revisit?.value, 0)} min</span>
+            {res.revisit?.m && <> · {fmt(res.revisit.m.PriceAnnualChosen)} · {res.revisit.m.P} platforms</>}
+          </Result>
+
+          <div className="grid grid-cols-12 gap-2 items-end">
+            <div className="col-span-8">
+              <label className="block text-xs text-slate-400">Price per km² per year ({fx.currency}) → largest AOI</label>
+              <Num v={f.rateKm2} on={upd("rateKm2")} />
+            </div>
+            <Button className="col-span-4 py-1.5" onClick={() => setRes((r) => ({ ...r, area: solveArea(p, { ...ctx, rateKm2: f.rateKm2, maxPlatforms: cap, requireFlyable: f.flyable }) }))}>Solve AOI</Button>
+          </div>
+          <Result r={res.area} onApply={onApply}>
+            AOI <span className="font-semibold">{N(res.area?.value, 1)} km²</span>
+            {res.area?.m && <> · {fmt(res.area.m.PriceAnnualChosen)} quoted · {res.area.m.P} platforms</>}
+          </Result>
+        </>
+      )}
+
+      <div className="grid grid-cols-12 gap-2 items-end">
+        <div className="col-span-8">
+          <label className="block text-xs text-slate-400">{saas ? "Proposed annual price" : "Proposed total for the batch"} ({fx.currency}) → GM and breakeven</label>
+          <Num v={f.price} on={upd("price")} />
+        </div>
+        <Button className="col-span-4 py-1.5" onClick={() => setRes((r) => ({ ...r, price: solvePrice(p, { ...ctx, price: f.price }) }))}>Solve GM</Button>
+      </div>
+      <Result r={res.price} onApply={onApply}>
+        GM <span className={`font-semibold ${res.price?.gm < 0 ? "text-red-300" : ""}`}>{N((res.price?.gm || 0) * 100, 1)}%</span>
+        {" "}· breakeven {N(res.price?.breakeven, 0)} {p.platform === "relay" ? "launches" : "missions"}
+      </Result>
+    </div>
+  );
+}
@@ -0,0 +1,89 @@
+import { useMemo } from "react";
+import { N, EUR } from "../format.js";
+import { gmBands, monthly, scatter } from "../historyview.js";
+
+const W = 320, H = 180, PAD = { l: 44, r: 8, t: 8, b: 28 };
+const IW = W - PAD.l - PAD.r, IH = H - PAD.t - PAD.b;
+const MODE_FILL = { saas: "#9ed1ff", tasking: "#fbbf24" };
+const short = (v) => (v >= 1e6 ? `${N(v / 1e6, 1)}M` : v >= 1e3 ? `${N(v / 1e3, 0)}k` : N(v, 0));
+
+// log10 ticks between lo and hi (powers of ten), falling back to the ends.
+function logTicks(lo, hi) {
+  const t = [];
+  for (let e = Math.ceil(Math.log10(lo)); e <= Math.floor(Math.log10(hi)); e++) t.push(10 ** e);
+  return t.length ? t : [lo, hi];
+}
+
+function Frame({ title, children }) {
+  return (
+    <div className="rounded-lg border border-white/10 p-3 bg-white/5">
+      <div className="text-sm font-medium text-slate-200 mb-1">{title}</div>
+      <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-auto text-slate-400" fontSize="9">
+        <line x1={PAD.l} y1={PAD.t + IH} x2={PAD.l + IW} y2={PAD.t + IH} stroke="currentColor" strokeOpacity="0.4" />
+        <line x1={PAD.l} y1={PAD.t} x2={PAD.l} y2={PAD.t + IH} stroke="currentColor" strokeOpacity="0.4" />
+        {children}
+      </svg>
+    </div>
+  );
+}
+
+const Empty = () => <text x={PAD.l + IW / 2} y={PAD.t + IH / 2} textAnchor="middle" fill="currentColor">No data</text>;
+
+// Price vs AOI area, both on log axes, coloured by mode.
+function ScatterChart({ rows }) {
+  const pts = useMemo(() => scatter(rows), [rows]);
+  if (!pts.length) return <Frame title="Price vs AOI area"><Empty /></Frame>;
+  const xs = pts.map((p) => p.x), ys = pts.map((p) => p.y);
+  const [x0, x1] = [Math.min(...xs) / 1.5, Math.max(...xs) * 1.5], [y0, y1] = [Math.min(...ys) / 1.5, Math.max(...ys) * 1.5];
+  const sx = (v) => PAD.l + (Math.log(v / x0) / Math.log(x1 / x0)) * IW;
+  const sy = (v) => PAD.t + IH - (Math.log(v / y0) / Math.log(y1 / y0)) * IH;
+  return (
+    <Frame title="Price vs AOI area">
+      {logTicks(x0, x1).map((t) => <text key={t} x={sx(t)} y={H - 14} textAnchor="middle" fill="currentColor">{short(t)}</text>)}
+      {logTicks(y0, y1).map((t) => <text key={t} x={PAD.l - 4} y={sy(t) + 3} textAnchor="end" fill="currentColor">{short(t)}</text>)}
+      <text x={PAD.l + IW / 2} y={H - 2} textAnchor="middle" fill="currentColor">km² (log)</text>
+      {pts.map((p, i) => (
+        <circle key={i} cx={sx(p.x)} cy={sy(p.y)} r="3" fill={MODE_FILL[p.mode] || "#cbd5e1"} fillOpacity="0.8">
+          <title>{`${p.label}\n${N(p.x, 0)} km² · ${EUR(p.y)}`}</title>
+        </circle>
+      ))}
+    </Frame>
+  );
+}
+
+function Bars({ title, bins, value, fmt, fill }) {
+  const max = Math.max(0, ...bins.map(value));
+  if (!max) return <Frame title={title}><Empty /></Frame>;
+  const bw = IW / bins.length, every = Math.ceil(bins.length / 8);
+  return (
+    <Frame title={title}>
+      <text x={PAD.l - 4} y={PAD.t + 3} textAnchor="end" fill="currentColor">{fmt(max)}</text>
+      <text x={PAD.l - 4} y={PAD.t + IH} textAnchor="end" fill="currentColor">0</text>
+      {bins.map((b, i) => {
+        const h = (value(b) / max) * IH;
+        return (
+          <g key={b.label}>
+            <rect x={PAD.l + i * bw + 1} y={PAD.t + IH - h} width={Math.max(1, bw - 2)} height={h} fill={fill} fillOpacity="0.7">
+              <title>{`${b.label}: ${fmt(value(b))}`}</title>
+            </rect>
+            {i % every === 0 && <text x={PAD.l + i * bw + bw / 2} y={H - 14} textAnchor="middle" fill="currentColor">{b.label}</text>}
+          </g>
+        );
+      })}
+    </Frame>
+  );
+}
+
+/* Charts over the filtered History rows. */
+export function HistoryCharts({ rows }) {
+  const gm = useMemo(() => gmBands(rows), [rows]);
+  const months = useMemo(() => monthly(rows), [rows]);
+  return (
+    <div className="grid lg:grid-cols-4 sm:grid-cols-2 gap-3">
+      <ScatterChart rows={rows} />
+      <Bars title="GM distribution (%)" bins={gm} value={(b) => b.n} fmt={(v) => N(v, 0)} fill="#34d399" />
+      <Bars title="Quotes per month" bins={months} value={(b) => b.n} fmt={(v) => N(v, 0)} fill="#9ed1ff" />
+      <Bars title="Value per month (annual price)" bins={months} value={(b) => b.value} fmt={short} fill="#fbbf24" />
+    </div>
+  );
+}
@@ -0,0 +1,70 @@
+import { useMemo, useState } from "react";
+import { Button } from "./ui/button";
+import { STATUSES } from "../lifecycle.js";
+import { DEFAULT_VIEW, isFiltered } from "../historyview.js";
+
+const field = "border border-white/10 rounded px-2 py-1 bg-white/5";
+
+/* Search box, filters and named saved views for the History table. */
+export function HistoryFilters({ view, setView, history, saved, setSaved, count }) {
+  const [name, setName] = useState("");
+  const clients = useMemo(() => [...new Set(history.map((q) => q.client_name).filter(Boolean))].sort(), [history]);
+  const upd = (k, v) => setView((prev) => ({ ...prev, [k]: v }));
+
+  const saveView = () => {
+    const n = name.trim();
+    if (!n) return;
+    setSaved((prev) => [...prev.filter((s) => s.name !== n), { name: n, view }].sort((a, b) => a.name.localeCompare(b.name)));
+    setName("");
+  };
+  const current = saved.find((s) => JSON.stringify(s.view) === JSON.stringify(view))?.name || "";
+
+  return (
+    <div className="rounded-lg border border-white/10 p-3 bg-white/5 space-y-2 text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <input className={`${field} flex-1 min-w-[220px]`} placeholder="Search client, AOI, author, note…" value={view.q} onChange={(e) => upd("q", e.target.value)} />
+        <span className="text-slate-400">View</span>
+        <select className={field} value={current}
+                onChange={(e) => { const s = saved.find((x) => x.name === e.target.value); setView(s ? { ...DEFAULT_VIEW, ...s.view } : DEFAULT_VIEW); }}>
+          <option value="">{current ? "Default" : "— custom —"}</option>
+          {saved.map((s) => <option key={s.name} value={s.name}>{s.name}</option>)}
+        </select>
+        {current && <Button className="border-red-400/40 text-red-300 hover:bg-red-500/10" onClick={() => setSaved((prev) => prev.filter((s) => s.name !== current))}>Delete view</Button>}
+        <input className={`${field} w-40`} placeholder="Save view as…" value={name} onChange={(e) => setName(e.target.value)} onKeyDown={(e) => e.key === "Enter" && saveView()} />
+        <Button className="bg-white/10 border border-white/20" onClick={saveView} disabled={!name.trim()}>Save view</Button>
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-slate-400">From</span>
+        <input type="date" className={field} value={view.from} onChange={(e) => upd("from", e.target.value)} />
+        <span className="text-slate-400">to</span>
+        <input type="date" className={field} value={view.to} onChange={(e) => upd("to", e.target.value)} />
+        <select className={field} value={view.client} onChange={(e) => upd("client", e.target.value)}>
+          <option value="">All clients</option>
+          {clients.map((c) => <option key={c} value={c}>{c}</option>)}
+        </select>
+        <select className={field} value={view.mode} onChange={(e) => upd("mode", e.target.value)}>
+          <option value="">All modes</option><option value="saas">SaaS</option><option value="tasking">Tasking</option>
+        </select>
+        <select className={field} value={view.platform} onChange={(e) => upd("platform", e.target.value)}>
+          <option value="">All platforms</option><option value="stats">Stratostats</option><option value="relay">Stratorelay</option>
+        </select>
+        <span className="text-slate-400">GM %</span>
+        <input type="number" className={`${field} w-20`} placeholder="min" value={view.gmMin} onChange={(e) => upd("gmMin", e.target.value)} />
+        <input type="number" className={`${field} w-20`} placeholder="max" value={view.gmMax} onChange={(e) => upd("gmMax", e.target.value)} />
+        <span className="text-slate-400">Status</span>
+        <select className={field} value={view.status} onChange={(e) => upd("status", e.target.value)}>
+          <option value="all">All</option>
+          <option value="open">Open (draft / sent / negotiating)</option>
+          {STATUSES.map((st) => <option key={st} value={st}>{st}</option>)}
+        </select>
+        <label className="flex items-center gap-2 text-slate-300">
+          <input type="checkbox" checked={view.allRevisions} onChange={(e) => upd("allRevisions", e.target.checked)} /> Show all revisions
+        </label>
+      </div>
+      <div className="flex items-center gap-3 text-slate-400">
+        <span>{count} {view.allRevisions ? "quotes" : "deals · latest revision each"}</span>
+        {isFiltered(view) && <button className="underline hover:text-slate-200" onClick={() => setView((prev) => ({ ...DEFAULT_VIEW, sort: prev.sort }))}>Clear filters</button>}
+      </div>
+    </div>
+  );
+}
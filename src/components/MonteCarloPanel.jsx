@@ -0,0 +1,97 @@
+import { Button } from "./ui/button";
+import { Num } from "./ui/num";
+import { N, EUR } from "../format.js";
+import { UNCERTAIN_KEYS, defaultDist, runMonteCarlo } from "../montecarlo.js";
+
+const inputCls = "border border-white/10 rounded px-2 py-1 bg-white/5 text-slate-100";
+
+/* Monte Carlo uncertainty: per-input distributions, run, P10/P50/P90 table.
+   State lives in App ({ dists, samples, seed, addKey, result }) so it survives step changes. */
+export function MonteCarloPanel({ p, profiles, price, mc, setMc, labelOf, fmt = EUR }) {
+  const upd = (patch) => setMc((s) => ({ ...s, ...patch }));
+  const setDist = (k, patch) => upd({ dists: { ...mc.dists, [k]: { ...mc.dists[k], ...patch } } });
+  const free = UNCERTAIN_KEYS.filter((k) => !mc.dists[k]);
+  const addKey = mc.addKey && free.includes(mc.addKey) ? mc.addKey : free[0];
+
+  const add = () => addKey && upd({ dists: { ...mc.dists, [addKey]: defaultDist(addKey, p[addKey]) } });
+  const remove = (k) => { const { [k]: _gone, ...rest } = mc.dists; upd({ dists: rest }); };
+  const run = () => upd({ result: { ...runMonteCarlo(p, mc.dists, { samples: mc.samples, seed: mc.seed, profiles, price }), forP: p } });
+
+  const r = mc.result;
+  const stale = r && r.forP !== p;
+  const saas = p.mode === "saas";
+
+  return (
+    <div className="rounded-lg border border-white/10 p-3 bg-white/5 space-y-3">
+      <div className="text-sm font-medium text-slate-200">Uncertainty (Monte Carlo)</div>
+
+      {Object.keys(mc.dists).length === 0 && (
+        <div className="text-xs text-slate-400">No uncertain inputs: add one to give it a range instead of a single value.</div>
+      )}
+      {Object.entries(mc.dists).map(([k, d]) => (
+        <div key={k} className="grid grid-cols-12 gap-2 items-center text-sm">
+          <div className="col-span-3 text-slate-300">{labelOf(k)}</div>
+          <select className={`col-span-2 ${inputCls}`} value={d.kind}
+                  onChange={(e) => setDist(k, e.target.value === "normal"
+                    ? { kind: "normal", mean: d.mode ?? d.mean ?? p[k], sd: d.sd ?? Math.abs((d.max ?? 0) - (d.min ?? 0)) / 4 }
+                    : { kind: "tri", min: d.min ?? d.mean, mode: d.mode ?? d.mean, max: d.max ?? d.mean })}>
+            <option value="tri">min/mode/max</option>
+            <option value="normal">normal</option>
+          </select>
+          {d.kind === "normal" ? (
+            <>
+              <div className="col-span-3"><Num v={d.mean} on={(v) => setDist(k, { mean: v })} /></div>
+              <div className="col-span-3"><Num v={d.sd} on={(v) => setDist(k, { sd: v })} /></div>
+            </>
+          ) : (
+            <>
+              <div className="col-span-2"><Num v={d.min} on={(v) => setDist(k, { min: v })} /></div>
+              <div className="col-span-2"><Num v={d.mode} on={(v) => setDist(k, { mode: v })} /></div>
+              <div className="col-span-2"><Num v={d.max} on={(v) => setDist(k, { max: v })} /></div>
+            </>
+          )}
+          <Button variant="outline" className="col-span-1 border-red-400/40 text-red-300 hover:bg-red-500/10" onClick={() => remove(k)}>✕</Button>
+        </div>
+      ))}
+
+      <div className="flex flex-wrap gap-2 items-center text-sm">
+        <select className={inputCls} value={addKey || ""} onChange={(e) => upd({ addKey: e.target.value })}>
+          {free.map((k) => <option key={k} value={k}>{labelOf(k)}</option>)}
+        </select>
+        <Button variant="secondary" onClick={add} disabled={!addKey}>Add input</Button>
+        <span className="ml-auto text-slate-400">Samples</span>
+        <div className="w-24"><Num v={mc.samples} step="100" on={(v) => upd({ samples: v })} /></div>
+        <span className="text-slate-400">Seed</span>
+        <div className="w-20"><Num v={mc.seed} step="1" on={(v) => upd({ seed: v })} /></div>
+        <Button onClick={run}>Run</Button>
+      </div>
+
+      {r && (
+        <div className={stale ? "opacity-50" : ""}>
+          {stale && <div className="text-xs text-amber-300 mb-1">Inputs changed since this run: run again to refresh.</div>}
+          <table className="w-full text-sm">
+            <thead className="text-slate-400">
+              <tr><th className="text-left font-normal"></th><th className="text-right font-normal">P10</th><th className="text-right font-normal">P50</th><th className="text-right font-normal">P90</th></tr>
+            </thead>
+            <tbody>
+              <tr><td className="text-slate-300">{saas ? "Annual cost" : "Total cost"}</td><td className="text-right">{EUR(r.cost.p10)}</td><td className="text-right">{EUR(r.cost.p50)}</td><td className="text-right">{EUR(r.cost.p90)}</td></tr>
+              {r.platforms && <tr><td className="text-slate-300">Platforms needed</td><td className="text-right">{N(r.platforms.p10, 0)}</td><td className="text-right">{N(r.platforms.p50, 0)}</td><td className="text-right">{N(r.platforms.p90, 0)}</td></tr>}
+              <tr><td className="text-slate-300">GM at {fmt(r.price)}</td><td className="text-right">{N(r.gm.p10 * 100, 1)}%</td><td className="text-right">{N(r.gm.p50 * 100, 1)}%</td><td className="text-right">{N(r.gm.p90 * 100, 1)}%</td></tr>
+            </tbody>
+          </table>
+          <div className="mt-2 grid grid-cols-2 gap-2 text-sm">
+            <div className={`rounded-lg border px-3 py-2 ${r.pNegGM > 0 ? "border-red-400/50 bg-red-500/10 text-red-200" : "border-white/10"}`}>
+              P(GM &lt; 0): <span className="font-semibold">{N(r.pNegGM * 100, 1)}%</span>
+            </div>
+            {r.pInfeasible != null && (
+              <div className={`rounded-lg border px-3 py-2 ${r.pInfeasible > 0 ? "border-amber-400/50 bg-amber-500/10 text-amber-200" : "border-white/10"}`}>
+                P(revisit not flyable): <span className="font-semibold">{N(r.pInfeasible * 100, 1)}%</span>
+              </div>
+            )}
+          </div>
+          <div className="text-xs text-slate-400 mt-1">{r.samples} samples · seed {r.seed} · price held at the quoted value</div>
+        </div>
+      )}
+    </div>
+  );
+}
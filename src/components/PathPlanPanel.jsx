@@ -0,0 +1,94 @@
+import { useMemo } from "react";
+import { Button } from "./ui/button";
+import { N } from "../format.js";
+import { DEF, pdec, compute } from "../engine.js";
+import { localProjection } from "../geo.js";
+import { cachedPlan, pathToGeoJSON, pathToKML } from "../planner.js";
+import { downloadText } from "../download.js";
+import { slug } from "../presets.js";
+
+/* Lawnmower path over the imported polygon: stats, formula comparison, map sketch and export. */
+export function PathPlanPanel({ p, m, onToggle }) {
+  const plan = useMemo(
+    () => cachedPlan(p.aoi_geometry, {
+      swath: pdec(p.swath_km, DEF.swath_km),
+      overlap: pdec(p.overlap, DEF.overlap),
+      turnRadius: pdec(p.turn_radius_km, DEF.turn_radius_km),
+    }),
+    [p.aoi_geometry, p.swath_km, p.overlap, p.turn_radius_km]
+  );
+  const alt = useMemo(() => compute({ ...p, path_plan: !p.path_plan }), [p]);
+  const [planned, formula] = p.path_plan ? [m, alt] : [alt, m];
+
+  const sketch = useMemo(() => {
+    if (!plan) return null;
+    const proj = localProjection(p.aoi_geometry);
+    const polys = p.aoi_geometry.type === "Polygon" ? [p.aoi_geometry.coordinates] : p.aoi_geometry.coordinates;
+    const rings = polys.flat().map((ring) => ring.map(proj.fwd));
+    const wps = plan.waypoints.map(proj.fwd);
+    const all = rings.flat().concat(wps);
+    const xs = all.map((q) => q[0]), ys = all.map((q) => q[1]);
+    const [x0, x1, y0, y1] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+    const pad = Math.max(x1 - x0, y1 - y0) * 0.05 || 1;
+    const pt = ([x, y]) => `${x.toFixed(3)},${(-y).toFixed(3)}`; // north up
+    return {
+      vb: [x0 - pad, -y1 - pad, x1 - x0 + 2 * pad, y1 - y0 + 2 * pad].join(" "),
+      area: rings.map((r) => `M ${r.map(pt).join(" L ")} Z`).join(" "),
+      track: `M ${wps.map(pt).join(" L ")}`,
+      start: wps[0],
+    };
+  }, [plan, p.aoi_geometry]);
+
+  const base = slug(p.aoi_name || "aoi");
+  const props = { aoi: p.aoi_name, swath_km: pdec(p.swath_km, DEF.swath_km), overlap: pdec(p.overlap, DEF.overlap) };
+
+  return (
+    <div className="rounded-lg border border-white/10 p-3 bg-white/5 space-y-2">
+      <div className="flex items-center gap-2">
+        <div className="text-sm font-medium text-slate-200 mr-auto">Flight-path planner</div>
+        <label className="flex items-center gap-2 text-sm text-slate-300">
+          <input type="checkbox" checked={!!p.path_plan} disabled={!plan || !onToggle} onChange={(e) => onToggle(e.target.checked)} />
+          Use planned path for sweep time
+        </label>
+      </div>
+      {!plan ? (
+        <div className="text-xs text-slate-400">No path: check swath and overlap.</div>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-x-3 text-xs text-slate-300">
+            <div className="text-slate-400">Heading</div><div className="text-right">{plan.heading}°</div>
+            <div className="text-slate-400">Lines / passes</div><div className="text-right">{plan.lines} / {plan.passes}</div>
+            <div className="text-slate-400">Track</div><div className="text-right">{N(plan.track_km, 1)} km</div>
+            <div className="text-slate-400">Turns</div><div className="text-right">{plan.turns}</div>
+            <div className="text-slate-400">Turn + ferry</div><div className="text-right">{N(plan.transit_km, 1)} km</div>
+            <div className="text-slate-400">Total path</div><div className="text-right">{N(plan.total_km, 1)} km</div>
+          </div>
+          <table className="text-xs w-full">
+            <thead className="text-slate-400">
+              <tr><th className="text-left font-normal"></th><th className="text-right font-normal">Ts (min)</th><th className="text-right font-normal">Tr (min)</th><th className="text-right font-normal">Tc (min)</th></tr>
+            </thead>
+            <tbody>
+              {[["Formula", formula], ["Planned path", planned]].map(([label, x]) => (
+                <tr key={label} className={(label === "Planned path") === !!p.path_plan ? "text-slate-100" : "text-slate-400"}>
+                  <td>{label}</td><td className="text-right">{N(x.Ts, 1)}</td><td className="text-right">{N(x.Tr, 1)}</td><td className="text-right">{N(x.Tc, 1)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {sketch && (
+            <svg viewBox={sketch.vb} className="w-full bg-[#0b1220] rounded" style={{ maxHeight: 320 }} preserveAspectRatio="xMidYMid meet">
+              <path d={sketch.area} fill="#38bdf822" fillRule="evenodd" stroke="#38bdf8" strokeWidth={1.5} vectorEffect="non-scaling-stroke" />
+              <path d={sketch.track} fill="none" stroke="#f472b6" strokeWidth={1} vectorEffect="non-scaling-stroke" />
+              <circle cx={sketch.start[0]} cy={-sketch.start[1]} r={Math.max(pdec(p.swath_km, DEF.swath_km) / 4, 0.05)} fill="#a3e635" />
+            </svg>
+          )}
+          <div className="flex flex-wrap gap-2 items-center">
+            <Button variant="secondary" onClick={() => downloadText(`${base}-path.geojson`, JSON.stringify(pathToGeoJSON(plan, props), null, 2), "application/geo+json")}>Export GeoJSON</Button>
+            <Button variant="secondary" onClick={() => downloadText(`${base}-path.kml`, pathToKML(plan, p.aoi_name || "AOI"), "application/vnd.google-earth.kml+xml")}>Export KML</Button>
+            <span className="text-xs text-slate-400">Waypoints are pass start/end points; turns are left to the autopilot. Green dot = start.</span>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,120 @@
+import { useMemo } from "react";
+import { Button } from "./ui/button";
+import { Num } from "./ui/num";
+import { N, EUR } from "../format.js";
+import { pricePortfolio } from "../portfolio.js";
+
+const cellIn = "w-full border border-white/10 bg-white/5 text-slate-100 rounded px-2 py-1";
+
+/* Editable AOI list of a portfolio plus shared-fleet pricing. */
+export function PortfolioPanel({ p, profiles, pricing = null, portfolio, setPortfolio, onAddCurrent, aoiPresets, onAddPreset, onSave, fmt = EUR }) {
+  const saas = p.mode === "saas";
+  const r = useMemo(() => pricePortfolio(p, portfolio.aois, { discount: portfolio.discount, profiles, pricing }), [p, portfolio, profiles, pricing]);
+  const setAoi = (id, patch) => setPortfolio((s) => ({ ...s, aois: s.aois.map((a) => (a.id === id ? { ...a, ...patch } : a)) }));
+  const removeAoi = (id) => setPortfolio((s) => ({ ...s, aois: s.aois.filter((a) => a.id !== id) }));
+  const byId = Object.fromEntries(r.items.map((x) => [x.id, x]));
+
+  return (
+    <div className="space-y-4">
+      <div className="grid md:grid-cols-3 gap-3">
+        <div className="md:col-span-2">
+          <label className="block text-sm text-slate-300">Portfolio name</label>
+          <input className={cellIn} value={portfolio.name} onChange={(e) => setPortfolio((s) => ({ ...s, name: e.target.value }))} placeholder="e.g., Northern provinces + pipeline" />
+        </div>
+        <div>
+          <label className="block text-sm text-slate-300">Bundle discount (fraction)</label>
+          <Num v={portfolio.discount} on={(v) => setPortfolio((s) => ({ ...s, discount: v }))} />
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-2 items-center">
+        <Button onClick={onAddCurrent}>Add current AOI</Button>
+        <select className="border border-white/10 rounded px-2 py-1.5 bg-white/5 text-sm" value="" onChange={(e) => e.target.value && onAddPreset(e.target.value)}>
+          <option value="">+ add AOI preset…</option>
+          {aoiPresets.map((x) => <option key={x.id} value={x.id}>{x.name}</option>)}
+        </select>
+        <span className="text-xs text-slate-400 ml-auto">Platform, payload and costs come from the wizard ({saas ? "SaaS" : "Tasking"}).</span>
+      </div>
+
+      <div className="overflow-auto rounded-xl border border-white/10">
+        <table className="min-w-[900px] w-full text-sm">
+          <thead className="bg-white/5">
+            <tr className="text-left">
+              <th className="px-2 py-2">AOI</th><th className="px-2 py-2">Type</th><th className="px-2 py-2">Area km²</th>
+              <th className="px-2 py-2">Width km</th><th className="px-2 py-2">{saas ? "Revisit (min)" : "# Missions"}</th>
+              {saas && <th className="px-2 py-2">Platforms alone</th>}
+              <th className="px-2 py-2">Cost</th><th className="px-2 py-2">Price</th><th className="px-2 py-2"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {portfolio.aois.length === 0 ? (
+              <tr><td colSpan={9} className="px-3 py-4 text-center text-slate-400">No AOIs in the portfolio.</td></tr>
+            ) : portfolio.aois.map((a) => (
+              <tr key={a.id} className="border-t border-white/10">
+                <td className="px-2 py-1"><input className={cellIn} value={a.name} onChange={(e) => setAoi(a.id, { name: e.target.value })} /></td>
+                <td className="px-2 py-1">
+                  <select className={cellIn} value={a.aoiType} onChange={(e) => setAoi(a.id, { aoiType: e.target.value })}>
+                    <option value="areal">Areal</option><option value="corridor">Corridor</option>
+                  </select>
+                </td>
+                <td className="px-2 py-1"><Num v={a.aoi_km2} on={(v) => setAoi(a.id, { aoi_km2: v })} /></td>
+                <td className="px-2 py-1">
+                  {a.aoiType === "corridor"
+                    ? <Num v={a.corridor_width_km} on={(v) => setAoi(a.id, { corridor_width_km: v })} />
+                    : <Num v={a.aoi_width_km} on={(v) => setAoi(a.id, { aoi_width_km: v === "" ? null : v })} />}
+                </td>
+                <td className="px-2 py-1">
+                  {saas
+                    ? <Num v={a.revisit_min} on={(v) => setAoi(a.id, { revisit_min: v })} />
+                    : <Num v={a.missions_count} step="1" on={(v) => setAoi(a.id, { missions_count: v })} />}
+                </td>
+                {saas && <td className="px-2 py-1">{byId[a.id]?.P ?? "—"}</td>}
+                <td className="px-2 py-1">{EUR(byId[a.id]?.cost)}</td>
+                <td className="px-2 py-1 font-semibold">{fmt(byId[a.id]?.price)}</td>
+                <td className="px-2 py-1">
+                  <Button variant="outline" className="border-red-400/40 text-red-300 hover:bg-red-500/10" onClick={() => removeAoi(a.id)}>✕</Button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {r.items.length > 0 && (
+        <div className="grid sm:grid-cols-4 gap-3">
+          {saas && (
+            <div className="rounded-xl bg-white/5 border border-white/10 p-3">
+              <div className="text-xs opacity-70">Shared fleet</div>
+              <div className="text-xl font-semibold">{r.P} <span className="text-sm font-normal text-slate-400">vs {r.summedPlatforms} summed</span></div>
+            </div>
+          )}
+          <div className="rounded-xl bg-white/5 border border-white/10 p-3">
+            <div className="text-xs opacity-70">{saas ? "Annual cost" : "Total cost"}</div>
+            <div className="text-xl font-semibold">{EUR(r.cost)}</div>
+            {saas && <div className="text-xs text-slate-400">{EUR(r.summedCost)} if quoted separately</div>}
+          </div>
+          <div className="rounded-xl bg-white/5 border border-white/10 p-3">
+            <div className="text-xs opacity-70">Portfolio price</div>
+            <div className="text-xl font-semibold text-emerald-200">{fmt(r.price)}</div>
+            {r.discount > 0 && <div className="text-xs text-slate-400">list {fmt(r.listPrice)} − {N(r.discount * 100, 1)}%</div>}
+          </div>
+          <div className="rounded-xl bg-white/5 border border-white/10 p-3">
+            <div className="text-xs opacity-70">GM</div>
+            <div className={`text-xl font-semibold ${r.GM < 0 ? "text-red-300" : ""}`}>{N((r.GM || 0) * 100, 1)}%</div>
+          </div>
+        </div>
+      )}
+      {saas && r.items.length > 0 && r.minSlack < 0 && (
+        <div className="rounded-lg border border-red-400/50 bg-red-500/10 px-3 py-2 text-xs text-red-200">
+          ⚠ At least one AOI has a revisit shorter than its sweep + reposition time ({N(r.minSlack, 0)} min slack).
+        </div>
+      )}
+
+      <div className="flex justify-end">
+        <Button className="bg-emerald-500/20 border border-emerald-400 text-emerald-200" disabled={r.items.length === 0} onClick={() => onSave(r)}>
+          Save portfolio to History
+        </Button>
+      </div>
+    </div>
+  );
+}
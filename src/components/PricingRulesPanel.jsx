@@ -0,0 +1,91 @@
+import { Button } from "./ui/button";
+import { Num } from "./ui/num";
+import { EUR } from "../format.js";
+import { DEFAULT_RULES } from "../pricing.js";
+
+const newId = (pfx) => `${pfx}_${Date.now()}`;
+
+/* Editor for SaaS pricing rules (rate card, volume discounts, minimum value, GM floor). */
+export function PricingRulesPanel({ rules, setRules }) {
+  const upd = (patch) => setRules((r) => ({ ...r, ...patch }));
+  const setRow = (list, id, patch) => upd({ [list]: rules[list].map((x) => (x.id === id ? { ...x, ...patch } : x)) });
+  const removeRow = (list, id) => upd({ [list]: rules[list].filter((x) => x.id !== id) });
+
+  return (
+    <div className="rounded-lg border border-white/10 p-3 bg-white/5 space-y-3">
+      <div className="flex items-center gap-2">
+        <div className="text-sm font-medium text-slate-200 mr-auto">Pricing rules</div>
+        <label className="flex items-center gap-2 text-sm">
+          <input type="checkbox" checked={!!rules.enabled} onChange={(e) => upd({ enabled: e.target.checked })} /> Apply to SaaS quotes
+        </label>
+        <Button variant="outline" onClick={() => confirm("Restore the default pricing rules?") && setRules({ ...DEFAULT_RULES, enabled: rules.enabled })}>Restore defaults</Button>
+      </div>
+
+      <div className={rules.enabled ? "space-y-3" : "space-y-3 opacity-50"}>
+        <div>
+          <div className="text-xs uppercase tracking-wider text-slate-400 mb-1">Rate card (€/km²/year, first match wins)</div>
+          <table className="w-full text-sm">
+            <thead className="text-xs text-slate-400">
+              <tr className="text-left"><th>AOI from km²</th><th>AOI to km²</th><th>Revisit from min</th><th>Revisit to min</th><th>€/km²/yr</th><th></th></tr>
+            </thead>
+            <tbody>
+              {rules.tiers.map((t) => (
+                <tr key={t.id}>
+                  {["aoi_min", "aoi_max", "revisit_min", "revisit_max", "rate_km2_year"].map((k) => (
+                    <td key={k} className="pr-1 py-0.5"><Num v={t[k]} on={(v) => setRow("tiers", t.id, { [k]: v })} /></td>
+                  ))}
+                  <td><Button variant="outline" className="border-red-400/40 text-red-300 hover:bg-red-500/10" onClick={() => removeRow("tiers", t.id)}>✕</Button></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <Button variant="secondary" className="mt-1" onClick={() => upd({ tiers: [...rules.tiers, { id: newId("t"), aoi_min: "", aoi_max: "", revisit_min: "", revisit_max: "", rate_km2_year: "" }] })}>+ Tier</Button>
+        </div>
+
+        <div>
+          <div className="text-xs uppercase tracking-wider text-slate-400 mb-1">Volume discounts (by AOI area, highest reached)</div>
+          <table className="w-full text-sm">
+            <thead className="text-xs text-slate-400"><tr className="text-left"><th>From km²</th><th>Discount (fraction)</th><th></th></tr></thead>
+            <tbody>
+              {rules.volume.map((v) => (
+                <tr key={v.id}>
+                  <td className="pr-1 py-0.5"><Num v={v.min_km2} on={(x) => setRow("volume", v.id, { min_km2: x })} /></td>
+                  <td className="pr-1 py-0.5"><Num v={v.discount} on={(x) => setRow("volume", v.id, { discount: x })} /></td>
+                  <td><Button variant="outline" className="border-red-400/40 text-red-300 hover:bg-red-500/10" onClick={() => removeRow("volume", v.id)}>✕</Button></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <Button variant="secondary" className="mt-1" onClick={() => upd({ volume: [...rules.volume, { id: newId("v"), min_km2: "", discount: "" }] })}>+ Volume step</Button>
+        </div>
+
+        <div className="grid grid-cols-2 gap-2">
+          <div><label className="block text-xs text-slate-400">Minimum contract value (EUR)</label><Num v={rules.min_contract_EUR} on={(v) => upd({ min_contract_EUR: v })} /></div>
+          <div><label className="block text-xs text-slate-400">Floor GM (fraction)</label><Num v={rules.floor_gm} on={(v) => upd({ floor_gm: v })} /></div>
+        </div>
+        <div className="text-xs text-slate-400">A manual proposed price skips the rate card and volume discount; the minimum value and floor still apply.</div>
+      </div>
+    </div>
+  );
+}
+
+/* Rules that changed the price, with their effect. */
+export function PricingSteps({ pricing, px = EUR }) {
+  if (!pricing?.steps?.length) return null;
+  return (
+    <div className="rounded-lg border border-white/10 p-3 bg-white/5">
+      <div className="text-sm font-medium mb-1 text-slate-200">Pricing rules applied</div>
+      <table className="w-full text-sm">
+        <tbody>
+          {pricing.steps.map((s) => (
+            <tr key={s.key} className="border-t border-white/10 first:border-t-0">
+              <td className="py-1 text-slate-300">{s.label}</td>
+              <td className={`py-1 text-right ${s.delta < 0 ? "text-amber-200" : "text-emerald-200"}`}>{s.delta > 0 ? "+" : "−"}{px(Math.abs(s.delta))}</td>
+              <td className="py-1 text-right">{px(s.after)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,72 @@
+import { useMemo } from "react";
+import { Button } from "./ui/button";
+import { Num } from "./ui/num";
+import { DEFAULT_TEMPLATE, proposalModel, proposalHTML, proposalPDF } from "../proposal.js";
+import { downloadText, downloadBytes } from "../download.js";
+import { slug } from "../presets.js";
+
+const inputCls = "w-full border border-white/10 rounded px-2 py-1 bg-white/5 text-slate-100";
+const TEXT_FIELDS = [
+  ["company_name", "Company", 1], ["company_details", "Company details", 1], ["title", "Document title", 1], ["ref_prefix", "Reference prefix", 1],
+  ["intro", "Introduction", 3], ["service_saas", "Service — SaaS", 4], ["service_tasking", "Service — Tasking", 3], ["terms", "Terms", 5], ["signature", "Signatory", 1],
+];
+
+// Print via a throwaway window so the app's dark theme never reaches the page.
+function printHTML(html) {
+  const w = window.open("", "_blank");
+  if (!w) return false;
+  w.document.open();
+  w.document.write(html);
+  w.document.close();
+  w.focus();
+  setTimeout(() => w.print(), 250);
+  return true;
+}
+
+/* Customer proposal for a saved quote: template editor, live preview, print and PDF. */
+export function ProposalPanel({ quote, template, setTemplate, profiles, onClose }) {
+  const tpl = { ...DEFAULT_TEMPLATE, ...template };
+  const model = useMemo(() => proposalModel(quote, tpl, { profiles }), [quote, template, profiles]);
+  const html = useMemo(() => proposalHTML(model), [model]);
+  const set = (k, v) => setTemplate((t) => ({ ...t, [k]: v }));
+  const base = `proposal-${slug(quote.client_name)}-${model.ref}`;
+
+  return (
+    <div className="rounded-lg border border-white/10 p-3 bg-white/5 space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <div className="text-sm font-medium text-slate-200 mr-auto">Proposal · {quote.client_name} · {quote.aoi_name} <span className="text-slate-400">({model.ref})</span></div>
+        <Button onClick={() => printHTML(html)}>Print</Button>
+        <Button variant="secondary" onClick={() => downloadBytes(`${base}.pdf`, proposalPDF(model), "application/pdf")}>Download PDF</Button>
+        <Button variant="secondary" onClick={() => downloadText(`${base}.html`, html, "text/html;charset=utf-8")}>HTML</Button>
+        <Button variant="outline" onClick={onClose}>Close</Button>
+      </div>
+      <div className="grid lg:grid-cols-2 gap-3">
+        <details className="text-sm">
+          <summary className="cursor-pointer text-slate-300">Template (saved in this browser)</summary>
+          <div className="mt-2 space-y-2">
+            {TEXT_FIELDS.map(([k, label, rows]) => (
+              <label key={k} className="block">
+                <span className="text-xs text-slate-400">{label}</span>
+                {rows > 1
+                  ? <textarea className={inputCls} rows={rows} value={tpl[k]} onChange={(e) => set(k, e.target.value)} />
+                  : <input className={inputCls} value={tpl[k]} onChange={(e) => set(k, e.target.value)} />}
+              </label>
+            ))}
+            <div className="flex flex-wrap items-center gap-3">
+              <label className="flex items-center gap-2"><span className="text-xs text-slate-400">Accent</span>
+                <input type="color" value={tpl.accent} onChange={(e) => set("accent", e.target.value)} /></label>
+              <label className="flex items-center gap-2"><span className="text-xs text-slate-400">Valid (days)</span>
+                <div className="w-20"><Num v={tpl.validity_days} on={(v) => set("validity_days", v)} /></div></label>
+              {quote.valid_until && <span className="text-xs text-slate-400">this quote was sent: valid until {model.validUntil}</span>}
+              <label className="flex items-center gap-2 text-xs text-slate-300">
+                <input type="checkbox" checked={!!tpl.show_unit_prices} onChange={(e) => set("show_unit_prices", e.target.checked)} /> Unit prices</label>
+              <Button variant="outline" className="ml-auto" onClick={() => setTemplate(DEFAULT_TEMPLATE)}>Reset template</Button>
+            </div>
+            <div className="text-xs text-slate-400">Placeholders: {"{client} {aoi} {company} {date} {valid_until} {currency}"}. Internal costs and margins are never included.</div>
+          </div>
+        </details>
+        <iframe title="Proposal preview" srcDoc={html} className="w-full h-[640px] bg-white rounded lg:col-start-2" />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,92 @@
+import { useState } from "react";
+import { Button } from "./ui/button";
+import { N, EUR, priceFmt } from "../format.js";
+import { fmtDate } from "../engine.js";
+import { entryFx } from "../fx.js";
+import { revLabel, revOf, diffQuotes } from "../revisions.js";
+
+const PRICE_LABELS = {
+  price_annual: "Final price", price_per_mission: "Price/mission", price_km2_year: "Price/km² per year",
+  price_km2_per_revisit: "Price/km² per revisit", cost_annual: "Annual cost", GM_prop: "GM", platforms: "Platforms",
+};
+
+const val = (v) => {
+  if (v == null || v === "") return "—";
+  if (typeof v === "object") return Array.isArray(v) ? "calendar" : v.type || "object";
+  if (typeof v === "number") return N(v, 4);
+  return String(v);
+};
+
+function priceVal(q, k, v) {
+  if (v == null) return "—";
+  if (k === "GM_prop") return `${N(v * 100, 1)}%`;
+  if (k === "platforms") return N(v, 0);
+  if (k === "cost_annual") return EUR(v);
+  return priceFmt(entryFx(q))(v, k.includes("km2") ? 2 : 0);
+}
+
+const summary = (q, labelOf) =>
+  q.changes?.length
+    ? q.changes.map((c) => (c.key === "price_annual" ? "price" : labelOf(c.key))).join(", ")
+    : revOf(q) === 0 ? "first revision" : "no recorded changes";
+
+/* Revisions of one deal with a two-revision diff (inputs and prices). */
+export function RevisionPanel({ revs, labelOf, onLoad }) {
+  const [pick, setPick] = useState(() => revs.length > 1 ? [revs[revs.length - 2].id, revs[revs.length - 1].id] : []);
+  const toggle = (id) => setPick((s) => (s.includes(id) ? s.filter((x) => x !== id) : [...s, id].slice(-2)));
+  const [a, b] = pick.map((id) => revs.find((q) => q.id === id)).filter(Boolean).sort((x, y) => revOf(x) - revOf(y));
+  const d = a && b ? diffQuotes(a, b) : null;
+
+  return (
+    <div className="space-y-2 text-xs">
+      <table>
+        <thead className="text-slate-400"><tr className="text-left">
+          <th className="pr-3">Diff</th><th className="pr-3">Rev</th><th className="pr-3">Date</th><th className="pr-3">By</th>
+          <th className="pr-3">Final price</th><th className="pr-3">Changed</th><th className="pr-3">Note</th><th></th>
+        </tr></thead>
+        <tbody>
+          {revs.map((q) => (
+            <tr key={q.id}>
+              <td className="pr-3"><input type="checkbox" checked={pick.includes(q.id)} onChange={() => toggle(q.id)} /></td>
+              <td className="pr-3 font-semibold">Rev {revLabel(revOf(q))}</td>
+              <td className="pr-3 whitespace-nowrap">{fmtDate(q.ts)}</td>
+              <td className="pr-3">{q.author || "—"}</td>
+              <td className="pr-3">{priceFmt(entryFx(q))(q.price_annual)}</td>
+              <td className="pr-3 max-w-[420px]">{summary(q, labelOf)}</td>
+              <td className="pr-3 max-w-[240px] text-slate-300">{q.note || ""}</td>
+              <td><Button variant="outline" className="px-2 py-0.5 text-xs" onClick={() => onLoad(q)}>Load</Button></td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {d ? (
+        <div className="rounded border border-white/10 p-2">
+          <div className="text-slate-300 mb-1">Rev {revLabel(revOf(a))} → Rev {revLabel(revOf(b))}</div>
+          {d.inputs.length === 0 && d.prices.length === 0 ? (
+            <div className="text-slate-400">No differences.</div>
+          ) : (
+            <table>
+              <thead className="text-slate-400"><tr className="text-left"><th className="pr-4"></th><th className="pr-4">Rev {revLabel(revOf(a))}</th><th className="pr-4">Rev {revLabel(revOf(b))}</th><th className="pr-4">Δ</th></tr></thead>
+              <tbody>
+                {d.inputs.map((x) => (
+                  <tr key={x.key}><td className="pr-4 text-slate-300">{labelOf(x.key)}</td><td className="pr-4">{val(x.from)}</td><td className="pr-4">{val(x.to)}</td>
+                    <td className="pr-4">{typeof x.from === "number" && typeof x.to === "number" ? N(x.to - x.from, 4) : ""}</td></tr>
+                ))}
+                {d.prices.map((x) => (
+                  <tr key={x.key} className="border-t border-white/10"><td className="pr-4 text-slate-300">{PRICE_LABELS[x.key]}</td>
+                    <td className="pr-4">{priceVal(a, x.key, x.from)}</td><td className="pr-4">{priceVal(b, x.key, x.to)}</td>
+                    <td className={`pr-4 ${x.delta > 0 ? "text-emerald-300" : x.delta < 0 ? "text-red-300" : ""}`}>
+                      {x.delta == null ? "" : x.key === "GM_prop" ? `${N(x.delta * 100, 1)} pt` : N(x.delta, 2)}
+                    </td></tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      ) : (
+        revs.length > 1 && <div className="text-slate-400">Tick two revisions to compare them.</div>
+      )}
+    </div>
+  );
+}
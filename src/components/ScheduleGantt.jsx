@@ -0,0 +1,77 @@
+import { useMemo, useState } from "react";
+import { Button } from "./ui/button";
+import { Num } from "./ui/num";
+import { N } from "../format.js";
+import { MONTHS, MONTH_DAYS } from "../season.js";
+import { YEAR_DAYS, buildSchedule, scheduleOk, scheduleCSV, scheduleICS } from "../schedule.js";
+import { downloadText } from "../download.js";
+import { slug } from "../presets.js";
+
+const COLORS = { mission: "#5fb1ff", turnaround: "#64748b", maintenance: "#f59e0b" };
+const ROW = 22, LABEL = 64, WIDTH = 900;
+
+/* Year-long platform timeline: can the fleet actually fly the quoted missions? */
+export function ScheduleGantt({ p, m }) {
+  const [year, setYear] = useState(new Date().getFullYear());
+  const [tolerance, setTolerance] = useState(1);
+  const s = useMemo(() => buildSchedule(p, m, { tolerance: Math.max(+tolerance || 0, 0) }), [p, m, tolerance]);
+  if (!s) return null;
+
+  const x = (d) => LABEL + (d / YEAR_DAYS) * (WIDTH - LABEL);
+  const H = s.platforms.length * ROW + 18;
+  const ticks = MONTH_DAYS.reduce((acc, d) => [...acc, acc[acc.length - 1] + d], [0]).slice(0, 12);
+  const base = `${slug(p.client_name)}-${slug(p.aoi_name)}-schedule-${year}`;
+  const st = s.stats;
+
+  return (
+    <div className="rounded-lg border border-white/10 p-3 bg-white/5 space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        <div className="text-sm font-medium text-slate-200 mr-auto">Fleet schedule</div>
+        <span className="text-xs text-slate-400">Year</span>
+        <div className="w-20"><Num v={year} on={(v) => setYear(+v || new Date().getFullYear())} /></div>
+        <span className="text-xs text-slate-400">Late after (days)</span>
+        <div className="w-16"><Num v={tolerance} on={setTolerance} /></div>
+        <Button variant="secondary" onClick={() => downloadText(`${base}.csv`, scheduleCSV(s, year), "text/csv;charset=utf-8")}>CSV</Button>
+        <Button variant="secondary" onClick={() => downloadText(`${base}.ics`, scheduleICS(s, year, `${p.client_name} · ${p.aoi_name}`), "text/calendar;charset=utf-8")}>ICS</Button>
+      </div>
+      <div className="overflow-x-auto">
+        <svg viewBox={`0 0 ${WIDTH} ${H}`} className="w-full min-w-[640px]">
+          {ticks.map((d, i) => (
+            <g key={i}>
+              <line x1={x(d)} y1={0} x2={x(d)} y2={H - 14} stroke="#ffffff14" />
+              <text x={x(d) + 2} y={H - 3} fontSize="9" fill="#94a3b8">{MONTHS[i]}</text>
+            </g>
+          ))}
+          {s.platforms.map((pl, r) => (
+            <g key={pl.id} transform={`translate(0 ${r * ROW})`}>
+              <text x={0} y={ROW / 2 + 4} fontSize="10" fill={pl.spare ? "#94a3b8" : "#e2e8f0"}>{pl.label}</text>
+              {pl.items.map((it, i) => (
+                <rect key={i} x={x(it.start)} y={3} width={Math.max(x(it.end) - x(it.start), 0.8)} height={ROW - 6} rx={2}
+                      fill={COLORS[it.kind]} fillOpacity={it.kind === "mission" ? 0.9 : 0.6}>
+                  <title>{it.kind === "mission" ? `Mission ${it.seq}` : it.kind} · day {N(it.start, 1)}–{N(it.end, 1)}</title>
+                </rect>
+              ))}
+            </g>
+          ))}
+        </svg>
+      </div>
+      <div className="flex flex-wrap gap-3 text-[11px] text-slate-400">
+        {Object.entries(COLORS).map(([k, c]) => (
+          <span key={k}><span className="inline-block w-3 h-2 align-middle mr-1" style={{ background: c }} />{k}</span>
+        ))}
+        <span className="ml-auto">
+          Flight budget {N(s.budget, 0)} d/platform{s.months ? " (sum of monthly flyable days)" : ""} (availability {N(s.availability * 100, 1)}%) · maintenance {N(s.maintDays, 0)} d · utilization {s.platforms.map((pl) => `${pl.label} ${N(pl.utilization * 100, 0)}%`).join(", ")}
+        </span>
+      </div>
+      <div className={`rounded border text-xs px-2 py-1 ${scheduleOk(s) ? "border-emerald-400/40 bg-emerald-500/10 text-emerald-200" : "border-red-400/50 bg-red-500/10 text-red-200"}`}>
+        {st.scheduled}/{st.demanded} missions scheduled
+        {st.unscheduled > 0 && ` · ${st.unscheduled} cannot be flown this year`}
+        {st.late > 0 && ` · ${st.late} start more than ${s.tolerance} d late (max ${N(st.maxDelay, 1)} d)`}
+        {st.onSpares > 0 && ` · ${st.onSpares} flown on spares`}
+        {s.months?.some((x) => !x.ok) && ` · not met in ${s.months.filter((x) => !x.ok).map((x) => `${x.month} (${x.onTime}/${x.demanded}${x.fly > 0 ? "" : ", not flyable"})`).join(", ")}`}
+        {scheduleOk(s) ? " — schedulable." : " — the commercial promise is not schedulable with this fleet."}
+      </div>
+      <div className="text-xs text-slate-400">Deterministic plan: failures and repairs are not drawn here.</div>
+    </div>
+  );
+}
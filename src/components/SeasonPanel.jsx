@@ -0,0 +1,71 @@
+import { Button } from "./ui/button";
+import { Num } from "./ui/num";
+import { N } from "../format.js";
+import { MONTHS, flatSeason, templateSeason } from "../season.js";
+
+const ROWS = [
+  ["fly", "Flyable fraction"],
+  ["max_days", "Max mission (days)"],
+  ["turnaround", "Turnaround (days)"],
+];
+
+/* 12-month flyability editor; `season` is null when the flat annual model is used. */
+export function SeasonPanel({ season, onChange, flatFly }) {
+  const setCell = (i, k, v) => onChange(season.map((s, j) => (j === i ? { ...s, [k]: v } : s)));
+  return (
+    <div className="rounded-lg border border-white/10 p-3 bg-white/5 space-y-2">
+      <div className="flex items-center gap-2">
+        <div className="text-sm font-medium text-slate-200 mr-auto">Seasonal flyability</div>
+        {season ? (
+          <>
+            <Button variant="secondary" onClick={() => onChange(templateSeason())}>Load template</Button>
+            <Button variant="outline" onClick={() => onChange(null)}>Use flat year</Button>
+          </>
+        ) : (
+          <Button variant="secondary" onClick={() => onChange(flatSeason(flatFly))}>Enable calendar</Button>
+        )}
+      </div>
+      {season ? (
+        <div className="overflow-auto">
+          <table className="text-xs w-full">
+            <thead className="text-slate-400">
+              <tr><th></th>{MONTHS.map((m) => <th key={m} className="font-normal px-0.5">{m}</th>)}</tr>
+            </thead>
+            <tbody>
+              {ROWS.map(([k, label]) => (
+                <tr key={k}>
+                  <td className="pr-2 whitespace-nowrap text-slate-300">{label}</td>
+                  {season.map((s, i) => (
+                    <td key={i} className="px-0.5 py-0.5 min-w-[58px]"><Num className="px-1 text-xs" v={s[k]} on={(v) => setCell(i, k, v)} /></td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="text-xs text-slate-400 mt-1">
+            Empty max mission / turnaround = platform values. Max flight days still caps the yearly total; saved with platform presets.
+          </div>
+        </div>
+      ) : (
+        <div className="text-xs text-slate-400">Flat year: max flight days and maintenance buffer apply evenly.</div>
+      )}
+    </div>
+  );
+}
+
+/* Monthly capacity vs demand for a seasonal quote. */
+export function SeasonStrip({ months }) {
+  if (!months) return null;
+  return (
+    <div className="grid grid-cols-12 gap-1 text-[10px] text-center">
+      {months.map((x) => (
+        <div key={x.month} title={x.ok ? "" : x.reasons.join(", ")}
+             className={`rounded px-0.5 py-1 border ${x.ok ? "border-white/10 bg-white/5" : "border-red-400/60 bg-red-500/15 text-red-200"}`}>
+          <div className="font-semibold">{x.month}</div>
+          <div>{N(x.fly * 100, 0)}%</div>
+          <div>{x.missions}/{Number.isFinite(x.capacity) ? N(x.capacity, 0) : "∞"}</div>
+        </div>
+      ))}
+    </div>
+  );
+}
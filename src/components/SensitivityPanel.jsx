@@ -0,0 +1,69 @@
+import { useMemo } from "react";
+import { Button } from "./ui/button";
+import { Num } from "./ui/num";
+import { N, EUR } from "../format.js";
+import { SENS_METRICS, sensitivity, sensitivityCSV } from "../sensitivity.js";
+import { downloadText } from "../download.js";
+
+// money metrics in `fmt` (the quote currency)
+const fmtMetric = (mk, v, fmt) => (v == null ? "—" : mk === "platforms" ? N(v, 0) : mk === "costKm2" ? fmt(v, 2) : fmt(v));
+
+/* Tornado of the cost model: bars span the metric at −pct and +pct of each input. */
+export function SensitivityPanel({ p, profiles, opts, setOpts, labelOf, fmt = EUR }) {
+  const by = p.mode !== "saas" && opts.by === "platforms" ? "cost" : opts.by;
+  const res = useMemo(() => sensitivity(p, { pct: opts.pct, by, profiles }), [p, opts.pct, by, profiles]);
+  const rows = res.rows.filter((r) => r.swing[by] > 1e-9).slice(0, opts.top || 12);
+  const base = res.base[by];
+
+  // x-scale over every bar end and the base value
+  const vals = rows.flatMap((r) => [r.low[by], r.high[by]]).concat(base ?? 0);
+  const lo = Math.min(...vals), hi = Math.max(...vals);
+  const W = 560, L = 170, R = 20, H = 22;
+  const x = (v) => L + ((v - lo) / Math.max(hi - lo, 1e-9)) * (W - L - R);
+
+  return (
+    <div className="rounded-lg border border-white/10 p-3 bg-white/5 space-y-3">
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <div className="font-medium text-slate-200 mr-auto">Sensitivity (tornado)</div>
+        <span className="text-slate-400">±%</span>
+        <div className="w-20"><Num v={opts.pct * 100} on={(v) => setOpts((o) => ({ ...o, pct: (+v || 0) / 100 }))} /></div>
+        <select className="border border-white/10 rounded px-2 py-1 bg-white/5" value={by}
+                onChange={(e) => setOpts((o) => ({ ...o, by: e.target.value }))}>
+          {Object.entries(SENS_METRICS)
+            .filter(([mk]) => p.mode === "saas" || mk !== "platforms")
+            .map(([mk, x]) => <option key={mk} value={mk}>{p.mode !== "saas" && mk === "costKm2" ? "Cost per km² (per mission)" : x.label}</option>)}
+        </select>
+        <Button variant="secondary" onClick={() => downloadText("involve_space_sensitivity.csv", sensitivityCSV(res, labelOf), "text/csv;charset=utf-8")}>
+          Export CSV
+        </Button>
+      </div>
+
+      {rows.length === 0 ? (
+        <div className="text-xs text-slate-400">No input moves this metric at ±{N(res.pct * 100, 1)}%.</div>
+      ) : (
+        <svg viewBox={`0 0 ${W} ${rows.length * H + 24}`} className="w-full" role="img" aria-label="Tornado chart">
+          {rows.map((r, i) => {
+            const y = i * H + 4;
+            const a = x(r.low[by]), b = x(r.high[by]);
+            return (
+              <g key={r.key}>
+                <text x={L - 6} y={y + 13} textAnchor="end" className="fill-slate-300" fontSize="11">{labelOf(r.key)}</text>
+                <rect x={Math.min(a, x(base))} y={y} width={Math.abs(x(base) - a)} height={H - 6} className="fill-sky-400/70">
+                  <title>−{N(res.pct * 100, 1)}% → {fmtMetric(by, r.low[by], fmt)}</title>
+                </rect>
+                <rect x={Math.min(b, x(base))} y={y} width={Math.abs(b - x(base))} height={H - 6} className="fill-amber-400/70">
+                  <title>+{N(res.pct * 100, 1)}% → {fmtMetric(by, r.high[by], fmt)}</title>
+                </rect>
+              </g>
+            );
+          })}
+          <line x1={x(base)} x2={x(base)} y1={0} y2={rows.length * H + 4} className="stroke-slate-200" strokeDasharray="3 3" />
+          <text x={x(base)} y={rows.length * H + 18} textAnchor="middle" className="fill-slate-400" fontSize="11">base {fmtMetric(by, base, fmt)}</text>
+        </svg>
+      )}
+      <div className="text-xs text-slate-400">
+        <span className="text-sky-300">■</span> input −{N(res.pct * 100, 1)}% · <span className="text-amber-300">■</span> input +{N(res.pct * 100, 1)}%
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,32 @@
+import { useEffect, useState } from "react";
+import { Button } from "./ui/button";
+import { N } from "../format.js";
+import { subscribe, flush } from "../storage.js";
+
+const MB = (b) => `${N(b / 1048576, b < 10485760 ? 1 : 0)} MB`;
+
+/* Storage backend, usage against quota, and save errors (with retry). */
+export function StorageStatus({ onBackup }) {
+  const [s, setS] = useState(null);
+  useEffect(() => subscribe(setS), []);
+  if (!s?.backend) return null;
+  const share = s.usage != null && s.quota ? s.usage / s.quota : null;
+  return (
+    <div className="space-y-2">
+      <div className="text-xs text-slate-400">
+        Saved in {s.backend}
+        {s.usage != null && s.quota ? ` · ${MB(s.usage)} of ${MB(s.quota)} used` : ""}
+        {s.migrated ? ` · ${s.migrated} entries moved from localStorage` : ""}
+        {share != null && share > 0.8 && <span className="text-amber-300"> · storage almost full</span>}
+      </div>
+      {s.notice && <div className="rounded border border-amber-400/50 bg-amber-500/10 text-amber-200 text-xs px-2 py-1">{s.notice}</div>}
+      {s.error && (
+        <div className="rounded border border-red-400/50 bg-red-500/10 text-red-200 text-xs px-2 py-1 flex flex-wrap items-center gap-2">
+          <span className="mr-auto">{s.error}{s.unsaved ? ` (${s.unsaved} unsaved)` : ""}</span>
+          {s.unsaved > 0 && <Button variant="outline" className="border-red-400/40 text-red-200 text-xs" onClick={flush}>Retry</Button>}
+          <Button variant="outline" className="border-red-400/40 text-red-200 text-xs" onClick={onBackup}>Backup…</Button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,56 @@
+import { useMemo, useState } from "react";
+import { N, EUR } from "../format.js";
+import { STATUSES, STATUS_STYLE, BREAKDOWNS, winLoss } from "../lifecycle.js";
+
+const pct = (x) => (x == null ? "—" : `${N(x * 100, 1)}%`);
+
+/* Win rate, pipeline and GM of won vs lost deals, with a breakdown by mode, platform or client. */
+export function WinLossPanel({ history }) {
+  const [dim, setDim] = useState("mode");
+  const { total: t, rows } = useMemo(() => winLoss(history, { dim }), [history, dim]);
+  const reasons = Object.entries(t.lossReasons).sort((a, b) => b[1] - a[1]);
+
+  return (
+    <div className="rounded-lg border border-white/10 p-3 bg-white/5 space-y-3">
+      <div className="flex items-center gap-2">
+        <div className="text-sm font-medium text-slate-200 mr-auto">Win / loss (latest revision per deal)</div>
+        <span className="text-xs text-slate-400">Break down by</span>
+        <select className="border border-white/10 rounded px-2 py-1 bg-white/5 text-sm" value={dim} onChange={(e) => setDim(e.target.value)}>
+          {Object.entries(BREAKDOWNS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+        </select>
+      </div>
+      <div className="grid sm:grid-cols-5 gap-3">
+        <div className="rounded-xl bg-white/5 border border-white/10 p-3"><div className="text-xs opacity-70">Win rate</div><div className="text-xl font-semibold">{pct(t.winRate)}</div><div className="text-xs text-slate-400">won / closed</div></div>
+        <div className="rounded-xl bg-white/5 border border-white/10 p-3"><div className="text-xs opacity-70">Pipeline</div><div className="text-xl font-semibold">{EUR(t.pipeline)}</div><div className="text-xs text-slate-400">{t.counts.sent + t.counts.negotiating} sent / negotiating</div></div>
+        <div className="rounded-xl bg-white/5 border border-white/10 p-3"><div className="text-xs opacity-70">Won value</div><div className="text-xl font-semibold">{EUR(t.wonValue)}</div><div className="text-xs text-slate-400">{t.counts.won} deals</div></div>
+        <div className="rounded-xl bg-white/5 border border-white/10 p-3"><div className="text-xs opacity-70">Avg GM won</div><div className="text-xl font-semibold text-emerald-300">{pct(t.gmWon)}</div></div>
+        <div className="rounded-xl bg-white/5 border border-white/10 p-3"><div className="text-xs opacity-70">Avg GM lost</div><div className="text-xl font-semibold text-red-300">{pct(t.gmLost)}</div></div>
+      </div>
+      <div className="overflow-auto">
+        <table className="w-full text-xs">
+          <thead className="text-slate-400">
+            <tr className="text-left">
+              <th className="pr-3 font-normal">{BREAKDOWNS[dim]}</th>
+              {STATUSES.map((s) => <th key={s} className={`pr-3 font-normal text-right ${STATUS_STYLE[s]}`}>{s}</th>)}
+              <th className="pr-3 font-normal text-right">Win rate</th><th className="pr-3 font-normal text-right">Pipeline</th>
+              <th className="pr-3 font-normal text-right">GM won</th><th className="pr-3 font-normal text-right">GM lost</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r) => (
+              <tr key={r.group} className="border-t border-white/10">
+                <td className="pr-3 py-1">{r.group}</td>
+                {STATUSES.map((s) => <td key={s} className="pr-3 text-right">{r.counts[s] || ""}</td>)}
+                <td className="pr-3 text-right">{pct(r.winRate)}</td><td className="pr-3 text-right">{EUR(r.pipeline)}</td>
+                <td className="pr-3 text-right">{pct(r.gmWon)}</td><td className="pr-3 text-right">{pct(r.gmLost)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {reasons.length > 0 && (
+        <div className="text-xs text-slate-400">Loss reasons: {reasons.map(([k, n]) => `${k} ${n}`).join(" · ")}</div>
+      )}
+    </div>
+  );
+}
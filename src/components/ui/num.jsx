@@ -0,0 +1,14 @@
+import { pdec } from "../../engine.js";
+
+export function Num({ v, on, step = "any", className = "" }) {
+  return (
+    <input
+      type="number"
+      step={step}
+      inputMode="decimal"
+      value={v == null ? "" : String(v)}
+      onChange={(e) => on(pdec(e.target.value, ""))}
+      className={`w-full border border-white/10 bg-white/5 text-slate-100 rounded-lg px-2 py-1 focus:outline-none focus:ring-2 focus:ring-[#5fb1ff] ${className}`}
+    />
+  );
+}
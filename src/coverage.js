@@ -0,0 +1,42 @@
+// src/coverage.js
+// Schematic coverage layout for the AOI preview: the AOI as a rectangle (or corridor band),
+// the `n` swath strips from strips() and the turn loops between them. Units are km.
+
+import { DEF, pdec, strips } from "./engine.js";
+
+/**
+ * Layout in a local frame: x along the flight lines (0..L), y across (0..W).
+ * Strip centres are spaced by swath·(1−ρ) and centred on the AOI.
+ */
+export function coverageLayout(p) {
+  const corridor = p.aoiType === "corridor";
+  const A = Math.max(1e-6, pdec(p.aoi_km2, DEF.aoi_km2));
+  const W = corridor
+    ? Math.max(1e-6, pdec(p.corridor_width_km, DEF.corridor_width_km))
+    : p.aoi_width_km !== null && p.aoi_width_km !== "" ? Math.max(1e-6, pdec(p.aoi_width_km)) : Math.sqrt(A);
+  const L = A / W;
+  const sw = pdec(p.swath_km, DEF.swath_km);
+  const ov = pdec(p.overlap, DEF.overlap);
+  const r = pdec(p.turn_radius_km, DEF.turn_radius_km);
+  const step = sw * (1 - ov);
+  const n = step > 0 ? strips(p.aoiType, W, p.corridor_width_km, sw, ov) : 0;
+
+  const y0 = W / 2 - ((n - 1) * step) / 2;
+  const lines = Array.from({ length: n }, (_, i) => ({ y: y0 + i * step, dir: i % 2 ? -1 : 1 }));
+
+  // one loop between consecutive strips, alternating ends; a single strip gets a return loop
+  const turns = n === 1
+    ? [{ x: L, y1: lines[0].y, y2: lines[0].y, side: 1, r }]
+    : lines.slice(1).map((s, i) => ({ x: i % 2 ? 0 : L, y1: lines[i].y, y2: s.y, side: i % 2 ? -1 : 1, r }));
+
+  const covered = n ? Math.min(W, (n - 1) * step + sw) : 0;
+  const warnings = [];
+  if (!(ov >= 0 && ov < 1)) warnings.push("Overlap must be in [0, 1).");
+  if (sw <= 0) warnings.push("Swath must be positive.");
+  if (n && sw > W) warnings.push(`Swath (${sw} km) is wider than the AOI (${+W.toFixed(2)} km): a single strip overflows it.`);
+  if (n > 1 && (n - 1) * step + sw - W > step) warnings.push("Strips overhang the AOI by more than one spacing — check width and overlap.");
+  if (!corridor && L / W > 20) warnings.push(`Very elongated AOI (${+(L / W).toFixed(0)}:1) — consider Corridor mode or a wider width.`);
+  if (n > 1 && 2 * r > step * 3) warnings.push("Turn diameter is much larger than strip spacing: loops dominate repositioning.");
+
+  return { corridor, A, W, L, sw, ov, r, step, n, lines, turns, covered, warnings };
+}
@@ -0,0 +1,39 @@
+// src/csv.js
+// Minimal RFC 4180 reader: quoted cells, doubled quotes, CRLF, "," or ";" separators.
+
+export function parseCSVRows(text) {
+  const src = String(text || "").replace(/^﻿/, "");
+  const firstLine = src.split(/\r?\n/, 1)[0] || "";
+  const sep = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ";" : ",";
+  const rows = [];
+  let row = [], cell = "", quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === sep) { row.push(cell); cell = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell); rows.push(row); row = []; cell = "";
+    } else cell += ch;
+  }
+  if (cell !== "" || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter(r => r.some(c => c.trim() !== ""));
+}
+
+// Rows as objects keyed by the (trimmed) header line.
+export function parseCSV(text) {
+  const [header = [], ...rows] = parseCSVRows(text);
+  const keys = header.map(h => h.trim());
+  return rows.map(r => Object.fromEntries(keys.map((k, i) => [k, r[i] ?? ""])));
+}
+
+const esc = (s) => `"${String(s ?? "").replace(/"/g, '""')}"`;
+
+// Generic writer: headers plus rows of cells, every cell quoted.
+export function writeCSV(headers, rows) {
+  return [headers.join(","), ...rows.map(r => r.map(esc).join(","))].join("\n");
+}
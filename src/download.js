@@ -0,0 +1,15 @@
+// src/download.js
+// Client-side file download (no server round trip).
+
+export function downloadText(filename, text, type = "text/plain;charset=utf-8") {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// Binary variant (e.g. generated PDFs); Blob takes typed arrays as they are.
+export const downloadBytes = (filename, bytes, type = "application/octet-stream") => downloadText(filename, bytes, type);
@@ -0,0 +1,502 @@
+// src/engine.js
+// Headless pricing model: no React or DOM, so the same code prices quotes in
+// the UI and in scripts/quote.js.
+import { normalizeSeason, seasonalPlan, checkMonths } from "./season.js";
+import { cachedPlan } from "./planner.js";
+import { dealOf, revOf, revLabel } from "./revisions.js";
+import { statusOf, statusDate } from "./lifecycle.js";
+
+/* ====================== Utils ====================== */
+const ceil = Math.ceil, floor = Math.floor, sqrt = Math.sqrt, PI = Math.PI;
+export const pdec = (v, fb = "") => {
+  if (v === null || v === undefined) return fb;
+  const s = String(v).replace(/,/g, ".").trim();
+  if (!s) return fb;
+  const n = Number(s);
+  return Number.isFinite(n) ? n : fb;
+};
+export const fmtDate = (ts) =>
+  new Date(ts).toLocaleString("en-GB", { dateStyle: "short", timeStyle: "short" });
+
+/* ====================== Tasking profiles ====================== */
+// Multipliers on mission duration (D), fixed cost (Cf), hourly cost (Ch) and consumables (Cons);
+// surcharge is a fraction added to the target price, lead_days the tasking lead time.
+export const PROFILES = {
+  standard: { name: "Standard", D: 1, Cf: 1, Ch: 1, Cons: 1, surcharge: 0, lead_days: 14 },
+  long: { name: "Long", D: 1.5, Cf: 1.1, Ch: 1, Cons: 1.2, surcharge: 0, lead_days: 21 },
+  express: { name: "Express", D: 0.7, Cf: 1.15, Ch: 1.15, Cons: 1, surcharge: 0.2, lead_days: 3 },
+};
+export const PROFILE_FIELDS = ["D", "Cf", "Ch", "Cons", "surcharge", "lead_days"];
+
+// Fill missing/blank profile fields so older stored profiles keep pricing.
+export function normalizeProfile(pr) {
+  const base = PROFILES.standard;
+  const out = { name: String(pr?.name || "Profile") };
+  for (const k of PROFILE_FIELDS) out[k] = pdec(pr?.[k], base[k]);
+  return out;
+}
+
+/* ====================== Default params ====================== */
+export const DEF = {
+  mode: "saas",                // "saas" | "tasking"
+  platform: "stats",           // "stats" | "relay"
+  relay_hours_h: 6,
+
+  // AOI
+  aoiType: "areal",
+  aoi_km2: 181.8,
+  aoi_width_km: null,
+  corridor_width_km: 0.8,
+  aoi_geometry: null,          // GeoJSON geometry of an imported AOI (see geo.js)
+  path_plan: false,            // polygon AOI: Ts/Tr from the planned lawnmower path (planner.js)
+
+  // Mission
+  revisit_min: 1440,           // SaaS
+  missions_count: 6,           // Tasking
+  mission_profile: "standard",
+  proposed_price_per_mission_EUR: "",
+
+  // Ops
+  mission_days: 7,
+  turnaround_days: 1,
+
+  // Payload & navigation
+  swath_km: 7,
+  ground_speed_kmh: 40,
+  duty: 0.75,
+  cov_eff: 0.5,
+  overlap: 0.2,
+  turn_radius_km: 5,
+  eta_nav: 0.8,
+
+  // Reliability & fleet
+  mtbf_h: 500,
+  mttr_h: 20,
+  max_flight_days: 200,
+  maint_buffer: 0.25,
+  spare_buffer: 0.15,
+  season: null,                // null = flat year; else 12 × { fly, max_days, turnaround } (season.js)
+
+  // Costs
+  Cf_mission: 2500,
+  Ch_hour: 25,
+  capex_platform_EUR: 20000,
+  life_platform_days: 800,
+  capex_payload_EUR: 90000,
+  life_payload_days: 1200,
+  consumables_per_mission: 500,
+  annual_cloud_costs: 12000,
+
+  // Pricing
+  target_gm: 0.5,
+  proposed_annual_price_EUR: "",
+
+  // Contract (SaaS, multi-year)
+  term_years: 1,
+  price_escalation: 0,         // yearly price increase (fraction)
+  cost_inflation: 0,           // yearly cost increase (fraction)
+  capex_mode: "amortize",      // "amortize" | "upfront"
+  discount_rate: 0.08,
+
+  // Meta
+  client_name: "Client",
+  aoi_name: "AOI",
+  currency: "EUR",             // prices shown/exported in this currency; costs stay EUR
+};
+
+/* ====================== Core model ====================== */
+export const strips = (type, W, cw, sw, ov) =>
+  type === "corridor"
+    ? Math.max(1, ceil(pdec(cw, 0) / (sw * (1 - ov))))
+    : ceil(W / (sw * (1 - ov)));
+
+export const Trepos = (type, n, r, v, eta) =>
+  type === "corridor" && n === 1
+    ? ((PI * r) / (v * eta)) * 60
+    : ((n * PI * r) / (v * eta)) * 60;
+
+export function compute(p) {
+  const isRelay = p.platform === "relay";
+  const A = Math.max(1e-6, pdec(p.aoi_km2, DEF.aoi_km2));
+  const W = p.aoi_width_km !== null && p.aoi_width_km !== "" ? pdec(p.aoi_width_km) : sqrt(A);
+
+  const relayH = pdec(p.relay_hours_h, DEF.relay_hours_h);
+  const D = isRelay ? Math.max(relayH / 24, 1 / 24) : pdec(p.mission_days, DEF.mission_days);
+  const Hh = isRelay ? relayH : D * 24;
+
+  const w = pdec(p.swath_km, DEF.swath_km),
+    v = pdec(p.ground_speed_kmh, DEF.ground_speed_kmh),
+    d = pdec(p.duty, DEF.duty),
+    c = pdec(p.cov_eff, DEF.cov_eff);
+  const ov = pdec(p.overlap, DEF.overlap),
+    r = pdec(p.turn_radius_km, DEF.turn_radius_km),
+    eta = pdec(p.eta_nav, DEF.eta_nav);
+
+  const covRate = w * v * d * c; // km²/h
+  // Planned path: real track and turn/ferry distance replace the area formula (cov_eff not applied)
+  const path = p.path_plan ? cachedPlan(p.aoi_geometry, { swath: w, overlap: ov, turnRadius: r }) : null;
+  const n = path ? path.lines : strips(p.aoiType, W, p.corridor_width_km, w, ov);
+  const Ts = path ? (path.track_km / Math.max(v * d, 1e-6)) * 60 : (A / Math.max(covRate, 1e-6)) * 60;
+  const Tr = path ? (path.transit_km / Math.max(v * eta, 1e-6)) * 60 : Trepos(p.aoiType, n, r, v, eta);
+  const Tc = Ts + Tr;
+
+  const R = pdec(p.revisit_min, DEF.revisit_min);
+  const revisitsY = ceil(525600 / R);
+  const Kyear = A * revisitsY;               // km² of revisit coverage in one year
+  const Kmis = covRate * Math.max(Hh, 1e-6); // km² per mission
+
+  const Fb = ceil(Kyear / Math.max(Kmis, 1e-6));
+  let Ft = Fb;
+
+  const Aavail = Math.min(
+    0.999,
+    Math.max(0.5, pdec(p.mtbf_h, DEF.mtbf_h) / (pdec(p.mtbf_h, DEF.mtbf_h) + pdec(p.mttr_h, DEF.mttr_h)))
+  );
+  const maintBuffer = pdec(p.maint_buffer, DEF.maint_buffer);
+  const turnaround = pdec(p.turnaround_days, DEF.turnaround_days);
+  let usable = pdec(p.max_flight_days, DEF.max_flight_days) * (1 - maintBuffer);
+  let Fpp = isRelay ? 0 : floor(usable * Aavail / Math.max(D + turnaround, 0.1));
+
+  const amortPlat =
+    pdec(p.capex_platform_EUR, DEF.capex_platform_EUR) / Math.max(pdec(p.life_platform_days, DEF.life_platform_days), 1);
+  const amortPay =
+    pdec(p.capex_payload_EUR, DEF.capex_payload_EUR) / Math.max(pdec(p.life_payload_days, DEF.life_payload_days), 1);
+  const missionCost = (Dm, Hm) =>
+    pdec(p.Cf_mission, DEF.Cf_mission) +
+    pdec(p.Ch_hour, DEF.Ch_hour) * Hm +
+    (amortPlat + amortPay) * Dm +
+    pdec(p.consumables_per_mission, DEF.consumables_per_mission);
+
+  let Cmis = missionCost(D, Hh);
+  let missionsCost = Ft * Cmis;
+  let amortMis = (amortPlat + amortPay) * D; // CAPEX share of one mission
+
+  // Seasonal calendar: monthly flyable days, mission length and turnaround
+  const season = normalizeSeason(p.season);
+  let plan = null;
+  if (season) {
+    plan = seasonalPlan(season, {
+      A, R, covRate, D, Hh, turnaround, maintBuffer, Aavail, Tc, isRelay, missionCost,
+      maxFlightDays: pdec(p.max_flight_days, DEF.max_flight_days),
+    });
+    Ft = plan.Ft;
+    missionsCost = plan.missionsCost;
+    Cmis = missionsCost / Math.max(Ft, 1); // average over the year's mission lengths
+    amortMis = (amortPlat + amortPay) * plan.months.reduce((a, x) => a + x.missions * x.D, 0) / Math.max(Ft, 1);
+    usable = plan.usable;
+    if (!isRelay) Fpp = floor(plan.fpp);
+  }
+
+  const Smin = isRelay ? 1 : ceil(Tc / R);
+  const P0 = isRelay ? 1 : Math.max(ceil(Ft / Math.max(Fpp, 1)), Smin);
+  const P = isRelay ? 1 : ceil(P0 * (1 + pdec(p.spare_buffer, DEF.spare_buffer)));
+  const months = plan ? checkMonths(plan.months, P0, isRelay) : null;
+
+  const Ann = missionsCost + pdec(p.annual_cloud_costs, DEF.annual_cloud_costs);
+
+  // Costs normalized
+  const EURkm2_per_revisit = Ann / Math.max(Kyear, 1); // cost per km² per revisit
+  const EURkm2_year = Ann / Math.max(A, 1);            // cost per km² per year
+
+  // Price at GM target and chosen price (manual if provided)
+  const PriceGM = Ann / Math.max(1 - pdec(p.target_gm, DEF.target_gm), 0.01);
+  let GM = null;
+  let PriceAnnualChosen = PriceGM;
+  if (p.proposed_annual_price_EUR !== "" && !isNaN(+p.proposed_annual_price_EUR)) {
+    const Puser = Math.max(+p.proposed_annual_price_EUR, 0.01);
+    GM = (Puser - Ann) / Puser;
+    PriceAnnualChosen = Puser;
+  }
+
+  // Chosen price normalized
+  const PricePerKm2_year = PriceAnnualChosen / Math.max(A, 1);
+  const PricePerKm2_per_revisit = PriceAnnualChosen / Math.max(Kyear, 1);
+  const PricePerMission_target = Cmis / Math.max(1 - pdec(p.target_gm, DEF.target_gm), 0.01);
+
+  return {
+    isRelay,
+    A,
+    W,
+    D,
+    Hh,
+    covRate,
+    n,
+    Ts,
+    Tr,
+    Tc,
+    path,
+    R,
+    revisitsY,
+    Kyear,
+    Kmis,
+    Fb,
+    Ft,
+    Aavail,
+    usable,
+    Fpp,
+    Smin,
+    P0,
+    P,
+    Cmis,
+    amortMis,
+    months,
+    Ann,
+    EURkm2_per_revisit,
+    EURkm2_year,
+    PriceGM,
+    PriceAnnualChosen,
+    PricePerKm2_year,
+    PricePerKm2_per_revisit,
+    PricePerMission_target,
+    GM,
+    slack: R - Tc,
+  };
+}
+
+/* ====================== Tasking ====================== */
+export function taskingCalc(p, m, profileKey, profiles = PROFILES) {
+  const isRelay = p.platform === "relay";
+  const pr = normalizeProfile(profiles[profileKey] || profiles.standard || PROFILES.standard);
+
+  const relayH = pdec(p.relay_hours_h, DEF.relay_hours_h);
+  const Dbase = isRelay ? Math.max(relayH / 24, 1 / 24) : pdec(p.mission_days, DEF.mission_days);
+  const D = Dbase * pr.D;
+  const H = D * 24;
+
+  const amortPlat =
+    pdec(p.capex_platform_EUR, DEF.capex_platform_EUR) / Math.max(pdec(p.life_platform_days, DEF.life_platform_days), 1);
+  const amortPay =
+    pdec(p.capex_payload_EUR, DEF.capex_payload_EUR) / Math.max(pdec(p.life_payload_days, DEF.life_payload_days), 1);
+
+  const Cmis =
+    pdec(p.Cf_mission, DEF.Cf_mission) * pr.Cf +
+    pdec(p.Ch_hour, DEF.Ch_hour) * pr.Ch * H +
+    (amortPlat + amortPay) * D +
+    pdec(p.consumables_per_mission, DEF.consumables_per_mission) * pr.Cons;
+
+  const tot = m * Cmis;
+
+  // km² per mission for per-km² pricing
+  const covRate = pdec(p.swath_km, DEF.swath_km) * pdec(p.ground_speed_kmh, DEF.ground_speed_kmh) * pdec(p.duty, DEF.duty) * pdec(p.cov_eff, DEF.cov_eff);
+  const Kmis = covRate * H;
+
+  // Price at GM target, plus the profile surcharge
+  const gmTarget = pdec(p.target_gm, DEF.target_gm);
+  const pricePerMissionGM = (Cmis / Math.max(1 - gmTarget, 0.01)) * (1 + pr.surcharge);
+  const totalPriceGM = pricePerMissionGM * m;
+
+  // Manual proposal
+  const userPmValid = p.proposed_price_per_mission_EUR !== "" && isFinite(+p.proposed_price_per_mission_EUR);
+  const userPm = userPmValid ? Math.max(+p.proposed_price_per_mission_EUR, 0.01) : null;
+  const userTotal = userPmValid ? userPm * m : null;
+  const GMm_user = userPmValid ? (userPm - Cmis) / userPm : null;
+  const GMtot_user = userPmValid ? (userTotal - tot) / userTotal : null;
+
+  // Final choice
+  const Pm_final = userPmValid ? userPm : pricePerMissionGM;
+  const Ptot_final = Pm_final * m;
+  const GMm_final = (Pm_final - Cmis) / Pm_final;
+  const GMtot_final = (Ptot_final - tot) / Ptot_final;
+
+  // Per-km² per mission
+  const pricePerKm2 = Pm_final / Math.max(Kmis, 1e-6);
+  const costPerKm2 = Cmis / Math.max(Kmis, 1e-6);
+
+  return {
+    isRelay,
+    pr,
+    leadDays: pr.lead_days,
+    D,
+    H,
+    Cmis,
+    Kmis,
+    tot,
+    pricePerMissionGM,
+    totalPriceGM,
+    userPm,
+    userTotal,
+    GMm_user,
+    GMtot_user,
+    Pm_final,
+    Ptot_final,
+    GMm_final,
+    GMtot_final,
+    pricePerKm2,
+    costPerKm2,
+    hasUserPrice: userPmValid,
+  };
+}
+
+/* ====================== Quote metrics ====================== */
+export const missionsOf = (p) => Math.max(0, parseInt(p.missions_count || 0) || 0);
+
+// Collapse compute()/taskingCalc() into the columns shown in Summary and History.
+export function quoteMetrics(mode, m, t) {
+  if (mode === "saas") {
+    return {
+      cost_km2_per_revisit: m.EURkm2_per_revisit,
+      cost_km2_year: m.EURkm2_year,
+      cost_per_mission: m.Cmis,
+      cost_annual: m.Ann,
+      price_km2_per_revisit: m.PricePerKm2_per_revisit,
+      price_km2_year: m.PricePerKm2_year,
+      price_per_mission: m.PricePerMission_target,
+      price_annual: m.PriceAnnualChosen,
+      GM_prop: m.GM,
+      // fleet & feasibility
+      platforms: m.P,
+      flights_per_platform: m.isRelay ? null : m.Fpp,
+      sweep_min: m.Tc,
+      revisit_slack_min: m.slack,
+    };
+  }
+  return {
+    cost_km2_per_revisit: null,  // not applicable
+    cost_km2_year: t.costPerKm2, // per mission basis (naming kept distinct)
+    cost_per_mission: t.Cmis,
+    cost_annual: t.tot,          // total of the mission batch
+    price_km2_per_revisit: null, // not applicable
+    price_km2_year: t.pricePerKm2, // per mission basis
+    price_per_mission: t.Pm_final,
+    price_annual: t.Ptot_final,  // total chosen
+    GM_prop: t.GMtot_final,
+    platforms: null,
+    flights_per_platform: null,
+    sweep_min: null,
+    revisit_slack_min: null,
+  };
+}
+
+// Feasibility checks on compute() output (SaaS); empty when the revisit can be flown.
+export function fleetWarnings(m) {
+  const out = [];
+  const bad = (m.months || []).filter(x => !x.ok);
+  if (bad.length) {
+    out.push(`Revisit cannot be met in ${bad.map(x => `${x.month} (${x.reasons.join(", ")})`).join("; ")}.`);
+  }
+  if (m.slack < 0) {
+    out.push(
+      `Revisit ${Math.round(m.R)} min is shorter than sweep + reposition (${Math.round(m.Tc)} min): ` +
+      `${m.Smin} platforms must cover the AOI at the same time.`
+    );
+  }
+  if (!m.isRelay && m.Fpp < 1) {
+    out.push("No mission fits in the usable flight days of a platform: check max flight days, maintenance buffer and turnaround.");
+  }
+  return out;
+}
+
+// Everything the Live Quote needs for one parameter set. `pricing` is an optional
+// (m, p) => m step applied to compute() output (see applyPricingRules in pricing.js).
+export function priceScenario(p, profiles = PROFILES, pricing = null) {
+  const m = pricing ? pricing(compute(p), p) : compute(p);
+  const missionsCount = missionsOf(p);
+  const t = taskingCalc(p, missionsCount, p.mission_profile, profiles);
+  return { m, t, missionsCount, metrics: quoteMetrics(p.mode, m, t) };
+}
+
+// History entry as stored by saveQuote() and exported by toCSV().
+export function quoteEntry(p, metrics, { id = `q_${Date.now()}`, ts = Date.now(), fx = null } = {}) {
+  return {
+    id, ts,
+    client_name: p.client_name || "Client",
+    aoi_name: p.aoi_name || "AOI",
+    mode: p.mode,
+    platform: p.platform,
+    mission_profile: p.mission_profile,
+    missions_count: missionsOf(p),
+    aoi_km2: p.aoi_km2,
+    revisit_min: p.mode === "saas" ? p.revisit_min : "",
+    // persisted metrics (EUR)
+    ...metrics,
+    fx: fx || { currency: "EUR", rate: 1, asOf: null },
+    inputs: { ...p },
+  };
+}
+
+// Geometry arrives as an object (JSON) or a GeoJSON string (CSV cell).
+function parseGeometryField(v) {
+  if (v && typeof v === "object") return v;
+  if (typeof v !== "string" || !v.trim()) return null;
+  try { return JSON.parse(v); } catch { return null; }
+}
+
+// Coerce loosely-typed scenario fields (CSV cells, JSON strings) onto DEF.
+export function normalizeInputs(raw) {
+  const p = { ...DEF };
+  for (const [k, v] of Object.entries(raw || {})) {
+    if (!(k in DEF)) continue;
+    if (typeof DEF[k] === "number") p[k] = pdec(v, DEF[k]);
+    else if (typeof DEF[k] === "boolean") p[k] = v === true || /^(true|1|yes)$/i.test(String(v ?? "").trim());
+    else if (k === "aoi_width_km") p[k] = v === "" || v == null ? null : pdec(v, null);
+    else if (k === "season") p[k] = normalizeSeason(v);
+    else if (k === "aoi_geometry") p[k] = parseGeometryField(v);
+    else p[k] = v == null ? DEF[k] : String(v).trim();
+  }
+  return p;
+}
+
+// Fields compute()/taskingCalc() divide by or scale with: zero or negative values give
+// Infinity/NaN prices.
+const POSITIVE = [
+  "relay_hours_h", "aoi_km2", "corridor_width_km", "aoi_width_km", "revisit_min", "mission_days",
+  "swath_km", "ground_speed_kmh", "duty", "cov_eff", "eta_nav", "mtbf_h", "max_flight_days",
+  "life_platform_days", "life_payload_days", "term_years",
+];
+const OPTIONAL_NUMBERS = ["aoi_width_km", "proposed_price_per_mission_EUR", "proposed_annual_price_EUR"];
+const CHOICES = { mode: ["saas", "tasking"], platform: ["stats", "relay"], aoiType: ["areal", "corridor"], capex_mode: ["amortize", "upfront"] };
+
+/**
+ * Problems with a loosely-typed scenario (CSV cells, JSON) that normalizeInputs() would
+ * otherwise replace with DEF values. Empty cells are not errors: they take the default.
+ */
+export function inputErrors(raw) {
+  const errors = [];
+  for (const [k, v] of Object.entries(raw || {})) {
+    if (!(k in DEF) || v == null || (typeof v === "string" && !v.trim())) continue;
+    if (typeof DEF[k] === "number" || OPTIONAL_NUMBERS.includes(k)) {
+      const n = pdec(v, NaN);
+      if (!Number.isFinite(n)) errors.push(`${k} "${v}" is not a number`);
+      else if (POSITIVE.includes(k) && n <= 0) errors.push(`${k} must be positive (got ${n})`);
+      else if (n < 0 && !["price_escalation", "cost_inflation"].includes(k)) errors.push(`${k} must not be negative (got ${n})`);
+    } else if (CHOICES[k] && !CHOICES[k].includes(String(v).trim())) {
+      errors.push(`${k} "${v}" is not one of ${CHOICES[k].join(", ")}`);
+    } else if (k === "season" && !normalizeSeason(v)) errors.push("season is not a 12-month calendar");
+    else if (k === "aoi_geometry" && !parseGeometryField(v)) errors.push("aoi_geometry is not GeoJSON");
+  }
+  return errors;
+}
+
+/* ====================== CSV export ====================== */
+export function toCSV(rows) {
+  const headers = [
+    "id","ts","client","aoi","mode","platform","profile",
+    "aoi_km2","revisit_min","missions_count",
+    "cost_km2_per_revisit","cost_km2_year","cost_per_mission","cost_annual",
+    "price_km2_per_revisit","price_km2_year","price_per_mission","price_annual",
+    "GM",
+    "platforms","flights_per_platform","sweep_min","revisit_slack_min",
+    "currency","fx_rate","fx_as_of",
+    "deal","rev","author",
+    "status","status_date","valid_until","loss_reason"
+  ];
+  const esc = (s) => `"${String(s ?? "").replace(/"/g, '""')}"`;
+  const lines = [headers.join(",")];
+  for (const r of rows) {
+    // costs stay in EUR; prices in the quote currency at its recorded rate
+    const fx = r.fx || { currency: "EUR", rate: 1, asOf: null };
+    const px = (v) => (v == null || v === "" ? "" : v * fx.rate);
+    lines.push([
+      r.id, fmtDate(r.ts), r.client_name, r.aoi_name, r.mode, r.platform, r.mission_profile,
+      r.aoi_km2, r.revisit_min ?? "", r.missions_count ?? "",
+      r.cost_km2_per_revisit ?? "", r.cost_km2_year ?? "", r.cost_per_mission ?? "", r.cost_annual ?? "",
+      px(r.price_km2_per_revisit), px(r.price_km2_year), px(r.price_per_mission), px(r.price_annual),
+      r.GM_prop ?? "",
+      r.platforms ?? "", r.flights_per_platform ?? "", r.sweep_min ?? "", r.revisit_slack_min ?? "",
+      fx.currency, fx.rate, fx.asOf ?? "",
+      dealOf(r), revLabel(revOf(r)), r.author ?? "",
+      statusOf(r), fmtDate(statusDate(r)), r.valid_until ? fmtDate(r.valid_until) : "", r.loss_reason ?? ""
+    ].map(esc).join(","));
+  }
+  return lines.join("\n");
+}
@@ -0,0 +1,206 @@
+// src/fleetsim.js
+// Seeded discrete-event simulation of one contract year for a SaaS (Stratostats) fleet.
+// Platforms fly missions of D days within their flight-hour budget, fail in flight after
+// Exp(mtbf_h) hours, are repaired in Exp(mttr_h) hours and wait `turnaround` before the next
+// launch. Every R minutes a revisit falls due and needs a Tc-minute sweep by an airborne
+// platform; a revisit still unswept when the next one falls due is missed.
+// Times are in hours from 1 January.
+
+import { DEF, pdec } from "./engine.js";
+import { MONTH_DAYS } from "./season.js";
+import { mulberry32, exponential } from "./random.js";
+import { quantile } from "./montecarlo.js";
+
+export const HORIZON_H = 8760;
+const MAX_DUES = 1e6; // revisits simulated across all runs (keeps the UI responsive)
+
+// Minimal binary min-heap on `t`.
+function heap() {
+  const a = [];
+  const up = (i) => { while (i > 0) { const j = (i - 1) >> 1; if (a[j].t <= a[i].t) break; [a[i], a[j]] = [a[j], a[i]]; i = j; } };
+  const down = (i) => {
+    for (;;) {
+      const l = 2 * i + 1, r = l + 1;
+      let k = i;
+      if (l < a.length && a[l].t < a[k].t) k = l;
+      if (r < a.length && a[r].t < a[k].t) k = r;
+      if (k === i) return;
+      [a[i], a[k]] = [a[k], a[i]];
+      i = k;
+    }
+  };
+  return {
+    push: (e) => { a.push(e); up(a.length - 1); },
+    pop: () => { const top = a[0], last = a.pop(); if (a.length) { a[0] = last; down(0); } return top; },
+    get size() { return a.length; },
+  };
+}
+
+// Month index of hour t.
+const monthOf = (t) => {
+  let d = Math.floor(t / 24);
+  for (let i = 0; i < 12; i++) { if (d < MONTH_DAYS[i]) return i; d -= MONTH_DAYS[i]; }
+  return 11;
+};
+
+function runOnce(ctx, rng) {
+  const { P, need, Rh, TcH, mtbf, mttr, budgetH, Dh, turnH, flyFrac } = ctx;
+  const fly = Array.from({ length: 365 }, (_, d) => rng() < flyFrac(d * 24)); // launch weather per day
+  const plats = Array.from({ length: P }, (_, id) => ({ id, state: "ready", tok: 0, flown: 0, from: 0, end: 0, sweep: null, failures: 0, repairH: 0 }));
+  const q = heap();
+  const pending = []; // due times not yet swept, oldest first from index `head`
+  let head = 0;
+  const done = [];
+  let dues = 0, missed = 0, retryAt = -1;
+
+  const onStation = (pl, t) => pl.state === "flying" && pl.end - t >= TcH;
+  const serve = (pl, t) => {
+    if (!onStation(pl, t) || pl.sweep != null) return;
+    while (head < pending.length && pending[head] + Rh <= t) { head++; missed++; }
+    if (head === pending.length) return;
+    pl.sweep = pending[head++];
+    q.push({ t: t + TcH, kind: "sweepEnd", pl, tok: pl.tok });
+  };
+  const dispatch = (t) => {
+    let up = plats.filter((pl) => onStation(pl, t)).length;
+    const ready = plats.filter((pl) => pl.state === "ready" && budgetH - pl.flown > TcH).sort((a, b) => a.flown - b.flown);
+    for (const pl of ready) {
+      if (up >= need) break;
+      const day = Math.floor(t / 24);
+      if (day < 365 && !fly[day]) {
+        if (retryAt !== (day + 1) * 24) { retryAt = (day + 1) * 24; q.push({ t: retryAt, kind: "retry" }); }
+        return;
+      }
+      const len = Math.min(Dh(t), budgetH - pl.flown, HORIZON_H - t);
+      if (len <= TcH) continue;
+      Object.assign(pl, { state: "flying", tok: pl.tok + 1, from: t, end: t + len, sweep: null });
+      q.push({ t: t + len, kind: "land", pl, tok: pl.tok });
+      q.push({ t: Math.max(t, t + len - TcH), kind: "handover", pl, tok: pl.tok });
+      const ttf = exponential(rng, mtbf);
+      if (ttf < len) q.push({ t: t + ttf, kind: "fail", pl, tok: pl.tok });
+      up++;
+      serve(pl, t);
+    }
+  };
+  const ground = (pl, t, next, after) => {
+    pl.flown += t - pl.from;
+    if (pl.sweep != null) { // interrupted sweep goes back at the front of the queue
+      if (head > 0) pending[--head] = pl.sweep; else pending.unshift(pl.sweep);
+      pl.sweep = null;
+    }
+    Object.assign(pl, { state: next, tok: pl.tok + 1 });
+    q.push({ t: t + after, kind: next === "repair" ? "repaired" : "ready", pl, tok: pl.tok });
+  };
+
+  dispatch(0);
+  q.push({ t: 0, kind: "due" });
+  while (q.size) {
+    const e = q.pop();
+    if (e.t >= HORIZON_H) break;
+    if (e.pl && e.tok !== e.pl.tok) continue; // stale event
+    const { t, pl } = e;
+    switch (e.kind) {
+      case "due":
+        dues++;
+        pending.push(t);
+        plats.forEach((x) => serve(x, t));
+        q.push({ t: t + Rh, kind: "due" });
+        break;
+      case "sweepEnd":
+        done.push(t);
+        pl.sweep = null;
+        serve(pl, t);
+        break;
+      case "handover":
+        dispatch(t);
+        plats.forEach((x) => serve(x, t));
+        break;
+      case "land":
+        ground(pl, t, "turnaround", ctx.turnH);
+        dispatch(t);
+        plats.forEach((x) => serve(x, t));
+        break;
+      case "fail": {
+        pl.failures++;
+        const rep = exponential(rng, mttr);
+        pl.repairH += rep;
+        ground(pl, t, "repair", rep);
+        dispatch(t);
+        plats.forEach((x) => serve(x, t));
+        break;
+      }
+      case "repaired":
+        Object.assign(pl, { state: "turnaround", tok: pl.tok + 1 });
+        q.push({ t: t + turnH, kind: "ready", pl, tok: pl.tok });
+        break;
+      case "ready":
+        pl.state = "ready";
+        dispatch(t);
+        break;
+      case "retry":
+        dispatch(t);
+        break;
+    }
+  }
+  for (const pl of plats) if (pl.state === "flying") pl.flown += Math.min(pl.end, HORIZON_H) - pl.from;
+  missed += pending.slice(head).filter((d) => d + Rh <= HORIZON_H).length;
+
+  const intervals = done.slice(1).map((t, i) => (t - done[i]) * 60);
+  return {
+    dues, missed, intervals,
+    platforms: plats.map((pl) => ({ flown: pl.flown, failures: pl.failures, repairH: pl.repairH })),
+  };
+}
+
+/**
+ * Simulate `runs` independent years. Returns revisit-interval quantiles (minutes), missed
+ * share, SLA exceedance (intervals above slaMin, default 1.5·R) and per-platform utilization,
+ * or null for relay / tasking quotes.
+ */
+export function simulateFleet(p, m, { runs = 20, seed = 1, slaMin = null } = {}) {
+  if (m.isRelay || p.mode !== "saas") return null;
+  const R = m.R, Rh = R / 60;
+  const maxFlight = pdec(p.max_flight_days, DEF.max_flight_days), maint = pdec(p.maint_buffer, DEF.maint_buffer);
+  const ctx = {
+    P: m.P,
+    need: Math.max(m.Smin, 1),
+    Rh,
+    TcH: m.Tc / 60,
+    mtbf: Math.max(pdec(p.mtbf_h, DEF.mtbf_h), 1e-3),
+    mttr: Math.max(pdec(p.mttr_h, DEF.mttr_h), 0),
+    budgetH: maxFlight * (1 - maint) * 24,
+    Dh: (t) => (m.months ? m.months[monthOf(t)].D : m.D) * 24,
+    turnH: pdec(p.turnaround_days, DEF.turnaround_days) * 24,
+    flyFrac: (t) => (m.months ? m.months[monthOf(t)].fly : 1),
+  };
+  const duesPerRun = Math.ceil(HORIZON_H / Rh);
+  const n = Math.max(1, Math.min(Math.round(pdec(runs, 20)), Math.floor(MAX_DUES / duesPerRun) || 1));
+  const rng = mulberry32(pdec(seed, 1));
+  const sla = pdec(slaMin, R * 1.5);
+
+  const all = [], missedShare = [], util = Array(m.P).fill(0), fails = Array(m.P).fill(0);
+  let flown = 0, repair = 0;
+  for (let i = 0; i < n; i++) {
+    const r = runOnce(ctx, rng);
+    for (const x of r.intervals) all.push(x); // can be ~10⁶ values: no spread into push()
+    missedShare.push(r.missed / Math.max(r.dues, 1));
+    r.platforms.forEach((x, j) => { util[j] += x.flown / HORIZON_H / n; fails[j] += x.failures / n; flown += x.flown; repair += x.repairH; });
+  }
+  all.sort((a, b) => a - b);
+  const ms = missedShare.slice().sort((a, b) => a - b);
+  const bins = [1.05, 1.5, 2, 3, Infinity].map((k, i, a) => ({
+    label: k === Infinity ? `> ${a[i - 1]}·R` : `≤ ${k}·R`,
+    share: all.filter((x) => x <= k * R && (i === 0 || x > a[i - 1] * R)).length / Math.max(all.length, 1),
+  }));
+  return {
+    runs: n, seed: pdec(seed, 1), R, sla, need: ctx.need,
+    interval: all.length
+      ? { p50: quantile(all, 0.5), p90: quantile(all, 0.9), p95: quantile(all, 0.95), p99: quantile(all, 0.99), max: all[all.length - 1], mean: all.reduce((a, b) => a + b, 0) / all.length }
+      : null,
+    bins,
+    missed: { mean: ms.reduce((a, b) => a + b, 0) / n, p10: quantile(ms, 0.1), p90: quantile(ms, 0.9) },
+    slaExceed: all.filter((x) => x > sla).length / Math.max(all.length, 1),
+    availability: flown / Math.max(flown + repair, 1e-9),
+    platforms: util.map((u, j) => ({ label: j < m.P0 ? `P${j + 1}` : `Spare ${j + 1 - m.P0}`, utilization: u, failures: fails[j] })),
+  };
+}
@@ -0,0 +1,18 @@
+// src/format.js
+// Display formatters shared by the planner UI.
+
+export const N = (n, d = 2) =>
+  new Intl.NumberFormat("en-GB", { maximumFractionDigits: d }).format(
+    isFinite(n) ? n : 0
+  );
+export const money = (n, currency = "EUR", d = 0) =>
+  new Intl.NumberFormat("en-GB", {
+    style: "currency",
+    currency,
+    minimumFractionDigits: d,
+    maximumFractionDigits: d,
+  }).format(isFinite(n) ? n : 0);
+export const EUR = (n, d = 0) => money(n, "EUR", d);
+
+// Formatter for EUR amounts shown in a quote's currency ({ currency, rate }).
+export const priceFmt = (fx) => (n, d = 0) => money((isFinite(n) ? n : 0) * fx.rate, fx.currency, d);
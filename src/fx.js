@@ -0,0 +1,28 @@
+// src/fx.js
+// Quote currencies. Costs and prices are computed in EUR; a quote converts its prices
+// with the rate it recorded when saved, so later FX edits never change old quotes.
+
+export const CURRENCIES = ["EUR", "USD", "GBP", "CHF"];
+
+// Units of currency per 1 EUR.
+export const DEFAULT_FX = {
+  asOf: "2025-08-22",
+  rates: { EUR: 1, USD: 1.16, GBP: 0.86, CHF: 0.94 },
+};
+
+export function rateFor(fx, currency) {
+  if (!currency || currency === "EUR") return 1;
+  const r = +fx?.rates?.[currency];
+  return Number.isFinite(r) && r > 0 ? r : null;
+}
+
+// Snapshot stored with a quote; falls back to EUR when the table has no usable rate.
+export function quoteFx(fx, currency) {
+  const rate = rateFor(fx, currency);
+  return rate == null
+    ? { currency: "EUR", rate: 1, asOf: fx?.asOf || null }
+    : { currency: currency || "EUR", rate, asOf: fx?.asOf || null };
+}
+
+// Quotes saved before currencies existed are EUR at 1.
+export const entryFx = (q) => q?.fx || { currency: "EUR", rate: 1, asOf: null };
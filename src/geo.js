@@ -0,0 +1,221 @@
+// src/geo.js
+// AOI geometry: GeoJSON/KML parsing, geodesic area and length, minimum bounding rectangle.
+// Coordinates are [lon, lat] in degrees (GeoJSON order); distances in km.
+
+export const EARTH_RADIUS_KM = 6371.0088;
+const rad = (d) => (d * Math.PI) / 180;
+
+/* ====================== Parsing ====================== */
+
+// Collect Polygon/MultiPolygon/LineString/MultiLineString from any GeoJSON object.
+function collectGeoJSON(obj, props, out) {
+  if (!obj) return;
+  if (obj.type === "FeatureCollection") return obj.features.forEach((f) => collectGeoJSON(f, props, out));
+  if (obj.type === "Feature") return collectGeoJSON(obj.geometry, { ...props, ...(obj.properties || {}) }, out);
+  if (obj.type === "GeometryCollection") return obj.geometries.forEach((g) => collectGeoJSON(g, props, out));
+  if (obj.type === "Polygon") out.polygons.push(obj.coordinates);
+  else if (obj.type === "MultiPolygon") out.polygons.push(...obj.coordinates);
+  else if (obj.type === "LineString") out.lines.push(obj.coordinates);
+  else if (obj.type === "MultiLineString") out.lines.push(...obj.coordinates);
+  Object.assign(out.props, props);
+}
+
+const kmlCoords = (text) =>
+  text.trim().split(/\s+/).map((t) => t.split(",").map(Number)).filter((c) => c.length >= 2 && c.every(Number.isFinite)).map(([x, y]) => [x, y]);
+
+// Regex-based so it also runs in Node (no DOMParser); handles Polygon and LineString placemarks.
+function collectKML(text, out) {
+  for (const poly of text.match(/<Polygon[\s\S]*?<\/Polygon>/gi) || []) {
+    const outer = /<outerBoundaryIs>[\s\S]*?<coordinates>([\s\S]*?)<\/coordinates>/i.exec(poly);
+    if (!outer) continue;
+    const inner = [...poly.matchAll(/<innerBoundaryIs>[\s\S]*?<coordinates>([\s\S]*?)<\/coordinates>/gi)].map((m) => kmlCoords(m[1]));
+    out.polygons.push([kmlCoords(outer[1]), ...inner]);
+  }
+  for (const line of text.match(/<LineString[\s\S]*?<\/LineString>/gi) || []) {
+    const c = /<coordinates>([\s\S]*?)<\/coordinates>/i.exec(line);
+    if (c) out.lines.push(kmlCoords(c[1]));
+  }
+  const name = /<Placemark[\s\S]*?<name>([\s\S]*?)<\/name>/i.exec(text) || /<name>([\s\S]*?)<\/name>/i.exec(text);
+  if (name) out.props.name = name[1].replace(/<!\[CDATA\[|\]\]>/g, "").trim();
+  const width = /<Data\s+name="(?:corridor_)?width_km">\s*<value>([\s\S]*?)<\/value>/i.exec(text);
+  if (width) out.props.width_km = Number(width[1]);
+}
+
+/**
+ * Parse a GeoJSON or KML document into one GeoJSON geometry (polygons win over lines).
+ * Returns { geometry, name, widthKm } or throws with a readable message.
+ */
+export function parseAoiFile(text, filename = "") {
+  const out = { polygons: [], lines: [], props: {} };
+  const src = String(text || "").trim();
+  if (/\.kml$/i.test(filename) || src.startsWith("<")) collectKML(src, out);
+  else {
+    let obj;
+    try { obj = JSON.parse(src); } catch { throw new Error("Not valid GeoJSON or KML."); }
+    collectGeoJSON(obj, {}, out);
+  }
+  const polygons = out.polygons.filter((p) => p[0]?.length >= 3);
+  const lines = out.lines.filter((l) => l.length >= 2);
+  let geometry = null;
+  if (polygons.length === 1) geometry = { type: "Polygon", coordinates: polygons[0] };
+  else if (polygons.length > 1) geometry = { type: "MultiPolygon", coordinates: polygons };
+  else if (lines.length === 1) geometry = { type: "LineString", coordinates: lines[0] };
+  else if (lines.length > 1) geometry = { type: "MultiLineString", coordinates: lines };
+  if (!geometry) throw new Error("No Polygon, MultiPolygon or LineString found.");
+  const w = Number(out.props.corridor_width_km ?? out.props.width_km);
+  return { geometry, name: out.props.name || null, widthKm: Number.isFinite(w) && w > 0 ? w : null };
+}
+
+/**
+ * Pasted AOI: GeoJSON, KML, or a plain coordinate list ("lon, lat" or "lon lat" per line,
+ * GeoJSON order) which becomes a closed Polygon.
+ */
+export function parseAoiText(text) {
+  const src = String(text || "").trim();
+  if (src.startsWith("{") || src.startsWith("<")) return parseAoiFile(src);
+  const coords = src
+    .split(/\r?\n|;/)
+    .map((l) => l.trim().split(/[\s,]+/).filter(Boolean).map(Number))
+    .filter((c) => c.length >= 2 && Number.isFinite(c[0]) && Number.isFinite(c[1]))
+    .map(([x, y]) => [x, y]);
+  if (coords.length < 3) throw new Error("Need at least 3 \"lon, lat\" points (one per line) or GeoJSON/KML.");
+  if (coords.some(([x, y]) => Math.abs(x) > 180 || Math.abs(y) > 90)) throw new Error("Coordinates out of range — expected lon, lat in degrees.");
+  const [f, l] = [coords[0], coords[coords.length - 1]];
+  if (f[0] !== l[0] || f[1] !== l[1]) coords.push([...f]);
+  return { geometry: { type: "Polygon", coordinates: [coords] }, name: null, widthKm: null };
+}
+
+/* ====================== Measures ====================== */
+
+// Spherical ring area (km²), after Chamberlain & Duquette (as in turf/area).
+function ringArea(ring) {
+  const n = ring.length;
+  if (n < 3) return 0;
+  let total = 0;
+  for (let i = 0; i < n; i++) {
+    const p1 = ring[i], p2 = ring[(i + 1) % n], p3 = ring[(i + 2) % n];
+    total += (rad(p3[0]) - rad(p1[0])) * Math.sin(rad(p2[1]));
+  }
+  return Math.abs((total * EARTH_RADIUS_KM * EARTH_RADIUS_KM) / 2);
+}
+
+const polygonArea = (rings) => Math.max(ringArea(rings[0]) - rings.slice(1).reduce((s, r) => s + ringArea(r), 0), 0);
+
+export function geodesicArea(geometry) {
+  if (geometry?.type === "Polygon") return polygonArea(geometry.coordinates);
+  if (geometry?.type === "MultiPolygon") return geometry.coordinates.reduce((s, p) => s + polygonArea(p), 0);
+  return 0;
+}
+
+export function haversine(a, b) {
+  const dLat = rad(b[1] - a[1]), dLon = rad(b[0] - a[0]);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a[1])) * Math.cos(rad(b[1])) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+export const lineLength = (coords) => coords.slice(1).reduce((s, c, i) => s + haversine(coords[i], c), 0);
+
+export function geodesicLength(geometry) {
+  if (geometry?.type === "LineString") return lineLength(geometry.coordinates);
+  if (geometry?.type === "MultiLineString") return geometry.coordinates.reduce((s, l) => s + lineLength(l), 0);
+  return 0;
+}
+
+/* ====================== Planar helpers ====================== */
+
+// Every vertex of a geometry.
+export function vertices(geometry) {
+  const c = geometry?.coordinates || [];
+  if (geometry?.type === "Polygon" || geometry?.type === "MultiLineString") return c.flat();
+  if (geometry?.type === "MultiPolygon") return c.flat(2);
+  if (geometry?.type === "LineString") return c;
+  return [];
+}
+
+// Local equirectangular projection around the geometry's centre: [lon, lat] → [x, y] km.
+export function localProjection(geometry) {
+  const pts = vertices(geometry);
+  const lon0 = pts.reduce((s, p) => s + p[0], 0) / Math.max(pts.length, 1);
+  const lat0 = pts.reduce((s, p) => s + p[1], 0) / Math.max(pts.length, 1);
+  const kx = EARTH_RADIUS_KM * Math.cos(rad(lat0)) * (Math.PI / 180), ky = EARTH_RADIUS_KM * (Math.PI / 180);
+  return {
+    lon0, lat0,
+    fwd: ([lon, lat]) => [(lon - lon0) * kx, (lat - lat0) * ky],
+    inv: ([x, y]) => [lon0 + x / kx, lat0 + y / ky],
+  };
+}
+
+// Andrew's monotone chain.
+export function convexHull(points) {
+  const pts = points.slice().sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  if (pts.length < 3) return pts;
+  const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+  const lower = [], upper = [];
+  for (const p of pts) {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+    lower.push(p);
+  }
+  for (const p of pts.slice().reverse()) {
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+    upper.push(p);
+  }
+  return lower.slice(0, -1).concat(upper.slice(0, -1));
+}
+
+/** Minimum-area bounding rectangle of planar points: { length, width, heading } (heading of the long side, degrees from north, 0–180). */
+export function minBoundingRect(points) {
+  const hull = convexHull(points);
+  if (hull.length < 2) return { length: 0, width: 0, heading: 0 };
+  let best = null;
+  for (let i = 0; i < hull.length; i++) {
+    const a = hull[i], b = hull[(i + 1) % hull.length];
+    const th = Math.atan2(b[1] - a[1], b[0] - a[0]);
+    const c = Math.cos(-th), s = Math.sin(-th);
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+    for (const [x, y] of hull) {
+      const u = x * c - y * s, v = x * s + y * c;
+      minX = Math.min(minX, u); maxX = Math.max(maxX, u);
+      minY = Math.min(minY, v); maxY = Math.max(maxY, v);
+    }
+    const w = maxX - minX, h = maxY - minY;
+    if (!best || w * h < best.area) best = { area: w * h, w, h, th };
+  }
+  const alongW = best.w >= best.h;
+  const axis = alongW ? best.th : best.th + Math.PI / 2; // direction of the long side (math angle)
+  const heading = ((90 - (axis * 180) / Math.PI) % 180 + 180) % 180;
+  return { length: Math.max(best.w, best.h), width: Math.min(best.w, best.h), heading };
+}
+
+/* ====================== AOI derivation ====================== */
+
+/**
+ * Planner fields from a geometry. Polygons: geodesic area and the MBR short side as the
+ * along-track width. Lines: corridor length × width (from the file or `corridorWidthKm`).
+ */
+export function deriveAoi(geometry, { corridorWidthKm = null } = {}) {
+  const isLine = geometry?.type === "LineString" || geometry?.type === "MultiLineString";
+  const proj = localProjection(geometry);
+  const mbr = minBoundingRect(vertices(geometry).map(proj.fwd));
+  if (isLine) {
+    const length = geodesicLength(geometry);
+    const width = corridorWidthKm ?? 1;
+    return {
+      aoiType: "corridor",
+      aoi_km2: length * width,
+      aoi_width_km: null,
+      corridor_width_km: width,
+      corridor_length_km: length,
+      heading_deg: mbr.heading,
+    };
+  }
+  const area = geodesicArea(geometry);
+  return {
+    aoiType: "areal",
+    aoi_km2: area,
+    aoi_width_km: mbr.width,
+    corridor_width_km: mbr.length > 0 ? area / mbr.length : null, // used if the AOI is flown as a corridor
+    corridor_length_km: mbr.length,
+    heading_deg: mbr.heading,
+    mbr_length_km: mbr.length,
+  };
+}
@@ -0,0 +1,124 @@
+// src/historyview.js
+// History views: free-text search, filters, sorting and the data behind the History
+// charts. A view is a plain object so it can be saved and restored by name.
+
+import { latestPerDeal, revOf } from "./revisions.js";
+import { OPEN, statusOf } from "./lifecycle.js";
+
+export const DEFAULT_VIEW = {
+  q: "",
+  from: "",          // yyyy-mm-dd, inclusive
+  to: "",
+  client: "",
+  mode: "",
+  platform: "",
+  gmMin: "",         // percent
+  gmMax: "",
+  status: "all",     // all | open | <status>
+  allRevisions: false,
+  sort: { key: "ts", dir: "desc" },
+};
+
+// Sortable columns: key → value accessor.
+export const SORTS = {
+  ts: (q) => q.ts,
+  client: (q) => (q.client_name || "").toLowerCase(),
+  rev: (q) => revOf(q),
+  status: (q) => statusOf(q),
+  aoi: (q) => (q.aoi_name || "").toLowerCase(),
+  mode: (q) => q.mode,
+  platform: (q) => q.platform,
+  profile: (q) => q.mission_profile,
+  aoi_km2: (q) => +q.aoi_km2,
+  revisit_min: (q) => +q.revisit_min,
+  missions_count: (q) => +q.missions_count,
+  cost_km2_per_revisit: (q) => q.cost_km2_per_revisit,
+  cost_km2_year: (q) => q.cost_km2_year,
+  cost_per_mission: (q) => q.cost_per_mission,
+  cost_annual: (q) => q.cost_annual,
+  price_km2_per_revisit: (q) => q.price_km2_per_revisit,
+  price_km2_year: (q) => q.price_km2_year,
+  price_per_mission: (q) => q.price_per_mission,
+  price_annual: (q) => q.price_annual,
+  GM_prop: (q) => q.GM_prop,
+  platforms: (q) => q.platforms,
+  revisit_slack_min: (q) => q.revisit_slack_min,
+};
+
+const dayStart = (s) => (s ? new Date(`${s}T00:00:00`).getTime() : null);
+const num = (v) => (v === "" || v == null || !Number.isFinite(+v) ? null : +v);
+const text = (q) => [q.client_name, q.aoi_name, q.mode, q.platform, q.mission_profile, q.author, q.note, statusOf(q), q.portfolio?.items.map((a) => a.name).join(" ")]
+  .filter(Boolean).join(" ").toLowerCase();
+
+// Empty/undefined sort values go last in either direction.
+function compare(a, b, dir) {
+  const na = a == null || a === "" || Number.isNaN(a), nb = b == null || b === "" || Number.isNaN(b);
+  if (na || nb) return na === nb ? 0 : na ? 1 : -1;
+  const c = a < b ? -1 : a > b ? 1 : 0;
+  return dir === "asc" ? c : -c;
+}
+
+/** Filtered and sorted History rows for a view. */
+export function applyView(history, view = DEFAULT_VIEW, now = Date.now()) {
+  const v = { ...DEFAULT_VIEW, ...view };
+  const from = dayStart(v.from), to = dayStart(v.to);
+  const gmMin = num(v.gmMin), gmMax = num(v.gmMax);
+  const words = v.q.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  const rows = (v.allRevisions ? history : latestPerDeal(history)).filter((q) => {
+    if (from != null && q.ts < from) return false;
+    if (to != null && q.ts >= to + 864e5) return false;
+    if (v.client && q.client_name !== v.client) return false;
+    if (v.mode && q.mode !== v.mode) return false;
+    if (v.platform && q.platform !== v.platform) return false;
+    if (gmMin != null || gmMax != null) {
+      if (typeof q.GM_prop !== "number") return false;
+      if (gmMin != null && q.GM_prop * 100 < gmMin) return false;
+      if (gmMax != null && q.GM_prop * 100 > gmMax) return false;
+    }
+    if (v.status !== "all") {
+      const s = statusOf(q, now);
+      if (v.status === "open" ? !OPEN.has(s) : s !== v.status) return false;
+    }
+    if (words.length) { const t = text(q); if (!words.every((w) => t.includes(w))) return false; }
+    return true;
+  });
+  const get = SORTS[v.sort?.key] || SORTS.ts;
+  return rows.map((q, i) => [q, i]).sort(([a, i], [b, j]) => compare(get(a), get(b), v.sort?.dir) || i - j).map(([q]) => q);
+}
+
+export const nextSort = (sort, key) =>
+  sort?.key === key ? { key, dir: sort.dir === "asc" ? "desc" : "asc" } : { key, dir: key === "ts" || key.startsWith("price") || key.startsWith("cost") ? "desc" : "asc" };
+
+export const isFiltered = (view) =>
+  Object.keys(DEFAULT_VIEW).some((k) => k !== "sort" && JSON.stringify(view[k]) !== JSON.stringify(DEFAULT_VIEW[k]));
+
+/* ====================== Chart data ====================== */
+
+// GM in 10-point bands from <0% to ≥80%.
+export function gmBands(rows) {
+  const edges = [-Infinity, 0, 10, 20, 30, 40, 50, 60, 70, 80, Infinity];
+  const bins = edges.slice(0, -1).map((lo, i) => ({
+    label: lo === -Infinity ? "<0" : edges[i + 1] === Infinity ? `≥${lo}` : `${lo}–${edges[i + 1]}`,
+    lo, hi: edges[i + 1], n: 0,
+  }));
+  for (const q of rows) {
+    if (typeof q.GM_prop !== "number") continue;
+    const g = q.GM_prop * 100;
+    bins.find((b) => g >= b.lo && g < b.hi).n++;
+  }
+  return bins;
+}
+
+// Count and total annual price (EUR) per calendar month, oldest first, gaps filled.
+export function monthly(rows) {
+  if (!rows.length) return [];
+  const key = (ts) => { const d = new Date(ts); return d.getFullYear() * 12 + d.getMonth(); };
+  const ks = rows.map((q) => key(q.ts));
+  const lo = Math.min(...ks), hi = Math.max(...ks);
+  const out = Array.from({ length: hi - lo + 1 }, (_, i) => ({ label: `${String(((lo + i) % 12) + 1).padStart(2, "0")}/${Math.floor((lo + i) / 12)}`, n: 0, value: 0 }));
+  rows.forEach((q, i) => { const b = out[ks[i] - lo]; b.n++; b.value += +q.price_annual || 0; });
+  return out;
+}
+
+export const scatter = (rows) =>
+  rows.filter((q) => +q.aoi_km2 > 0 && +q.price_annual > 0).map((q) => ({ x: +q.aoi_km2, y: +q.price_annual, mode: q.mode, label: `${q.client_name} · ${q.aoi_name}` }));
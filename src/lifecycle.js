@@ -0,0 +1,81 @@
+// src/lifecycle.js
+// Quote status lifecycle and win/loss analytics. Statuses are stored on each History
+// entry with a dated log; a sent/negotiating quote past its validity counts as expired.
+// Analytics look at deals (latest revision of each, see revisions.js).
+
+import { latestPerDeal } from "./revisions.js";
+
+export const STATUSES = ["draft", "sent", "negotiating", "won", "lost", "expired"];
+export const OPEN = new Set(["draft", "sent", "negotiating"]);
+export const LOSS_REASONS = ["price", "competitor", "budget", "timing", "technical fit", "no decision", "other"];
+export const VALIDITY_DAYS = 30;
+
+export const STATUS_STYLE = {
+  draft: "text-slate-300",
+  sent: "text-sky-300",
+  negotiating: "text-amber-300",
+  won: "text-emerald-300",
+  lost: "text-red-300",
+  expired: "text-slate-500",
+};
+
+/** Effective status at `now`: quotes out for signature lapse when their validity ends. */
+export function statusOf(q, now = Date.now()) {
+  const s = STATUSES.includes(q?.status) ? q.status : "draft";
+  if ((s === "sent" || s === "negotiating") && q.valid_until && q.valid_until < now) return "expired";
+  return s;
+}
+
+// Date the quote entered its current status.
+export const statusDate = (q) => q?.status_log?.[q.status_log.length - 1]?.ts ?? q?.ts;
+
+/**
+ * New entry with `status` applied and logged. Sending starts the validity clock
+ * (validityDays) unless the quote is still within an earlier validity period.
+ */
+export function setStatus(q, status, { by = "", reason = null, note = "", ts = Date.now(), validityDays = VALIDITY_DAYS } = {}) {
+  if (!STATUSES.includes(status)) return q;
+  const next = { ...q, status, status_log: [...(q.status_log || []), { status, ts, by: by || null, ...(reason ? { reason } : {}), ...(note ? { note } : {}) }] };
+  if (status === "sent" && !(q.valid_until > ts)) next.valid_until = ts + Math.max(+validityDays || 0, 0) * 864e5;
+  if (status === "lost") next.loss_reason = reason || q.loss_reason || "other";
+  else delete next.loss_reason;
+  return next;
+}
+
+const avg = (xs) => (xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null);
+
+function summarize(rows, now) {
+  const by = Object.fromEntries(STATUSES.map((s) => [s, []]));
+  for (const q of rows) by[statusOf(q, now)].push(q);
+  const closed = by.won.length + by.lost.length + by.expired.length;
+  const gm = (list) => avg(list.map((q) => q.GM_prop).filter((x) => typeof x === "number"));
+  const value = (list) => list.reduce((a, q) => a + (+q.price_annual || 0), 0);
+  return {
+    n: rows.length,
+    counts: Object.fromEntries(STATUSES.map((s) => [s, by[s].length])),
+    winRate: closed ? by.won.length / closed : null,
+    pipeline: value([...by.sent, ...by.negotiating]), // EUR, quotes out with the customer
+    drafts: value(by.draft),
+    wonValue: value(by.won),
+    gmWon: gm(by.won),
+    gmLost: gm(by.lost),
+    lossReasons: by.lost.reduce((acc, q) => ({ ...acc, [q.loss_reason || "other"]: (acc[q.loss_reason || "other"] || 0) + 1 }), {}),
+  };
+}
+
+export const BREAKDOWNS = { mode: "Mode", platform: "Platform", client_name: "Client" };
+
+/** Totals plus a breakdown by `dim` (mode | platform | client_name), on the latest revision of each deal. */
+export function winLoss(history, { dim = "mode", now = Date.now() } = {}) {
+  const deals = latestPerDeal(history);
+  const groups = new Map();
+  for (const q of deals) {
+    const k = String(q[dim] ?? "—");
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(q);
+  }
+  return {
+    total: summarize(deals, now),
+    rows: [...groups.entries()].map(([group, list]) => ({ group, ...summarize(list, now) })).sort((a, b) => b.n - a.n),
+  };
+}
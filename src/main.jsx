@@ -4,12 +4,18 @@ import React from "react";
 import { createRoot } from "react-dom/client";
 import { HashRouter } from "react-router-dom"; // sicuro su GitHub Pages
 import App from "./App.jsx";
+import { migrateStorage } from "./backup.js";
+import { initStorage } from "./storage.js";
 import "./index.css"; // assicurati di importare i CSS globali
 
-createRoot(document.getElementById("root")).render(
-  <React.StrictMode>
-    <HashRouter>
-      <App />
-    </HashRouter>
-  </React.StrictMode>
-);
+// the workspace is loaded (IndexedDB or localStorage) before any state is read
+initStorage().then(() => {
+  migrateStorage(); // legacy storage keys (e.g. quotes v1/v2) → current
+  createRoot(document.getElementById("root")).render(
+    <React.StrictMode>
+      <HashRouter>
+        <App />
+      </HashRouter>
+    </React.StrictMode>
+  );
+});
@@ -0,0 +1,82 @@
+// src/montecarlo.js
+// Monte Carlo uncertainty on top of compute()/taskingCalc(): inputs get a distribution,
+// the price stays fixed at the deterministic quote, and cost/fleet/GM are sampled.
+import { DEF, PROFILES, pdec, compute, taskingCalc, missionsOf, quoteMetrics } from "./engine.js";
+import { mulberry32, triangular, normal } from "./random.js";
+
+// Inputs that are fractions in [0, 1).
+const FRACTIONS = new Set(["duty", "cov_eff", "overlap", "eta_nav", "maint_buffer", "spare_buffer", "target_gm"]);
+
+// Numeric DEF keys that can carry a distribution (contract terms do not change cost).
+const FIXED = new Set(["missions_count", "term_years", "price_escalation", "cost_inflation", "discount_rate"]);
+export const UNCERTAIN_KEYS = Object.keys(DEF).filter(k => typeof DEF[k] === "number" && !FIXED.has(k));
+
+// { kind: "tri", min, mode, max } | { kind: "normal", mean, sd }
+export function defaultDist(key, base, spread = 0.2) {
+  const v = pdec(base, DEF[key]);
+  const hi = FRACTIONS.has(key) ? Math.min(v * (1 + spread), 0.99) : v * (1 + spread);
+  return { kind: "tri", min: v * (1 - spread), mode: v, max: hi };
+}
+
+export function sampleDist(key, d, rng) {
+  let x = d.kind === "normal"
+    ? normal(rng, pdec(d.mean, 0), Math.max(pdec(d.sd, 0), 0))
+    : triangular(rng, pdec(d.min, 0), pdec(d.mode, 0), pdec(d.max, 0));
+  x = Math.max(x, 0);
+  return FRACTIONS.has(key) ? Math.min(x, 0.999) : x;
+}
+
+// Linear-interpolated quantile of an ascending array.
+export function quantile(sorted, q) {
+  if (!sorted.length) return null;
+  const i = (sorted.length - 1) * q, lo = Math.floor(i), hi = Math.ceil(i);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (i - lo);
+}
+
+const band = (xs) => {
+  const s = xs.slice().sort((a, b) => a - b);
+  return { p10: quantile(s, 0.1), p50: quantile(s, 0.5), p90: quantile(s, 0.9), mean: s.reduce((a, b) => a + b, 0) / s.length };
+};
+
+export function runMonteCarlo(p, dists, { samples = 2000, seed = 1, profiles = PROFILES, price: committed = null } = {}) {
+  const rng = mulberry32(seed);
+  const count = Math.max(missionsOf(p), 0);
+  const saas = p.mode === "saas";
+  const base = quoteMetrics(p.mode, compute(p), taskingCalc(p, count, p.mission_profile, profiles));
+  const price = committed ?? base.price_annual; // committed price: what the contract is signed at
+
+  const keys = Object.keys(dists || {}).filter(k => UNCERTAIN_KEYS.includes(k));
+  const cost = [], fleet = [], gm = [];
+  let neg = 0, infeasible = 0;
+  const n = Math.max(1, Math.min(Math.round(pdec(samples, 2000)), 50000));
+
+  for (let i = 0; i < n; i++) {
+    const q = { ...p };
+    for (const k of keys) q[k] = sampleDist(k, dists[k], rng);
+    let c;
+    if (saas) {
+      const m = compute(q);
+      c = m.Ann;
+      fleet.push(m.P);
+      if (m.slack < 0) infeasible++;
+    } else {
+      c = taskingCalc(q, count, q.mission_profile, profiles).tot;
+    }
+    const g = price > 0 ? (price - c) / price : 0;
+    cost.push(c);
+    gm.push(g);
+    if (g < 0) neg++;
+  }
+
+  return {
+    samples: n,
+    seed,
+    keys,
+    price,
+    cost: band(cost),
+    platforms: saas ? band(fleet) : null,
+    gm: band(gm),
+    pNegGM: neg / n,
+    pInfeasible: saas ? infeasible / n : null,
+  };
+}
@@ -0,0 +1,106 @@
+// src/pdf.js
+// Minimal PDF 1.4 writer for text documents: Helvetica / Helvetica-Bold (WinAnsi), filled
+// rectangles and rules, A4 pages. No dependencies, runs in the browser and in Node.
+
+export const A4 = { w: 595.28, h: 841.89 };
+
+// Helvetica advance widths (1/1000 em) for ASCII 32–126; bold is approximated at +5%.
+const HELV = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+
+// Unicode → WinAnsi for the characters the app produces; anything else becomes "?".
+const WIN = { "€": 0x80, "…": 0x85, "•": 0x95, "–": 0x96, "—": 0x97, "‘": 0x91, "’": 0x92, "“": 0x93, "”": 0x94, "™": 0x99 };
+const ASCII = { "→": "->", "≈": "~", "≤": "<=", "≥": ">=", "\u202f": " ", "\u2009": " " };
+
+export function winAnsi(text) {
+  let out = "";
+  for (const ch of String(text ?? "")) {
+    if (ASCII[ch]) out += ASCII[ch];
+    else if (WIN[ch]) out += String.fromCharCode(WIN[ch]);
+    else { const c = ch.charCodeAt(0); out += c < 256 && ch.length === 1 ? ch : "?"; }
+  }
+  return out;
+}
+
+export function textWidth(text, size, bold = false) {
+  let w = 0;
+  for (const ch of winAnsi(text)) { const c = ch.charCodeAt(0); w += c >= 32 && c <= 126 ? HELV[c - 32] : 556; }
+  return (w / 1000) * size * (bold ? 1.05 : 1);
+}
+
+// Greedy word wrap to `width` points.
+export function wrap(text, size, width, bold = false) {
+  return String(text ?? "").split("\n").flatMap((para) => {
+    const lines = [];
+    let cur = "";
+    for (const word of para.split(/\s+/).filter(Boolean)) {
+      const next = cur ? `${cur} ${word}` : word;
+      if (cur && textWidth(next, size, bold) > width) { lines.push(cur); cur = word; } else cur = next;
+    }
+    return lines.length || cur ? [...lines, cur] : [""];
+  });
+}
+
+const esc = (s) => winAnsi(s).replace(/[\\()]/g, (c) => `\\${c}`);
+const rgb = (hex) => {
+  const m = /^#?([0-9a-f]{6})$/i.exec(hex || "");
+  const n = m ? parseInt(m[1], 16) : 0;
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255].map((v) => (v / 255).toFixed(3)).join(" ");
+};
+const f = (x) => +x.toFixed(2);
+
+/**
+ * Page-oriented builder. Coordinates are from the top-left in points.
+ *   const doc = pdfDoc(); doc.text(...); doc.addPage(); const bytes = doc.bytes();
+ */
+export function pdfDoc({ title = "", author = "" } = {}) {
+  const pages = [[]];
+  const cur = () => pages[pages.length - 1];
+  const api = {
+    get page() { return pages.length; },
+    addPage() { pages.push([]); return api; },
+    text(x, y, str, { size = 10, bold = false, color = "#000000", align = "left" } = {}) {
+      const w = textWidth(str, size, bold);
+      const x0 = align === "right" ? x - w : align === "center" ? x - w / 2 : x;
+      cur().push(`BT /${bold ? "F2" : "F1"} ${size} Tf ${rgb(color)} rg ${f(x0)} ${f(A4.h - y)} Td (${esc(str)}) Tj ET`);
+      return api;
+    },
+    rect(x, y, w, h, color) {
+      cur().push(`${rgb(color)} rg ${f(x)} ${f(A4.h - y - h)} ${f(w)} ${f(h)} re f`);
+      return api;
+    },
+    line(x1, y1, x2, y2, color = "#cccccc", width = 0.5) {
+      cur().push(`${rgb(color)} RG ${width} w ${f(x1)} ${f(A4.h - y1)} m ${f(x2)} ${f(A4.h - y2)} l S`);
+      return api;
+    },
+    bytes() {
+      const objs = [];
+      const add = (body) => objs.push(body); // returns the 1-based object id
+      add("<< /Type /Catalog /Pages 2 0 R >>");
+      add(null); // pages, filled below
+      add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
+      add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>");
+      add(`<< /Title (${esc(title)}) /Author (${esc(author)}) /Producer (stratosar-planner) >>`);
+      const kids = pages.map((ops) => {
+        const stream = ops.join("\n");
+        const contentId = add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+        return add(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${A4.w} ${A4.h}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${contentId} 0 R >>`);
+      });
+      objs[1] = `<< /Type /Pages /Kids [${kids.map((k) => `${k} 0 R`).join(" ")}] /Count ${kids.length} >>`;
+
+      let out = "%PDF-1.4\n%\xe2\xe3\xcf\xd3\n";
+      const offsets = objs.map((body, i) => { const at = out.length; out += `${i + 1} 0 obj\n${body}\nendobj\n`; return at; });
+      const xref = out.length;
+      out += `xref\n0 ${objs.length + 1}\n0000000000 65535 f \n${offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n \n`).join("")}`;
+      out += `trailer\n<< /Size ${objs.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+      return Uint8Array.from(out, (c) => c.charCodeAt(0) & 255);
+    },
+  };
+  return api;
+}
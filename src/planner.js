@@ -0,0 +1,174 @@
+// src/planner.js
+// Boustrophedon (lawnmower) flight-path planner for polygon AOIs. Passes are parallel
+// lines spaced swath·(1−ρ); the heading minimising total path length is chosen.
+// Works in the local km frame of geo.js; waypoints are returned as [lon, lat].
+
+import { localProjection } from "./geo.js";
+
+const rad = (d) => (d * Math.PI) / 180;
+
+export const isPolygonal = (g) => g?.type === "Polygon" || g?.type === "MultiPolygon";
+
+const ringsOf = (g) => (g.type === "Polygon" ? g.coordinates : g.coordinates.flat());
+
+/**
+ * Length of a 180° reversal between passes `lateral` km apart with turn radius r:
+ * a U-turn (πr plus the straight) when they are at least 2r apart, otherwise an omega
+ * (bulb) turn r·(π + 4β) with cos β = (r + d/2)/(2r).
+ */
+export function turnLength(lateral, r) {
+  if (r <= 0) return lateral;
+  if (lateral >= 2 * r) return Math.PI * r + (lateral - 2 * r);
+  const beta = Math.acos(Math.min(1, (r + lateral / 2) / (2 * r)));
+  return r * (Math.PI + 4 * beta);
+}
+
+// Inside-intervals of the horizontal line y = c (even-odd rule, so holes and MultiPolygons work).
+function intervalsAt(edges, c) {
+  const xs = [];
+  for (const [a, b] of edges) {
+    if ((a[1] <= c && c < b[1]) || (b[1] <= c && c < a[1])) xs.push(a[0] + ((c - a[1]) * (b[0] - a[0])) / (b[1] - a[1]));
+  }
+  xs.sort((u, v) => u - v);
+  const out = [];
+  for (let i = 0; i + 1 < xs.length; i += 2) out.push([xs[i], xs[i + 1]]);
+  return out;
+}
+
+function mergeIntervals(list) {
+  const s = list.slice().sort((a, b) => a[0] - b[0]);
+  const out = [];
+  for (const iv of s) {
+    const last = out[out.length - 1];
+    if (last && iv[0] <= last[1]) last[1] = Math.max(last[1], iv[1]);
+    else out.push([...iv]);
+  }
+  return out;
+}
+
+// Sweep at one heading; rings are in the local frame (km).
+function sweep(rings, heading, sw, step, r) {
+  const s = Math.sin(rad(heading)), c = Math.cos(rad(heading));
+  const rot = rings.map((ring) => ring.map(([x, y]) => [x * s + y * c, -x * c + y * s]));
+  const edges = rot.flatMap((ring) => ring.slice(0, -1).map((a, i) => [a, ring[i + 1]]).concat([[ring[ring.length - 1], ring[0]]]));
+  let ymin = Infinity, ymax = -Infinity;
+  for (const ring of rot) for (const [, y] of ring) { ymin = Math.min(ymin, y); ymax = Math.max(ymax, y); }
+  const H = ymax - ymin;
+  const lines = H <= sw ? 1 : Math.ceil((H - sw) / step) + 1;
+  const y0 = ymin + (H - (lines - 1) * step) / 2;
+
+  const passes = [];
+  for (let k = 0; k < lines; k++) {
+    const y = y0 + k * step;
+    // the pass must cover its whole swath band, not only the centre line
+    const segs = mergeIntervals([y - sw / 2 + 1e-9, y, y + sw / 2 - 1e-9].flatMap((cy) => intervalsAt(edges, cy)));
+    const fwd = k % 2 === 0;
+    for (const [x0, x1] of fwd ? segs : segs.slice().reverse()) passes.push(fwd ? { a: [x0, y], b: [x1, y] } : { a: [x1, y], b: [x0, y] });
+  }
+
+  let track = 0, transit = 0, turns = 0;
+  passes.forEach((ps, i) => {
+    track += Math.abs(ps.b[0] - ps.a[0]);
+    const nx = passes[i + 1];
+    if (!nx) return;
+    const lateral = Math.abs(nx.a[1] - ps.b[1]), along = Math.abs(nx.a[0] - ps.b[0]);
+    if (lateral < 1e-9) transit += along; // next segment on the same line: straight ferry
+    else { transit += turnLength(lateral, r) + along; turns++; }
+  });
+  const inv = ([x, y]) => [x * s - y * c, x * c + y * s];
+  return { heading, lines, passes: passes.map((ps) => ({ a: inv(ps.a), b: inv(ps.b) })), track, transit, turns };
+}
+
+/**
+ * Plan a lawnmower path over a Polygon/MultiPolygon. With `heading` null the best heading
+ * (0–179°, from north) is searched: 10° grid, then 1° around the best.
+ * Returns { heading, lines, passes, turns, track_km, transit_km, total_km, waypoints } or null.
+ */
+export function planPath(geometry, { swath, overlap = 0, turnRadius = 0, heading = null } = {}) {
+  if (!isPolygonal(geometry) || !(swath > 0) || !(overlap >= 0 && overlap < 1)) return null;
+  const proj = localProjection(geometry);
+  const rings = ringsOf(geometry).map((ring) => ring.map(proj.fwd));
+  const step = swath * (1 - overlap);
+  const run = (h) => sweep(rings, ((h % 180) + 180) % 180, swath, step, turnRadius);
+  const cost = (x) => x.track + x.transit;
+
+  let best;
+  if (heading != null && Number.isFinite(+heading)) best = run(+heading);
+  else {
+    for (let h = 0; h < 180; h += 10) { const x = run(h); if (!best || cost(x) < cost(best)) best = x; }
+    const h0 = best.heading;
+    for (let h = h0 - 9; h <= h0 + 9; h++) { const x = run(h); if (cost(x) < cost(best)) best = x; }
+  }
+  if (!best.passes.length) return null;
+  return {
+    heading: best.heading,
+    lines: best.lines,
+    passes: best.passes.length,
+    turns: best.turns,
+    track_km: best.track,
+    transit_km: best.transit,
+    total_km: best.track + best.transit,
+    waypoints: best.passes.flatMap((ps) => [proj.inv(ps.a), proj.inv(ps.b)]),
+  };
+}
+
+// compute() runs thousands of times in Monte Carlo / sensitivity: memoise per geometry object.
+const CACHE = new WeakMap();
+export function cachedPlan(geometry, opts) {
+  if (!isPolygonal(geometry)) return null;
+  const key = `${opts.swath}|${opts.overlap}|${opts.turnRadius}|${opts.heading ?? ""}`;
+  let byKey = CACHE.get(geometry);
+  if (!byKey) CACHE.set(geometry, (byKey = new Map()));
+  if (!byKey.has(key)) {
+    if (byKey.size > 64) byKey.clear();
+    byKey.set(key, planPath(geometry, opts));
+  }
+  return byKey.get(key);
+}
+
+/* ====================== Export ====================== */
+
+const round6 = ([x, y]) => [+x.toFixed(6), +y.toFixed(6)];
+
+/** Path as a FeatureCollection: the track LineString plus numbered waypoint Points. */
+export function pathToGeoJSON(plan, props = {}) {
+  const wps = plan.waypoints.map(round6);
+  return {
+    type: "FeatureCollection",
+    features: [
+      {
+        type: "Feature",
+        properties: { ...props, kind: "track", heading_deg: plan.heading, passes: plan.passes, turns: plan.turns, track_km: +plan.track_km.toFixed(3), transit_km: +plan.transit_km.toFixed(3) },
+        geometry: { type: "LineString", coordinates: wps },
+      },
+      ...wps.map((c, i) => ({
+        type: "Feature",
+        properties: { kind: "waypoint", seq: i + 1, pass: Math.floor(i / 2) + 1, role: i % 2 ? "end" : "start" },
+        geometry: { type: "Point", coordinates: c },
+      })),
+    ],
+  };
+}
+
+const esc = (s) => String(s).replace(/[<>&]/g, (ch) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;" })[ch]);
+
+/** Path as KML: one track LineString and a Placemark per waypoint (WP001 …). */
+export function pathToKML(plan, name = "Flight path") {
+  const wps = plan.waypoints.map(round6);
+  const coords = wps.map(([x, y]) => `${x},${y},0`).join(" ");
+  const points = wps.map(([x, y], i) =>
+    `    <Placemark><name>WP${String(i + 1).padStart(3, "0")}</name><description>pass ${Math.floor(i / 2) + 1} ${i % 2 ? "end" : "start"}</description><Point><coordinates>${x},${y},0</coordinates></Point></Placemark>`
+  );
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    "  <Document>",
+    `    <name>${esc(name)}</name>`,
+    `    <description>heading ${plan.heading}°, ${plan.passes} passes, ${plan.turns} turns, track ${plan.track_km.toFixed(2)} km</description>`,
+    `    <Placemark><name>${esc(name)} track</name><LineString><tessellate>1</tessellate><coordinates>${coords}</coordinates></LineString></Placemark>`,
+    ...points,
+    "  </Document>",
+    "</kml>",
+    "",
+  ].join("\n");
+}
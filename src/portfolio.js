@@ -0,0 +1,135 @@
+// src/portfolio.js
+// Multi-AOI portfolio pricing. Platform, payload and cost inputs come from the form (p);
+// each AOI brings its own geometry and revisit (SaaS) or mission count (Tasking).
+// Every AOI is priced through the same priceScenario() path as a single quote (seasonal
+// calendar, planned path, pricing rules, manual price), so a one-AOI portfolio prices
+// exactly like that AOI on its own.
+//
+// SaaS fleet is shared: the AOIs' flights are sized as one fleet, cloud costs are paid once
+// (split by share of yearly coverage) and a manual annual price is the portfolio total
+// (split the same way); the simultaneous-sweep floor is the largest single AOI's.
+import { DEF, PROFILES, pdec, missionsOf, priceScenario } from "./engine.js";
+
+export const AOI_FIELDS = ["name", "aoiType", "aoi_km2", "aoi_width_km", "corridor_width_km", "aoi_geometry", "revisit_min", "missions_count"];
+
+export function aoiFromForm(p, name) {
+  return {
+    id: `a_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`,
+    name: name || p.aoi_name || "AOI",
+    aoiType: p.aoiType,
+    aoi_km2: p.aoi_km2,
+    aoi_width_km: p.aoi_width_km ?? null,
+    corridor_width_km: p.corridor_width_km,
+    aoi_geometry: p.aoi_geometry ?? null,
+    revisit_min: p.revisit_min,
+    missions_count: missionsOf(p),
+  };
+}
+
+const asInputs = (p, a) => ({
+  ...p,
+  aoi_name: a.name,
+  aoiType: a.aoiType || "areal",
+  aoi_km2: a.aoi_km2,
+  aoi_width_km: a.aoi_width_km ?? null,
+  corridor_width_km: a.corridor_width_km ?? DEF.corridor_width_km,
+  aoi_geometry: a.aoi_geometry ?? null,
+  revisit_min: a.revisit_min ?? p.revisit_min,
+  missions_count: a.missions_count ?? 0,
+});
+
+export function pricePortfolio(p, aois, { discount = 0, profiles = PROFILES, pricing = null } = {}) {
+  const disc = Math.min(Math.max(pdec(discount, 0), 0), 0.95);
+  const list = aois || [];
+
+  if (p.mode !== "saas") {
+    const items = list.map(a => {
+      const q = asInputs(p, a);
+      const { t, missionsCount } = priceScenario(q, profiles, pricing);
+      return { ...a, A: pdec(a.aoi_km2, 0), missions: missionsCount, cost: t.tot, priceAlone: t.Ptot_final, t };
+    });
+    const cost = items.reduce((s, x) => s + x.cost, 0);
+    const listPrice = items.reduce((s, x) => s + x.priceAlone, 0);
+    const price = listPrice * (1 - disc);
+    for (const x of items) x.price = listPrice > 0 ? price * (x.priceAlone / listPrice) : 0;
+    const missions = items.reduce((s, x) => s + x.missions, 0);
+    return {
+      mode: "tasking", items, discount: disc,
+      A: items.reduce((s, x) => s + x.A, 0), missions,
+      Cmis: items[0]?.t.Cmis ?? 0,
+      cost, listPrice, price, GM: price > 0 ? (price - cost) / price : null,
+    };
+  }
+
+  const cloud = pdec(p.annual_cloud_costs, DEF.annual_cloud_costs);
+  const manual = p.proposed_annual_price_EUR !== "" && !isNaN(+p.proposed_annual_price_EUR) ? +p.proposed_annual_price_EUR : null;
+  // each AOI quoted on its own, for the coverage shares and the "quoted separately" figures
+  const alone = list.map(a => priceScenario(asInputs(p, a), profiles, pricing).m);
+  const Kyear = alone.reduce((s, m) => s + m.Kyear, 0);
+  const items = list.map((a, i) => {
+    const share = Kyear > 0 ? alone[i].Kyear / Kyear : 1 / list.length;
+    const { m } = priceScenario({
+      ...asInputs(p, a),
+      annual_cloud_costs: cloud * share,
+      proposed_annual_price_EUR: manual == null ? "" : manual * share,
+    }, profiles, pricing);
+    return {
+      ...a, A: m.A, m, share, Kyear: m.Kyear, Ft: m.Ft,
+      P: alone[i].P, costAlone: alone[i].Ann, priceAlone: alone[i].PriceAnnualChosen,
+      cost: m.Ann, listPrice: m.PriceAnnualChosen,
+    };
+  });
+
+  // shared fleet: every AOI's flights on one fleet of identical platforms
+  const base = items[0]?.m || priceScenario(p, profiles, pricing).m;
+  const Ft = items.reduce((s, x) => s + x.Ft, 0);
+  const Smin = items.reduce((s, x) => Math.max(s, x.m.Smin), 1);
+  const P0 = base.isRelay ? 1 : Math.max(Math.ceil(Ft / Math.max(base.Fpp, 1)), Smin);
+  const P = base.isRelay ? 1 : Math.ceil(P0 * (1 + pdec(p.spare_buffer, DEF.spare_buffer)));
+  const Ann = items.reduce((s, x) => s + x.cost, 0);
+  const listPrice = items.reduce((s, x) => s + x.listPrice, 0);
+  const price = listPrice * (1 - disc);
+  for (const x of items) x.price = x.listPrice * (1 - disc);
+
+  return {
+    mode: "saas", items, discount: disc,
+    A: items.reduce((s, x) => s + x.A, 0),
+    Kyear, Ft, Fpp: base.Fpp, Smin, P0, P,
+    Cmis: (Ann - (items.length ? cloud : 0)) / Math.max(Ft, 1),
+    cost: Ann, listPrice, price, GM: price > 0 ? (price - Ann) / price : null,
+    summedPlatforms: items.reduce((s, x) => s + x.P, 0),
+    summedCost: items.reduce((s, x) => s + x.costAlone, 0),
+    minSlack: items.reduce((s, x) => Math.min(s, x.m.slack), Infinity),
+    maxSweep: items.reduce((s, x) => Math.max(s, x.m.Tc), 0),
+  };
+}
+
+// Metrics in the shape of quoteMetrics(), so a portfolio is one History line.
+export function portfolioMetrics(r) {
+  const saas = r.mode === "saas";
+  return {
+    cost_km2_per_revisit: saas ? r.cost / Math.max(r.Kyear, 1) : null,
+    cost_km2_year: r.cost / Math.max(r.A, 1),
+    cost_per_mission: r.Cmis,
+    cost_annual: r.cost,
+    price_km2_per_revisit: saas ? r.price / Math.max(r.Kyear, 1) : null,
+    price_km2_year: r.price / Math.max(r.A, 1),
+    price_per_mission: saas ? r.price / Math.max(r.Ft, 1) : r.price / Math.max(r.missions, 1),
+    price_annual: r.price,
+    GM_prop: r.GM,
+    platforms: saas ? r.P : null,
+    flights_per_platform: saas ? r.Fpp : null,
+    sweep_min: saas ? r.maxSweep : null,
+    revisit_slack_min: saas && r.items.length ? r.minSlack : null,
+  };
+}
+
+// Per-AOI drill-down stored with the History entry.
+export function portfolioItems(r) {
+  return r.items.map(x => ({
+    ...Object.fromEntries(AOI_FIELDS.map(k => [k, x[k]])),
+    cost: x.cost,
+    price: x.price,
+    platforms_alone: x.P ?? null,
+  }));
+}
@@ -1,4 +1,5 @@
 // src/presets.js
+import * as storage from "./storage.js";
 
 export const DEFAULT_AOI_PRESETS = [
     { id: "milano", name: "Milano (prov.)",   aoiType: "areal",    aoi_km2: 1576, aoi_width_km: null, corridor_width_km: 0.8 },
@@ -10,13 +11,12 @@ export const DEFAULT_AOI_PRESETS = [
   // chiave di storage
   const KEY = "stratosar:aoi-presets:v1";
   
-  // utilities storage
+  // utilities storage (src/storage.js: errori segnalati nella UI)
   export function loadPresets() {
-    try { const raw = localStorage.getItem(KEY); if (raw) return JSON.parse(raw); } catch {}
-    return DEFAULT_AOI_PRESETS;
+    return storage.get(KEY, DEFAULT_AOI_PRESETS);
   }
   export function savePresets(list) {
-    try { localStorage.setItem(KEY, JSON.stringify(list)); } catch {}
+    storage.set(KEY, list);
   }
   export function upsertPreset(list, preset) {
     const i = list.findIndex(p => p.id === preset.id);
@@ -35,4 +35,35 @@ export const DEFAULT_AOI_PRESETS = [
       .toLowerCase()
       .replace(/[^a-z0-9]+/g, "-")
       .replace(/(^-|-$)/g, "") || `aoi-${Date.now()}`;
-  
\ No newline at end of file
+  
+  // campi copiati da/verso il form per i preset piattaforma e payload
+  export const PLAT_FIELDS = [
+    "platform", "relay_hours_h", "mission_days", "turnaround_days", "mtbf_h", "mttr_h",
+    "max_flight_days", "maint_buffer", "spare_buffer", "capex_platform_EUR", "life_platform_days",
+    "Cf_mission", "Ch_hour", "season",
+  ];
+  export const PAY_FIELDS = [
+    "swath_km", "ground_speed_kmh", "duty", "cov_eff", "overlap", "turn_radius_km", "eta_nav",
+    "capex_payload_EUR", "life_payload_days", "consumables_per_mission",
+  ];
+
+  // applica un preset ai parametri (funzioni pure: ritornano un nuovo oggetto)
+  // i campi presenti nel preset vincono anche se null (es. season: null = anno piatto)
+  export function applyFields(p, pr, fields) {
+    const next = { ...p };
+    for (const k of fields) next[k] = k in pr ? pr[k] : p[k];
+    return next;
+  }
+  export function pickFields(p, fields) {
+    return Object.fromEntries(fields.map(k => [k, p[k]]));
+  }
+  export function applyAoiPreset(p, pr) {
+    return {
+      ...p,
+      aoiType: pr.aoiType ?? p.aoiType,
+      aoi_km2: pr.aoi_km2 ?? p.aoi_km2,
+      aoi_width_km: pr.aoi_width_km ?? null,
+      corridor_width_km: pr.corridor_width_km ?? p.corridor_width_km,
+      aoi_geometry: pr.geometry ?? null,
+    };
+  }
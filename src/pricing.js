@@ -0,0 +1,82 @@
+// src/pricing.js
+// SaaS list-pricing rules applied after compute(): rate card by AOI size and revisit band,
+// volume discount, minimum contract value and a GM floor. Each rule that changes the price
+// is recorded as a step so the Summary can show what fired and by how much.
+import { pdec } from "./engine.js";
+
+export const DEFAULT_RULES = {
+  enabled: false,
+  // first matching tier wins; empty bounds are open; revisit bounds in minutes
+  tiers: [
+    { id: "t1", aoi_min: "", aoi_max: 1000, revisit_min: "", revisit_max: 720, rate_km2_year: 900 },
+    { id: "t2", aoi_min: "", aoi_max: 1000, revisit_min: 720, revisit_max: "", rate_km2_year: 450 },
+    { id: "t3", aoi_min: 1000, aoi_max: "", revisit_min: "", revisit_max: 720, rate_km2_year: 700 },
+    { id: "t4", aoi_min: 1000, aoi_max: "", revisit_min: 720, revisit_max: "", rate_km2_year: 350 },
+  ],
+  // highest threshold reached applies
+  volume: [
+    { id: "v1", min_km2: 2000, discount: 0.05 },
+    { id: "v2", min_km2: 5000, discount: 0.1 },
+  ],
+  min_contract_EUR: 25000,
+  floor_gm: 0.2,
+};
+
+const inBand = (x, lo, hi) => (lo === "" || lo == null || x >= +lo) && (hi === "" || hi == null || x < +hi);
+const band = (lo, hi, unit) =>
+  lo === "" || lo == null ? `< ${hi} ${unit}` : hi === "" || hi == null ? `≥ ${lo} ${unit}` : `${lo}–${hi} ${unit}`;
+
+export function matchTier(rules, A, R) {
+  return (rules?.tiers || []).find(t => inBand(A, t.aoi_min, t.aoi_max) && inBand(R, t.revisit_min, t.revisit_max)) || null;
+}
+
+/** Price pipeline for compute() output; returns { price, list, steps, floor }. */
+export function priceWithRules(m, p, rules) {
+  const manual = p.proposed_annual_price_EUR !== "" && !isNaN(+p.proposed_annual_price_EUR);
+  let price = m.PriceAnnualChosen;
+  const steps = [];
+  const step = (key, label, next) => {
+    if (Math.abs(next - price) > 1e-9) steps.push({ key, label, before: price, after: next, delta: next - price });
+    price = next;
+  };
+
+  if (!rules?.enabled) return { price, list: price, steps, floor: null, manual };
+
+  // list price from the rate card (manual proposals skip the list-price rules)
+  if (!manual) {
+    const tier = matchTier(rules, m.A, m.R);
+    if (tier) {
+      const rate = pdec(tier.rate_km2_year, 0);
+      step("rate_card", `Rate card ${band(tier.aoi_min, tier.aoi_max, "km²")}, revisit ${band(tier.revisit_min, tier.revisit_max, "min")} @ ${rate} €/km²/yr`, rate * m.A);
+    }
+    const vol = (rules.volume || [])
+      .filter(v => m.A >= pdec(v.min_km2, Infinity))
+      .sort((a, b) => pdec(b.min_km2, 0) - pdec(a.min_km2, 0))[0];
+    if (vol) step("volume", `Volume discount ≥ ${vol.min_km2} km² (−${Math.round(pdec(vol.discount, 0) * 1000) / 10}%)`, price * (1 - pdec(vol.discount, 0)));
+  }
+  const list = price;
+
+  // guardrails apply to every price, manual included
+  const minValue = pdec(rules.min_contract_EUR, 0);
+  if (minValue > 0 && price < minValue) step("min_contract", `Minimum contract value ${minValue} €`, minValue);
+  const floorGM = pdec(rules.floor_gm, null);
+  const floor = floorGM == null ? null : m.Ann / Math.max(1 - floorGM, 0.01);
+  if (floor != null && price < floor) step("floor", `Floor price at ${Math.round(floorGM * 1000) / 10}% GM`, floor);
+
+  return { price, list, steps, floor, manual };
+}
+
+/** compute() output with the rules' price folded into every price field. */
+export function applyPricingRules(m, p, rules) {
+  const r = priceWithRules(m, p, rules);
+  if (!r.steps.length) return { ...m, pricing: r };
+  const price = r.price;
+  return {
+    ...m,
+    pricing: r,
+    PriceAnnualChosen: price,
+    PricePerKm2_year: price / Math.max(m.A, 1),
+    PricePerKm2_per_revisit: price / Math.max(m.Kyear, 1),
+    GM: (price - m.Ann) / price,
+  };
+}
@@ -0,0 +1,225 @@
+// src/proposal.js
+// Customer proposal from a saved quote: a template-driven document model rendered to a
+// print-ready HTML page or to PDF (pdf.js). Only customer-facing figures are used —
+// internal costs, margins and fleet sizing never reach the document.
+
+import { PROFILES, normalizeProfile, pdec } from "./engine.js";
+import { N, priceFmt } from "./format.js";
+import { entryFx } from "./fx.js";
+import { pdfDoc, wrap, A4 } from "./pdf.js";
+
+// {client}, {aoi}, {company}, {date}, {valid_until}, {currency} are replaced in the texts.
+export const DEFAULT_TEMPLATE = {
+  company_name: "Involve Space",
+  company_details: "Stratospheric SAR services",
+  accent: "#1f6feb",
+  title: "Commercial proposal",
+  ref_prefix: "PRP",
+  intro: "Dear {client},\nthank you for your interest. We are pleased to propose the following service for {aoi}.",
+  service_saas:
+    "Persistent SAR monitoring delivered as a service: our stratospheric platforms image the area of interest at the agreed revisit interval, day and night and through cloud. Processed imagery is delivered to your cloud workspace after each pass.",
+  service_tasking:
+    "On-demand SAR acquisition campaigns: each mission images the area of interest once and the processed data are delivered after landing.",
+  terms:
+    "Prices in {currency}, excluding VAT and applicable taxes.\nInvoicing: SaaS annually in advance; tasking 50% at order, 50% on delivery.\nPayment within 30 days of invoice.\nThis proposal is valid until {valid_until}.",
+  validity_days: 30,
+  show_unit_prices: true,
+  signature: "",
+};
+
+const fill = (s, vars) => String(s ?? "").replace(/\{(\w+)\}/g, (m, k) => vars[k] ?? m);
+const day = (ts) => new Date(ts).toLocaleDateString("en-GB", { day: "2-digit", month: "long", year: "numeric" });
+const ymd = (ts) => new Date(ts).toISOString().slice(0, 10).replace(/-/g, "");
+
+export function revisitText(min) {
+  const r = pdec(min, 0);
+  if (!(r > 0)) return "—";
+  if (r % 1440 === 0) return r === 1440 ? "every 24 hours" : `every ${r / 1440} days`;
+  if (r % 60 === 0) return `every ${r / 60} hour${r === 60 ? "" : "s"}`;
+  return `every ${N(r, 0)} minutes`;
+}
+
+const aoiText = (x) => {
+  const area = `${N(pdec(x.aoi_km2, 0), 1)} km²`;
+  return x.aoiType === "corridor" ? `${area} corridor, ${N(pdec(x.corridor_width_km, 0), 2)} km wide` : area;
+};
+
+/**
+ * Document model: { ref, title, company, details, accent, issued, validUntil, intro,
+ * sections: [{ title, text?, rows?: [[label, value]], total?: [label, value] }], signature }.
+ */
+export function proposalModel(q, template = DEFAULT_TEMPLATE, { issued = Date.now(), profiles = PROFILES } = {}) {
+  const tpl = { ...DEFAULT_TEMPLATE, ...template };
+  const fx = entryFx(q);
+  const P = priceFmt(fx);
+  const inp = q.inputs || {};
+  const saas = q.mode === "saas";
+  // the quote's own validity (set when it was sent, see lifecycle.js) is the one History
+  // expires; the template's validity_days only dates quotes that have not been sent yet
+  const validUntil = q.valid_until || issued + Math.max(pdec(tpl.validity_days, 30), 0) * 864e5;
+  const vars = { client: q.client_name, aoi: q.aoi_name, company: tpl.company_name, date: day(issued), valid_until: day(validUntil), currency: fx.currency };
+
+  const scope = [];
+  if (q.portfolio) {
+    scope.push(["Areas of interest", `${q.portfolio.items.length} AOIs, ${N(pdec(q.aoi_km2, 0), 1)} km² in total`]);
+    for (const a of q.portfolio.items) scope.push([`  ${a.name}`, saas ? `${aoiText(a)} · ${revisitText(a.revisit_min)}` : `${aoiText(a)} · ${N(a.missions_count, 0)} missions`]);
+  } else {
+    scope.push(["Area of interest", `${q.aoi_name} — ${aoiText({ ...inp, aoi_km2: q.aoi_km2 })}`]);
+  }
+  if (saas && !q.portfolio) {
+    scope.push(["Revisit commitment", revisitText(q.revisit_min)]);
+    scope.push(["Revisits per year", N(Math.ceil(525600 / Math.max(pdec(q.revisit_min, 1440), 1)), 0)]);
+  }
+  if (saas) scope.push(["Contract term", `${N(q.contract?.term ?? pdec(inp.term_years, 1), 0)} year(s)`]);
+  else {
+    const pr = normalizeProfile(profiles[q.mission_profile] || PROFILES[q.mission_profile] || PROFILES.standard);
+    scope.push(["Missions", N(q.missions_count, 0)]);
+    scope.push(["Mission profile", pr.name]);
+    scope.push(["Lead time", `${N(pr.lead_days, 0)} days from order`]);
+  }
+
+  const price = [];
+  let total;
+  if (saas) {
+    price.push(["Annual subscription", P(q.price_annual)]);
+    if (tpl.show_unit_prices && !q.portfolio) {
+      price.push(["per km² per year", P(q.price_km2_year, 2)]);
+      price.push(["per km² per revisit", P(q.price_km2_per_revisit, 4)]);
+    }
+    if (q.portfolio?.discount) price.push(["Bundle discount included", `${N(q.portfolio.discount * 100, 1)}%`]);
+    const esc = pdec(inp.price_escalation, 0);
+    if (esc) price.push(["Annual price escalation", `${N(esc * 100, 1)}%`]);
+    total = q.contract?.tcv != null && q.contract.term > 1
+      ? [`Total contract value (${q.contract.term} years)`, P(q.contract.tcv)]
+      : ["Total per year", P(q.price_annual)];
+  } else {
+    price.push(["Price per mission", P(q.price_per_mission)]);
+    price.push(["Missions", N(q.missions_count, 0)]);
+    if (tpl.show_unit_prices) price.push(["per km² per mission", P(q.price_km2_year, 2)]);
+    total = ["Total", P(q.price_annual)];
+  }
+
+  return {
+    ref: `${tpl.ref_prefix || "PRP"}-${ymd(issued)}-${String(q.id).slice(-4)}`,
+    title: tpl.title,
+    company: tpl.company_name,
+    details: tpl.company_details,
+    accent: tpl.accent,
+    issued: day(issued),
+    validUntil: day(validUntil),
+    client: q.client_name,
+    intro: fill(tpl.intro, vars),
+    sections: [
+      { title: "Service", text: fill(saas ? tpl.service_saas : tpl.service_tasking, vars) },
+      { title: "Scope and commitments", rows: scope },
+      { title: "Price", rows: price, total },
+      { title: "Terms", text: fill(tpl.terms, vars) },
+    ],
+    signature: fill(tpl.signature, vars),
+  };
+}
+
+/* ====================== HTML ====================== */
+
+const h = (s) => String(s ?? "").replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+const para = (s) => h(s).split("\n").map((l) => `<p>${l}</p>`).join("");
+
+export function proposalHTML(d) {
+  const sec = d.sections.map((s) => `
+  <section>
+    <h2>${h(s.title)}</h2>
+    ${s.text ? para(s.text) : ""}
+    ${s.rows ? `<table>${s.rows.map(([k, v]) => `<tr><td>${h(k)}</td><td>${h(v)}</td></tr>`).join("")}${s.total ? `<tr class="total"><td>${h(s.total[0])}</td><td>${h(s.total[1])}</td></tr>` : ""}</table>` : ""}
+  </section>`).join("");
+  return `<!doctype html>
+<html lang="en"><head><meta charset="utf-8"><title>${h(d.title)} ${h(d.ref)}</title>
+<style>
+  @page { size: A4; margin: 18mm; }
+  * { box-sizing: border-box; }
+  body { font: 10.5pt/1.45 Helvetica, Arial, sans-serif; color: #1e293b; margin: 0 auto; max-width: 180mm; padding: 12mm 0; }
+  header { border-bottom: 3px solid ${h(d.accent)}; padding-bottom: 8px; display: flex; justify-content: space-between; align-items: flex-end; }
+  header .co { font-size: 18pt; font-weight: bold; color: ${h(d.accent)}; }
+  header .meta { text-align: right; font-size: 9pt; color: #475569; }
+  h1 { font-size: 15pt; margin: 18px 0 6px; }
+  h2 { font-size: 11pt; color: ${h(d.accent)}; text-transform: uppercase; letter-spacing: .04em; margin: 18px 0 6px; }
+  p { margin: 0 0 4px; }
+  table { width: 100%; border-collapse: collapse; }
+  td { padding: 4px 0; border-bottom: 1px solid #e2e8f0; vertical-align: top; }
+  td:last-child { text-align: right; white-space: nowrap; padding-left: 12px; }
+  tr.total td { font-weight: bold; border-top: 2px solid #1e293b; border-bottom: none; }
+  section { break-inside: avoid; }
+  .sign { margin-top: 36px; display: flex; justify-content: space-between; gap: 24px; }
+  .sign div { flex: 1; border-top: 1px solid #94a3b8; padding-top: 4px; font-size: 9pt; color: #475569; }
+  @media print { body { padding: 0; } }
+</style></head>
+<body>
+  <header>
+    <div><div class="co">${h(d.company)}</div><div>${h(d.details)}</div></div>
+    <div class="meta">Ref. ${h(d.ref)}<br>Date ${h(d.issued)}<br>Valid until ${h(d.validUntil)}</div>
+  </header>
+  <h1>${h(d.title)} — ${h(d.client)}</h1>
+  ${para(d.intro)}
+  ${sec}
+  <div class="sign"><div>For ${h(d.company)}${d.signature ? `<br>${h(d.signature)}` : ""}</div><div>For ${h(d.client)} — signature and date</div></div>
+</body></html>`;
+}
+
+/* ====================== PDF ====================== */
+
+export function proposalPDF(d) {
+  const doc = pdfDoc({ title: `${d.title} ${d.ref}`, author: d.company });
+  const L = 50, R = A4.w - 50, W = R - L, BOTTOM = A4.h - 60;
+  let y = 0;
+
+  const footer = () => doc.text(R, A4.h - 30, `${d.company} · Ref. ${d.ref} · page ${doc.page}`, { size: 8, color: "#64748b", align: "right" });
+  const header = () => {
+    doc.rect(0, 0, A4.w, 8, d.accent);
+    doc.text(L, 46, d.company, { size: 18, bold: true, color: d.accent });
+    doc.text(L, 62, d.details, { size: 9, color: "#475569" });
+    doc.text(R, 40, `Ref. ${d.ref}`, { size: 9, align: "right", color: "#475569" });
+    doc.text(R, 52, `Date ${d.issued}`, { size: 9, align: "right", color: "#475569" });
+    doc.text(R, 64, `Valid until ${d.validUntil}`, { size: 9, align: "right", color: "#475569" });
+    doc.line(L, 74, R, 74, d.accent, 1.5);
+    y = 100;
+  };
+  const need = (hgt) => { if (y + hgt > BOTTOM) { footer(); doc.addPage(); header(); } };
+  const lines = (text, size = 10, bold = false) => {
+    for (const l of wrap(text, size, W, bold)) { need(size * 1.45); doc.text(L, y, l, { size, bold }); y += size * 1.45; }
+  };
+
+  header();
+  lines(`${d.title} — ${d.client}`, 15, true);
+  y += 4;
+  lines(d.intro);
+  for (const s of d.sections) {
+    y += 10;
+    need(40);
+    doc.text(L, y, s.title.toUpperCase(), { size: 10.5, bold: true, color: d.accent });
+    y += 16;
+    if (s.text) lines(s.text);
+    for (const [k, v] of s.rows || []) {
+      need(16);
+      doc.text(L, y, k, { size: 10 });
+      doc.text(R, y, v, { size: 10, align: "right" });
+      doc.line(L, y + 5, R, y + 5, "#e2e8f0");
+      y += 16;
+    }
+    if (s.total) {
+      need(20);
+      doc.line(L, y - 8, R, y - 8, "#1e293b", 1.2);
+      y += 4;
+      doc.text(L, y, s.total[0], { size: 11, bold: true });
+      doc.text(R, y, s.total[1], { size: 11, bold: true, align: "right" });
+      y += 18;
+    }
+  }
+  y += 30;
+  need(50);
+  doc.line(L, y, L + W * 0.45, y, "#94a3b8");
+  doc.line(R - W * 0.45, y, R, y, "#94a3b8");
+  doc.text(L, y + 12, `For ${d.company}`, { size: 9, color: "#475569" });
+  if (d.signature) doc.text(L, y + 24, d.signature, { size: 9, color: "#475569" });
+  doc.text(R - W * 0.45, y + 12, `For ${d.client} — signature and date`, { size: 9, color: "#475569" });
+  footer();
+  return doc.bytes();
+}
@@ -0,0 +1,31 @@
+// src/random.js
+// Seeded random numbers, so simulations can be reproduced from their seed.
+
+// mulberry32: small, fast 32-bit PRNG returning floats in [0, 1).
+export function mulberry32(seed) {
+  let a = (seed >>> 0) || 1;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Inverse CDF of the triangular distribution (min a, mode c, max b).
+export function triangular(rng, a, c, b) {
+  if (b <= a) return a;
+  const u = rng(), f = (c - a) / (b - a);
+  return u < f ? a + Math.sqrt(u * (b - a) * (c - a)) : b - Math.sqrt((1 - u) * (b - a) * (b - c));
+}
+
+// Box–Muller transform.
+export function normal(rng, mean, sd) {
+  const u = Math.max(rng(), 1e-12), v = rng();
+  return mean + sd * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+export function exponential(rng, mean) {
+  return -mean * Math.log(1 - rng());
+}
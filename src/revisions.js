@@ -0,0 +1,74 @@
+// src/revisions.js
+// Deals and revisions: quotes saved from a loaded quote become the next revision (Rev A,
+// B, C…) of the same deal and record who changed which inputs. Quotes saved before deals
+// existed are their own deal at Rev A.
+
+export const dealOf = (q) => q?.deal_id || q?.id;
+export const revOf = (q) => q?.rev ?? 0;
+
+// 0 → A, 25 → Z, 26 → AA …
+export function revLabel(n) {
+  let s = "";
+  for (let i = Math.max(0, Math.floor(+n || 0)); i >= 0; i = Math.floor(i / 26) - 1) s = String.fromCharCode(65 + (i % 26)) + s;
+  return s;
+}
+
+export const dealRevisions = (history, dealId) =>
+  history.filter((q) => dealOf(q) === dealId).sort((a, b) => revOf(a) - revOf(b) || a.ts - b.ts);
+
+// One row per deal (its highest revision), keeping history order (newest first).
+export function latestPerDeal(history) {
+  const best = new Map();
+  for (const q of history) {
+    const cur = best.get(dealOf(q));
+    if (!cur || revOf(q) > revOf(cur) || (revOf(q) === revOf(cur) && q.ts > cur.ts)) best.set(dealOf(q), q);
+  }
+  return history.filter((q) => best.get(dealOf(q)) === q);
+}
+
+export const revisionCount = (history) => {
+  const n = new Map();
+  for (const q of history) n.set(dealOf(q), (n.get(dealOf(q)) || 0) + 1);
+  return n;
+};
+
+// Customer- and margin-relevant outputs compared between revisions.
+export const PRICE_KEYS = [
+  "price_annual", "price_per_mission", "price_km2_year", "price_km2_per_revisit",
+  "cost_annual", "GM_prop", "platforms",
+];
+
+const same = (a, b) => (a && typeof a === "object") || (b && typeof b === "object")
+  ? JSON.stringify(a ?? null) === JSON.stringify(b ?? null)
+  : String(a ?? "") === String(b ?? "");
+// objects (geometry, season calendar) are recorded as changed, not copied into the log
+const logged = (v) => (v && typeof v === "object" ? null : v ?? null);
+
+/** Inputs and prices that differ from revision a to revision b. */
+export function diffQuotes(a, b) {
+  const ia = a?.inputs || {}, ib = b?.inputs || {};
+  const keys = [...new Set([...Object.keys(ia), ...Object.keys(ib)])];
+  return {
+    inputs: keys.filter((k) => !same(ia[k], ib[k])).map((k) => ({ key: k, from: ia[k], to: ib[k] })),
+    prices: PRICE_KEYS.filter((k) => !same(a?.[k], b?.[k])).map((k) => ({
+      key: k, from: a?.[k] ?? null, to: b?.[k] ?? null,
+      delta: typeof a?.[k] === "number" && typeof b?.[k] === "number" ? b[k] - a[k] : null,
+    })),
+  };
+}
+
+/**
+ * Stamp a new History entry as a revision. With `parent` (the quote loaded into the form)
+ * it becomes the deal's next revision and logs the changed inputs; otherwise it opens a
+ * new deal at Rev A.
+ */
+export function stampRevision(entry, history, parent, { author = "", note = "" } = {}) {
+  const base = { author: author.trim() || null, note: note.trim() || null };
+  if (!parent) return { ...entry, ...base, deal_id: entry.id, rev: 0, parent_id: null, changes: [] };
+  const deal = dealOf(parent);
+  const rev = Math.max(...dealRevisions(history, deal).map(revOf), revOf(parent)) + 1;
+  const d = diffQuotes(parent, entry);
+  const changes = [...d.inputs, ...d.prices.filter((x) => x.key === "price_annual")]
+    .map(({ key, from, to }) => ({ key, from: logged(from), to: logged(to) }));
+  return { ...entry, ...base, deal_id: deal, rev, parent_id: parent.id, changes };
+}
@@ -0,0 +1,170 @@
+// src/schedule.js
+// Deterministic year-long fleet schedule for a SaaS (Stratostats) quote: the Ft missions of
+// compute() are spread over the year (month by month with a seasonal calendar) and assigned
+// to the P0 in-service platforms, respecting turnaround, maintenance blocks and the annual
+// flight-day budget (reduced by the MTBF/MTTR availability, as in compute()); spares fly
+// only when no in-service platform can start on time. With a seasonal calendar each
+// platform has a flight-day budget per month instead (its usable days that month, so no
+// launches in months with fly = 0) and months whose missions cannot all fly on time are
+// reported. Times are days from 1 January (365-day year); failures are left to the simulation.
+
+import { DEF, pdec } from "./engine.js";
+import { MONTH_DAYS } from "./season.js";
+import { writeCSV } from "./csv.js";
+
+export const YEAR_DAYS = 365;
+export const MAINT_BLOCKS = 2; // maintenance split into this many blocks per platform
+
+const r2 = (x) => Math.round(x * 100) / 100;
+const MONTH_START = MONTH_DAYS.reduce((a, d) => [...a, a[a.length - 1] + d], [0]);
+const monthAt = (t) => Math.min(MONTH_START.findIndex((x) => x > t) - 1, 11);
+
+// Mission demand: { due, D, turnaround } sorted by due date.
+function demand(p, m) {
+  const turnaround = pdec(p.turnaround_days, DEF.turnaround_days);
+  if (m.months) {
+    let t0 = 0;
+    return m.months.flatMap((x, i) => {
+      const start = t0;
+      t0 += MONTH_DAYS[i];
+      return Array.from({ length: x.missions }, (_, j) => ({ due: start + (j * MONTH_DAYS[i]) / x.missions, D: x.D, turnaround: x.turnaround }));
+    });
+  }
+  return Array.from({ length: m.Ft }, (_, j) => ({ due: (j * YEAR_DAYS) / Math.max(m.Ft, 1), D: m.D, turnaround }));
+}
+
+/**
+ * Build the schedule. opts.tolerance (days) is how late a mission may start before it
+ * counts as late and a spare is tried. Returns null for relay or tasking quotes.
+ */
+export function buildSchedule(p, m, { tolerance = 1 } = {}) {
+  if (m.isRelay || p.mode !== "saas") return null;
+  const maxFlight = pdec(p.max_flight_days, DEF.max_flight_days);
+  const maintDays = Math.ceil(maxFlight * pdec(p.maint_buffer, DEF.maint_buffer));
+  // flight days per platform per year: unplanned downtime takes the same share of the
+  // usable days as in compute()'s missions-per-platform (usable × Aavail)
+  const availability = m.Aavail ?? 1;
+  // seasonal: flight days per platform in each month (compute()'s monthly usable days × Aavail)
+  const monthly = m.months ? m.months.map((x) => x.usable * availability) : null;
+  const budget = monthly ? monthly.reduce((a, b) => a + b, 0) : (maxFlight - maintDays) * availability;
+
+  const platforms = Array.from({ length: m.P }, (_, i) => {
+    const blockLen = maintDays / MAINT_BLOCKS;
+    // stagger maintenance so the fleet is never all on the ground together
+    const maint = maintDays > 0
+      ? Array.from({ length: MAINT_BLOCKS }, (_, k) => {
+          const s = (((k + (i + 0.5) / m.P) * YEAR_DAYS) / MAINT_BLOCKS) % YEAR_DAYS;
+          return { kind: "maintenance", start: r2(s), end: r2(Math.min(s + blockLen, YEAR_DAYS)) };
+        })
+      : [];
+    return { id: i + 1, label: `${i < m.P0 ? "P" : "Spare "}${i < m.P0 ? i + 1 : i + 1 - m.P0}`, spare: i >= m.P0, free: 0, flown: 0, used: Array(12).fill(0), maint, items: [...maint] };
+  });
+
+  // earliest start ≥ due on platform pl, or null if it cannot fly this mission this year
+  const earliest = (pl, due, D) => {
+    if (pl.flown + D > budget + 1e-9) return null;
+    let s = Math.max(due, pl.free);
+    for (let moved = true; moved && s < YEAR_DAYS; ) {
+      moved = false;
+      for (const b of pl.maint) if (s < b.end && s + D > b.start) { s = b.end; moved = true; }
+      const i = monthAt(s);
+      // the launch month's flight days are used up (or it is not flyable): try the next month
+      if (monthly && s < YEAR_DAYS && pl.used[i] + D > monthly[i] + 1e-9) { s = MONTH_START[i + 1]; moved = true; }
+    }
+    return s + D <= YEAR_DAYS ? s : null;
+  };
+  const pick = (list, x) =>
+    list.reduce((best, pl) => {
+      const s = earliest(pl, x.due, x.D);
+      // earliest start first, then the least-flown platform to balance the fleet
+      const better = !best || s < best.s - 1e-9 || (Math.abs(s - best.s) <= 1e-9 && pl.flown < best.pl.flown);
+      return s != null && better ? { pl, s } : best;
+    }, null);
+
+  const missions = demand(p, m).map((x, j) => {
+    let hit = pick(platforms.filter((pl) => !pl.spare), x);
+    if (!hit || hit.s - x.due > tolerance) {
+      const spare = pick(platforms.filter((pl) => pl.spare), x);
+      if (spare && (!hit || spare.s < hit.s)) hit = spare;
+    }
+    const mis = { seq: j + 1, due: r2(x.due), D: x.D, start: null, end: null, platform: null, delay: null };
+    if (!hit) return mis;
+    const { pl, s } = hit;
+    Object.assign(mis, { start: r2(s), end: r2(s + x.D), platform: pl.id, delay: r2(s - x.due) });
+    pl.items.push({ kind: "mission", start: mis.start, end: mis.end, seq: mis.seq });
+    if (x.turnaround > 0) pl.items.push({ kind: "turnaround", start: mis.end, end: r2(Math.min(s + x.D + x.turnaround, YEAR_DAYS)) });
+    pl.free = s + x.D + x.turnaround;
+    pl.flown += x.D;
+    pl.used[monthAt(s)] += x.D;
+    return mis;
+  });
+  const late = (x) => x.start == null || x.delay > tolerance;
+
+  const done = missions.filter((x) => x.start != null);
+  return {
+    budget,
+    availability,
+    maintDays,
+    tolerance,
+    platforms: platforms.map(({ id, label, spare, flown, items }) => ({
+      id, label, spare, flown: r2(flown), utilization: flown / YEAR_DAYS, items: items.sort((a, b) => a.start - b.start),
+    })),
+    missions,
+    // seasonal only: missions due each month and how many of them fly on time
+    months: m.months
+      ? m.months.map((x, i) => {
+          const due = missions.filter((y) => monthAt(y.due) === i);
+          const miss = due.filter(late).length;
+          return { month: x.month, fly: x.fly, budget: monthly[i], demanded: due.length, onTime: due.length - miss, ok: miss === 0 };
+        })
+      : null,
+    stats: {
+      demanded: missions.length,
+      scheduled: done.length,
+      unscheduled: missions.length - done.length,
+      late: done.filter((x) => x.delay > tolerance).length,
+      maxDelay: done.reduce((a, x) => Math.max(a, x.delay), 0),
+      onSpares: done.filter((x) => platforms[x.platform - 1].spare).length,
+    },
+  };
+}
+
+export const scheduleOk = (s) => !!s && s.stats.unscheduled === 0 && s.stats.late === 0;
+
+/* ====================== Export ====================== */
+
+const dateOf = (year, d) => new Date(Date.UTC(year, 0, 1) + d * 864e5);
+const iso = (year, d) => dateOf(year, d).toISOString().slice(0, 16).replace("T", " ");
+
+export function scheduleCSV(s, year) {
+  const rows = s.platforms.flatMap((pl) =>
+    pl.items.map((it) => {
+      const mis = it.kind === "mission" ? s.missions[it.seq - 1] : null;
+      return [pl.label, it.kind, mis ? mis.seq : "", iso(year, it.start), iso(year, it.end), r2(it.end - it.start), mis ? iso(year, mis.due) : "", mis ? mis.delay : ""];
+    })
+  );
+  const missed = s.missions.filter((x) => x.start == null).map((x) => ["—", "unscheduled", x.seq, "", "", x.D, iso(year, x.due), ""]);
+  return writeCSV(["platform", "kind", "mission", "start_utc", "end_utc", "days", "due_utc", "delay_days"], [...rows, ...missed]);
+}
+
+const icsStamp = (date) => date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+const icsDate = (year, d) => icsStamp(dateOf(year, d));
+const icsText = (t) => String(t).replace(/[\\,;]/g, (c) => `\\${c}`);
+
+/** iCalendar (RFC 5545) with one event per mission and maintenance block. */
+export function scheduleICS(s, year, name = "Fleet schedule") {
+  const stamp = icsStamp(new Date());
+  const events = s.platforms.flatMap((pl) =>
+    pl.items.filter((it) => it.kind !== "turnaround").map((it, i) => [
+      "BEGIN:VEVENT",
+      `UID:${year}-${pl.id}-${it.kind}-${it.seq ?? i}@stratosar-planner`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${icsDate(year, it.start)}`,
+      `DTEND:${icsDate(year, it.end)}`,
+      `SUMMARY:${icsText(it.kind === "mission" ? `Mission ${it.seq} · ${pl.label}` : `Maintenance · ${pl.label}`)}`,
+      `CATEGORIES:${it.kind.toUpperCase()}`,
+      "END:VEVENT",
+    ])
+  );
+  return ["BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:-//stratosar-planner//schedule//EN", `X-WR-CALNAME:${icsText(name)}`, ...events.flat(), "END:VCALENDAR", ""].join("\r\n");
+}
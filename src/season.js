@@ -0,0 +1,76 @@
+// src/season.js
+// Month-by-month flyability. Each month has the fraction of flyable days, an optional cap on
+// mission length (days) and an optional turnaround override; compute() derives usable days,
+// flights per platform and flights per year from it instead of the flat annual numbers.
+
+export const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+export const MONTH_DAYS = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+// Typical mid-latitude profile: calmer stratospheric winds in summer.
+export const SEASON_TEMPLATE = [0.35, 0.4, 0.5, 0.6, 0.7, 0.75, 0.75, 0.7, 0.6, 0.5, 0.4, 0.35];
+
+export const flatSeason = (fly) => MONTHS.map(() => ({ fly, max_days: "", turnaround: "" }));
+export const templateSeason = () => SEASON_TEMPLATE.map((fly) => ({ fly, max_days: "", turnaround: "" }));
+
+const num = (v, fb) => {
+  if (v === null || v === undefined || String(v).trim() === "") return fb;
+  const n = Number(String(v).replace(/,/g, "."));
+  return Number.isFinite(n) ? n : fb;
+};
+
+// 12 well-formed months, or null when the calendar is off/malformed.
+export function normalizeSeason(s) {
+  if (typeof s === "string") { try { s = JSON.parse(s); } catch { return null; } }
+  if (!Array.isArray(s) || s.length !== 12) return null;
+  return s.map((x) => ({
+    fly: Math.min(Math.max(num(x?.fly, 0), 0), 1),
+    max_days: num(x?.max_days, null),
+    turnaround: num(x?.turnaround, null),
+  }));
+}
+
+/**
+ * Monthly capacity and demand.
+ * ctx: { A, R, covRate, D, Hh, turnaround, maintBuffer, maxFlightDays, Aavail, Tc, isRelay, missionCost(Dm, Hm) }
+ */
+export function seasonalPlan(season, ctx) {
+  const cap = ctx.maxFlightDays * (1 - ctx.maintBuffer);
+  const raw = season.map((s, i) => MONTH_DAYS[i] * s.fly * (1 - ctx.maintBuffer));
+  const total = raw.reduce((a, b) => a + b, 0);
+  const scale = total > cap && total > 0 ? cap / total : 1; // the annual flight-day budget still caps the year
+
+  const months = season.map((s, i) => {
+    const Dm = ctx.isRelay ? ctx.D : Math.max(Math.min(ctx.D, s.max_days ?? Infinity), 1 / 24);
+    const Hm = ctx.isRelay ? ctx.Hh : Dm * 24;
+    const turn = s.turnaround ?? ctx.turnaround;
+    const usable = raw[i] * scale;
+    const fpp = ctx.isRelay ? 0 : (usable * ctx.Aavail) / Math.max(Dm + turn, 0.1);
+    const coverage = ctx.A * ((MONTH_DAYS[i] * 1440) / ctx.R); // km² to image this month
+    const missions = Math.ceil(coverage / Math.max(ctx.covRate * Hm, 1e-6));
+    return {
+      month: MONTHS[i], days: MONTH_DAYS[i], fly: s.fly, D: Dm, turnaround: turn,
+      usable, fpp, missions, cost: missions * ctx.missionCost(Dm, Hm),
+      sweepFits: ctx.Tc <= Hm * 60,
+    };
+  });
+
+  const Ft = months.reduce((a, m) => a + m.missions, 0);
+  return {
+    months,
+    usable: months.reduce((a, m) => a + m.usable, 0),
+    fpp: months.reduce((a, m) => a + m.fpp, 0),
+    Ft,
+    missionsCost: months.reduce((a, m) => a + m.cost, 0),
+  };
+}
+
+// Flag months the fleet (P0 platforms in service) cannot fly as requested.
+export function checkMonths(months, P0, isRelay) {
+  return months.map((m) => {
+    const capacity = isRelay ? (m.fly > 0 ? Infinity : 0) : P0 * m.fpp;
+    const reasons = [];
+    if (m.missions > 0 && capacity + 1e-9 < m.missions) reasons.push(m.fly === 0 ? "not flyable" : `${m.missions} missions vs capacity ${Math.floor(capacity)}`);
+    if (!m.sweepFits) reasons.push("sweep longer than max mission");
+    return { ...m, capacity, ok: reasons.length === 0, reasons };
+  });
+}
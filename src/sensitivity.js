@@ -0,0 +1,70 @@
+// src/sensitivity.js
+// One-at-a-time sensitivity: each input moved by ±pct, everything else at its current value.
+import { DEF, PROFILES, pdec, compute, taskingCalc, missionsOf } from "./engine.js";
+import { writeCSV } from "./csv.js";
+
+const FRACTIONS = new Set(["duty", "cov_eff", "overlap", "eta_nav", "maint_buffer", "spare_buffer"]);
+// counts, pricing and contract knobs: not cost drivers
+const SKIP = new Set(["missions_count", "target_gm", "term_years", "price_escalation", "cost_inflation", "discount_rate"]);
+
+export const SENS_KEYS = [
+  "aoi_km2", "aoi_width_km", "corridor_width_km", "revisit_min", "relay_hours_h", "mission_days", "turnaround_days",
+  ...Object.keys(DEF).filter(k => typeof DEF[k] === "number" && !SKIP.has(k)),
+].filter((k, i, a) => a.indexOf(k) === i);
+
+export const SENS_METRICS = {
+  cost: { label: "Annual / total cost" },
+  costKm2: { label: "Cost per km² per revisit" },
+  platforms: { label: "Platforms" },
+};
+
+// Metric values of one parameter set, for the current mode.
+function outputs(p, profiles) {
+  if (p.mode === "saas") {
+    const m = compute(p);
+    return { cost: m.Ann, costKm2: m.EURkm2_per_revisit, platforms: m.P };
+  }
+  const t = taskingCalc(p, missionsOf(p), p.mission_profile, profiles);
+  return { cost: t.tot, costKm2: t.costPerKm2, platforms: null };
+}
+
+function shift(p, k, f) {
+  let base = p[k];
+  if (k === "aoi_width_km" && (base === null || base === "")) base = compute(p).W;
+  const v = pdec(base, null);
+  if (v === null || v === 0) return null;
+  let x = v * f;
+  if (FRACTIONS.has(k)) x = Math.min(Math.max(x, 0), 0.99);
+  return { q: { ...p, [k]: x }, value: x, base: v };
+}
+
+// Rows sorted by swing on `by`; inputs with no effect on any metric are dropped.
+export function sensitivity(p, { pct = 0.1, by = "cost", profiles = PROFILES } = {}) {
+  const d = Math.abs(pdec(pct, 0.1));
+  const base = outputs(p, profiles);
+  const rows = [];
+  for (const k of SENS_KEYS) {
+    const lo = shift(p, k, 1 - d), hi = shift(p, k, 1 + d);
+    if (!lo || !hi) continue;
+    const oLo = outputs(lo.q, profiles), oHi = outputs(hi.q, profiles);
+    const swing = Object.fromEntries(
+      Object.keys(SENS_METRICS).map(mk => [mk, base[mk] == null ? 0 : Math.abs(oHi[mk] - oLo[mk])])
+    );
+    if (Object.values(swing).every(s => !(s > 1e-9))) continue;
+    rows.push({ key: k, base: lo.base, low: { value: lo.value, ...oLo }, high: { value: hi.value, ...oHi }, swing });
+  }
+  rows.sort((a, b) => b.swing[by] - a.swing[by]);
+  return { base, pct: d, rows };
+}
+
+export function sensitivityCSV(res, labelOf = (k) => k) {
+  const headers = [
+    "input", "label", "base_value", "low_value", "high_value",
+    ...Object.keys(SENS_METRICS).flatMap(mk => [`${mk}_base`, `${mk}_low`, `${mk}_high`, `${mk}_swing`]),
+  ];
+  const rows = res.rows.map(r => [
+    r.key, labelOf(r.key), r.base, r.low.value, r.high.value,
+    ...Object.keys(SENS_METRICS).flatMap(mk => [res.base[mk] ?? "", r.low[mk] ?? "", r.high[mk] ?? "", r.swing[mk]]),
+  ]);
+  return writeCSV(headers, rows);
+}
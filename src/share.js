@@ -0,0 +1,55 @@
+// src/share.js
+// Scenario links: the inputs that differ from DEF plus what else the price depends on in the
+// sender's workspace (pricing rules, FX snapshot, the selected mission profile), as JSON,
+// deflate-compressed where the browser has CompressionStream, in base64url. The first
+// character tags the encoding ("z" deflate-raw, "j" plain JSON) so links stay readable by
+// builds without compression.
+
+import { DEF, normalizeInputs } from "./engine.js";
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const b64url = (bytes) => {
+  let s = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) s += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(s).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+};
+const unb64url = (s) => Uint8Array.from(atob(s.replace(/-/g, "+").replace(/_/g, "/")), (c) => c.charCodeAt(0));
+
+async function pipe(bytes, stream) {
+  const out = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await out.arrayBuffer());
+}
+
+/** Inputs and pricing context → link code. `fx` is `{ currency, rate, asOf }`, `profile` the selected profile's definition. */
+export async function encodeScenario(p, { rules = null, fx = null, profile = null } = {}) {
+  const diff = Object.fromEntries(Object.entries(p).filter(([k, v]) => k in DEF && !same(v, DEF[k])));
+  const payload = { v: 2, p: diff, rules, fx, profile: profile && { key: p.mission_profile, def: profile } };
+  const json = new TextEncoder().encode(JSON.stringify(payload));
+  if (typeof CompressionStream === "undefined") return `j${b64url(json)}`;
+  return `z${b64url(await pipe(json, new CompressionStream("deflate-raw")))}`;
+}
+
+/**
+ * Link code → `{ inputs, rules, fx, profile }`, inputs completed from DEF; the rest is null when
+ * the link does not carry it. Throws on a damaged or unsupported code.
+ */
+export async function decodeScenario(code) {
+  const tag = code[0], body = code.slice(1);
+  let bytes;
+  try { bytes = unb64url(body); } catch { throw new Error("The link is damaged (not base64)."); }
+  if (tag === "z") {
+    if (typeof DecompressionStream === "undefined") throw new Error("This browser cannot open compressed links.");
+    try { bytes = await pipe(bytes, new DecompressionStream("deflate-raw")); } catch { throw new Error("The link is damaged or truncated."); }
+  } else if (tag !== "j") throw new Error("Unknown link format.");
+  let raw;
+  try { raw = JSON.parse(new TextDecoder().decode(bytes)); } catch { throw new Error("The link is damaged or truncated."); }
+  if (raw?.v !== 2) return { inputs: normalizeInputs(raw), rules: null, fx: null, profile: null }; // inputs-only links
+  const fx = raw.fx && Number.isFinite(+raw.fx.rate) && +raw.fx.rate > 0 ? { currency: String(raw.fx.currency), rate: +raw.fx.rate, asOf: raw.fx.asOf ?? null } : null;
+  const profile = raw.profile?.key && raw.profile.def && typeof raw.profile.def === "object" ? { key: String(raw.profile.key), def: raw.profile.def } : null;
+  return { inputs: normalizeInputs(raw.p), rules: raw.rules && typeof raw.rules === "object" ? raw.rules : null, fx, profile };
+}
+
+// Absolute link for the current page (hash routes).
+export const shareURL = (code, { edit = false } = {}) =>
+  `${location.origin}${location.pathname}#/s/${code}${edit ? "?edit=1" : ""}`;
@@ -0,0 +1,139 @@
+// src/solver.js
+// Goal seek on top of priceScenario(): budgets and rates in, form values out.
+// compute() is monotone in revisit and area (up to its ceil() steps), so bisection is enough;
+// a rate card whose tiers get cheaper can break that at tier edges, where the answer is a
+// feasible value but not always the extreme one.
+// Candidates are priced as the Summary prices them (pricing rules included, manual price
+// left out); budgets, rates and prices are in the quote currency (`fx`, see fx.js) and
+// the explanations format amounts with it.
+import { DEF, PROFILES, pdec, missionsOf, priceScenario } from "./engine.js";
+import { priceFmt } from "./format.js";
+
+const YEAR_MIN = 525600;
+const EUR_FX = { currency: "EUR", rate: 1 };
+
+// SaaS price the Summary would show for q, without a manual annual price.
+const quoted = (q, profiles, pricing) => priceScenario({ ...q, proposed_annual_price_EUR: "" }, profiles, pricing).m;
+// Amount typed in the quote currency → EUR.
+const toEUR = (v, fx) => { const x = pdec(v, null); return x == null ? null : x / (fx.rate || 1); };
+
+// Why a candidate fails; null when it passes every constraint.
+function saasBlocker(m, { budget = null, maxPlatforms = null, requireFlyable = false, fmt = priceFmt(EUR_FX) } = {}) {
+  if (budget != null && m.PriceAnnualChosen > budget) return { kind: "budget", text: `the quoted price would be ${fmt(m.PriceAnnualChosen)} (> budget)` };
+  if (maxPlatforms != null && m.P > maxPlatforms) {
+    return m.Smin > maxPlatforms
+      ? { kind: "fleet", text: `the sweep needs ${m.Smin} platforms over the AOI at once (fleet cap ${maxPlatforms})` }
+      : { kind: "flight_days", text: `${m.Ft} flights/year need ${m.P} platforms at ${m.Fpp} flights each (flight-day budget; fleet cap ${maxPlatforms})` };
+  }
+  if (requireFlyable && m.slack < 0) return { kind: "sweep", text: `sweep + reposition takes ${Math.round(m.Tc)} min, longer than the revisit` };
+  return null;
+}
+
+// Smallest integer x in [lo, hi] with ok(x) true, assuming ok is monotone (false…true).
+function bisectMin(lo, hi, ok) {
+  if (!ok(hi)) return null;
+  while (lo < hi) {
+    const mid = Math.floor((lo + hi) / 2);
+    if (ok(mid)) hi = mid; else lo = mid + 1;
+  }
+  return lo;
+}
+
+/** SaaS: shortest revisit (min) whose quoted price fits `budget`. */
+export function solveRevisit(p, { budget, maxPlatforms = null, requireFlyable = false, profiles = PROFILES, pricing = null, fx = EUR_FX }) {
+  const B = toEUR(budget, fx);
+  if (B == null || B <= 0) return { ok: false, reason: "Enter a positive annual budget." };
+  const opts = { budget: B, maxPlatforms: pdec(maxPlatforms, null), requireFlyable, fmt: priceFmt(fx) };
+  const at = (R) => quoted({ ...p, revisit_min: R }, profiles, pricing);
+  const R = bisectMin(1, YEAR_MIN, (x) => !saasBlocker(at(x), opts));
+  if (R == null) {
+    return { ok: false, reason: `Even one revisit per year does not fit: ${saasBlocker(at(YEAR_MIN), opts).text}.` };
+  }
+  const m = at(R);
+  const block = R > 1 ? saasBlocker(at(R - 1), opts) : null;
+  return {
+    ok: true,
+    patch: { revisit_min: R },
+    value: R,
+    m,
+    binding: block ? block.kind : "limit",
+    explain: block
+      ? `Shorter revisits fail because ${block.text}.`
+      : "Already at the 1-minute floor: no constraint binds.",
+  };
+}
+
+/** SaaS: largest AOI (km²) whose quoted price a per-km²/year rate pays for, within fleet and sweep limits. */
+export function solveArea(p, { rateKm2, maxPlatforms = null, requireFlyable = true, maxArea = 1e6, profiles = PROFILES, pricing = null, fx = EUR_FX }) {
+  const rate = toEUR(rateKm2, fx);
+  if (rate == null || rate <= 0) return { ok: false, reason: "Enter a positive price per km² per year." };
+  const cap = pdec(maxPlatforms, null);
+  const fmt = priceFmt(fx);
+  const at = (A) => quoted({ ...p, aoi_km2: A }, profiles, pricing);
+  const ok = (A) => {
+    const m = at(A);
+    return m.PriceAnnualChosen <= rate * A && !saasBlocker(m, { maxPlatforms: cap, requireFlyable });
+  };
+  // Capacity limits bound the area from above; the fixed cloud cost from below.
+  const upper = (A) => !saasBlocker(at(A), { maxPlatforms: cap, requireFlyable });
+  const hiCap = bisectMin(0, Math.round(maxArea * 10), (x) => !upper(x / 10));
+  const Amax = hiCap == null ? maxArea : Math.max((hiCap - 1) / 10, 0);
+  if (Amax <= 0 || !ok(Amax)) {
+    const m = at(Math.max(Amax, 0.1));
+    return {
+      ok: false,
+      reason: Amax <= 0
+        ? `No area fits: ${saasBlocker(at(0.1), { maxPlatforms: cap, requireFlyable })?.text || "capacity limit"}.`
+        : `At ${fmt(rate, 2)}/km²/yr the largest flyable AOI (${Math.round(Amax)} km²) costs ${fmt(m.EURkm2_year, 2)}/km²/yr; its quoted price needs ${fmt(m.PriceAnnualChosen / Amax, 2)}.`,
+    };
+  }
+  const m = at(Amax);
+  const block = hiCap == null ? null : saasBlocker(at(hiCap / 10), { maxPlatforms: cap, requireFlyable });
+  return {
+    ok: true,
+    patch: { aoi_km2: Math.floor(Amax * 10) / 10 },
+    value: Amax,
+    m,
+    binding: block ? block.kind : "limit",
+    explain: block
+      ? `Larger AOIs fail because ${block.text}.`
+      : `No capacity limit up to ${maxArea} km².`,
+  };
+}
+
+/** Margin and breakeven for a proposed price (SaaS annual price, or Tasking batch total). */
+export function solvePrice(p, { price, profiles = PROFILES, pricing = null, fx = EUR_FX }) {
+  const P = toEUR(price, fx);
+  if (P == null || P <= 0) return { ok: false, reason: "Enter a positive price." };
+  const fmt = priceFmt(fx);
+  const r2 = (x) => Math.round(x * 100) / 100;
+  if (p.mode === "saas") {
+    const { m } = priceScenario(p, profiles, pricing);
+    const cloud = pdec(p.annual_cloud_costs, DEF.annual_cloud_costs);
+    const breakeven = Math.floor((P - cloud) / Math.max(m.Cmis, 1e-6));
+    const gm = (P - m.Ann) / P;
+    return {
+      ok: true,
+      patch: { proposed_annual_price_EUR: r2(P) },
+      gm,
+      breakeven: Math.max(breakeven, 0),
+      needed: m.Ft,
+      explain: breakeven >= m.Ft
+        ? `The price covers ${breakeven} missions/year; the revisit needs ${m.Ft}.`
+        : `The price covers only ${Math.max(breakeven, 0)} of the ${m.Ft} missions/year the revisit needs (after ${fmt(cloud)} cloud).`,
+    };
+  }
+  const count = missionsOf(p);
+  const { t } = priceScenario(p, profiles, pricing);
+  const breakeven = Math.floor(P / Math.max(t.Cmis, 1e-6));
+  return {
+    ok: true,
+    patch: { proposed_price_per_mission_EUR: r2(count > 0 ? P / count : P) },
+    gm: (P - t.tot) / P,
+    breakeven,
+    needed: count,
+    explain: breakeven >= count
+      ? `The price covers ${breakeven} missions at ${fmt(t.Cmis)} each; ${count} are quoted.`
+      : `The price covers only ${breakeven} of the ${count} quoted missions at ${fmt(t.Cmis)} each.`,
+  };
+}
@@ -0,0 +1,173 @@
+// src/storage.js
+// Workspace persistence. initStorage() reads every stratosar:* entry into memory once at
+// boot, so state initializers stay synchronous (get); set() updates memory and writes to
+// IndexedDB in the background. Where IndexedDB cannot be opened (some private-browsing
+// modes) the same API runs on localStorage. Write failures (quota, blocked database) are
+// kept for retry and published to subscribe() listeners for the UI.
+
+const PREFIX = "stratosar:";
+const DB_NAME = "stratosar";
+const DB_STORE = "kv";
+// Set in IndexedDB once the localStorage entries have been copied over. The originals are
+// left in place: older builds of the planner still read them.
+const MIGRATED = "stratosar:meta:migrated-from-localstorage";
+
+const cache = new Map();
+const dirty = new Set();   // keys whose memory value is not yet (successfully) written
+let backend = null;
+let timer = null;
+const status = { backend: null, error: null, unsaved: 0, usage: null, quota: null, migrated: 0, notice: null };
+const listeners = new Set();
+
+const emit = () => { status.unsaved = dirty.size; for (const fn of listeners) fn({ ...status }); };
+export function subscribe(fn) {
+  listeners.add(fn);
+  fn({ ...status });
+  return () => listeners.delete(fn);
+}
+
+export const describeError = (e) =>
+  e?.name === "QuotaExceededError" ? "browser storage is full" : e?.message || String(e);
+
+/* ====================== Backends ====================== */
+
+const request = (r) => new Promise((res, rej) => { r.onsuccess = () => res(r.result); r.onerror = () => rej(r.error); });
+
+function openDB() {
+  return new Promise((res, rej) => {
+    if (typeof indexedDB === "undefined") return rej(new Error("IndexedDB not available"));
+    let r;
+    try { r = indexedDB.open(DB_NAME, 1); } catch (e) { return rej(e); }
+    r.onupgradeneeded = () => r.result.createObjectStore(DB_STORE);
+    r.onsuccess = () => res(r.result);
+    r.onerror = () => rej(r.error);
+    r.onblocked = () => rej(new Error("database blocked by another tab"));
+  });
+}
+
+function idbBackend(db) {
+  return {
+    name: "IndexedDB",
+    async readAll() {
+      const s = db.transaction(DB_STORE).objectStore(DB_STORE);
+      const [keys, values] = await Promise.all([request(s.getAllKeys()), request(s.getAll())]);
+      return new Map(keys.map((k, i) => [k, values[i]]));
+    },
+    // one transaction: all entries are written or none
+    writeMany: (entries) => new Promise((res, rej) => {
+      const t = db.transaction(DB_STORE, "readwrite");
+      const s = t.objectStore(DB_STORE);
+      for (const [k, v] of entries) v === undefined ? s.delete(k) : s.put(v, k);
+      t.oncomplete = () => res();
+      t.onerror = () => rej(t.error);
+      t.onabort = () => rej(t.error || new Error("write aborted"));
+    }),
+  };
+}
+
+const lsBackend = {
+  name: "localStorage",
+  async readAll() {
+    const out = new Map();
+    for (let i = 0; i < localStorage.length; i++) {
+      const k = localStorage.key(i);
+      if (!k?.startsWith(PREFIX)) continue;
+      try { out.set(k, JSON.parse(localStorage.getItem(k))); } catch {}
+    }
+    return out;
+  },
+  // put the previous entries back if any write fails, to match the IndexedDB transaction
+  async writeMany(entries) {
+    const before = entries.map(([k]) => [k, localStorage.getItem(k)]);
+    try {
+      for (const [k, v] of entries) v === undefined ? localStorage.removeItem(k) : localStorage.setItem(k, JSON.stringify(v));
+    } catch (e) {
+      for (const [k, v] of before) { try { v == null ? localStorage.removeItem(k) : localStorage.setItem(k, v); } catch {} }
+      throw e;
+    }
+  },
+};
+
+const memoryBackend = { name: "memory", readAll: async () => new Map(), writeMany: async () => {} };
+
+/* ====================== Boot ====================== */
+
+async function readLocalStorage() {
+  try { return await lsBackend.readAll(); } catch { return new Map(); }
+}
+
+/** Open the best available backend and load the workspace into memory. Never rejects. */
+export async function initStorage() {
+  let data;
+  try {
+    const idb = idbBackend(await openDB());
+    data = await idb.readAll();
+    if (!data.has(MIGRATED)) {
+      const moved = [...(await readLocalStorage())].filter(([k]) => !data.has(k));
+      await idb.writeMany([...moved, [MIGRATED, Date.now()]]);
+      for (const [k, v] of moved) data.set(k, v);
+      status.migrated = moved.length;
+    }
+    backend = idb;
+  } catch (e) {
+    try {
+      data = await lsBackend.readAll();
+      localStorage.setItem(`${PREFIX}meta:probe`, "1");
+      localStorage.removeItem(`${PREFIX}meta:probe`);
+      backend = lsBackend;
+      status.notice = `IndexedDB unavailable (${describeError(e)}): using localStorage, limited to about 5 MB.`;
+    } catch {
+      data = new Map();
+      backend = memoryBackend;
+      status.error = "No browser storage available: changes are lost when the page is closed. Export a backup to keep them.";
+    }
+  }
+  for (const [k, v] of data) cache.set(k, v);
+  status.backend = backend.name;
+  await refreshEstimate();
+  emit();
+}
+
+async function refreshEstimate() {
+  try {
+    const est = await navigator.storage?.estimate?.();
+    if (est) { status.usage = est.usage ?? null; status.quota = est.quota ?? null; }
+  } catch {}
+}
+
+/* ====================== Read / write ====================== */
+
+export const get = (key, fallback) => (cache.has(key) ? cache.get(key) : fallback);
+export const keys = () => [...cache.keys()];
+
+export function set(key, value) {
+  cache.set(key, value);
+  dirty.add(key);
+  if (!timer) timer = setTimeout(flush, 0);
+}
+
+// Writes every dirty key; on failure they stay dirty and are retried with the next change.
+export async function flush() {
+  timer = null;
+  if (!backend || !dirty.size) return;
+  const batch = [...dirty];
+  dirty.clear();
+  try {
+    await backend.writeMany(batch.map((k) => [k, cache.get(k)]));
+    if (backend !== memoryBackend) status.error = null;
+  } catch (e) {
+    for (const k of batch) dirty.add(k);
+    status.error = `Could not save (${describeError(e)}). Recent changes are kept in this tab only: free some space or export a backup.`;
+  }
+  await refreshEstimate();
+  emit();
+}
+
+/** Write several entries at once (all or nothing); memory is only updated on success. */
+export async function setMany(entries) {
+  if (!backend) throw new Error("storage not initialised");
+  await backend.writeMany(entries);
+  for (const [k, v] of entries) { cache.set(k, v); dirty.delete(k); }
+  await refreshEstimate();
+  emit();
+}
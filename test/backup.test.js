@@ -0,0 +1,60 @@
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import * as storage from "../src/storage.js";
+import { snapshot, parseBackup, planRestore, applyRestore, migrateStorage, migrateQuote, storeKey } from "../src/backup.js";
+import { DEF } from "../src/engine.js";
+
+// no IndexedDB or localStorage under node: storage runs in memory
+before(() => storage.initStorage());
+
+const quote = (id, ts, extra = {}) => ({ id, ts, client_name: "ACME", aoi_name: "Lake", fx: { currency: "EUR", rate: 1, asOf: null }, inputs: { ...DEF }, ...extra });
+
+test("backup: snapshot → file → restore round-trip", async () => {
+  storage.set(storeKey("quotes"), [quote("q2", 2), quote("q1", 1)]);
+  storage.set(storeKey("profiles"), { rush: { name: "Rush" } });
+  storage.set(storeKey("user"), "Ann");
+  const file = JSON.stringify(snapshot());
+
+  storage.set(storeKey("quotes"), []);
+  storage.set(storeKey("user"), "Bo");
+  const backup = parseBackup(file);
+  assert.equal(backup.version, 1);
+  await applyRestore(planRestore(backup, { mode: "replace" }));
+  assert.deepEqual(storage.get(storeKey("quotes")).map((q) => q.id), ["q2", "q1"]);
+  assert.deepEqual(storage.get(storeKey("profiles")), { rush: { name: "Rush" } });
+  assert.equal(storage.get(storeKey("user")), "Ann");
+});
+
+test("planRestore: merge conflicts keep, overwrite or keep both", () => {
+  storage.set(storeKey("quotes"), [quote("q1", 1, { note: "local" })]);
+  const backup = { data: { quotes: [quote("q1", 1, { note: "imported" }), quote("q3", 3)] } };
+  const keep = planRestore(backup)[0];
+  assert.deepEqual([keep.added, keep.conflicts], [1, 1]);
+  assert.deepEqual(keep.next.map((q) => [q.id, q.note]), [["q3", undefined], ["q1", "local"]]);
+  assert.equal(planRestore(backup, { conflict: "overwrite" })[0].next[1].note, "imported");
+  const both = planRestore(backup, { conflict: "both" })[0].next;
+  assert.deepEqual(both.map((q) => q.id), ["q3", "q1", "q1_imp"]);
+  assert.equal(both[2].deal_id, "q1");
+});
+
+test("parseBackup: bare quote arrays, legacy dumps and newer versions", () => {
+  const bare = parseBackup(JSON.stringify([{ client_name: "Old", aoi_km2: 10, ts: 5 }]));
+  assert.equal(bare.data.quotes[0].id, "q_5_0");
+  assert.equal(bare.data.quotes[0].inputs.aoi_km2, 10);
+  const dump = parseBackup(JSON.stringify({ "stratosar:quotes:v1": JSON.stringify([{ id: "x", ts: 1 }]) }));
+  assert.equal(dump.data.quotes[0].fx.currency, "EUR");
+  assert.throws(() => parseBackup(JSON.stringify({ format: "stratosar-workspace", version: 99, data: {} })), /newer version/);
+  assert.throws(() => parseBackup("{"), /Not a JSON/);
+  assert.throws(() => parseBackup(JSON.stringify({ format: "stratosar-workspace", version: 1, data: { profiles: [] } })), /unexpected data shape/);
+});
+
+test("migrateStorage: legacy quote keys are copied forward once", () => {
+  storage.set(storeKey("quotes"), undefined);
+  storage.set("stratosar:quotes:v2", [{ id: "old", ts: 1 }]);
+  assert.deepEqual(migrateStorage(), ["quotes"]);
+  const [q] = storage.get(storeKey("quotes"));
+  assert.equal(q.id, "old");
+  assert.equal(q.inputs.mode, DEF.mode);
+  assert.deepEqual(migrateStorage(), []);
+  assert.equal(migrateQuote(null), null);
+});
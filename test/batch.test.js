@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseBatch, batchInputs, priceBatch, batchEntries } from "../src/batch.js";
+import { DEF } from "../src/engine.js";
+
+const csv = "Name,Area km2,Revisit,Missions\nAlpha,1200,60,\nBeta,,30,\n";
+
+test("batch: headers are matched loosely and cells kept as text", () => {
+  const rows = parseBatch(csv);
+  assert.equal(rows.length, 2);
+  assert.equal(rows[0].line, 2);
+  assert.equal(rows[0].area, "1200");
+  assert.equal(rows[1].revisit, "30");
+  assert.throws(() => parseBatch("foo,bar\n1,2\n"), /Missing columns/);
+});
+
+test("batch: a valid row takes its cells over the form values", () => {
+  const { inputs, errors } = batchInputs(DEF, { ...parseBatch(csv)[0], width: "12,5" });
+  assert.deepEqual(errors, []);
+  assert.equal(inputs.aoi_km2, 1200);
+  assert.equal(inputs.aoi_width_km, 12.5);
+  assert.equal(inputs.revisit_min, 60);
+});
+
+test("batch: non-numeric cells are row errors, not silent fallbacks", () => {
+  const row = { line: 5, name: "Gamma", type: "corridor", area: "300", width: "wide", corridor_width: "-2", revisit: "hourly", missions: "2.5" };
+  const { errors } = batchInputs(DEF, row);
+  assert.equal(errors.length, 4);
+  for (const label of ["Width", "Corridor width", "Revisit", "Missions"]) assert.ok(errors.some((e) => e.startsWith(label)), label);
+});
+
+test("batch: rows with errors are left out of the saved entries", () => {
+  const priced = priceBatch(DEF, parseBatch(csv));
+  assert.equal(priced[0].errors.length, 0);
+  assert.match(priced[1].errors[0], /Area missing/);
+  const entries = batchEntries(priced, { file: "sites.csv", ts: 1 });
+  assert.equal(entries.length, 1);
+  assert.deepEqual(entries[0].batch, { file: "sites.csv", line: 2 });
+});
@@ -0,0 +1,32 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { npv, irr, payback, contractCashflow } from "../src/cashflow.js";
+import { DEF, compute } from "../src/engine.js";
+
+test("payback: loss-making amortize contract never pays back", () => {
+  assert.equal(payback([0, -42600, -42600, -42600]), null);
+});
+
+test("payback: year-0 zero with a profitable year 1 has nothing to recover", () => {
+  assert.equal(payback([0, 100, 100]), 0);
+});
+
+test("payback: upfront CAPEX interpolates inside the crossing year", () => {
+  assert.equal(payback([-150, 100, 100]), 1.5);
+  assert.equal(payback([-500, 100, 100]), null);
+  assert.equal(payback([50, 10]), 0);
+});
+
+test("npv and irr agree", () => {
+  const flows = [-1000, 400, 400, 400];
+  const r = irr(flows);
+  assert.ok(Math.abs(npv(r, flows)) < 1e-3);
+  assert.equal(irr([100, 100]), null);
+});
+
+test("contractCashflow: a price below cost gives no payback", () => {
+  const p = { ...DEF, term_years: 3, proposed_annual_price_EUR: 1 };
+  const cf = contractCashflow(p, compute(p));
+  assert.ok(cf.npv < 0);
+  assert.equal(cf.payback, null);
+});
@@ -0,0 +1,32 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { writeFileSync, mkdtempSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+import { DEF, inputErrors, normalizeInputs } from "../src/engine.js";
+
+test("inputErrors: empty cells take defaults, bad cells are reported", () => {
+  assert.deepEqual(inputErrors({ aoi_km2: "", revisit_min: "90", aoi_width_km: null, mode: "tasking", season: "" }), []);
+  assert.deepEqual(inputErrors({ aoi_km2: "abc", revisit_min: 0, mode: "rent", overlap: "-0,1" }), [
+    'aoi_km2 "abc" is not a number',
+    "revisit_min must be positive (got 0)",
+    'mode "rent" is not one of saas, tasking',
+    "overlap must not be negative (got -0.1)",
+  ]);
+  assert.equal(normalizeInputs({ aoi_km2: "abc" }).aoi_km2, DEF.aoi_km2); // what the errors guard against
+});
+
+test("quote CLI: invalid rows get an error column and a non-zero exit", () => {
+  const dir = mkdtempSync(join(tmpdir(), "quote-"));
+  const file = join(dir, "scenarios.csv");
+  writeFileSync(file, "client_name,aoi_km2,revisit_min\nA,100,60\nB,abc,60\n");
+  const r = spawnSync(process.execPath, ["scripts/quote.js", file], { encoding: "utf8" });
+  assert.equal(r.status, 2);
+  const lines = r.stdout.trim().split("\n");
+  assert.equal(lines.length, 3);
+  assert.ok(lines[0].endsWith(",error"));
+  assert.ok(lines[1].endsWith(',""'));
+  assert.ok(lines[2].endsWith(',"aoi_km2 ""abc"" is not a number"'));
+  assert.match(r.stderr, /row 2: aoi_km2/);
+});
@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { simulateFleet } from "../src/fleetsim.js";
+import { DEF, compute } from "../src/engine.js";
+
+const p = { ...DEF, mode: "saas" };
+
+test("simulateFleet: the same seed gives the same year", () => {
+  const m = compute(p);
+  const a = simulateFleet(p, m, { runs: 3, seed: 7 });
+  const b = simulateFleet(p, m, { runs: 3, seed: 7 });
+  assert.deepEqual(a, b);
+  assert.equal(a.runs, 3);
+  assert.equal(a.platforms.length, m.P);
+});
+
+test("simulateFleet: shares and quantiles are consistent", () => {
+  const r = simulateFleet(p, compute(p), { runs: 3 });
+  assert.ok(r.missed.mean >= 0 && r.missed.mean <= 1);
+  assert.ok(r.availability > 0 && r.availability <= 1);
+  assert.ok(Math.abs(r.bins.reduce((a, b) => a + b.share, 0) - 1) < 1e-9);
+  if (r.interval) assert.ok(r.interval.p50 <= r.interval.p90 && r.interval.p90 <= r.interval.max);
+});
+
+test("simulateFleet: not for tasking quotes", () => {
+  assert.equal(simulateFleet({ ...p, mode: "tasking" }, compute(p)), null);
+});
+
+test("simulateFleet: a 2-minute revisit on a small AOI runs without overflowing the stack", () => {
+  const q = { ...p, revisit_min: 2, aoi_km2: 10 };
+  const r = simulateFleet(q, compute(q), { runs: 2 });
+  assert.ok(r.runs >= 1);
+  assert.ok(r.interval.p50 > 0);
+});
@@ -0,0 +1,24 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_FX, rateFor, quoteFx, entryFx } from "../src/fx.js";
+import { priceFmt } from "../src/format.js";
+
+test("rateFor: EUR is 1, unknown or broken rates are null", () => {
+  assert.equal(rateFor(DEFAULT_FX, "EUR"), 1);
+  assert.equal(rateFor(DEFAULT_FX, "USD"), 1.16);
+  assert.equal(rateFor(DEFAULT_FX, "JPY"), null);
+  assert.equal(rateFor({ rates: { USD: -1 } }, "USD"), null);
+});
+
+test("quoteFx: snapshot with the table date, EUR when the rate is unusable", () => {
+  assert.deepEqual(quoteFx(DEFAULT_FX, "GBP"), { currency: "GBP", rate: 0.86, asOf: "2025-08-22" });
+  assert.deepEqual(quoteFx({ asOf: "x", rates: {} }, "CHF"), { currency: "EUR", rate: 1, asOf: "x" });
+  assert.deepEqual(entryFx({}), { currency: "EUR", rate: 1, asOf: null });
+});
+
+test("priceFmt: converts EUR amounts at the snapshot rate", () => {
+  const usd = priceFmt({ currency: "USD", rate: 2 });
+  assert.equal(usd(100), priceFmt({ currency: "USD", rate: 1 })(200));
+  assert.match(usd(100), /\$|USD/);
+  assert.equal(usd(NaN), usd(0));
+});
@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseAoiFile, parseAoiText, geodesicArea, geodesicLength, haversine, deriveAoi, EARTH_RADIUS_KM } from "../src/geo.js";
+
+// 1° × 1° square at the equator
+const square = { type: "Polygon", coordinates: [[[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]]] };
+const deg = (Math.PI / 180) * EARTH_RADIUS_KM;
+
+test("haversine and geodesicLength: one degree of meridian", () => {
+  assert.ok(Math.abs(haversine([0, 0], [0, 1]) - deg) < 1e-6);
+  assert.ok(Math.abs(geodesicLength({ type: "LineString", coordinates: [[0, 0], [0, 1], [0, 2]] }) - 2 * deg) < 1e-6);
+});
+
+test("geodesicArea: equatorial degree square, holes subtracted", () => {
+  const A = geodesicArea(square);
+  assert.ok(Math.abs(A - deg * deg) / A < 0.001);
+  const holed = { type: "Polygon", coordinates: [...square.coordinates, [[0.25, 0.25], [0.75, 0.25], [0.75, 0.75], [0.25, 0.75], [0.25, 0.25]]] };
+  assert.ok(Math.abs(geodesicArea(holed) / A - 0.75) < 0.001);
+});
+
+test("parseAoiFile: GeoJSON features and KML polygons", () => {
+  const gj = parseAoiFile(JSON.stringify({ type: "Feature", properties: { name: "Site", width_km: 3 }, geometry: square }));
+  assert.equal(gj.geometry.type, "Polygon");
+  assert.equal(gj.name, "Site");
+  assert.equal(gj.widthKm, 3);
+  const kml = `<kml><Placemark><name>K</name><Polygon><outerBoundaryIs><LinearRing><coordinates>0,0 1,0 1,1 0,1 0,0</coordinates></LinearRing></outerBoundaryIs></Polygon></Placemark></kml>`;
+  assert.deepEqual(parseAoiFile(kml, "k.kml").geometry.coordinates, square.coordinates);
+  assert.throws(() => parseAoiFile("nope"), /Not valid/);
+});
+
+test("parseAoiText: a coordinate list becomes a closed polygon", () => {
+  const { geometry } = parseAoiText("0 0\n1, 0\n1 1");
+  assert.deepEqual(geometry.coordinates[0], [[0, 0], [1, 0], [1, 1], [0, 0]]);
+  assert.throws(() => parseAoiText("0 0\n1 0"), /at least 3/);
+  assert.throws(() => parseAoiText("0 0\n200 0\n1 1"), /out of range/);
+});
+
+test("deriveAoi: areal from polygons, corridor from lines", () => {
+  const a = deriveAoi(square);
+  assert.equal(a.aoiType, "areal");
+  assert.ok(Math.abs(a.aoi_width_km - deg) / deg < 0.01);
+  const c = deriveAoi({ type: "LineString", coordinates: [[0, 0], [0, 1]] }, { corridorWidthKm: 2 });
+  assert.equal(c.aoiType, "corridor");
+  assert.ok(Math.abs(c.aoi_km2 - 2 * deg) < 1e-6);
+});
@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { applyView, nextSort, isFiltered, gmBands, monthly, DEFAULT_VIEW } from "../src/historyview.js";
+
+const ts = (s) => new Date(`${s}T12:00:00`).getTime();
+const history = [
+  { id: "c", ts: ts("2025-03-10"), client_name: "Gamma", aoi_name: "Port", mode: "tasking", platform: "relay", GM_prop: -0.1, price_annual: 300, status: "won" },
+  { id: "b2", deal_id: "b", rev: 1, ts: ts("2025-02-05"), client_name: "Beta", aoi_name: "Delta", mode: "saas", platform: "stats", GM_prop: 0.35, price_annual: 200 },
+  { id: "b", ts: ts("2025-02-01"), client_name: "Beta", aoi_name: "Delta", mode: "saas", platform: "stats", GM_prop: 0.3, price_annual: 150 },
+  { id: "a", ts: ts("2024-12-20"), client_name: "Alpha", aoi_name: "Lake", mode: "saas", platform: "stats", GM_prop: 0.55, price_annual: 100, status: "sent" },
+];
+const ids = (rows) => rows.map((q) => q.id);
+
+test("applyView: latest revisions, newest first by default", () => {
+  assert.deepEqual(ids(applyView(history)), ["c", "b2", "a"]);
+  assert.deepEqual(ids(applyView(history, { allRevisions: true })), ["c", "b2", "b", "a"]);
+});
+
+test("applyView: search, date, GM and status filters", () => {
+  assert.deepEqual(ids(applyView(history, { q: "beta delta" })), ["b2"]);
+  assert.deepEqual(ids(applyView(history, { from: "2025-01-01", to: "2025-02-28" })), ["b2"]);
+  assert.deepEqual(ids(applyView(history, { gmMin: "30", gmMax: "50" })), ["b2"]);
+  assert.deepEqual(ids(applyView(history, { status: "open" })), ["b2", "a"]);
+  assert.deepEqual(ids(applyView(history, { status: "won" })), ["c"]);
+});
+
+test("applyView: sorting and sort toggles", () => {
+  assert.deepEqual(ids(applyView(history, { sort: { key: "client", dir: "asc" } })), ["a", "b2", "c"]);
+  assert.deepEqual(nextSort({ key: "client", dir: "asc" }, "client"), { key: "client", dir: "desc" });
+  assert.deepEqual(nextSort(DEFAULT_VIEW.sort, "price_annual"), { key: "price_annual", dir: "desc" });
+  assert.equal(isFiltered(DEFAULT_VIEW), false);
+  assert.equal(isFiltered({ ...DEFAULT_VIEW, sort: { key: "rev", dir: "asc" } }), false);
+  assert.equal(isFiltered({ ...DEFAULT_VIEW, mode: "saas" }), true);
+});
+
+test("gmBands and monthly chart data", () => {
+  const bands = gmBands(history);
+  assert.equal(bands.find((b) => b.label === "<0").n, 1);
+  assert.equal(bands.find((b) => b.label === "30–40").n, 2);
+  const months = monthly(history);
+  assert.deepEqual(months.map((m) => m.label), ["12/2024", "01/2025", "02/2025", "03/2025"]);
+  assert.deepEqual(months.map((m) => m.n), [1, 0, 2, 1]);
+  assert.equal(months[2].value, 350);
+});
@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { statusOf, setStatus, statusDate, winLoss } from "../src/lifecycle.js";
+
+const day = 864e5;
+const q = (id, extra = {}) => ({ id, ts: 0, mode: "saas", price_annual: 1000, GM_prop: 0.4, ...extra });
+
+test("setStatus: sending starts the validity clock, losing records a reason", () => {
+  const sent = setStatus(q("a"), "sent", { ts: 10 * day, validityDays: 30, by: "Bo" });
+  assert.equal(sent.valid_until, 40 * day);
+  assert.equal(statusDate(sent), 10 * day);
+  assert.equal(statusOf(sent, 20 * day), "sent");
+  assert.equal(statusOf(sent, 41 * day), "expired");
+  // re-sending inside the validity keeps the original date
+  assert.equal(setStatus(sent, "sent", { ts: 20 * day }).valid_until, 40 * day);
+
+  const lost = setStatus(sent, "lost", { reason: "price", ts: 21 * day });
+  assert.equal(lost.loss_reason, "price");
+  assert.equal(lost.status_log.length, 2);
+  assert.equal(setStatus(lost, "won").loss_reason, undefined);
+  assert.equal(setStatus(lost, "bogus"), lost);
+  assert.equal(statusOf({}), "draft");
+});
+
+test("winLoss: latest revision per deal, expired counted as closed", () => {
+  const history = [
+    q("w", { status: "won", GM_prop: 0.5 }),
+    q("l", { status: "lost", loss_reason: "competitor", mode: "tasking" }),
+    q("x", { status: "sent", valid_until: 1 }),
+    q("o", { status: "negotiating" }),
+    q("w-old", { deal_id: "w", rev: 0, status: "lost" }),
+    { ...q("w2"), deal_id: "w", rev: 1, status: "won", GM_prop: 0.5, id: "w2" },
+  ];
+  const { total, rows } = winLoss(history, { now: 100 });
+  assert.equal(total.n, 4);
+  assert.equal(total.counts.expired, 1);
+  assert.equal(total.winRate, 1 / 3);
+  assert.equal(total.pipeline, 1000);
+  assert.equal(total.gmWon, 0.5);
+  assert.deepEqual(total.lossReasons, { competitor: 1 });
+  assert.deepEqual(rows.map((r) => [r.group, r.n]), [["saas", 3], ["tasking", 1]]);
+});
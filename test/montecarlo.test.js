@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { runMonteCarlo, defaultDist, sampleDist, quantile, UNCERTAIN_KEYS } from "../src/montecarlo.js";
+import { DEF, compute } from "../src/engine.js";
+import { mulberry32 } from "../src/random.js";
+
+test("montecarlo: quantile interpolates and handles empty input", () => {
+  assert.equal(quantile([], 0.5), null);
+  assert.equal(quantile([1, 2, 3, 4], 0.5), 2.5);
+  assert.equal(quantile([10, 20], 0.1), 11);
+});
+
+test("montecarlo: fractions stay below 1 and contract terms are not uncertain", () => {
+  assert.ok(defaultDist("duty", 0.9, 0.5).max <= 0.99);
+  const rng = mulberry32(3);
+  for (let i = 0; i < 200; i++) assert.ok(sampleDist("duty", { kind: "normal", mean: 0.95, sd: 0.5 }, rng) < 1);
+  assert.ok(!UNCERTAIN_KEYS.includes("term_years"));
+  assert.ok(UNCERTAIN_KEYS.includes("duty"));
+});
+
+test("montecarlo: no distributions reproduces the deterministic quote", () => {
+  const r = runMonteCarlo(DEF, {}, { samples: 50 });
+  const m = compute(DEF);
+  assert.equal(r.cost.p10, m.Ann);
+  assert.equal(r.cost.p90, m.Ann);
+  assert.equal(r.pNegGM, 0);
+});
+
+test("montecarlo: same seed gives the same bands, the price stays fixed", () => {
+  const dists = { duty: defaultDist("duty", DEF.duty) };
+  const a = runMonteCarlo(DEF, dists, { samples: 200, seed: 7 });
+  const b = runMonteCarlo(DEF, dists, { samples: 200, seed: 7 });
+  assert.deepEqual(a, b);
+  assert.ok(a.cost.p10 <= a.cost.p50 && a.cost.p50 <= a.cost.p90);
+  const c = runMonteCarlo(DEF, dists, { samples: 200, price: 1 });
+  assert.equal(c.price, 1);
+  assert.equal(c.pNegGM, 1);
+});
+
+test("montecarlo: tasking mode has no fleet band", () => {
+  const r = runMonteCarlo({ ...DEF, mode: "tasking" }, { Ch_hour: defaultDist("Ch_hour", DEF.Ch_hour) }, { samples: 100 });
+  assert.equal(r.platforms, null);
+  assert.equal(r.pInfeasible, null);
+  assert.ok(r.cost.p90 > r.cost.p10);
+});
@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { planPath, turnLength, cachedPlan, pathToGeoJSON } from "../src/planner.js";
+
+// about 20 km (east) × 4.5 km (north) near 45°N
+const rect = { type: "Polygon", coordinates: [[[9, 45], [9.254, 45], [9.254, 45.0405], [9, 45.0405], [9, 45]]] };
+
+test("turnLength: U-turn when passes are wide apart, omega turn when close", () => {
+  assert.equal(turnLength(3, 0), 3);
+  assert.ok(Math.abs(turnLength(4, 1) - (Math.PI + 2)) < 1e-12);
+  assert.ok(turnLength(0.5, 1) > Math.PI);
+});
+
+test("planPath: passes run along the long side and cover the AOI", () => {
+  const plan = planPath(rect, { swath: 1 });
+  assert.ok(Math.abs(plan.heading - 90) <= 1, `heading ${plan.heading}`);
+  assert.equal(plan.lines, 5);
+  assert.ok(Math.abs(plan.track_km - 5 * 20) < 1);
+  assert.equal(plan.waypoints.length, plan.passes * 2);
+  assert.ok(Math.abs(plan.total_km - plan.track_km - plan.transit_km) < 1e-9);
+});
+
+test("planPath: overlap adds passes, bad options give null", () => {
+  assert.ok(planPath(rect, { swath: 1, overlap: 0.5, heading: 90 }).lines > planPath(rect, { swath: 1, heading: 90 }).lines);
+  assert.equal(planPath(rect, { swath: 0 }), null);
+  assert.equal(planPath({ type: "LineString", coordinates: [[0, 0], [1, 1]] }, { swath: 1 }), null);
+});
+
+test("cachedPlan and pathToGeoJSON", () => {
+  const opts = { swath: 1, overlap: 0, turnRadius: 0.2 };
+  const plan = cachedPlan(rect, opts);
+  assert.equal(cachedPlan(rect, { ...opts }), plan);
+  const fc = pathToGeoJSON(plan);
+  assert.ok(JSON.stringify(fc).includes("LineString"));
+});
@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { pricePortfolio, aoiFromForm, portfolioMetrics } from "../src/portfolio.js";
+import { DEF, priceScenario } from "../src/engine.js";
+import { DEFAULT_RULES, applyPricingRules } from "../src/pricing.js";
+import { templateSeason } from "../src/season.js";
+
+const p = { ...DEF, mode: "saas", client_name: "ACME", aoi_name: "Lake" };
+const rules = { ...DEFAULT_RULES, enabled: true };
+const pricing = (m, q) => applyPricingRules(m, q, rules);
+const close = (a, b) => Math.abs(a - b) <= 1e-6 * Math.max(1, Math.abs(b));
+
+for (const [label, q, fn] of [
+  ["plain", p, null],
+  ["seasonal calendar", { ...p, season: templateSeason() }, null],
+  ["pricing rules", p, pricing],
+  ["manual price", { ...p, proposed_annual_price_EUR: 123456 }, pricing],
+]) {
+  test(`pricePortfolio: one AOI prices like the same quote on its own (${label})`, () => {
+    const { m } = priceScenario(q, undefined, fn);
+    const r = pricePortfolio(q, [aoiFromForm(q)], { pricing: fn });
+    assert.ok(close(r.cost, m.Ann), `cost ${r.cost} vs ${m.Ann}`);
+    assert.ok(close(r.price, m.PriceAnnualChosen), `price ${r.price} vs ${m.PriceAnnualChosen}`);
+    assert.equal(r.Ft, m.Ft);
+    assert.equal(r.P, m.P);
+  });
+}
+
+test("pricePortfolio: two AOIs share one fleet and one cloud bill", () => {
+  const a = aoiFromForm(p, "A"), b = { ...aoiFromForm(p, "B"), aoi_km2: 500 };
+  const r = pricePortfolio(p, [a, b]);
+  assert.ok(close(r.cost, r.summedCost - p.annual_cloud_costs));
+  assert.ok(r.P <= r.summedPlatforms);
+  assert.ok(close(r.items[0].share + r.items[1].share, 1));
+  assert.ok(close(portfolioMetrics(r).price_annual, r.price));
+  const disc = pricePortfolio(p, [a, b], { discount: 0.1 });
+  assert.ok(close(disc.price, r.listPrice * 0.9));
+});
+
+test("pricePortfolio: tasking lines are priced and discounted pro rata", () => {
+  const q = { ...p, mode: "tasking" };
+  const r = pricePortfolio(q, [{ ...aoiFromForm(q), missions_count: 3 }, { ...aoiFromForm(q), missions_count: 1 }], { discount: 0.2 });
+  assert.equal(r.missions, 4);
+  assert.ok(close(r.price, r.listPrice * 0.8));
+});
@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_RULES, matchTier, priceWithRules, applyPricingRules } from "../src/pricing.js";
+import { DEF, compute } from "../src/engine.js";
+
+const rules = { ...DEFAULT_RULES, enabled: true };
+
+test("matchTier: first tier whose AOI and revisit bands contain the quote", () => {
+  assert.equal(matchTier(rules, 500, 60).id, "t1");
+  assert.equal(matchTier(rules, 500, 720).id, "t2");
+  assert.equal(matchTier(rules, 1000, 60).id, "t3");
+  assert.equal(matchTier(rules, 6000, 1440).id, "t4");
+  assert.equal(matchTier({ tiers: [] }, 500, 60), null);
+});
+
+test("priceWithRules: disabled rules leave the computed price alone", () => {
+  const m = compute(DEF);
+  const r = priceWithRules(m, DEF, DEFAULT_RULES);
+  assert.equal(r.price, m.PriceAnnualChosen);
+  assert.deepEqual(r.steps, []);
+});
+
+test("priceWithRules: rate card, volume discount and guardrails", () => {
+  const m = { A: 6000, R: 1440, Ann: 100000, PriceAnnualChosen: 0 };
+  const r = priceWithRules(m, { proposed_annual_price_EUR: "" }, rules);
+  assert.deepEqual(r.steps.map((s) => s.key), ["rate_card", "volume"]);
+  assert.equal(r.price, 6000 * 350 * 0.9);
+
+  const floored = priceWithRules({ ...m, Ann: 2e6 }, { proposed_annual_price_EUR: "" }, rules);
+  assert.equal(floored.steps.at(-1).key, "floor");
+  assert.equal(floored.price, 2e6 / 0.8);
+
+  const manual = priceWithRules({ ...m, A: 10, PriceAnnualChosen: 1000 }, { proposed_annual_price_EUR: 1000 }, rules);
+  assert.ok(manual.manual);
+  assert.deepEqual(manual.steps.map((s) => s.key), ["min_contract", "floor"]);
+});
+
+test("applyPricingRules: the rule price carries into GM and unit prices", () => {
+  const m = compute(DEF);
+  const out = applyPricingRules(m, DEF, rules);
+  assert.equal(out.PriceAnnualChosen, out.pricing.price);
+  assert.ok(Math.abs(out.GM - (out.pricing.price - m.Ann) / out.pricing.price) < 1e-12);
+  assert.ok(out.GM >= rules.floor_gm - 1e-9);
+});
@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { proposalModel, proposalHTML, proposalPDF, revisitText, DEFAULT_TEMPLATE } from "../src/proposal.js";
+import { DEF, compute, quoteMetrics, taskingCalc, quoteEntry } from "../src/engine.js";
+import { setStatus } from "../src/lifecycle.js";
+
+const day = 864e5;
+const issued = Date.UTC(2026, 0, 10);
+const p = { ...DEF, client_name: "ACME", aoi_name: "Lake" };
+const q = quoteEntry(p, quoteMetrics("saas", compute(p), taskingCalc(p, 0, p.mission_profile)), { id: "q_1234", ts: issued, fx: { currency: "USD", rate: 1.16, asOf: null } });
+
+test("proposalModel: a sent quote keeps the validity date History expires it on", () => {
+  const sent = setStatus(q, "sent", { ts: issued - 20 * day, validityDays: 45 });
+  const d = proposalModel(sent, { ...DEFAULT_TEMPLATE, validity_days: 10 }, { issued });
+  assert.equal(d.validUntil, new Date(sent.valid_until).toLocaleDateString("en-GB", { day: "2-digit", month: "long", year: "numeric" }));
+  assert.match(d.sections.at(-1).text, new RegExp(d.validUntil));
+});
+
+test("proposalModel: unsent quotes take the template validity", () => {
+  const d = proposalModel(q, { ...DEFAULT_TEMPLATE, validity_days: 10 }, { issued });
+  assert.equal(d.validUntil, "20 January 2026");
+  assert.equal(d.ref, "PRP-20260110-1234");
+});
+
+test("proposalHTML and proposalPDF: customer prices only, in the quote currency", () => {
+  const d = proposalModel(q, DEFAULT_TEMPLATE, { issued });
+  const html = proposalHTML(d);
+  assert.match(html, /US\$/);
+  const text = html.replace(/<style>[\s\S]*?<\/style>/, "");
+  assert.doesNotMatch(text, /cost|margin|GM/i);
+  const pdf = proposalPDF(d);
+  assert.equal(new TextDecoder().decode(pdf.slice(0, 5)), "%PDF-");
+});
+
+test("revisitText", () => {
+  assert.deepEqual([1440, 2880, 60, 120, 45, 0].map(revisitText), ["every 24 hours", "every 2 days", "every 1 hour", "every 2 hours", "every 45 minutes", "—"]);
+});
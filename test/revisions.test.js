@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { revLabel, latestPerDeal, dealRevisions, revisionCount, diffQuotes, stampRevision } from "../src/revisions.js";
+
+const a = { id: "q1", ts: 1, inputs: { aoi_km2: 100, revisit_min: 60, aoi_geometry: null }, price_annual: 1000, GM_prop: 0.3 };
+
+test("revLabel: spreadsheet-style letters", () => {
+  assert.deepEqual([0, 1, 25, 26, 27, 701, 702].map(revLabel), ["A", "B", "Z", "AA", "AB", "ZZ", "AAA"]);
+});
+
+test("stampRevision: a new deal at Rev A, then the next revision with its changes", () => {
+  const revA = stampRevision(a, [], null, { author: " Ann " });
+  assert.deepEqual([revA.deal_id, revA.rev, revA.author, revA.changes], ["q1", 0, "Ann", []]);
+
+  const b = { id: "q2", ts: 2, inputs: { ...a.inputs, revisit_min: "30", aoi_geometry: { type: "Polygon" } }, price_annual: 1500, GM_prop: 0.3 };
+  const revB = stampRevision(b, [revA], revA);
+  assert.equal(revB.deal_id, "q1");
+  assert.equal(revB.rev, 1);
+  assert.equal(revB.parent_id, "q1");
+  assert.deepEqual(revB.changes, [
+    { key: "revisit_min", from: 60, to: "30" },
+    { key: "aoi_geometry", from: null, to: null },
+    { key: "price_annual", from: 1000, to: 1500 },
+  ]);
+
+  const history = [revB, revA];
+  assert.deepEqual(latestPerDeal(history), [revB]);
+  assert.deepEqual(dealRevisions(history, "q1"), [revA, revB]);
+  assert.equal(revisionCount(history).get("q1"), 2);
+});
+
+test("diffQuotes: numbers equal to their text are unchanged, price deltas computed", () => {
+  const d = diffQuotes(a, { ...a, inputs: { ...a.inputs, aoi_km2: "100" }, price_annual: 1200 });
+  assert.deepEqual(d.inputs, []);
+  assert.deepEqual(d.prices, [{ key: "price_annual", from: 1000, to: 1200, delta: 200 }]);
+});
@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildSchedule, scheduleOk, scheduleCSV, scheduleICS, YEAR_DAYS } from "../src/schedule.js";
+import { DEF, compute } from "../src/engine.js";
+import { flatSeason, MONTH_DAYS } from "../src/season.js";
+
+const p = { ...DEF, mode: "saas" };
+
+test("buildSchedule: every mission placed without overlapping maintenance", () => {
+  const s = buildSchedule(p, compute(p));
+  assert.ok(scheduleOk(s));
+  assert.equal(s.stats.demanded, compute(p).Ft);
+  for (const pl of s.platforms) {
+    const maint = pl.items.filter((x) => x.kind === "maintenance");
+    for (const it of pl.items.filter((x) => x.kind === "mission")) {
+      assert.ok(it.end <= YEAR_DAYS);
+      assert.ok(maint.every((b) => it.end <= b.start || it.start >= b.end), `mission ${it.seq} on ${pl.label}`);
+    }
+  }
+});
+
+test("buildSchedule: the flight-day budget is reduced by availability", () => {
+  const m = compute(p);
+  const s = buildSchedule(p, m);
+  assert.equal(s.availability, m.Aavail);
+  assert.ok(Math.abs(s.budget - (p.max_flight_days - s.maintDays) * m.Aavail) < 1e-9);
+  for (const pl of s.platforms) assert.ok(pl.flown <= s.budget + 1e-9);
+  // a platform that is never up flies nothing
+  assert.equal(buildSchedule(p, { ...m, Aavail: 0 }).stats.scheduled, 0);
+});
+
+test("buildSchedule: not for tasking or relay quotes", () => {
+  assert.equal(buildSchedule({ ...p, mode: "tasking" }, compute(p)), null);
+});
+
+test("scheduleCSV and scheduleICS export every mission", () => {
+  const s = buildSchedule(p, compute(p));
+  const csv = scheduleCSV(s, 2026);
+  assert.equal(csv.split("\n").filter((l) => l.includes(',"mission",')).length, s.stats.scheduled);
+  const ics = scheduleICS(s, 2026, "Fleet, test");
+  assert.equal(ics.match(/BEGIN:VEVENT/g).length, s.stats.scheduled + s.platforms.reduce((a, pl) => a + pl.items.filter((x) => x.kind === "maintenance").length, 0));
+  assert.ok(ics.includes("X-WR-CALNAME:Fleet\\, test"));
+});
+
+test("buildSchedule: no launches in months with fly = 0, and those months are reported", () => {
+  const q = { ...p, season: flatSeason(1).map((x, i) => (i < 3 ? { ...x, fly: 0 } : x)) };
+  const m = compute(q);
+  const s = buildSchedule(q, m);
+  const april = MONTH_DAYS[0] + MONTH_DAYS[1] + MONTH_DAYS[2];
+  for (const x of s.missions) if (x.start != null) assert.ok(x.start >= april, `mission ${x.seq} starts on day ${x.start}`);
+  assert.ok(Math.abs(s.budget - m.months.reduce((a, x) => a + x.usable, 0) * m.Aavail) < 1e-9);
+  assert.deepEqual(s.months.slice(0, 3).map((x) => x.ok), [false, false, false]);
+  assert.equal(scheduleOk(s), false);
+});
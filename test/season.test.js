@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeSeason, seasonalPlan, checkMonths, flatSeason, templateSeason, MONTH_DAYS } from "../src/season.js";
+import { applyFields, PLAT_FIELDS } from "../src/presets.js";
+
+const ctx = {
+  A: 1000, R: 60, covRate: 100, D: 5, Hh: 120, turnaround: 2, maintBuffer: 0.1, maxFlightDays: 200,
+  Aavail: 0.9, Tc: 30, isRelay: false, missionCost: (D) => D * 1000,
+};
+
+test("normalizeSeason: twelve clamped months, null when malformed", () => {
+  const s = normalizeSeason(JSON.stringify(flatSeason("1,5")));
+  assert.equal(s.length, 12);
+  assert.equal(s[0].fly, 1);
+  assert.equal(s[0].max_days, null);
+  assert.equal(normalizeSeason([{ fly: 1 }]), null);
+  assert.equal(normalizeSeason("not json"), null);
+});
+
+test("seasonalPlan: the annual flight-day budget caps the months", () => {
+  const plan = seasonalPlan(normalizeSeason(flatSeason(1)), ctx);
+  assert.ok(Math.abs(plan.usable - ctx.maxFlightDays * (1 - ctx.maintBuffer)) < 1e-9);
+  assert.equal(plan.Ft, plan.months.reduce((a, m) => a + m.missions, 0));
+  assert.equal(plan.missionsCost, plan.Ft * ctx.D * 1000);
+  assert.ok(Math.abs(plan.fpp - (plan.usable * ctx.Aavail) / (ctx.D + ctx.turnaround)) < 1e-9);
+});
+
+test("seasonalPlan: a month's own max_days and turnaround override the defaults", () => {
+  const season = normalizeSeason(templateSeason().map((m, i) => (i === 0 ? { ...m, max_days: 2, turnaround: 1 } : m)));
+  const jan = seasonalPlan(season, ctx).months[0];
+  assert.equal(jan.D, 2);
+  assert.equal(jan.turnaround, 1);
+  assert.equal(jan.days, MONTH_DAYS[0]);
+});
+
+test("checkMonths: unflyable months with demand are flagged", () => {
+  const months = seasonalPlan(normalizeSeason(flatSeason(1).map((m, i) => (i === 5 ? { ...m, fly: 0 } : m))), ctx).months;
+  const checked = checkMonths(months, 1, false);
+  assert.deepEqual(checked[5].reasons, ["not flyable"]);
+  assert.equal(checked[5].ok, false);
+});
+
+test("platform presets: a flat-year preset clears the form's calendar", () => {
+  const form = { mission_days: 5, season: templateSeason() };
+  assert.equal(applyFields(form, { mission_days: 3, season: null }, PLAT_FIELDS).season, null);
+  // presets saved before the calendar existed keep the form's season
+  assert.deepEqual(applyFields(form, { mission_days: 3 }, PLAT_FIELDS).season, form.season);
+});
@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { sensitivity, sensitivityCSV, SENS_KEYS } from "../src/sensitivity.js";
+import { DEF, compute } from "../src/engine.js";
+import { parseCSVRows } from "../src/csv.js";
+
+test("sensitivity: base matches compute() and rows are sorted by swing", () => {
+  const res = sensitivity(DEF);
+  assert.equal(res.base.cost, compute(DEF).Ann);
+  assert.equal(res.pct, 0.1);
+  assert.ok(res.rows.length > 0);
+  for (let i = 1; i < res.rows.length; i++) assert.ok(res.rows[i - 1].swing.cost >= res.rows[i].swing.cost);
+  const byFleet = sensitivity(DEF, { by: "platforms" });
+  assert.ok(byFleet.rows[0].swing.platforms >= byFleet.rows.at(-1).swing.platforms);
+});
+
+test("sensitivity: contract terms are skipped and inputs without effect are dropped", () => {
+  assert.ok(!SENS_KEYS.includes("term_years"));
+  assert.ok(!SENS_KEYS.includes("target_gm"));
+  const res = sensitivity(DEF);
+  for (const r of res.rows) assert.ok(Object.values(r.swing).some((s) => s > 0), r.key);
+});
+
+test("sensitivity: low and high move the input by ±pct, fractions capped", () => {
+  const res = sensitivity({ ...DEF, duty: 0.95 }, { pct: 0.2 });
+  const area = res.rows.find((r) => r.key === "aoi_km2");
+  assert.ok(Math.abs(area.low.value - DEF.aoi_km2 * 0.8) < 1e-9);
+  assert.ok(Math.abs(area.high.value - DEF.aoi_km2 * 1.2) < 1e-9);
+  const duty = res.rows.find((r) => r.key === "duty");
+  if (duty) assert.equal(duty.high.value, 0.99);
+});
+
+test("sensitivity: tasking mode has no fleet metric", () => {
+  const res = sensitivity({ ...DEF, mode: "tasking" });
+  assert.equal(res.base.platforms, null);
+  assert.ok(res.rows.every((r) => r.swing.platforms === 0));
+});
+
+test("sensitivity: CSV carries one row per input with labels", () => {
+  const res = sensitivity(DEF);
+  const rows = parseCSVRows(sensitivityCSV(res, (k) => k.toUpperCase()));
+  assert.equal(rows.length, res.rows.length + 1);
+  assert.equal(rows[0][0], "input");
+  assert.equal(rows[1][1], res.rows[0].key.toUpperCase());
+});
@@ -0,0 +1,32 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { encodeScenario, decodeScenario } from "../src/share.js";
+import { DEF, PROFILES } from "../src/engine.js";
+import { DEFAULT_RULES } from "../src/pricing.js";
+
+const p = {
+  ...DEF, client_name: "ACME S.p.A.", aoi_km2: 1234.5, mode: "tasking", missions_count: 4, mission_profile: "rush", path_plan: true,
+  aoi_geometry: { type: "Polygon", coordinates: [[[9, 45], [9.5, 45], [9.5, 45.4], [9, 45.4], [9, 45]]] },
+};
+const ctx = {
+  rules: { ...DEFAULT_RULES, enabled: true },
+  fx: { currency: "USD", rate: 1.16, asOf: "2025-08-22" },
+  profile: { ...PROFILES.express, name: "Rush" },
+};
+
+test("share: inputs and pricing context round-trip", async () => {
+  const link = await decodeScenario(await encodeScenario(p, ctx));
+  for (const k of Object.keys(DEF)) assert.deepEqual(link.inputs[k], p[k], k);
+  assert.deepEqual(link.rules, ctx.rules);
+  assert.deepEqual(link.fx, ctx.fx);
+  assert.deepEqual(link.profile, { key: "rush", def: ctx.profile });
+});
+
+test("share: default scenario gives a short code", async () => {
+  assert.ok((await encodeScenario(DEF)).length < 80);
+});
+
+test("share: damaged codes are rejected", async () => {
+  await assert.rejects(decodeScenario("zAAAA"), /damaged/);
+  await assert.rejects(decodeScenario("xabc"), /Unknown link format/);
+});
@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { solveRevisit, solveArea, solvePrice } from "../src/solver.js";
+import { DEF, compute, priceScenario } from "../src/engine.js";
+import { DEFAULT_RULES, applyPricingRules } from "../src/pricing.js";
+
+test("solveRevisit: the shortest revisit that fits the budget, and not one minute less", () => {
+  const budget = compute(DEF).PriceGM * 1.5;
+  const r = solveRevisit(DEF, { budget });
+  assert.ok(r.ok);
+  assert.ok(compute({ ...DEF, revisit_min: r.value }).PriceGM <= budget);
+  if (r.value > 1) assert.ok(compute({ ...DEF, revisit_min: r.value - 1 }).PriceGM > budget);
+  assert.equal(solveRevisit(DEF, { budget: 0 }).ok, false);
+});
+
+test("solveArea: the area priced at the rate covers its target-GM price", () => {
+  const m = compute(DEF);
+  const r = solveArea(DEF, { rateKm2: (m.PriceGM / m.A) * 2 });
+  assert.ok(r.ok);
+  assert.ok(r.m.PriceGM <= (m.PriceGM / m.A) * 2 * r.value + 1e-6);
+  assert.equal(solveArea(DEF, { rateKm2: "" }).ok, false);
+});
+
+test("solvePrice: SaaS margin and breakeven for a proposed price", () => {
+  const m = compute(DEF);
+  const r = solvePrice(DEF, { price: m.Ann * 2 });
+  assert.ok(r.ok);
+  assert.ok(Math.abs(r.gm - 0.5) < 1e-9);
+  assert.equal(r.needed, m.Ft);
+  assert.ok(r.breakeven >= m.Ft);
+});
+
+test("solvePrice: tasking price is spread over the quoted missions", () => {
+  const p = { ...DEF, mode: "tasking", missions_count: 4 };
+  const r = solvePrice(p, { price: 10000 });
+  assert.ok(r.ok);
+  assert.equal(r.patch.proposed_price_per_mission_EUR, 2500);
+  assert.equal(r.needed, 4);
+});
+
+test("solveRevisit: with pricing rules the budget is checked against the rule price", () => {
+  const rules = { ...DEFAULT_RULES, enabled: true };
+  const pricing = (m, q) => applyPricingRules(m, q, rules);
+  const price = (R) => priceScenario({ ...DEF, revisit_min: R }, undefined, pricing).m.PriceAnnualChosen;
+  const budget = price(DEF.revisit_min);
+  const r = solveRevisit(DEF, { budget, pricing });
+  assert.ok(r.ok);
+  assert.ok(price(r.value) <= budget);
+  assert.ok(Math.abs(r.m.PriceAnnualChosen - price(r.value)) < 1e-6);
+});
+
+test("solver: amounts are read and explained in the quote currency", () => {
+  const fx = { currency: "USD", rate: 2 };
+  const m = compute(DEF);
+  const r = solvePrice(DEF, { price: m.Ann * 4, fx }); // USD, i.e. twice the cost in EUR
+  assert.ok(Math.abs(r.gm - 0.5) < 1e-9);
+  assert.ok(Math.abs(r.patch.proposed_annual_price_EUR - Math.round(m.Ann * 200) / 100) < 0.01);
+  const t = solvePrice({ ...DEF, mode: "tasking", missions_count: 4 }, { price: 10, fx });
+  assert.match(t.explain, /US\$/);
+  assert.doesNotMatch(t.explain, /€/);
+  const tight = solveRevisit(DEF, { budget: 1, fx });
+  assert.equal(tight.ok, false);
+  assert.match(tight.reason, /US\$/);
+});
@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as storage from "../src/storage.js";
+
+// Node has no IndexedDB, so initStorage() falls back to this localStorage stand-in.
+function fakeLocalStorage(limit) {
+  const m = new Map();
+  const quota = () => Object.assign(new Error("quota"), { name: "QuotaExceededError" });
+  return {
+    get length() { return m.size; },
+    key: (i) => [...m.keys()][i] ?? null,
+    getItem: (k) => (m.has(k) ? m.get(k) : null),
+    setItem(k, v) {
+      const used = [...m].reduce((n, [kk, vv]) => n + (kk === k ? 0 : vv.length), 0);
+      if (used + String(v).length > limit) throw quota();
+      m.set(k, String(v));
+    },
+    removeItem: (k) => m.delete(k),
+  };
+}
+
+let last;
+storage.subscribe((s) => { last = s; });
+
+test("storage: boots on localStorage when IndexedDB is missing", async () => {
+  globalThis.localStorage = fakeLocalStorage(200);
+  localStorage.setItem("stratosar:quotes", JSON.stringify([{ id: "q1" }]));
+  localStorage.setItem("other-app", "x");
+  await storage.initStorage();
+  assert.equal(last.backend, "localStorage");
+  assert.match(last.notice, /IndexedDB unavailable/);
+  assert.deepEqual(storage.get("stratosar:quotes"), [{ id: "q1" }]);
+  assert.deepEqual(storage.keys(), ["stratosar:quotes"]);
+  assert.equal(storage.get("stratosar:missing", 5), 5);
+});
+
+test("storage: set() writes through on flush", async () => {
+  storage.set("stratosar:draft", { a: 1 });
+  assert.deepEqual(storage.get("stratosar:draft"), { a: 1 });
+  await storage.flush();
+  assert.equal(localStorage.getItem("stratosar:draft"), '{"a":1}');
+  assert.equal(last.unsaved, 0);
+  assert.equal(last.error, null);
+});
+
+test("storage: a full store keeps the change unsaved and retries it", async () => {
+  storage.set("stratosar:draft", { big: "x".repeat(300) });
+  await storage.flush();
+  assert.equal(last.unsaved, 1);
+  assert.match(last.error, /browser storage is full/);
+  assert.equal(localStorage.getItem("stratosar:draft"), '{"a":1}');
+  storage.set("stratosar:draft", { a: 2 });
+  await storage.flush();
+  assert.equal(last.unsaved, 0);
+  assert.equal(last.error, null);
+  assert.equal(localStorage.getItem("stratosar:draft"), '{"a":2}');
+});
+
+test("storage: setMany is all or nothing", async () => {
+  await assert.rejects(
+    storage.setMany([["stratosar:quotes", []], ["stratosar:profiles", "y".repeat(300)]]),
+    { name: "QuotaExceededError" },
+  );
+  assert.equal(localStorage.getItem("stratosar:quotes"), '[{"id":"q1"}]');
+  assert.equal(localStorage.getItem("stratosar:profiles"), null);
+  assert.deepEqual(storage.get("stratosar:quotes"), [{ id: "q1" }]);
+  await storage.setMany([["stratosar:quotes", []], ["stratosar:draft", undefined]]);
+  assert.deepEqual(storage.get("stratosar:quotes"), []);
+  assert.equal(localStorage.getItem("stratosar:draft"), null);
+});
+
+test("storage: without any browser storage it runs in memory and says so", async () => {
+  delete globalThis.localStorage;
+  await storage.initStorage();
+  assert.equal(last.backend, "memory");
+  assert.match(last.error, /No browser storage available/);
+  storage.set("stratosar:draft", { a: 3 });
+  await storage.flush();
+  assert.deepEqual(storage.get("stratosar:draft"), { a: 3 });
+  assert.match(last.error, /No browser storage available/);
+});
+
+test("storage: describeError names a full quota", () => {
+  assert.equal(storage.describeError({ name: "QuotaExceededError" }), "browser storage is full");
+  assert.equal(storage.describeError(new Error("blocked")), "blocked");
+});